@@ -2,16 +2,32 @@
 
 import { stateManager } from './state.js';
 import { bluetoothManager } from '../services/bluetooth.js';
+import { volumeController } from '../services/volume-controller.js';
+import { macroManager } from '../services/macros.js';
+import { deviceLocator } from '../services/locate.js';
+import { HID_MOUSE_BUTTONS } from '../services/hid.js';
+import { resolveInput, resolveButtonMapping, parseAction, keyInputId, macroAction } from '../services/button-mapping.js';
 import { uiController } from '../ui/controller.js';
-import { VIEWS, REMOTE_COMMANDS, DEFAULT_SETTINGS, HAPTIC_PATTERNS, HAPTIC_SETTINGS } from './constants.js';
+import { GamepadInput } from '../ui/gamepad.js';
+import { MediaSessionBridge } from '../ui/media-session.js';
+import { VIEWS, REMOTE_COMMANDS, DEFAULT_SETTINGS, HAPTIC_PATTERNS, HAPTIC_SETTINGS, BATTERY_THRESHOLDS, AUTO_RECONNECT_POLICIES, RECONNECT_PHASES, POWER_STATES, BLUETOOTH_ERRORS, LOCATE_METHODS } from './constants.js';
 
 class App {
   constructor() {
     this.initialized = false;
     this.keyboardListener = null;
+    this.discoveryRunning = false;
     this.volumeRampingInterval = null;
     this.volumeRampingDirection = null;
-    this.batteryCheckInterval = null;
+    this.activeDeviceId = null;
+    this.pendingPointer = { dx: 0, dy: 0, wheel: 0 };
+    this.pointerInFlight = false;
+    this.pointerUnsupportedNotified = false;
+    this.textEntryQueue = Promise.resolve();
+    this.textEntryController = null;
+    this.macroProgress = null;
+    this.gamepadInput = null;
+    this.mediaSession = null;
   }
   
   /**
@@ -37,8 +53,25 @@ class App {
       // Setup Bluetooth listeners
       this.setupBluetoothListeners();
       
+      // Poll game controllers while any are connected
+      this.gamepadInput = new GamepadInput({
+        onInput: (inputId) => this.handleGamepadInput(inputId),
+        onConnectionChange: (gamepads) => stateManager.setGamepads(gamepads)
+      });
+      this.gamepadInput.start();
+      
+      // Media keys, headset buttons and lock-screen controls
+      this.mediaSession = new MediaSessionBridge({
+        onControl: (control) => this.handlePlaybackControl(control)
+      });
+      this.mediaSession.start();
+      this.mediaSession.update(this.getMediaSessionDevice(stateManager.getState()));
+      
       this.initialized = true;
       console.log('App initialized successfully');
+      
+      // Reconnect to the last active device in the background
+      this.restoreLastDevice();
     } catch (error) {
       console.error('Failed to initialize app:', error);
     }
@@ -54,13 +87,33 @@ class App {
     });
     
     // Device connection events
-    uiController.addEventListener('device-connect-requested', async () => {
-      await this.handleDeviceConnection();
+    uiController.addEventListener('device-connect-requested', async (detail) => {
+      await this.handleDeviceConnection(detail.deviceId);
     });
     
     // Device list events
+    uiController.addEventListener('manual-pairing-requested', async (detail) => {
+      await this.handleManualPairing(detail.pairing);
+    });
+    
+    uiController.addEventListener('shared-device-pair-requested', async (detail) => {
+      await this.handleSharedDevicePairing(detail.shared);
+    });
+    
     uiController.addEventListener('disconnect', async (detail) => {
-      await bluetoothManager.disconnect();
+      await bluetoothManager.disconnect(detail.deviceId);
+    });
+    
+    uiController.addEventListener('locate-requested', async (detail) => {
+      await this.handleLocate(detail.deviceId);
+    });
+    
+    uiController.addEventListener('locate-alert-requested', async () => {
+      await this.playLocateAlert();
+    });
+    
+    uiController.addEventListener('locate-closed', async () => {
+      await deviceLocator.stop();
     });
     
     // Remote control events
@@ -68,10 +121,38 @@ class App {
       this.handleDpadInput(detail.direction);
     });
     
+    uiController.addEventListener('pointer-move', (detail) => {
+      this.handlePointerInput({ dx: detail.dx, dy: detail.dy });
+    });
+    
+    uiController.addEventListener('pointer-scroll', (detail) => {
+      this.handlePointerInput({ wheel: detail.wheel });
+    });
+    
+    uiController.addEventListener('pointer-click', (detail) => {
+      this.handlePointerClick(detail.button);
+    });
+    
+    uiController.addEventListener('text-entered', (detail) => {
+      this.handleTextEntry(detail.text);
+    });
+    
+    uiController.addEventListener('text-entry-closed', () => {
+      this.cancelTextEntry();
+    });
+    
     uiController.addEventListener('action-pressed', (detail) => {
       this.handleActionButton(detail.action);
     });
     
+    uiController.addEventListener('shortcut-pressed', (detail) => {
+      this.executeAction(detail.action);
+    });
+    
+    uiController.addEventListener('voice-command', (detail) => {
+      this.handleVoiceCommand(detail);
+    });
+    
     uiController.addEventListener('playback-control', (detail) => {
       this.handlePlaybackControl(detail.control);
     });
@@ -92,15 +173,58 @@ class App {
       this.stopVolumeRamping();
     });
     
+    uiController.addEventListener('mute-pressed', () => {
+      this.handleMuteButton();
+    });
+    
     uiController.addEventListener('power-pressed', () => {
       this.handlePowerButton();
     });
     
+    uiController.addEventListener('reconnect-cancel-requested', (detail) => {
+      bluetoothManager.cancelReconnect(detail.deviceId);
+    });
+    
     // Settings events
     uiController.addEventListener('reset-settings-requested', () => {
       this.handleResetSettings();
     });
     
+    // Macro events
+    uiController.addEventListener('macro-record-requested', () => {
+      this.startMacroRecording();
+    });
+    
+    uiController.addEventListener('macro-stop-requested', () => {
+      this.handleMacroStop();
+    });
+    
+    uiController.addEventListener('macro-pause-toggled', () => {
+      this.toggleMacroPause();
+    });
+    
+    uiController.addEventListener('macro-play-requested', (detail) => {
+      this.handleMacroPlay(detail.macroId);
+    });
+    
+    uiController.addEventListener('macro-save-requested', (detail) => {
+      this.handleMacroSave(detail.macro);
+    });
+    
+    uiController.addEventListener('macro-delete-requested', (detail) => {
+      this.handleMacroDelete(detail.macroId);
+    });
+    
+    // Battery levels reported by each device session
+    window.addEventListener('bluetooth:battery-level', (e) => {
+      this.handleBatteryLevel(e.detail);
+    });
+    
+    // Reconnection outcomes reported by each device session
+    window.addEventListener('bluetooth:reconnect', (e) => {
+      this.handleReconnectProgress(e.detail);
+    });
+    
     // Storage error notifications
     window.addEventListener('state:storage-error', (e) => {
       uiController.showNotification(e.detail.message, 'error');
@@ -116,13 +240,26 @@ class App {
       // Handle Bluetooth status updates
       if (state.connectionState) {
         console.log('Connection state:', state.connectionState);
-        
-        // Start/stop battery monitoring based on connection state
-        if (state.connectionState === 'connected' && state.activeDeviceId) {
-          this.startBatteryMonitoring();
-        } else {
-          this.stopBatteryMonitoring();
+      }
+      
+      // The active device selects which session the remote drives
+      if (state.activeDeviceId !== this.activeDeviceId) {
+        this.activeDeviceId = state.activeDeviceId;
+        bluetoothManager.syncActiveSession();
+      }
+      
+      // Lock-screen and media overlay controls follow the active device
+      this.mediaSession?.update(this.getMediaSessionDevice(state));
+      
+      // Run device discovery only while the pairing view is open
+      if (state.currentView === VIEWS.DEVICE_CONNECTION) {
+        if (!this.discoveryRunning) {
+          this.discoveryRunning = true;
+          bluetoothManager.scanForDevices();
         }
+      } else if (this.discoveryRunning) {
+        this.discoveryRunning = false;
+        bluetoothManager.stopScan();
       }
       
       // Manage keyboard listener based on current view
@@ -141,59 +278,69 @@ class App {
   }
   
   /**
-   * Start battery level monitoring
+   * Warn when the active device reports a low battery
    */
-  startBatteryMonitoring() {
-    // Stop any existing monitoring
-    this.stopBatteryMonitoring();
-    
-    // Check battery immediately
-    this.checkBatteryLevel();
+  handleBatteryLevel({ deviceId, battery }) {
+    if (deviceId !== stateManager.getState().activeDeviceId) {
+      return;
+    }
     
-    // Check battery every 5 minutes
-    this.batteryCheckInterval = setInterval(() => {
-      this.checkBatteryLevel();
-    }, 5 * 60 * 1000);
+    if (battery <= BATTERY_THRESHOLDS.CRITICAL) {
+      uiController.showNotification(`Battery low: ${battery}%`, 'error');
+    } else if (battery <= BATTERY_THRESHOLDS.LOW) {
+      uiController.showNotification(`Battery: ${battery}%`, 'warning');
+    }
   }
   
   /**
-   * Stop battery level monitoring
+   * Tell the user when a dropped device comes back or reconnection is abandoned
    */
-  stopBatteryMonitoring() {
-    if (this.batteryCheckInterval) {
-      clearInterval(this.batteryCheckInterval);
-      this.batteryCheckInterval = null;
+  handleReconnectProgress({ deviceId, phase, attempt }) {
+    const device = stateManager.getPairedDevices().find(d => d.id === deviceId);
+    const name = device ? (device.customName || device.name) : 'Device';
+    
+    if (phase === RECONNECT_PHASES.SUCCEEDED && attempt > 0) {
+      uiController.showNotification(`Reconnected to ${name}`, 'success');
+    } else if (phase === RECONNECT_PHASES.FAILED) {
+      uiController.showNotification(`Could not reconnect to ${name}`, 'error');
     }
   }
   
   /**
-   * Check battery level
+   * Reconnect to the last active device on launch, following the autoReconnect setting
    */
-  async checkBatteryLevel() {
+  async restoreLastDevice() {
+    const device = stateManager.getActiveDevice();
+    const policy = stateManager.getUserSettings().autoReconnect;
+    
+    if (!device || policy === AUTO_RECONNECT_POLICIES.NEVER || !bluetoothManager.supportsRestore()) {
+      return;
+    }
+    
+    const name = device.customName || device.name;
+    
+    if (policy === AUTO_RECONNECT_POLICIES.ASK) {
+      const confirmed = await uiController.showConfirmation(`Reconnect to ${name}?`);
+      if (!confirmed) return;
+    }
+    
     try {
-      const battery = await bluetoothManager.getBatteryLevel();
-      if (battery !== null) {
-        const activeDeviceId = stateManager.getState().activeDeviceId;
-        if (activeDeviceId) {
-          stateManager.updateDeviceStatus(activeDeviceId, { battery });
-          
-          // Show warning if battery is low
-          if (battery <= 10) {
-            uiController.showNotification(`Battery low: ${battery}%`, 'error');
-          } else if (battery <= 20) {
-            uiController.showNotification(`Battery: ${battery}%`, 'warning');
-          }
-        }
+      const restored = await bluetoothManager.restoreDevice(device.id);
+      if (restored) {
+        uiController.showNotification(`Reconnected to ${name}`, 'success');
+      } else {
+        uiController.showNotification(`${name} is not available. Select it again to reconnect.`, 'warning');
       }
     } catch (error) {
-      console.warn('Failed to check battery level:', error);
+      console.warn('Auto-reconnect failed:', error);
     }
   }
   
   /**
    * Handle device connection flow
+   * @param {string|null} deviceId - Discovered device selected by the user, or null to open the chooser
    */
-  async handleDeviceConnection() {
+  async handleDeviceConnection(deviceId = null) {
     try {
       if (!bluetoothManager.isSupported) {
         uiController.showNotification('Bluetooth not supported on this device. Try using Chrome or Edge.', 'error');
@@ -201,7 +348,7 @@ class App {
       }
       
       // Request device
-      const device = await bluetoothManager.requestDevice();
+      const device = await bluetoothManager.requestDevice({ deviceId });
       console.log('Device selected:', device.name);
       
       // Connect to device
@@ -217,99 +364,445 @@ class App {
     }
   }
   
+  /**
+   * Pair a device from the "Enter Code Manually" form
+   * @param {{type: string, code?: string, service?: string}} pairing - From parsePairingInput()
+   */
+  async handleManualPairing(pairing) {
+    if (!bluetoothManager.isSupported) {
+      uiController.showNotification('Bluetooth not supported on this device. Try using Chrome or Edge.', 'error');
+      return;
+    }
+    
+    uiController.setPairingBusy(true);
+    try {
+      const device = await bluetoothManager.pairManually(pairing);
+      
+      this.sendHapticPattern(HAPTIC_PATTERNS.SUCCESS);
+      uiController.showNotification(`Paired with ${device.name}`, 'success');
+      stateManager.setCurrentView(VIEWS.DEVICE_LIST);
+    } catch (error) {
+      console.error('Manual pairing error:', error);
+      this.sendHapticPattern(HAPTIC_PATTERNS.ERROR);
+      // Code problems belong next to the code; chooser and connection problems are notifications
+      if (error.code === BLUETOOTH_ERRORS.PAIRING_REJECTED || error.code === BLUETOOTH_ERRORS.TIMEOUT) {
+        uiController.setPairingError(error.message);
+      } else {
+        uiController.showNotification(error.message || 'Pairing failed. Make sure the device is powered on and in range.', 'error');
+      }
+    } finally {
+      uiController.setPairingBusy(false);
+    }
+  }
+  
+  /**
+   * Pair a device scanned from another phone's share QR code
+   * @param {Object} shared - From parseShareCode()
+   */
+  async handleSharedDevicePairing(shared) {
+    if (!bluetoothManager.isSupported) {
+      uiController.showNotification('Bluetooth not supported on this device. Try using Chrome or Edge.', 'error');
+      return;
+    }
+    
+    try {
+      const device = await bluetoothManager.pairShared(shared);
+      
+      this.sendHapticPattern(HAPTIC_PATTERNS.SUCCESS);
+      uiController.showSharedDevice(null);
+      uiController.showNotification(`Paired with ${shared.customName || device.name}`, 'success');
+      stateManager.setCurrentView(VIEWS.DEVICE_LIST);
+    } catch (error) {
+      console.error('Shared device pairing error:', error);
+      this.sendHapticPattern(HAPTIC_PATTERNS.ERROR);
+      uiController.showNotification(error.message || 'Pairing failed. Make sure the device is powered on and in range.', 'error');
+    }
+  }
+  
+  /**
+   * Open the locate sheet for a device: sound its alert and follow its signal strength
+   */
+  async handleLocate(deviceId) {
+    const device = stateManager.getPairedDevices().find(d => d.id === deviceId);
+    if (!device) return;
+    
+    const session = bluetoothManager.getSession(deviceId);
+    if (!session?.isConnected()) {
+      uiController.showNotification(`Connect ${device.customName || device.name} to locate it.`, 'error');
+      return;
+    }
+    
+    uiController.showLocateSheet(device);
+    const watching = await deviceLocator.start(session, {
+      onProximity: (proximity) => uiController.updateLocateProximity(proximity)
+    });
+    
+    // Closed while advertisements were being set up
+    if (!uiController.isLocateSheetOpen()) {
+      await deviceLocator.stop();
+      return;
+    }
+    if (!watching) {
+      uiController.updateLocateProximity(null);
+    }
+    await this.playLocateAlert();
+  }
+  
+  /**
+   * Sound the alert on the device in the locate sheet
+   */
+  async playLocateAlert() {
+    try {
+      const method = await deviceLocator.alert();
+      this.sendHapticPattern(HAPTIC_PATTERNS.SUCCESS);
+      uiController.setLocateStatus(method === LOCATE_METHODS.IMMEDIATE_ALERT
+        ? 'The device is sounding its alert.'
+        : 'Asked the device to play its locate sound.');
+    } catch (error) {
+      console.error('Locate alert error:', error);
+      uiController.setLocateStatus(error.message || 'Could not reach the device.', true);
+    }
+  }
+  
   /**
    * Handle D-pad input
    */
   async handleDpadInput(direction) {
-    const commands = {
-      'up': REMOTE_COMMANDS.UP,
-      'down': REMOTE_COMMANDS.DOWN,
-      'left': REMOTE_COMMANDS.LEFT,
-      'right': REMOTE_COMMANDS.RIGHT,
-      'center': REMOTE_COMMANDS.OK,
-    };
+    return this.handleMappedInput(`screen-dpad-${direction}`);
+  }
+  
+  /**
+   * Run the action an input is bound to in settings.buttonMapping (over the active device's preset)
+   * @returns {Promise<boolean>} Whether the input is bound
+   */
+  async handleMappedInput(inputId) {
+    const action = resolveInput(inputId, stateManager.getUserSettings().buttonMapping, stateManager.getActiveDevice()?.buttonMapping);
+    if (!action) {
+      return false;
+    }
+    await this.executeAction(action);
+    return true;
+  }
+  
+  /**
+   * Run a mapped action: a REMOTE_COMMANDS value, a macro or an app to open
+   */
+  async executeAction(action) {
+    const parsed = parseAction(action);
+    if (!parsed) {
+      console.warn(`Ignoring unknown action '${action}'`);
+      return;
+    }
     
-    const command = commands[direction];
-    if (command) {
-      try {
-        await bluetoothManager.sendCommand(command);
-        this.applyButtonFeedback();
-      } catch (error) {
-        console.error('Failed to send command:', error);
-        uiController.showNotification('Device disconnected. Please reconnect.', 'error');
-      }    }
+    if (parsed.type === 'macro') {
+      return this.handleMacroPlay(parsed.value);
+    }
+    if (parsed.type === 'app') {
+      return this.launchApp(parsed.value);
+    }
+    
+    // Commands with their own handling keep it when bound to another button
+    switch (parsed.value) {
+      case REMOTE_COMMANDS.VOLUME_UP:
+        return this.handleVolumeButton('up', false);
+      case REMOTE_COMMANDS.VOLUME_DOWN:
+        return this.handleVolumeButton('down', false);
+      case REMOTE_COMMANDS.POWER_OFF:
+      case REMOTE_COMMANDS.POWER_ON:
+        return this.sendPowerCommand(parsed.value);
+    }
+    
+    try {
+      await bluetoothManager.sendCommand(parsed.value);
+      this.applyButtonFeedback();
+    } catch (error) {
+      console.error('Failed to send command:', error);
+      uiController.showNotification(error.message || 'Device disconnected. Reconnecting...', 'error');
+    }
+  }
+  
+  async launchApp(appId) {
+    try {
+      await bluetoothManager.launchApp(appId);
+      this.applyButtonFeedback();
+    } catch (error) {
+      console.error('Failed to open app:', error);
+      uiController.showNotification(error.message || 'Could not open the app.', 'error');
+    }
   }
   
   /**
-   * Handle quick action buttons (back, home, menu)
+   * Record button presses on the remote into a new macro for the active device
    */
-  async handleActionButton(action) {
-    const commands = {
-      'back': REMOTE_COMMANDS.BACK,
-      'home': REMOTE_COMMANDS.HOME,
-      'menu': REMOTE_COMMANDS.MENU,
-    };
+  startMacroRecording() {
+    if (!stateManager.getActiveDevice()) {
+      uiController.showNotification('Select a device before recording a macro.', 'error');
+      return;
+    }
     
-    const command = commands[action];
-    if (command) {
-      try {
-        await bluetoothManager.sendCommand(command);
-        this.applyButtonFeedback();
-      } catch (error) {
-        console.error('Failed to send command:', error);
-        uiController.showNotification('Device disconnected. Reconnecting...', 'error');
-      }
+    try {
+      macroManager.startRecording();
+    } catch (error) {
+      uiController.showNotification(error.message, 'error');
+      return;
     }
+    uiController.updateMacroBar({ recording: true });
+    stateManager.setCurrentView(VIEWS.MAIN_REMOTE);
   }
   
   /**
-   * Handle playback controls
+   * Stop button on the macro bar: finish recording and open the steps in the editor,
+   * or stop the macro that is playing
    */
-  async handlePlaybackControl(control) {
-    const commands = {
-      'replay-10s': REMOTE_COMMANDS.REPLAY_10S,
-      'previous': REMOTE_COMMANDS.PREVIOUS,
-      'play-pause': REMOTE_COMMANDS.PLAY,
-      'next': REMOTE_COMMANDS.NEXT,
-      'forward-10s': REMOTE_COMMANDS.FORWARD_10S,
-    };
+  handleMacroStop() {
+    if (!macroManager.isRecording) {
+      macroManager.abort();
+      return;
+    }
     
-    const command = commands[control];
-    if (command) {
-      try {
-        await bluetoothManager.sendCommand(command);
-        this.applyButtonFeedback();
-      } catch (error) {
-        console.error('Failed to send command:', error);
-        uiController.showNotification('Device disconnected. Reconnecting...', 'error');
+    const { steps } = macroManager.stopRecording();
+    uiController.updateMacroBar(null);
+    if (steps.length === 0) {
+      uiController.showNotification('No button presses were recorded.', 'warning');
+      return;
+    }
+    
+    stateManager.setCurrentView(VIEWS.SETTINGS);
+    uiController.openMacroEditor({ name: '', steps });
+  }
+  
+  toggleMacroPause() {
+    const playback = macroManager.getPlayback();
+    if (!playback) return;
+    
+    if (playback.paused) {
+      macroManager.resume();
+    } else {
+      macroManager.pause();
+    }
+    uiController.updateMacroBar({ ...this.macroProgress, paused: !playback.paused });
+  }
+  
+  /**
+   * Play one of the active device's macros, showing progress on the macro bar
+   */
+  async handleMacroPlay(macroId) {
+    const macro = macroManager.findMacro(macroId);
+    if (!macro) {
+      uiController.showNotification('This button is bound to a macro that no longer exists.', 'error');
+      return;
+    }
+    if (macroManager.isPlaying || macroManager.isRecording) {
+      const message = macroManager.isRecording ? 'Stop recording before playing a macro.' : 'Another macro is already running.';
+      uiController.showNotification(message, 'warning');
+      return;
+    }
+    
+    this.macroProgress = { name: macro.name, completed: 0, total: macro.steps.length };
+    uiController.updateMacroBar({ ...this.macroProgress, paused: false });
+    
+    try {
+      const result = await macroManager.play(macro, {
+        onProgress: (completed) => {
+          this.macroProgress = { ...this.macroProgress, completed };
+          uiController.updateMacroBar({ ...this.macroProgress, paused: Boolean(macroManager.getPlayback()?.paused) });
+        }
+      });
+      
+      if (result.cancelled) {
+        uiController.showNotification(`Stopped ${macro.name} after ${result.completed} of ${result.total} steps`, 'info');
+      } else {
+        this.sendHapticPattern(HAPTIC_PATTERNS.SUCCESS);
       }
+    } catch (error) {
+      console.error('Macro failed:', error);
+      uiController.showNotification(`${macro.name} stopped: ${error.message || 'a command could not be sent.'}`, 'error');
+    } finally {
+      this.macroProgress = null;
+      uiController.updateMacroBar(null);
+    }
+  }
+  
+  handleMacroSave(macro) {
+    const device = stateManager.getActiveDevice();
+    if (!device) {
+      uiController.setMacroEditorError('Select a device before saving a macro.');
+      return;
+    }
+    
+    try {
+      const saved = macroManager.saveMacro(device.id, macro);
+      uiController.closeMacroEditor();
+      uiController.showNotification(`Saved ${saved.name}`, 'success');
+    } catch (error) {
+      uiController.setMacroEditorError(error.message);
+    }
+  }
+  
+  async handleMacroDelete(macroId) {
+    const macro = macroManager.findMacro(macroId);
+    if (!macro) return;
+    
+    // The active device's preset can bind the macro too
+    const mapping = resolveButtonMapping(stateManager.getUserSettings().buttonMapping, stateManager.getActiveDevice()?.buttonMapping);
+    const bound = Object.values(mapping).includes(macroAction(macroId));
+    const message = bound ? `Delete ${macro.name}? Buttons bound to it will stop working.` : `Delete ${macro.name}?`;
+    if (await uiController.showConfirmation(message)) {
+      macroManager.deleteMacro(stateManager.getState().activeDeviceId, macroId);
     }
   }
   
   /**
-   * Handle volume changes
+   * Handle touchpad movement and scrolling. Deltas accumulate while a report is being
+   * written so a slow link sends fewer, larger reports instead of falling behind.
    */
-  async handleVolumeChange(volume) {
-    const commands = [];
+  handlePointerInput({ dx = 0, dy = 0, wheel = 0 }) {
+    this.pendingPointer.dx += dx;
+    this.pendingPointer.dy += dy;
+    this.pendingPointer.wheel += wheel;
+    this.flushPointer();
+  }
+  
+  async flushPointer() {
+    if (this.pointerInFlight) return;
     
-    // Determine if volume increased or decreased
-    const state = stateManager.getState();
-    const lastVolume = state.lastCommand?.volume || 50;
+    const report = this.pendingPointer;
+    if (report.dx === 0 && report.dy === 0 && report.wheel === 0) return;
     
-    if (volume > lastVolume) {
-      commands.push(REMOTE_COMMANDS.VOLUME_UP);
-    } else if (volume < lastVolume) {
-      commands.push(REMOTE_COMMANDS.VOLUME_DOWN);
+    this.pendingPointer = { dx: 0, dy: 0, wheel: 0 };
+    this.pointerInFlight = true;
+    try {
+      await bluetoothManager.sendPointer(report);
+    } catch (error) {
+      this.pendingPointer = { dx: 0, dy: 0, wheel: 0 };
+      this.handlePointerError(error);
+    } finally {
+      this.pointerInFlight = false;
     }
     
-    if (commands.length > 0) {
-      try {
-        await bluetoothManager.sendCommandSequence(commands);
+    this.flushPointer();
+  }
+  
+  /**
+   * Handle touchpad taps: press and release the button
+   */
+  async handlePointerClick(button) {
+    const buttons = button === 'secondary' ? HID_MOUSE_BUTTONS.SECONDARY : HID_MOUSE_BUTTONS.PRIMARY;
+    try {
+      await bluetoothManager.sendPointer({ buttons });
+      await bluetoothManager.sendPointer({ buttons: 0 });
+      this.applyButtonFeedback();
+    } catch (error) {
+      this.handlePointerError(error);
+    }
+  }
+  
+  handlePointerError(error) {
+    console.error('Failed to send pointer input:', error);
+    if (error.code === BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND) {
+      // Only say it once; every finger movement would otherwise raise another notification
+      if (!this.pointerUnsupportedNotified) {
+        this.pointerUnsupportedNotified = true;
+        uiController.showNotification(`${error.message} Switch the touchpad to Swipe mode to navigate.`, 'warning');
+      }
+      return;
+    }
+    uiController.showNotification(error.message || 'Device disconnected. Reconnecting...', 'error');
+  }
+  
+  /**
+   * Handle text typed in the text entry sheet. Entries are typed one after another so
+   * fast typing cannot interleave keystrokes.
+   */
+  handleTextEntry(text) {
+    if (!this.textEntryController) {
+      this.textEntryController = new AbortController();
+    }
+    const { signal } = this.textEntryController;
+    this.textEntryQueue = this.textEntryQueue.then(() => this.typeText(text, signal));
+    return this.textEntryQueue;
+  }
+  
+  async typeText(text, signal) {
+    if (signal.aborted) return;
+    
+    try {
+      const result = await bluetoothManager.sendText(text, {
+        signal,
+        onProgress: (sent, total) => {
+          if (total > 1 && sent < total) {
+            uiController.setTextEntryStatus(`Typing ${sent} of ${total}…`);
+          }
+        }
+      });
+      
+      if (result.unsupported.length > 0) {
+        const layout = stateManager.getUserSettings().keyboardLayout.toUpperCase();
+        uiController.setTextEntryStatus(`Skipped characters not on the ${layout} keyboard layout: ${result.unsupported.join(' ')}`);
+      } else {
+        uiController.setTextEntryStatus('');
+      }
+    } catch (error) {
+      console.error('Failed to send text:', error);
+      uiController.setTextEntryStatus(error.message || 'Failed to send text.');
+    }
+  }
+  
+  /**
+   * Stop typing whatever is still queued (text entry sheet closed)
+   */
+  cancelTextEntry() {
+    this.textEntryController?.abort();
+    this.textEntryController = null;
+  }
+  
+  /**
+   * Handle quick action buttons (back, home, menu)
+   */
+  async handleActionButton(action) {
+    return this.handleMappedInput(`screen-${action}`);
+  }
+  
+  /**
+   * Handle playback controls from the remote and the Media Session. Controls without an
+   * on-screen button (the separate play and pause media keys) send their command directly.
+   */
+  async handlePlaybackControl(control) {
+    if (await this.handleMappedInput(`screen-${control}`)) {
+      return;
+    }
+    if (control === REMOTE_COMMANDS.PLAY || control === REMOTE_COMMANDS.PAUSE) {
+      await this.executeAction(control);
+    }
+  }
+  
+  /**
+   * The active device as shown by the Media Session, or null without one
+   */
+  getMediaSessionDevice(state) {
+    const device = state.pairedDevices.find(d => d.id === state.activeDeviceId);
+    if (!device) {
+      return null;
+    }
+    return {
+      name: device.customName || device.name,
+      nowPlaying: state.deviceStatus[device.id]?.nowPlaying ?? {}
+    };
+  }
+  
+  /**
+   * Handle volume slider changes: move the device to the exact level, replacing
+   * any change still in flight from an earlier drag
+   */
+  async handleVolumeChange(volume) {
+    try {
+      const { cancelled } = await volumeController.setVolume(Number(volume));
+      if (!cancelled) {
         this.sendHapticPattern(HAPTIC_PATTERNS.VOLUME_CHANGE);
-      } catch (error) {
-        console.error('Failed to send command:', error);
-        uiController.showNotification('Device disconnected. Reconnecting...', 'error');
       }
+    } catch (error) {
+      console.error('Failed to set volume:', error);
+      uiController.showNotification('Device disconnected. Reconnecting...', 'error');
     }
   }
   
@@ -319,9 +812,8 @@ class App {
   async handleVolumeButton(direction, isLongPress) {
     if (isLongPress) return; // Long press handled separately
     
-    const command = direction === 'up' ? REMOTE_COMMANDS.VOLUME_UP : REMOTE_COMMANDS.VOLUME_DOWN;
     try {
-      await bluetoothManager.sendCommand(command);
+      await volumeController.step(direction);
       this.sendHapticPattern(HAPTIC_PATTERNS.VOLUME_CHANGE);
     } catch (error) {
       console.error('Failed to send command:', error);
@@ -329,6 +821,19 @@ class App {
     }
   }
   
+  /**
+   * Handle mute button
+   */
+  async handleMuteButton() {
+    try {
+      await bluetoothManager.sendCommand(REMOTE_COMMANDS.VOLUME_MUTE);
+      this.sendHapticPattern(HAPTIC_PATTERNS.BUTTON_PRESS);
+    } catch (error) {
+      console.error('Failed to send command:', error);
+      uiController.showNotification('Device disconnected. Reconnecting...', 'error');
+    }
+  }
+  
   /**
    * Start volume ramping on long press
    */
@@ -337,7 +842,6 @@ class App {
     this.stopVolumeRamping();
     
     this.volumeRampingDirection = direction;
-    const command = direction === 'up' ? REMOTE_COMMANDS.VOLUME_UP : REMOTE_COMMANDS.VOLUME_DOWN;
     
     // Send initial haptic feedback
     this.sendHapticPattern(HAPTIC_PATTERNS.LONG_PRESS);
@@ -345,7 +849,7 @@ class App {
     // Send commands repeatedly at 200ms intervals for smooth ramping
     this.volumeRampingInterval = setInterval(async () => {
       try {
-        await bluetoothManager.sendCommand(command);
+        await volumeController.step(direction);
       } catch (error) {
         console.error('Failed to send volume command:', error);
         this.stopVolumeRamping();
@@ -372,10 +876,26 @@ class App {
    * Handle power button
    */
   async handlePowerButton() {
-    const confirmed = await uiController.showConfirmation('Turn off the remote?');
+    // Devices that report power state get a power-on button while off
+    const { power } = stateManager.getDeviceStatus(stateManager.getState().activeDeviceId);
+    const turnOn = power === POWER_STATES.OFF || power === POWER_STATES.STANDBY;
+    return this.sendPowerCommand(turnOn ? REMOTE_COMMANDS.POWER_ON : REMOTE_COMMANDS.POWER_OFF);
+  }
+  
+  /**
+   * Send power on, or power off after confirmation
+   */
+  async sendPowerCommand(command) {
+    const confirmed = command === REMOTE_COMMANDS.POWER_ON || await uiController.showConfirmation('Turn off the remote?');
     if (confirmed) {
-      await bluetoothManager.sendCommand(REMOTE_COMMANDS.POWER_OFF);
-      this.applyButtonFeedback(HAPTIC_PATTERNS.LONG_PRESS);
+      try {
+        // Resolves only once acknowledged on devices that confirm delivery
+        await bluetoothManager.sendCommand(command);
+        this.applyButtonFeedback(HAPTIC_PATTERNS.LONG_PRESS);
+      } catch (error) {
+        console.error('Failed to send power command:', error);
+        uiController.showNotification(error.message, 'error');
+      }
     }
   }
   
@@ -404,40 +924,55 @@ class App {
       return;
     }
     
-    const keyMap = {
-      'ArrowUp': { type: 'dpad', value: 'up' },
-      'ArrowDown': { type: 'dpad', value: 'down' },
-      'ArrowLeft': { type: 'dpad', value: 'left' },
-      'ArrowRight': { type: 'dpad', value: 'right' },
-      'Enter': { type: 'dpad', value: 'center' },
-      'Backspace': { type: 'action', value: 'back' },
-      'Home': { type: 'action', value: 'home' },
-      'm': { type: 'action', value: 'menu' },
-      'p': { type: 'playback', value: 'play-pause' },
-      'k': { type: 'power', value: 'off' },
-    };
+    // Keys typed into the text entry field (or any other control) are text, not remote buttons
+    if (this.isEditableTarget(event.target)) {
+      return;
+    }
     
-    const mapping = keyMap[event.key];
-    if (mapping) {
+    if (event.key === '?' || (event.key === 'Escape' && uiController.isShortcutHelpOpen())) {
       event.preventDefault();
-      
-      switch (mapping.type) {
-        case 'dpad':
-          this.handleDpadInput(mapping.value);
-          break;
-        case 'action':
-          this.handleActionButton(mapping.value);
-          break;
-        case 'playback':
-          this.handlePlaybackControl(mapping.value);
-          break;
-        case 'power':
-          this.handlePowerButton();
-          break;
-      }
+      uiController.toggleShortcutHelp();
+      return;
+    }
+    
+    // Unbound combinations (Ctrl+C, Alt+Tab, ...) are left to the browser
+    const action = resolveInput(
+      keyInputId(event.key, event),
+      stateManager.getUserSettings().buttonMapping,
+      stateManager.getActiveDevice()?.buttonMapping
+    );
+    if (action) {
+      event.preventDefault();
+      this.executeAction(action);
+    }
+  }
+  
+  /**
+   * Send a spoken command `count` times ("volume up five"). Commands go through
+   * executeAction, so "turn off" asks for the same confirmation as the power button.
+   */
+  async handleVoiceCommand({ command, count = 1 }) {
+    for (let i = 0; i < count; i++) {
+      await this.executeAction(command);
     }
   }
   
+  /**
+   * Handle gamepad presses and repeats. Held triggers repeat faster the further they are
+   * pulled, so a trigger bound to volume ramps it.
+   */
+  handleGamepadInput(inputId) {
+    if (stateManager.getCurrentView() !== VIEWS.MAIN_REMOTE || uiController.isShortcutHelpOpen()) {
+      return;
+    }
+    
+    this.handleMappedInput(inputId);
+  }
+  
+  isEditableTarget(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+  }
+  
   /**
    * Send haptic feedback with pattern
    */
@@ -22,6 +22,7 @@ export const CONNECTION_STATES = {
   DISCONNECTED: 'disconnected',
   CONNECTING: 'connecting',
   CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting', // Re-acquiring a known device (launch or dropped link)
   ERROR: 'error',
 };
 
@@ -31,16 +32,106 @@ export const STORAGE_KEYS = {
   ACTIVE_DEVICE_ID: 'active-device-id',
   USER_SETTINGS: 'user-settings',
   DEVICE_STATUS: 'device-status',
+  DEVICE_CATALOG: 'device-catalog',
+};
+
+export const AUTO_RECONNECT_POLICIES = {
+  ALWAYS: 'always', // Reconnect to the last active device on launch
+  ASK: 'ask',       // Confirm before reconnecting
+  NEVER: 'never',
+};
+
+export const AUTO_RECONNECT_SETTINGS = {
+  ADVERTISEMENT_TIMEOUT_MS: 20000, // Give up if the device has not advertised by then
+};
+
+// Backoff for re-acquiring a device after an unexpected disconnect
+export const DEFAULT_RECONNECT_POLICY = {
+  maxAttempts: 5,         // 0 = keep trying until cancelled
+  baseDelay: 1000,        // ms before the first retry; doubles each attempt
+  maxDelay: 30000,        // Backoff ceiling in ms
+  jitter: 0.3,            // +/- fraction of each delay, so several devices don't retry in lockstep
+  pauseWhenHidden: true,  // Hold retries while the page is hidden; resume on visibilitychange/online
+};
+
+export const RECONNECT_PHASES = {
+  SCHEDULED: 'scheduled',   // Waiting out the backoff delay
+  ATTEMPTING: 'attempting', // GATT connect in flight
+  PAUSED: 'paused',         // Page hidden; waiting to become visible
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',         // Attempts exhausted
+  CANCELLED: 'cancelled',   // User cancelled or disconnected
 };
 
 export const DEFAULT_SETTINGS = {
   hapticFeedback: true,
+  autoReconnect: AUTO_RECONNECT_POLICIES.ALWAYS,
+  reconnectPolicy: DEFAULT_RECONNECT_POLICY,
+  bufferOfflineCommands: true,  // Hold commands pressed while reconnecting and replay them
   cursorSensitivity: 75,
   invertYAxis: false,
+  touchpadMode: 'pointer',      // TOUCHPAD_MODES value
+  keyboardLayout: 'us',         // KEYBOARD_LAYOUTS value the TV is set to
+  // Input id (BUTTON_INPUTS, or key-<key>) → REMOTE_COMMANDS value, 'macro:<id>', or null for unbound
   buttonMapping: {
+    // On-screen buttons
+    'screen-dpad-up': 'up',
+    'screen-dpad-down': 'down',
+    'screen-dpad-left': 'left',
+    'screen-dpad-right': 'right',
+    'screen-dpad-center': 'ok',
+    'screen-back': 'back',
+    'screen-home': 'home',
+    'screen-menu': 'menu',
+    'screen-replay-10s': 'replay-10s',
+    'screen-previous': 'previous',
+    'screen-play-pause': 'play',
+    'screen-next': 'next',
+    'screen-forward-10s': 'forward-10s',
+    // Keyboard keys (modifiers come first: 'key-Shift+m')
+    'key-ArrowUp': 'up',
+    'key-ArrowDown': 'down',
+    'key-ArrowLeft': 'left',
+    'key-ArrowRight': 'right',
+    'key-Enter': 'ok',
+    'key-Backspace': 'back',
+    'key-Home': 'home',
+    'key-m': 'menu',
+    'key-p': 'play-pause',
+    'key-Shift+p': 'pause',
+    'key-Space': 'play-pause',
+    'key-MediaPlayPause': 'play-pause',
+    'key-MediaPlay': 'play',
+    'key-MediaPause': 'pause',
+    'key-,': 'previous',
+    'key-MediaTrackPrevious': 'previous',
+    'key-.': 'next',
+    'key-MediaTrackNext': 'next',
+    'key-j': 'replay-10s',
+    'key-l': 'forward-10s',
+    'key-+': 'volume-up',
+    'key-=': 'volume-up',
+    'key-AudioVolumeUp': 'volume-up',
+    'key--': 'volume-down',
+    'key-AudioVolumeDown': 'volume-down',
+    'key-Shift+m': 'volume-mute',
+    'key-AudioVolumeMute': 'volume-mute',
+    'key-k': 'power-off',
+    'key-Shift+k': 'power-on',
+    // Gamepad buttons
     'btn-a': 'play-pause',
     'btn-b': 'back',
+    'btn-l-trigger': 'volume-down',
     'btn-r-trigger': 'volume-up',
+    'btn-dpad-up': 'up',
+    'btn-dpad-down': 'down',
+    'btn-dpad-left': 'left',
+    'btn-dpad-right': 'right',
+    'btn-home': 'home',
+    'btn-l-stick-up': 'up',
+    'btn-l-stick-down': 'down',
+    'btn-l-stick-left': 'left',
+    'btn-l-stick-right': 'right',
   },
 };
 
@@ -74,6 +165,235 @@ export const REMOTE_COMMANDS = {
   POWER_ON: 'power-on',
 };
 
+export const CAPABILITY_STATES = {
+  ENABLED: 'enabled',
+  DISABLED: 'disabled', // Shown greyed out so the layout keeps its place
+  HIDDEN: 'hidden',
+};
+
+// Per-device user overrides of a detected capability
+export const CAPABILITY_OVERRIDES = {
+  AUTO: 'auto',
+  SHOW: 'show',
+  HIDE: 'hide',
+};
+
+// Main remote sections a device profile can turn off. A device has a capability when its
+// codec supports any of `commands` (or, without commands, the codec feature check in
+// device-profile.js passes); `unsupported` is how the section looks when it does not.
+export const DEVICE_CAPABILITIES = {
+  navigation: {
+    label: 'D-pad and navigation',
+    commands: [REMOTE_COMMANDS.UP, REMOTE_COMMANDS.DOWN, REMOTE_COMMANDS.LEFT, REMOTE_COMMANDS.RIGHT, REMOTE_COMMANDS.OK, REMOTE_COMMANDS.BACK, REMOTE_COMMANDS.HOME, REMOTE_COMMANDS.MENU],
+    unsupported: CAPABILITY_STATES.HIDDEN,
+  },
+  pointer: { label: 'Touchpad pointer', unsupported: CAPABILITY_STATES.DISABLED },
+  text: { label: 'Keyboard', unsupported: CAPABILITY_STATES.HIDDEN },
+  volume: {
+    label: 'Volume',
+    commands: [REMOTE_COMMANDS.VOLUME_UP, REMOTE_COMMANDS.VOLUME_DOWN, REMOTE_COMMANDS.VOLUME_MUTE],
+    unsupported: CAPABILITY_STATES.DISABLED,
+  },
+  media: {
+    label: 'Playback controls',
+    commands: [REMOTE_COMMANDS.PLAY, REMOTE_COMMANDS.PAUSE, REMOTE_COMMANDS.PLAY_PAUSE, REMOTE_COMMANDS.PREVIOUS, REMOTE_COMMANDS.NEXT, REMOTE_COMMANDS.REPLAY_10S, REMOTE_COMMANDS.FORWARD_10S],
+    unsupported: CAPABILITY_STATES.HIDDEN,
+  },
+  apps: { label: 'App shortcuts', unsupported: CAPABILITY_STATES.DISABLED },
+  power: {
+    label: 'Power',
+    commands: [REMOTE_COMMANDS.POWER_OFF, REMOTE_COMMANDS.POWER_ON],
+    unsupported: CAPABILITY_STATES.DISABLED,
+  },
+};
+
+export const INPUT_SOURCES = {
+  SCREEN: 'screen',
+  KEYBOARD: 'keyboard',
+  GAMEPAD: 'gamepad',
+};
+
+// Inputs listed in the button mapping editor; any other key can be bound as key-<KeyboardEvent.key>
+export const BUTTON_INPUTS = {
+  'screen-dpad-up': { source: INPUT_SOURCES.SCREEN, label: 'D-pad up' },
+  'screen-dpad-down': { source: INPUT_SOURCES.SCREEN, label: 'D-pad down' },
+  'screen-dpad-left': { source: INPUT_SOURCES.SCREEN, label: 'D-pad left' },
+  'screen-dpad-right': { source: INPUT_SOURCES.SCREEN, label: 'D-pad right' },
+  'screen-dpad-center': { source: INPUT_SOURCES.SCREEN, label: 'D-pad center' },
+  'screen-back': { source: INPUT_SOURCES.SCREEN, label: 'Back' },
+  'screen-home': { source: INPUT_SOURCES.SCREEN, label: 'Home' },
+  'screen-menu': { source: INPUT_SOURCES.SCREEN, label: 'Menu' },
+  'screen-replay-10s': { source: INPUT_SOURCES.SCREEN, label: '-10s' },
+  'screen-previous': { source: INPUT_SOURCES.SCREEN, label: 'Previous' },
+  'screen-play-pause': { source: INPUT_SOURCES.SCREEN, label: 'Play/Pause' },
+  'screen-next': { source: INPUT_SOURCES.SCREEN, label: 'Next' },
+  'screen-forward-10s': { source: INPUT_SOURCES.SCREEN, label: '+10s' },
+  'btn-a': { source: INPUT_SOURCES.GAMEPAD, label: 'A' },
+  'btn-b': { source: INPUT_SOURCES.GAMEPAD, label: 'B' },
+  'btn-x': { source: INPUT_SOURCES.GAMEPAD, label: 'X' },
+  'btn-y': { source: INPUT_SOURCES.GAMEPAD, label: 'Y' },
+  'btn-l-bumper': { source: INPUT_SOURCES.GAMEPAD, label: 'Left bumper' },
+  'btn-r-bumper': { source: INPUT_SOURCES.GAMEPAD, label: 'Right bumper' },
+  'btn-l-trigger': { source: INPUT_SOURCES.GAMEPAD, label: 'Left trigger' },
+  'btn-r-trigger': { source: INPUT_SOURCES.GAMEPAD, label: 'Right trigger' },
+  'btn-select': { source: INPUT_SOURCES.GAMEPAD, label: 'Select' },
+  'btn-start': { source: INPUT_SOURCES.GAMEPAD, label: 'Start' },
+  'btn-dpad-up': { source: INPUT_SOURCES.GAMEPAD, label: 'D-pad up' },
+  'btn-dpad-down': { source: INPUT_SOURCES.GAMEPAD, label: 'D-pad down' },
+  'btn-dpad-left': { source: INPUT_SOURCES.GAMEPAD, label: 'D-pad left' },
+  'btn-dpad-right': { source: INPUT_SOURCES.GAMEPAD, label: 'D-pad right' },
+  'btn-home': { source: INPUT_SOURCES.GAMEPAD, label: 'Guide' },
+  'btn-l-stick': { source: INPUT_SOURCES.GAMEPAD, label: 'Left stick press' },
+  'btn-r-stick': { source: INPUT_SOURCES.GAMEPAD, label: 'Right stick press' },
+  'btn-l-stick-up': { source: INPUT_SOURCES.GAMEPAD, label: 'Left stick up' },
+  'btn-l-stick-down': { source: INPUT_SOURCES.GAMEPAD, label: 'Left stick down' },
+  'btn-l-stick-left': { source: INPUT_SOURCES.GAMEPAD, label: 'Left stick left' },
+  'btn-l-stick-right': { source: INPUT_SOURCES.GAMEPAD, label: 'Left stick right' },
+  'btn-r-stick-up': { source: INPUT_SOURCES.GAMEPAD, label: 'Right stick up' },
+  'btn-r-stick-down': { source: INPUT_SOURCES.GAMEPAD, label: 'Right stick down' },
+  'btn-r-stick-left': { source: INPUT_SOURCES.GAMEPAD, label: 'Right stick left' },
+  'btn-r-stick-right': { source: INPUT_SOURCES.GAMEPAD, label: 'Right stick right' },
+};
+
+// Keys the browser or text entry needs ('?' opens the shortcut help); they cannot be bound
+export const RESERVED_KEYS = ['Tab', 'Escape', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock', '?'];
+
+// Key combinations the browser usually handles first, as written in key input ids
+export const BROWSER_SHORTCUTS = [
+  ...['t', 'w', 'n', 'r', 'l', 'f', 'p', 's', 'd', 'h', 'j', 'q', 'Tab'].flatMap(key => [`Ctrl+${key}`, `Meta+${key}`]),
+  'Ctrl+Shift+t', 'Ctrl+Shift+n', 'Ctrl+Shift+i', 'Meta+Alt+i',
+  'Alt+ArrowLeft', 'Alt+ArrowRight', 'Meta+ArrowLeft', 'Meta+ArrowRight',
+  'F5', 'F11', 'F12',
+];
+
+// Delivery status of commandQueue entries
+export const COMMAND_STATUS = {
+  QUEUED: 'queued',   // Buffered while the device reconnects
+  SENT: 'sent',
+  DROPPED: 'dropped', // Expired, coalesced away or never delivered
+  ACKNOWLEDGED: 'acknowledged', // Device confirmed it over the notify characteristic
+  FAILED: 'failed',   // Device rejected it or never confirmed it
+};
+
+// How buffered commands combine with the one before them
+export const COALESCE_RULES = {
+  BURST: 'burst',   // Repeats merge into one burst; the opposite command cancels a step
+  TOGGLE: 'toggle', // Two in a row cancel out
+  LATEST: 'latest', // Only the last of the command (or its opposite) is kept
+};
+
+export const COMMAND_COALESCING = {
+  [REMOTE_COMMANDS.UP]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.DOWN]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.LEFT]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.RIGHT]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.BACK]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.PREVIOUS]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.NEXT]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.REPLAY_10S]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.FORWARD_10S]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.VOLUME_UP]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.VOLUME_DOWN]: COALESCE_RULES.BURST,
+  [REMOTE_COMMANDS.PLAY_PAUSE]: COALESCE_RULES.TOGGLE,
+  [REMOTE_COMMANDS.VOLUME_MUTE]: COALESCE_RULES.TOGGLE,
+  [REMOTE_COMMANDS.HOME]: COALESCE_RULES.LATEST,
+  [REMOTE_COMMANDS.MENU]: COALESCE_RULES.LATEST,
+  [REMOTE_COMMANDS.PLAY]: COALESCE_RULES.LATEST,
+  [REMOTE_COMMANDS.PAUSE]: COALESCE_RULES.LATEST,
+  [REMOTE_COMMANDS.POWER_ON]: COALESCE_RULES.LATEST,
+  [REMOTE_COMMANDS.POWER_OFF]: COALESCE_RULES.LATEST,
+  // OK is never coalesced: every press selects something
+};
+
+export const OPPOSITE_COMMANDS = {
+  [REMOTE_COMMANDS.UP]: REMOTE_COMMANDS.DOWN,
+  [REMOTE_COMMANDS.DOWN]: REMOTE_COMMANDS.UP,
+  [REMOTE_COMMANDS.LEFT]: REMOTE_COMMANDS.RIGHT,
+  [REMOTE_COMMANDS.RIGHT]: REMOTE_COMMANDS.LEFT,
+  [REMOTE_COMMANDS.PREVIOUS]: REMOTE_COMMANDS.NEXT,
+  [REMOTE_COMMANDS.NEXT]: REMOTE_COMMANDS.PREVIOUS,
+  [REMOTE_COMMANDS.REPLAY_10S]: REMOTE_COMMANDS.FORWARD_10S,
+  [REMOTE_COMMANDS.FORWARD_10S]: REMOTE_COMMANDS.REPLAY_10S,
+  [REMOTE_COMMANDS.VOLUME_UP]: REMOTE_COMMANDS.VOLUME_DOWN,
+  [REMOTE_COMMANDS.VOLUME_DOWN]: REMOTE_COMMANDS.VOLUME_UP,
+  [REMOTE_COMMANDS.PLAY]: REMOTE_COMMANDS.PAUSE,
+  [REMOTE_COMMANDS.PAUSE]: REMOTE_COMMANDS.PLAY,
+  [REMOTE_COMMANDS.POWER_ON]: REMOTE_COMMANDS.POWER_OFF,
+  [REMOTE_COMMANDS.POWER_OFF]: REMOTE_COMMANDS.POWER_ON,
+};
+
+export const COMMAND_BUFFER_SETTINGS = {
+  TTL_MS: 10000,  // Commands older than this are stale by the time the device is back
+  MAX_SIZE: 20,   // Buffered presses across all entries; oldest dropped first
+  MAX_BURST: 10,  // Presses merged into a single burst
+};
+
+export const PROTOCOL_CODECS = {
+  TEXT: 'text',                 // Command name as UTF-8 text (legacy behaviour)
+  HID_CONSUMER: 'hid-consumer', // HID Consumer Control usage codes
+  VENDOR_FRAME: 'vendor-frame', // Framed vendor byte protocol
+  HID: 'hid',                   // HID over GATT (report map discovery)
+};
+
+export const DEFAULT_CODEC = PROTOCOL_CODECS.TEXT;
+
+// HID Usage Tables, Consumer page (0x0C)
+export const HID_CONSUMER_USAGES = {
+  [REMOTE_COMMANDS.UP]: 0x0042,          // Menu Up
+  [REMOTE_COMMANDS.DOWN]: 0x0043,        // Menu Down
+  [REMOTE_COMMANDS.LEFT]: 0x0044,        // Menu Left
+  [REMOTE_COMMANDS.RIGHT]: 0x0045,       // Menu Right
+  [REMOTE_COMMANDS.OK]: 0x0041,          // Menu Pick
+  [REMOTE_COMMANDS.BACK]: 0x0224,        // AC Back
+  [REMOTE_COMMANDS.HOME]: 0x0223,        // AC Home
+  [REMOTE_COMMANDS.MENU]: 0x0040,        // Menu
+  [REMOTE_COMMANDS.PLAY]: 0x00B0,        // Play
+  [REMOTE_COMMANDS.PAUSE]: 0x00B1,       // Pause
+  [REMOTE_COMMANDS.PLAY_PAUSE]: 0x00CD,  // Play/Pause
+  [REMOTE_COMMANDS.PREVIOUS]: 0x00B6,    // Scan Previous Track
+  [REMOTE_COMMANDS.NEXT]: 0x00B5,        // Scan Next Track
+  [REMOTE_COMMANDS.REPLAY_10S]: 0x00B4,  // Rewind
+  [REMOTE_COMMANDS.FORWARD_10S]: 0x00B3, // Fast Forward
+  [REMOTE_COMMANDS.VOLUME_UP]: 0x00E9,   // Volume Increment
+  [REMOTE_COMMANDS.VOLUME_DOWN]: 0x00EA, // Volume Decrement
+  [REMOTE_COMMANDS.VOLUME_MUTE]: 0x00E2, // Mute
+  [REMOTE_COMMANDS.POWER_OFF]: 0x0030,   // Power (toggle)
+  // No POWER_ON: the consumer page only has the Power toggle, which would turn a TV that is on off
+};
+
+// HID Usage Tables, Keyboard/Keypad page (0x07) - preferred for navigation when a keyboard report exists
+export const HID_KEYBOARD_USAGES = {
+  [REMOTE_COMMANDS.UP]: 0x52,    // Up Arrow
+  [REMOTE_COMMANDS.DOWN]: 0x51,  // Down Arrow
+  [REMOTE_COMMANDS.LEFT]: 0x50,  // Left Arrow
+  [REMOTE_COMMANDS.RIGHT]: 0x4F, // Right Arrow
+  [REMOTE_COMMANDS.OK]: 0x28,    // Enter
+};
+
+// Command identifiers for the generic vendor frame layout
+export const VENDOR_COMMAND_IDS = {
+  [REMOTE_COMMANDS.UP]: 0x01,
+  [REMOTE_COMMANDS.DOWN]: 0x02,
+  [REMOTE_COMMANDS.LEFT]: 0x03,
+  [REMOTE_COMMANDS.RIGHT]: 0x04,
+  [REMOTE_COMMANDS.OK]: 0x05,
+  [REMOTE_COMMANDS.BACK]: 0x06,
+  [REMOTE_COMMANDS.HOME]: 0x07,
+  [REMOTE_COMMANDS.MENU]: 0x08,
+  [REMOTE_COMMANDS.PLAY]: 0x10,
+  [REMOTE_COMMANDS.PAUSE]: 0x11,
+  [REMOTE_COMMANDS.PLAY_PAUSE]: 0x12,
+  [REMOTE_COMMANDS.PREVIOUS]: 0x13,
+  [REMOTE_COMMANDS.NEXT]: 0x14,
+  [REMOTE_COMMANDS.REPLAY_10S]: 0x15,
+  [REMOTE_COMMANDS.FORWARD_10S]: 0x16,
+  [REMOTE_COMMANDS.VOLUME_UP]: 0x20,
+  [REMOTE_COMMANDS.VOLUME_DOWN]: 0x21,
+  [REMOTE_COMMANDS.VOLUME_MUTE]: 0x22,
+  [REMOTE_COMMANDS.POWER_OFF]: 0x30,
+  [REMOTE_COMMANDS.POWER_ON]: 0x31,
+};
+
 export const ONBOARDING_SLIDES = 4;
 
 export const DEVICE_FILTER_OPTIONS = {
@@ -82,11 +402,80 @@ export const DEVICE_FILTER_OPTIONS = {
   AVAILABLE: 'available',
 };
 
+export const DISCOVERY_SETTINGS = {
+  STALE_AFTER_MS: 30000,        // Drop devices not advertised for 30s
+  EXPIRY_CHECK_INTERVAL_MS: 5000,
+  RSSI_FLOOR: -100,             // dBm mapped to 0% signal
+  RSSI_CEILING: -40,            // dBm mapped to 100% signal
+};
+
+// Bluetooth error taxonomy (BluetoothError.code)
+export const BLUETOOTH_ERRORS = {
+  NOT_SUPPORTED: 'not-supported',         // Web Bluetooth unavailable
+  NO_DEVICE: 'no-device',                 // No device selected / chooser dismissed
+  PERMISSION_DENIED: 'permission-denied', // Browser blocked Bluetooth access
+  CONNECTION_FAILED: 'connection-failed', // GATT connect failed
+  NOT_CONNECTED: 'not-connected',         // Operation needs a live connection
+  CHARACTERISTIC_UNAVAILABLE: 'characteristic-unavailable',
+  UNSUPPORTED_COMMAND: 'unsupported-command',
+  WRITE_FAILED: 'write-failed',
+  TIMEOUT: 'timeout',                     // Operation exceeded its timeout
+  CANCELLED: 'cancelled',                 // Operation cancelled before or while running
+  COMMAND_REJECTED: 'command-rejected',   // Device acknowledged the command with an error
+  ACK_TIMEOUT: 'ack-timeout',             // Device never acknowledged the command
+  PAIRING_REJECTED: 'pairing-rejected',   // Device refused the pairing code
+  PAIRING_UNSUPPORTED: 'pairing-unsupported', // Device's protocol has no pairing codes
+  LOCATE_UNSUPPORTED: 'locate-unsupported',   // Device has no way to play a locate alert
+};
+
+// Lower value runs first; equal priorities run in FIFO order
+export const OPERATION_PRIORITIES = {
+  HIGH: 0,    // Disconnect - jumps the line
+  NORMAL: 1,  // Connection management and commands
+  LOW: 2,     // Background reads (battery)
+};
+
+// Per-operation timeouts in ms (0 = no timeout)
+export const OPERATION_TIMEOUTS = {
+  REQUEST_DEVICE: 0,  // Waits on the user in the browser chooser
+  CONNECT: 15000,
+  DISCONNECT: 5000,
+  WRITE: 3000,
+  READ: 5000,
+  ACK: 2000,          // Wait for a delivery acknowledgement after the write completes
+  PAIRING: 10000,     // Wait for the device to check a pairing code
+};
+
+export const PAIRING_SETTINGS = {
+  CODE_MIN_LENGTH: 4,
+  CODE_MAX_LENGTH: 8,
+  CODEC: PROTOCOL_CODECS.VENDOR_FRAME,  // Protocol that carries pairing codes
+};
+
+export const ACK_SETTINGS = {
+  LATENCY_SAMPLES: 20, // Round-trip samples kept for the average latency
+};
+
+export const POWER_STATES = {
+  ON: 'on',
+  OFF: 'off',
+  STANDBY: 'standby',
+};
+
+export const MEDIA_STATES = {
+  INACTIVE: 'inactive',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  SEEKING: 'seeking',
+};
+
 export const BATTERY_THRESHOLDS = {
   LOW: 20,
   CRITICAL: 10,
 };
 
+export const BATTERY_MONITOR_INTERVAL = 5 * 60 * 1000; // Poll each connected device every 5 minutes
+
 export const HAPTIC_PATTERNS = {
   BUTTON_PRESS: [30],           // Single short pulse for button press
   VOLUME_CHANGE: [20, 50, 20],  // Double pulse for volume adjustment
@@ -95,6 +484,192 @@ export const HAPTIC_PATTERNS = {
   LONG_PRESS: [50],             // Slightly longer for important actions
 };
 
+export const VOLUME_SETTINGS = {
+  DEFAULT_LEVEL: 50,       // Assumed level until the device reports one
+  STEP_PERCENT: 2,         // Volume change per up/down step unless the paired device sets volumeStep
+  STEP_DELAY_MS: 120,      // Pause between steps so the device keeps up
+  MAX_STEPS: 50,           // Longest step sequence for one slider move
+  SLIDER_DEBOUNCE_MS: 150, // Wait for the slider to settle before starting a change
+};
+
+export const TOUCHPAD_MODES = {
+  POINTER: 'pointer', // Drags move the device's mouse cursor
+  SWIPE: 'swipe',     // Swipes send D-pad presses, taps send OK
+};
+
+export const TOUCHPAD_SETTINGS = {
+  MIN_GAIN: 0.25,         // Cursor gain at cursorSensitivity 0
+  MAX_GAIN: 2.0,          // Cursor gain at cursorSensitivity 100
+  ACCELERATION: 1.5,      // Extra gain per px/ms of finger speed
+  MAX_SPEED: 3,           // px/ms beyond which acceleration stops growing
+  SCROLL_STEP_PX: 20,     // Two-finger travel per wheel notch
+  TAP_MAX_MS: 250,
+  TAP_MAX_MOVE_PX: 8,
+  SWIPE_MIN_PX: 40,
+};
+
+export const GAMEPAD_SETTINGS = {
+  STICK_DEADZONE: 0.5,      // Stick deflection that counts as a direction
+  TRIGGER_THRESHOLD: 0.2,   // Analog trigger travel that counts as a press
+  REPEAT_DELAY_MS: 400,     // Hold before directions and triggers start repeating
+  SLOWEST_REPEAT_MS: 300,   // Repeat interval just past the deadzone or threshold
+  FASTEST_REPEAT_MS: 60,    // Repeat interval at full deflection
+};
+
+// Keyboard layouts text entry can type on; the TV interprets HID key codes with its own layout
+export const KEYBOARD_LAYOUTS = {
+  US: 'us',
+  UK: 'uk',
+  DE: 'de',
+};
+
+export const TEXT_INPUT_SETTINGS = {
+  MAX_LENGTH: 500,        // Characters per send
+  KEY_INTERVAL_MS: 30,    // Pause between keystrokes so the device's input buffer keeps up
+  CHUNK_BYTES: 16,        // UTF-8 bytes per frame for protocols that carry text
+};
+
+export const MACRO_SETTINGS = {
+  MAX_STEPS: 50,
+  MAX_DELAY_MS: 60000,     // Longest wait after a step (recorded gaps are capped to it)
+  DELAY_STEP_MS: 100,      // Recorded gaps are rounded to this
+  DEFAULT_DELAY_MS: 500,   // Wait after a step added in the editor
+  MAX_NAME_LENGTH: 40,
+};
+
+// Apps a shortcut tile can open; the key is the app id sent to the device
+export const SHORTCUT_APPS = {
+  netflix: { label: 'Netflix', icon: 'movie' },
+  youtube: { label: 'YouTube', icon: 'smart_display' },
+  'prime-video': { label: 'Prime Video', icon: 'live_tv' },
+  'disney-plus': { label: 'Disney+', icon: 'star' },
+  spotify: { label: 'Spotify', icon: 'music_note' },
+};
+
+export const SHORTCUT_ICONS = ['apps', 'movie', 'smart_display', 'live_tv', 'music_note', 'star', 'sports_esports', 'home', 'bolt', 'playlist_play'];
+
+export const SHORTCUT_SETTINGS = {
+  MAX_TILES: 12,
+  MAX_LABEL_LENGTH: 20,
+  MAX_APP_ID_BYTES: 32,  // Longest app id a launch frame carries
+};
+
+// Tiles a device shows until its shortcuts are edited
+export const DEFAULT_SHORTCUTS = [
+  { id: 'netflix', label: 'Netflix', icon: 'movie', action: 'app:netflix' },
+];
+
+// Icons a device family can use in the device list
+export const DEVICE_ICONS = ['devices', 'tv', 'cast', 'speaker', 'settings_remote', 'videogame_asset', 'projector'];
+
+export const DEFAULT_DEVICE_ICON = 'devices';
+
+/**
+ * Built-in device families, in the same format as imported catalog entries. A device is
+ * matched on its advertised name (case-insensitive patterns), Bluetooth SIG company ids
+ * from the manufacturer data and service UUIDs; pairing it applies the family's icon,
+ * codec, shortcut tiles and button mapping preset.
+ */
+export const DEVICE_CATALOG = [
+  {
+    id: 'android-tv',
+    label: 'Android TV / Google TV',
+    icon: 'cast',
+    match: { names: ['^(android|google) tv', 'chromecast', '^shield'], manufacturerIds: [0x00E0] },
+    codec: PROTOCOL_CODECS.HID,
+    shortcuts: [
+      { id: 'youtube', label: 'YouTube', icon: 'smart_display', action: 'app:youtube' },
+      { id: 'netflix', label: 'Netflix', icon: 'movie', action: 'app:netflix' },
+    ],
+  },
+  {
+    id: 'fire-tv',
+    label: 'Fire TV',
+    icon: 'cast',
+    match: { names: ['^fire ?tv', '^aft'], manufacturerIds: [0x0171] },
+    codec: PROTOCOL_CODECS.HID,
+    shortcuts: [
+      { id: 'prime-video', label: 'Prime Video', icon: 'live_tv', action: 'app:prime-video' },
+      { id: 'netflix', label: 'Netflix', icon: 'movie', action: 'app:netflix' },
+    ],
+  },
+  {
+    id: 'samsung-tv',
+    label: 'Samsung TV',
+    icon: 'tv',
+    match: { names: ['^\\[tv\\] samsung', '^samsung .*tv'], manufacturerIds: [0x0075] },
+    codec: PROTOCOL_CODECS.HID_CONSUMER,
+  },
+  {
+    id: 'lg-tv',
+    label: 'LG TV',
+    icon: 'tv',
+    match: { names: ['^\\[lg\\] webos tv', '^lg .*tv'], manufacturerIds: [0x00C4] },
+    codec: PROTOCOL_CODECS.HID_CONSUMER,
+  },
+  {
+    id: 'soundbar',
+    label: 'Soundbar',
+    icon: 'speaker',
+    match: { names: ['sound ?bar'], services: ['00001844-0000-1000-8000-00805f9b34fb'] },
+    codec: PROTOCOL_CODECS.HID_CONSUMER,
+    shortcuts: [
+      { id: 'spotify', label: 'Spotify', icon: 'music_note', action: 'app:spotify' },
+    ],
+    // Up and down change the volume; there are no menus to move through
+    buttonMapping: {
+      'screen-dpad-up': 'volume-up',
+      'screen-dpad-down': 'volume-down',
+      'screen-dpad-center': 'play-pause',
+      'key-ArrowUp': 'volume-up',
+      'key-ArrowDown': 'volume-down',
+    },
+  },
+  {
+    id: 'hid-remote',
+    label: 'Bluetooth remote receiver',
+    icon: 'settings_remote',
+    match: { services: ['00001812-0000-1000-8000-00805f9b34fb'] },
+    codec: PROTOCOL_CODECS.HID,
+  },
+];
+
+export const CATALOG_SETTINGS = {
+  MAX_IMPORTED_ENTRIES: 50,
+  MAX_IMPORT_BYTES: 100000,  // Largest catalog file accepted
+  MAX_PATTERN_LENGTH: 100,   // Longest advertised-name pattern
+};
+
+export const SHARE_SETTINGS = {
+  TYPE: 'tv-remote-device',  // Marks a QR code as a shared remote
+  VERSION: 1,                // Share format version
+  SCAN_INTERVAL_MS: 250,     // How often camera frames are checked for a QR code
+};
+
+// How the device was asked to make itself noticed
+export const LOCATE_METHODS = {
+  IMMEDIATE_ALERT: 'immediate-alert', // Immediate Alert service (0x1802)
+  PROTOCOL: 'protocol',               // The codec's own locate command
+};
+
+// Direction of the proximity meter while locating
+export const PROXIMITY_TRENDS = {
+  WARMER: 'warmer',
+  COLDER: 'colder',
+  STEADY: 'steady',
+};
+
+export const LOCATE_SETTINGS = {
+  RSSI_SMOOTHING: 0.3,       // Weight of each new RSSI reading in the running average
+  TREND_THRESHOLD_DB: 3,     // Change in smoothed RSSI that counts as warmer or colder
+};
+
+export const VOICE_SETTINGS = {
+  LANGUAGE: 'en-US',         // Recognition language; the command grammar is English
+  MAX_ALTERNATIVES: 3,       // Transcripts to try when the best one is not a command
+  MAX_REPEAT: 10,            // Highest count accepted in "volume up five"
+};
+
 export const HAPTIC_SETTINGS = {
   DEFAULT_INTENSITY: 1.0,       // Full intensity by default
   REDUCED_INTENSITY: 0.5,       // For reduced motion preference
@@ -104,10 +679,58 @@ export const HAPTIC_SETTINGS = {
 deepFreeze(VIEWS);
 deepFreeze(CONNECTION_STATES);
 deepFreeze(STORAGE_KEYS);
+deepFreeze(AUTO_RECONNECT_POLICIES);
+deepFreeze(DEFAULT_RECONNECT_POLICY);
+deepFreeze(RECONNECT_PHASES);
 deepFreeze(DEFAULT_SETTINGS);
 deepFreeze(REMOTE_COMMANDS);
+deepFreeze(COMMAND_STATUS);
+deepFreeze(COALESCE_RULES);
+deepFreeze(COMMAND_COALESCING);
+deepFreeze(OPPOSITE_COMMANDS);
+deepFreeze(COMMAND_BUFFER_SETTINGS);
+deepFreeze(PROTOCOL_CODECS);
+deepFreeze(HID_CONSUMER_USAGES);
+deepFreeze(HID_KEYBOARD_USAGES);
+deepFreeze(VENDOR_COMMAND_IDS);
+deepFreeze(CAPABILITY_STATES);
+deepFreeze(CAPABILITY_OVERRIDES);
+deepFreeze(DEVICE_CAPABILITIES);
+deepFreeze(INPUT_SOURCES);
+deepFreeze(BUTTON_INPUTS);
+deepFreeze(RESERVED_KEYS);
+deepFreeze(BROWSER_SHORTCUTS);
 Object.freeze(ONBOARDING_SLIDES); // Primitive, shallow freeze
 deepFreeze(DEVICE_FILTER_OPTIONS);
+deepFreeze(DISCOVERY_SETTINGS);
+deepFreeze(AUTO_RECONNECT_SETTINGS);
+deepFreeze(BLUETOOTH_ERRORS);
+deepFreeze(OPERATION_PRIORITIES);
+deepFreeze(OPERATION_TIMEOUTS);
+deepFreeze(ACK_SETTINGS);
+deepFreeze(PAIRING_SETTINGS);
+deepFreeze(POWER_STATES);
+deepFreeze(MEDIA_STATES);
 deepFreeze(BATTERY_THRESHOLDS);
+Object.freeze(BATTERY_MONITOR_INTERVAL); // Primitive, shallow freeze
 deepFreeze(HAPTIC_PATTERNS);
+deepFreeze(VOLUME_SETTINGS);
+deepFreeze(TOUCHPAD_MODES);
+deepFreeze(TOUCHPAD_SETTINGS);
+deepFreeze(GAMEPAD_SETTINGS);
+deepFreeze(KEYBOARD_LAYOUTS);
+deepFreeze(TEXT_INPUT_SETTINGS);
+deepFreeze(MACRO_SETTINGS);
+deepFreeze(SHORTCUT_APPS);
+deepFreeze(SHORTCUT_ICONS);
+deepFreeze(SHORTCUT_SETTINGS);
+deepFreeze(DEFAULT_SHORTCUTS);
+deepFreeze(DEVICE_ICONS);
+deepFreeze(DEVICE_CATALOG);
+deepFreeze(CATALOG_SETTINGS);
+deepFreeze(SHARE_SETTINGS);
+deepFreeze(LOCATE_METHODS);
+deepFreeze(PROXIMITY_TRENDS);
+deepFreeze(LOCATE_SETTINGS);
+deepFreeze(VOICE_SETTINGS);
 deepFreeze(HAPTIC_SETTINGS);
@@ -0,0 +1,8 @@
+// IDs - Short unique ids for user-created records (macros, shortcut tiles)
+
+/**
+ * Time-ordered id with a random suffix, unique enough for records stored in one browser
+ */
+export function createId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
@@ -2,7 +2,7 @@
 // Singleton pattern enforced via static instance guard.
 // Only the singleton instance is exported; attempting to instantiate new instances will throw an error.
 
-import { STORAGE_KEYS, DEFAULT_SETTINGS, CONNECTION_STATES, VIEWS } from './constants.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, CONNECTION_STATES, VIEWS, DEVICE_FILTER_OPTIONS, COMMAND_STATUS } from './constants.js';
 
 class StateManager {
   // Configuration
@@ -30,27 +30,37 @@ class StateManager {
       onboardingComplete: onboardingComplete,
       
       // Devices
-      pairedDevices: this.loadFromStorage(STORAGE_KEYS.PAIRED_DEVICES, []),
+      // Connections never survive a reload; sessions set `connected` again
+      pairedDevices: this.loadFromStorage(STORAGE_KEYS.PAIRED_DEVICES, [])
+        .map(device => ({ ...device, connected: false })),
       activeDeviceId: this.loadFromStorage(STORAGE_KEYS.ACTIVE_DEVICE_ID, null),
       discoveredDevices: [],
+      deviceFilter: DEVICE_FILTER_OPTIONS.ALL,
       connectionState: CONNECTION_STATES.DISCONNECTED,
+      reconnectStatus: {},
       isScanning: false,
       
       // User Settings
-      settings: this.loadFromStorage(STORAGE_KEYS.USER_SETTINGS, DEFAULT_SETTINGS),
+      // Merge over defaults so settings added in later versions get their default value
+      settings: { ...DEFAULT_SETTINGS, ...this.loadFromStorage(STORAGE_KEYS.USER_SETTINGS, {}) },
       
       // Device Status
       deviceStatus: this.loadFromStorage(STORAGE_KEYS.DEVICE_STATUS, {}),
       
+      // Device families imported into the device catalog
+      catalogEntries: this.loadFromStorage(STORAGE_KEYS.DEVICE_CATALOG, []),
+      
       // UI State
       showConnectingAnimation: false,
       lastCommand: null,
       commandQueue: [],
+      gamepads: [],
     };
     
     this.listeners = [];
     this.isInitialized = false;
     this.errorQueue = [];
+    this.commandSequence = 0;
   }
   
   // Getters
@@ -119,6 +129,10 @@ class StateManager {
     this.updateState({ discoveredDevices: devices });
   }
   
+  setDeviceFilter(filter) {
+    this.updateState({ deviceFilter: filter });
+  }
+  
   addPairedDevice(device) {
     const exists = this.state.pairedDevices.some(d => d.id === device.id);
     if (!exists) {
@@ -129,8 +143,12 @@ class StateManager {
   }
   
   updateDeviceName(deviceId, customName) {
-    const updated = this.state.pairedDevices.map(d => 
-      d.id === deviceId ? { ...d, customName } : d
+    this.updatePairedDevice(deviceId, { customName });
+  }
+
+  updatePairedDevice(deviceId, changes) {
+    const updated = this.state.pairedDevices.map(d =>
+      d.id === deviceId ? { ...d, ...changes } : d
     );
     this.updateState({ pairedDevices: updated });
     this.saveToStorage(STORAGE_KEYS.PAIRED_DEVICES, updated);
@@ -155,10 +173,35 @@ class StateManager {
     this.updateState({ connectionState: state });
   }
   
+  /**
+   * Set (or clear with null) a device's reconnection progress. Not persisted.
+   */
+  setReconnectStatus(deviceId, status) {
+    const updated = { ...this.state.reconnectStatus };
+    if (status) {
+      updated[deviceId] = status;
+    } else {
+      delete updated[deviceId];
+    }
+    this.updateState({ reconnectStatus: updated });
+  }
+  
   setScanning(isScanning) {
     this.updateState({ isScanning });
   }
   
+  /**
+   * Connected gamepads as { index, id, standard }. Not persisted.
+   */
+  setGamepads(gamepads) {
+    this.updateState({ gamepads });
+  }
+  
+  setCatalogEntries(catalogEntries) {
+    this.updateState({ catalogEntries });
+    this.saveToStorage(STORAGE_KEYS.DEVICE_CATALOG, catalogEntries);
+  }
+  
   updateUserSetting(key, value) {
     const updated = { ...this.state.settings, [key]: value };
     this.updateState({ settings: updated });
@@ -174,12 +217,14 @@ class StateManager {
     this.saveToStorage(STORAGE_KEYS.DEVICE_STATUS, updated);
   }
   
-  recordCommand(command) {
+  recordCommand(command, { status = COMMAND_STATUS.SENT } = {}) {
     // Add new command with timestamp and cap queue to MAX_COMMAND_QUEUE_SIZE
     // Drops oldest entries (FIFO) when queue exceeds max
     const commandEntry = {
+      id: ++this.commandSequence,
       command,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      status
     };
     const updatedQueue = [...this.state.commandQueue, commandEntry];
     const trimmedQueue = updatedQueue.length > StateManager.MAX_COMMAND_QUEUE_SIZE
@@ -190,6 +235,20 @@ class StateManager {
       lastCommand: commandEntry,
       commandQueue: trimmedQueue
     });
+    return commandEntry;
+  }
+  
+  updateCommandStatus(ids, status, fields = {}) {
+    // Update COMMAND_STATUS of recorded entries (e.g. buffered commands once replayed or dropped,
+    // or acknowledged with their round-trip latency)
+    const targets = new Set(ids);
+    const update = entry => (targets.has(entry.id) ? { ...entry, ...fields, status } : entry);
+    const { lastCommand } = this.state;
+    
+    this.updateState({
+      lastCommand: lastCommand && update(lastCommand),
+      commandQueue: this.state.commandQueue.map(update)
+    });
   }
   
   clearCommandQueue() {
@@ -339,6 +398,7 @@ class StateManager {
     
     this.listeners = [];
     this.errorQueue = [];
+    this.commandSequence = 0;
     this.isInitialized = false;
     StateManager.MAX_COMMAND_QUEUE_SIZE = StateManager.#ORIGINAL_QUEUE_SIZE;
     this.state = {
@@ -348,13 +408,17 @@ class StateManager {
       pairedDevices: [],
       activeDeviceId: null,
       discoveredDevices: [],
+      deviceFilter: DEVICE_FILTER_OPTIONS.ALL,
       connectionState: CONNECTION_STATES.DISCONNECTED,
+      reconnectStatus: {},
       isScanning: false,
       settings: DEFAULT_SETTINGS,
       deviceStatus: {},
+      catalogEntries: [],
       showConnectingAnimation: false,
       lastCommand: null,
       commandQueue: [],
+      gamepads: [],
     };
   }
 }
@@ -0,0 +1,116 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  keyInputId,
+  parseKeyInputId,
+  getInputLabel,
+  resolveInput,
+  rebindInput,
+  resetInput,
+  rebindKey,
+  movePresetKey,
+  parseAction,
+  getActionLabel,
+  validateButtonMapping,
+  MAPPING_ISSUES
+} from '../button-mapping.js';
+import { DEFAULT_SETTINGS, REMOTE_COMMANDS } from '../../core/constants.js';
+
+describe('button mapping', () => {
+  test('keys resolve case-insensitively through the defaults', () => {
+    expect(keyInputId('P')).toBe('key-p');
+    expect(keyInputId(' ')).toBe('key-Space');
+    expect(resolveInput(keyInputId('ArrowUp'), {})).toBe(REMOTE_COMMANDS.UP);
+    expect(resolveInput('btn-r-trigger', DEFAULT_SETTINGS.buttonMapping)).toBe(REMOTE_COMMANDS.VOLUME_UP);
+    expect(resolveInput('btn-x', {})).toBeNull();
+  });
+
+  test('stored bindings override defaults and can be reset', () => {
+    const mapping = rebindInput({}, 'screen-home', REMOTE_COMMANDS.MENU);
+    expect(resolveInput('screen-home', mapping)).toBe(REMOTE_COMMANDS.MENU);
+    expect(resolveInput('screen-back', mapping)).toBe(REMOTE_COMMANDS.BACK);
+
+    expect(resolveInput('screen-home', resetInput(mapping, 'screen-home'))).toBe(REMOTE_COMMANDS.HOME);
+    expect('key-q' in resetInput({ 'key-q': REMOTE_COMMANDS.HOME }, 'key-q')).toBe(false);
+  });
+
+  test('a device preset wins for the inputs it lists', () => {
+    const preset = { 'key-ArrowUp': REMOTE_COMMANDS.VOLUME_UP };
+    const mapping = rebindInput({}, 'key-ArrowDown', REMOTE_COMMANDS.MENU);
+
+    expect(resolveInput('key-ArrowUp', mapping, preset)).toBe(REMOTE_COMMANDS.VOLUME_UP);
+    expect(resolveInput('key-ArrowDown', mapping, preset)).toBe(REMOTE_COMMANDS.MENU);
+    expect(movePresetKey(preset, 'key-ArrowUp', 'u')).toEqual({ 'key-u': REMOTE_COMMANDS.VOLUME_UP });
+  });
+
+  test('moving a key binding reports the binding it replaces', () => {
+    const { mapping, conflict } = rebindKey({}, 'key-m', 'p');
+
+    expect(conflict).toEqual({ inputId: 'key-p', action: REMOTE_COMMANDS.PLAY_PAUSE });
+    expect(resolveInput('key-p', mapping)).toBe(REMOTE_COMMANDS.MENU);
+    // The old key stays unbound instead of falling back to its default
+    expect(resolveInput('key-m', mapping)).toBeNull();
+
+    expect(rebindKey({}, 'key-m', 'q').conflict).toBeNull();
+  });
+
+  test('actions are commands or macro references', () => {
+    expect(parseAction('volume-up')).toEqual({ type: 'command', value: 'volume-up' });
+    expect(parseAction('macro:movie-night')).toEqual({ type: 'macro', value: 'movie-night' });
+    expect(parseAction('app:netflix')).toEqual({ type: 'app', value: 'netflix' });
+    expect(parseAction('app:')).toBeNull();
+    expect(parseAction('explode')).toBeNull();
+    expect(getActionLabel('app:netflix')).toBe('Open Netflix');
+    expect(getActionLabel('volume-up')).toBe('Volume up');
+    expect(getActionLabel(null)).toBe('None');
+  });
+
+  test('validation flags unknown actions, missing macros, reserved and doubly bound keys', () => {
+    const issues = validateButtonMapping({
+      'screen-home': 'explode',
+      'btn-x': 'macro:gone',
+      'btn-y': 'macro:kept',
+      'key-Tab': REMOTE_COMMANDS.OK,
+      'key-P': REMOTE_COMMANDS.HOME
+    }, { macroIds: ['kept'] });
+
+    expect(issues.map(issue => [issue.inputId, issue.type])).toEqual([
+      ['screen-home', MAPPING_ISSUES.UNKNOWN_ACTION],
+      ['btn-x', MAPPING_ISSUES.MISSING_MACRO],
+      ['key-Tab', MAPPING_ISSUES.RESERVED_KEY],
+      ['key-P', MAPPING_ISSUES.DUPLICATE_KEY]
+    ]);
+    expect(validateButtonMapping(DEFAULT_SETTINGS.buttonMapping)).toEqual([]);
+  });
+
+  test('key ids carry modifiers, except Shift on symbols', () => {
+    expect(keyInputId('P', { shiftKey: true })).toBe('key-Shift+p');
+    expect(keyInputId('?', { shiftKey: true })).toBe('key-?');
+    expect(keyInputId('t', { ctrlKey: true, metaKey: false })).toBe('key-Ctrl+t');
+    expect(keyInputId('ArrowLeft', { altKey: true, ctrlKey: true })).toBe('key-Ctrl+Alt+ArrowLeft');
+
+    expect(parseKeyInputId('key-Ctrl++')).toEqual({ key: '+', ctrlKey: true, altKey: false, shiftKey: false, metaKey: false });
+    expect(getInputLabel('key-Ctrl+Shift+m')).toBe('Ctrl+Shift+M');
+    expect(rebindKey({}, 'key-m', 'x', { altKey: true }).mapping['key-Alt+x']).toBe(REMOTE_COMMANDS.MENU);
+  });
+
+  test('every command has a default key', () => {
+    const bound = new Set(Object.entries(DEFAULT_SETTINGS.buttonMapping)
+      .filter(([inputId]) => inputId.startsWith('key-'))
+      .map(([, action]) => action));
+
+    expect(Object.values(REMOTE_COMMANDS).filter(command => !bound.has(command))).toEqual([]);
+  });
+
+  test('validation warns about browser shortcuts and the help key', () => {
+    const issues = validateButtonMapping({
+      'key-Ctrl+t': REMOTE_COMMANDS.HOME,
+      'key-Ctrl+w': null,
+      'key-?': REMOTE_COMMANDS.MENU
+    });
+
+    expect(issues.map(issue => [issue.inputId, issue.type])).toEqual([
+      ['key-Ctrl+t', MAPPING_ISSUES.BROWSER_SHORTCUT],
+      ['key-?', MAPPING_ISSUES.RESERVED_KEY]
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, test } from '@jest/globals';
+import { CommandBuffer } from '../command-buffer.js';
+import { REMOTE_COMMANDS } from '../../core/constants.js';
+
+const commandsOf = (buffer, now = 0) => buffer.drain(now).commands.map(c => c.command);
+
+describe('CommandBuffer', () => {
+  test('keeps repeated d-pad presses as a capped burst', () => {
+    const buffer = new CommandBuffer({ maxBurst: 3 });
+
+    [1, 2, 3].forEach(id => expect(buffer.add(REMOTE_COMMANDS.DOWN, id, 0)).toEqual([]));
+    expect(buffer.add(REMOTE_COMMANDS.DOWN, 4, 0)).toEqual([4]);
+
+    expect(commandsOf(buffer)).toEqual([REMOTE_COMMANDS.DOWN, REMOTE_COMMANDS.DOWN, REMOTE_COMMANDS.DOWN]);
+  });
+
+  test('an opposite press cancels one step of the previous burst', () => {
+    const buffer = new CommandBuffer();
+
+    buffer.add(REMOTE_COMMANDS.VOLUME_UP, 1, 0);
+    buffer.add(REMOTE_COMMANDS.VOLUME_UP, 2, 0);
+
+    expect(buffer.add(REMOTE_COMMANDS.VOLUME_DOWN, 3, 0)).toEqual([2, 3]);
+    expect(commandsOf(buffer)).toEqual([REMOTE_COMMANDS.VOLUME_UP]);
+  });
+
+  test('toggles pressed twice cancel out and OK is never merged', () => {
+    const buffer = new CommandBuffer();
+
+    buffer.add(REMOTE_COMMANDS.PLAY_PAUSE, 1, 0);
+    expect(buffer.add(REMOTE_COMMANDS.PLAY_PAUSE, 2, 0)).toEqual([1, 2]);
+    buffer.add(REMOTE_COMMANDS.OK, 3, 0);
+    buffer.add(REMOTE_COMMANDS.OK, 4, 0);
+
+    expect(commandsOf(buffer)).toEqual([REMOTE_COMMANDS.OK, REMOTE_COMMANDS.OK]);
+  });
+
+  test('latest-wins commands replace earlier and opposite presses', () => {
+    const buffer = new CommandBuffer();
+
+    buffer.add(REMOTE_COMMANDS.POWER_OFF, 1, 0);
+    buffer.add(REMOTE_COMMANDS.UP, 2, 0);
+
+    expect(buffer.add(REMOTE_COMMANDS.POWER_ON, 3, 0)).toEqual([1]);
+    expect(commandsOf(buffer)).toEqual([REMOTE_COMMANDS.UP, REMOTE_COMMANDS.POWER_ON]);
+  });
+
+  test('drops presses past the TTL and the oldest beyond the size cap', () => {
+    const buffer = new CommandBuffer({ ttl: 1000, maxSize: 2 });
+
+    buffer.add(REMOTE_COMMANDS.HOME, 1, 0);
+    buffer.add(REMOTE_COMMANDS.OK, 2, 800);
+    expect(buffer.add(REMOTE_COMMANDS.BACK, 3, 900)).toEqual([1]);
+    expect(buffer.add(REMOTE_COMMANDS.MENU, 4, 950)).toEqual([2]);
+
+    const { commands, dropped } = buffer.drain(1950);
+    expect(commands).toEqual([{ command: REMOTE_COMMANDS.MENU, historyId: 4 }]);
+    expect(dropped).toEqual([3]);
+    expect(buffer.size).toBe(0);
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { deviceCatalog, normalizeUuid, parseCatalogJson, validateCatalogEntry } from '../device-catalog.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { deviceDiscovery } from '../discovery.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { PROTOCOL_CODECS, REMOTE_COMMANDS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const HID_SERVICE = '00001812-0000-1000-8000-00805f9b34fb';
+
+const projector = {
+  id: 'acme-projector',
+  label: 'Acme projector',
+  icon: 'projector',
+  match: { names: ['^acme beam'], services: ['0xFE01'] },
+  codec: PROTOCOL_CODECS.VENDOR_FRAME,
+  shortcuts: [{ label: 'YouTube', icon: 'smart_display', action: 'app:youtube' }],
+  buttonMapping: { 'screen-menu': REMOTE_COMMANDS.POWER_OFF }
+};
+
+describe('matching', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+  });
+
+  test('picks the family with the most matching criteria', () => {
+    expect(deviceCatalog.match({ name: 'Living Room Soundbar' }).id).toBe('soundbar');
+    expect(deviceCatalog.match({ name: 'Chromecast', manufacturerIds: [0x00E0] }).id).toBe('android-tv');
+    expect(deviceCatalog.match({ name: 'Receiver', services: ['0x1812'] }).id).toBe('hid-remote');
+    expect(deviceCatalog.match({ name: 'Kitchen Lamp' })).toBeNull();
+  });
+
+  test('normalizes 16-bit service ids', () => {
+    expect(normalizeUuid('0x1812')).toBe(HID_SERVICE);
+    expect(normalizeUuid('1812')).toBe(HID_SERVICE);
+    expect(normalizeUuid('battery')).toBeNull();
+  });
+});
+
+describe('import', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+  });
+
+  test('stores imported families, which match before built-in ones', () => {
+    const count = deviceCatalog.importJson(JSON.stringify({ entries: [projector, { ...projector, id: 'soundbar', label: 'My soundbar', icon: 'speaker', match: { names: ['sound ?bar'] } }] }));
+
+    expect(count).toBe(2);
+    expect(stateManager.getState().catalogEntries[0].match.services).toEqual(['0000fe01-0000-1000-8000-00805f9b34fb']);
+    expect(stateManager.getState().catalogEntries[0].shortcuts[0].id).toEqual(expect.any(String));
+    expect(deviceCatalog.match({ name: 'ACME Beam 3' }).id).toBe('acme-projector');
+    expect(deviceCatalog.match({ name: 'Soundbar' }).label).toBe('My soundbar');
+
+    deviceCatalog.removeImported('soundbar');
+    expect(deviceCatalog.match({ name: 'Soundbar' }).label).toBe('Soundbar');
+  });
+
+  test('rejects invalid files with a readable message', () => {
+    expect(() => parseCatalogJson('{')).toThrow('The catalog file is not valid JSON.');
+    expect(() => parseCatalogJson('[]')).toThrow('The catalog file has no entries.');
+    expect(validateCatalogEntry({ ...projector, match: {} })).toBe('"acme-projector" needs at least one name pattern, manufacturer id or service to match on.');
+    expect(validateCatalogEntry({ ...projector, match: { names: ['(unclosed'] } })).toBe('"acme-projector" has an invalid name pattern "(unclosed".');
+    expect(validateCatalogEntry({ ...projector, codec: 'morse' })).toBe('"acme-projector" uses an unknown protocol "morse".');
+    expect(validateCatalogEntry({ ...projector, buttonMapping: { 'screen-menu': 'macro:abc' } }))
+      .toBe('"acme-projector" maps screen-menu to an unknown command "macro:abc".');
+    expect(validateCatalogEntry(projector)).toBeNull();
+  });
+});
+
+describe('pairing', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    deviceDiscovery.reset();
+    jest.restoreAllMocks();
+  });
+
+  const connect = (name) => {
+    bluetoothManager.device = {
+      id: 'dev-1',
+      name,
+      gatt: createFakeGattServer({ generic_access: [{ uuid: 'device_name' }] }),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    };
+    return bluetoothManager.connect();
+  };
+
+  test('new devices get their family defaults', async () => {
+    await connect('Living Room Soundbar');
+
+    const [device] = stateManager.getPairedDevices();
+    expect(device).toMatchObject({
+      catalogId: 'soundbar',
+      icon: 'speaker',
+      codec: PROTOCOL_CODECS.HID_CONSUMER,
+      buttonMapping: expect.objectContaining({ 'key-ArrowUp': REMOTE_COMMANDS.VOLUME_UP })
+    });
+    expect(device.shortcuts.map(tile => tile.action)).toEqual(['app:spotify']);
+  });
+
+  test('matches on the advertised manufacturer data and leaves paired devices alone', async () => {
+    deviceDiscovery.upsert('dev-1', { name: 'Box', manufacturerIds: [0x0171] });
+    await connect('Box');
+    expect(stateManager.getPairedDevices()[0]).toMatchObject({ catalogId: 'fire-tv', codec: PROTOCOL_CODECS.HID });
+
+    stateManager.updatePairedDevice('dev-1', { codec: PROTOCOL_CODECS.TEXT, icon: 'tv' });
+    await bluetoothManager.disconnect('dev-1');
+    await connect('Box');
+    expect(stateManager.getPairedDevices()[0]).toMatchObject({ codec: PROTOCOL_CODECS.TEXT, icon: 'tv' });
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import {
+  declareCapabilities,
+  getCapabilityStates,
+  setCapabilityOverride,
+  detectServices,
+  describeService
+} from '../device-profile.js';
+import { HidConsumerCodec, TextCodec } from '../protocol.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { PROTOCOL_CODECS, REMOTE_COMMANDS, CAPABILITY_STATES, CAPABILITY_OVERRIDES } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const BATTERY = '0000180f-0000-1000-8000-00805f9b34fb';
+
+describe('declareCapabilities', () => {
+  test('follows the commands and features the codec supports', () => {
+    const soundbar = new HidConsumerCodec({
+      usages: { [REMOTE_COMMANDS.VOLUME_UP]: 0xE9, [REMOTE_COMMANDS.VOLUME_DOWN]: 0xEA, [REMOTE_COMMANDS.PLAY_PAUSE]: 0xCD }
+    });
+
+    expect(declareCapabilities(soundbar, { default: {} })).toEqual({
+      navigation: false, pointer: false, text: false, volume: true, media: true, apps: false, power: false
+    });
+    expect(declareCapabilities(new TextCodec(), { default: {} })).toEqual({
+      navigation: true, pointer: false, text: true, volume: true, media: true, apps: true, power: true
+    });
+    expect(Object.values(declareCapabilities(new TextCodec(), null)).some(Boolean)).toBe(false);
+  });
+});
+
+describe('getCapabilityStates', () => {
+  const profile = { capabilities: { navigation: false, pointer: false, text: true, volume: false, media: true, apps: true, power: true } };
+
+  test('hides or greys out what the device lacks and shows everything without a profile', () => {
+    expect(getCapabilityStates({ id: 'bar', profile })).toMatchObject({
+      navigation: CAPABILITY_STATES.HIDDEN,
+      pointer: CAPABILITY_STATES.DISABLED,
+      volume: CAPABILITY_STATES.DISABLED,
+      media: CAPABILITY_STATES.ENABLED
+    });
+    expect(Object.values(getCapabilityStates(null)).every(state => state === CAPABILITY_STATES.ENABLED)).toBe(true);
+  });
+
+  test('applies user overrides before the profile', () => {
+    let overrides = setCapabilityOverride({}, 'navigation', CAPABILITY_OVERRIDES.SHOW);
+    overrides = setCapabilityOverride(overrides, 'media', CAPABILITY_OVERRIDES.HIDE);
+
+    expect(getCapabilityStates({ id: 'bar', profile, capabilityOverrides: overrides })).toMatchObject({
+      navigation: CAPABILITY_STATES.ENABLED,
+      media: CAPABILITY_STATES.HIDDEN
+    });
+    expect(setCapabilityOverride(overrides, 'media', CAPABILITY_OVERRIDES.AUTO)).toEqual({ navigation: 'show' });
+    expect(() => setCapabilityOverride({}, 'teleport', CAPABILITY_OVERRIDES.SHOW)).toThrow('Unknown capability "teleport"');
+  });
+});
+
+describe('service detection', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.restoreAllMocks();
+  });
+
+  test('names standard services', () => {
+    expect(describeService(BATTERY)).toBe('Battery');
+    expect(describeService('0000fe01-0000-1000-8000-00805f9b34fb')).toBe('0xFE01');
+    expect(describeService('6e400001-b5a3-f393-e0a9-e50e24dcca9e')).toBe('6e400001-b5a3-f393-e0a9-e50e24dcca9e');
+  });
+
+  test('stores the profile on the paired device when it connects', async () => {
+    const gattServer = createFakeGattServer({ generic_access: [{ uuid: 'device_name' }], [BATTERY]: [] });
+    bluetoothManager.device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+
+    await bluetoothManager.connect({ codec: PROTOCOL_CODECS.TEXT });
+
+    const [device] = stateManager.getPairedDevices();
+    expect(device.profile).toMatchObject({ services: [BATTERY, 'generic_access'], codec: PROTOCOL_CODECS.TEXT });
+    expect(device.profile.capabilities.navigation).toBe(true);
+    await expect(detectServices({})).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { createShareCode, parseShareCode } from '../device-share.js';
+import { encodeQr } from '../qr-code.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { PROTOCOL_CODECS, REMOTE_COMMANDS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const device = {
+  id: 'dev-1',
+  name: 'Living Room TV',
+  customName: 'Lounge',
+  codec: PROTOCOL_CODECS.VENDOR_FRAME,
+  icon: 'tv',
+  catalogId: 'lg-tv',
+  connected: true,
+  profile: { services: ['generic_access'] },
+  macros: [{ id: 'm1', name: 'Movie night', steps: [{ command: REMOTE_COMMANDS.POWER_ON, delay: 0 }], createdAt: 1 }],
+  shortcuts: [{ id: 's1', label: 'Movie night', icon: 'movie', action: 'macro:m1' }],
+  buttonMapping: { 'key-m': 'macro:m1', 'screen-menu': REMOTE_COMMANDS.HOME },
+  capabilityOverrides: { pointer: 'hide' }
+};
+
+describe('share codes', () => {
+  test('carry the device setup but not its connection details', () => {
+    const text = createShareCode(device);
+    const shared = parseShareCode(text);
+
+    expect(shared).toEqual({
+      name: 'Living Room TV',
+      customName: 'Lounge',
+      codec: PROTOCOL_CODECS.VENDOR_FRAME,
+      icon: 'tv',
+      catalogId: 'lg-tv',
+      macros: [{ id: 'm1', name: 'Movie night', steps: [{ command: REMOTE_COMMANDS.POWER_ON, delay: 0 }] }],
+      shortcuts: device.shortcuts,
+      buttonMapping: device.buttonMapping,
+      capabilityOverrides: { pointer: 'hide' }
+    });
+    expect(text).not.toContain('dev-1');
+    expect(encodeQr(text).version).toBeLessThan(20);
+  });
+
+  test('drop what the scanning app cannot use', () => {
+    const shared = parseShareCode(createShareCode({
+      name: 'TV',
+      codec: 'morse',
+      icon: 'rocket',
+      catalogId: 'Not An Id',
+      shortcuts: [{ id: 's1', label: 'Gone', icon: 'movie', action: 'macro:missing' }],
+      buttonMapping: { 'key-m': 'macro:missing', 'key-x': null },
+      capabilityOverrides: { teleport: 'show', pointer: 'maybe' }
+    }));
+
+    expect(shared).toEqual({ name: 'TV', shortcuts: [], buttonMapping: { 'key-x': null } });
+  });
+
+  test('reject other QR codes with a readable message', () => {
+    expect(() => parseShareCode('https://example.com')).toThrow("This QR code isn't a shared remote.");
+    expect(() => parseShareCode('{"type":"wifi"}')).toThrow("This QR code isn't a shared remote.");
+    expect(() => parseShareCode('{"type":"tv-remote-device","v":2,"name":"TV"}')).toThrow(/newer version/);
+    expect(() => parseShareCode('{"type":"tv-remote-device","v":1,"name":" "}')).toThrow('The shared remote has no device name.');
+  });
+});
+
+describe('pairing a shared device', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.restoreAllMocks();
+  });
+
+  test('narrows the chooser to the shared name and applies the shared setup', async () => {
+    jest.spyOn(bluetoothManager, 'requestDevice').mockImplementation(async () => bluetoothManager.useDevice({
+      id: 'other-id',
+      name: 'Living Room TV',
+      gatt: createFakeGattServer({ generic_access: [{ uuid: 'device_name' }] }),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    }));
+
+    const shared = parseShareCode(createShareCode({ ...device, codec: PROTOCOL_CODECS.TEXT }));
+    await bluetoothManager.pairShared(shared);
+
+    expect(bluetoothManager.requestDevice).toHaveBeenCalledWith({ filters: [{ name: 'Living Room TV' }] });
+    expect(stateManager.getPairedDevices()).toEqual([expect.objectContaining({
+      id: 'other-id',
+      name: 'Living Room TV',
+      customName: 'Lounge',
+      codec: PROTOCOL_CODECS.TEXT,
+      connected: true,
+      buttonMapping: device.buttonMapping,
+      shortcuts: device.shortcuts
+    })]);
+  });
+});
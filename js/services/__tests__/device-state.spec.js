@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { DEVICE_STATE_GATT, DeviceStateMonitor, parseVolumeState, parseTrackTime } from '../device-state.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { protocolRegistry } from '../protocol.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { MEDIA_STATES, POWER_STATES, PROTOCOL_CODECS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const view = (bytes) => new DataView(Uint8Array.from(bytes).buffer);
+const int32 = (value) => {
+  const buffer = new DataView(new ArrayBuffer(4));
+  buffer.setInt32(0, value, true);
+  return Array.from(new Uint8Array(buffer.buffer));
+};
+const text = (value) => Array.from(new TextEncoder().encode(value));
+const notify = { read: true, notify: true };
+
+describe('device state parsing', () => {
+  test('volume state maps the 0-255 setting onto a percentage with mute', () => {
+    expect(parseVolumeState(view([255, 0, 7]))).toEqual({ volume: 100, muted: false });
+    expect(parseVolumeState(view([64, 1, 8]))).toEqual({ volume: 25, muted: true });
+  });
+
+  test('track times are hundredths of a second, -1 when unknown', () => {
+    expect(parseTrackTime(view(int32(12345)))).toBe(123.45);
+    expect(parseTrackTime(view(int32(-1)))).toBeNull();
+  });
+});
+
+describe('DeviceStateMonitor', () => {
+  test('reads current state, then follows notifications', async () => {
+    const gattServer = createFakeGattServer({
+      [DEVICE_STATE_GATT.VOLUME_CONTROL]: [
+        { uuid: DEVICE_STATE_GATT.VOLUME_STATE, value: [128, 0, 1], properties: notify }
+      ],
+      [DEVICE_STATE_GATT.MEDIA_CONTROL]: [
+        { uuid: DEVICE_STATE_GATT.TRACK_TITLE, value: text('Nature Documentary'), properties: notify },
+        { uuid: DEVICE_STATE_GATT.MEDIA_STATE, value: [1], properties: notify }
+      ]
+    });
+    const changes = [];
+    const monitor = new DeviceStateMonitor(fields => changes.push(fields));
+
+    await expect(monitor.bind(gattServer)).resolves.toBe(true);
+    expect(changes).toEqual([
+      { volume: 50, muted: false },
+      { nowPlaying: { title: 'Nature Documentary' } },
+      { nowPlaying: { title: 'Nature Documentary', state: MEDIA_STATES.PLAYING } }
+    ]);
+
+    const [volumeState] = gattServer.services.get(String(DEVICE_STATE_GATT.VOLUME_CONTROL)).characteristics;
+    volumeState.emitValue([0, 1, 2]);
+    expect(changes.at(-1)).toEqual({ volume: 0, muted: true });
+
+    monitor.release();
+    volumeState.emitValue([255, 0, 3]);
+    expect(changes.at(-1)).toEqual({ volume: 0, muted: true });
+  });
+
+  test('devices without state services report nothing', async () => {
+    const monitor = new DeviceStateMonitor(jest.fn());
+
+    await expect(monitor.bind(createFakeGattServer())).resolves.toBe(false);
+    expect(monitor.onChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('device state in deviceStatus', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.restoreAllMocks();
+  });
+
+  test('sessions store reported volume and vendor power reports for their device', async () => {
+    const codec = protocolRegistry.get(PROTOCOL_CODECS.VENDOR_FRAME);
+    const gattServer = createFakeGattServer({
+      [DEVICE_STATE_GATT.VOLUME_CONTROL]: [
+        { uuid: DEVICE_STATE_GATT.VOLUME_STATE, value: [51, 0, 0], properties: notify }
+      ],
+      [codec.service]: [
+        { uuid: codec.characteristic },
+        { uuid: codec.notifyCharacteristic, properties: { notify: true } }
+      ]
+    });
+    bluetoothManager.device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    await bluetoothManager.connect({ codec: PROTOCOL_CODECS.VENDOR_FRAME });
+
+    const [, reports] = gattServer.services.get(codec.service).characteristics;
+    const frame = [codec.sync, 0x03, 0xF1, 0x01, 0x02];
+    reports.emitValue([...frame, frame.reduce((acc, byte) => acc ^ byte, 0)]);
+
+    expect(stateManager.getDeviceStatus('tv-1')).toMatchObject({ volume: 20, muted: false, power: POWER_STATES.STANDBY });
+  });
+});
@@ -0,0 +1,255 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { deviceDiscovery, rssiToSignal, filterDiscoveredDevices } from '../discovery.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { CONNECTION_STATES, DEVICE_FILTER_OPTIONS, DISCOVERY_SETTINGS, PROTOCOL_CODECS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const originalBluetooth = navigator.bluetooth;
+
+const createFakeDevice = (id, name) => {
+  const target = new EventTarget();
+  return {
+    id,
+    name,
+    gatt: { connected: false },
+    watchAdvertisements: jest.fn().mockResolvedValue(undefined),
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target)
+  };
+};
+
+const advertise = (device, { rssi, uuids = [], name } = {}) => {
+  const event = new Event('advertisementreceived');
+  Object.assign(event, { device, rssi, uuids, name });
+  navigator.bluetooth.dispatchEvent(event);
+};
+
+const installBluetooth = (overrides = {}) => {
+  const target = new EventTarget();
+  const bluetooth = {
+    requestDevice: jest.fn(),
+    getDevices: jest.fn().mockResolvedValue([]),
+    requestLEScan: jest.fn().mockResolvedValue({ stop: jest.fn() }),
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target),
+    ...overrides
+  };
+  Object.defineProperty(navigator, 'bluetooth', { value: bluetooth, configurable: true });
+  return bluetooth;
+};
+
+describe('device discovery', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    deviceDiscovery.reset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    Object.defineProperty(navigator, 'bluetooth', { value: originalBluetooth, configurable: true });
+  });
+
+  test('maps RSSI onto a clamped signal percentage', () => {
+    expect(rssiToSignal(DISCOVERY_SETTINGS.RSSI_FLOOR)).toBe(0);
+    expect(rssiToSignal(DISCOVERY_SETTINGS.RSSI_CEILING)).toBe(100);
+    expect(rssiToSignal(-70)).toBe(50);
+    expect(rssiToSignal(-20)).toBe(100);
+    expect(rssiToSignal(undefined)).toBe(0);
+  });
+
+  test('lists permitted devices and watches their advertisements', async () => {
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    installBluetooth({ getDevices: jest.fn().mockResolvedValue([tv]) });
+
+    await deviceDiscovery.start();
+
+    expect(tv.watchAdvertisements).toHaveBeenCalledWith({ signal: expect.any(AbortSignal) });
+    expect(stateManager.getDiscoveredDevices()).toEqual([
+      expect.objectContaining({ id: 'tv-1', name: 'Living Room TV', permitted: true, inRange: false, lastSeen: null })
+    ]);
+    expect(stateManager.getState().isScanning).toBe(true);
+  });
+
+  test('advertisements update RSSI, last seen and service UUIDs', async () => {
+    installBluetooth();
+    await deviceDiscovery.start();
+
+    const soundbar = createFakeDevice('bar-1', 'Soundbar');
+    advertise(soundbar, { rssi: -55, uuids: ['0000180f-0000-1000-8000-00805f9b34fb'] });
+
+    const [entry] = stateManager.getDiscoveredDevices();
+    expect(entry).toEqual(expect.objectContaining({
+      id: 'bar-1',
+      name: 'Soundbar',
+      rssi: -55,
+      signal: 75,
+      uuids: ['0000180f-0000-1000-8000-00805f9b34fb'],
+      inRange: true,
+      permitted: false
+    }));
+    expect(entry.lastSeen).toEqual(expect.any(Number));
+  });
+
+  test('expires stale entries but keeps permitted devices as out of range', async () => {
+    jest.useFakeTimers();
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    installBluetooth({ getDevices: jest.fn().mockResolvedValue([tv]) });
+    await deviceDiscovery.start();
+
+    advertise(tv, { rssi: -50 });
+    advertise(createFakeDevice('stranger', 'Neighbour TV'), { rssi: -80 });
+    expect(stateManager.getDiscoveredDevices()).toHaveLength(2);
+
+    jest.advanceTimersByTime(DISCOVERY_SETTINGS.STALE_AFTER_MS + DISCOVERY_SETTINGS.EXPIRY_CHECK_INTERVAL_MS);
+
+    expect(stateManager.getDiscoveredDevices()).toEqual([
+      expect.objectContaining({ id: 'tv-1', inRange: false, rssi: null, signal: 0 })
+    ]);
+
+    // Nothing changes on later checks, so nothing is published
+    const publish = jest.spyOn(stateManager, 'setDiscoveredDevices');
+    jest.advanceTimersByTime(DISCOVERY_SETTINGS.EXPIRY_CHECK_INTERVAL_MS * 3);
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test('stop ends the LE scan and aborts advertisement watchers', async () => {
+    const scan = { stop: jest.fn() };
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    installBluetooth({
+      getDevices: jest.fn().mockResolvedValue([tv]),
+      requestLEScan: jest.fn().mockResolvedValue(scan)
+    });
+    await deviceDiscovery.start();
+    const { signal } = tv.watchAdvertisements.mock.calls[0][0];
+
+    deviceDiscovery.stop();
+
+    expect(scan.stop).toHaveBeenCalled();
+    expect(signal.aborted).toBe(true);
+    expect(stateManager.getState().isScanning).toBe(false);
+  });
+
+  test('stopping while it starts leaves no scan or expiry timer behind', async () => {
+    jest.useFakeTimers();
+    let listDevices;
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    const scan = { stop: jest.fn() };
+    const bluetooth = installBluetooth({
+      getDevices: jest.fn(() => new Promise(resolve => { listDevices = resolve; })),
+      requestLEScan: jest.fn().mockResolvedValue(scan)
+    });
+
+    const starting = deviceDiscovery.start();
+    deviceDiscovery.stop();
+    listDevices([tv]);
+
+    expect(await starting).toBe(false);
+    expect(bluetooth.requestLEScan).not.toHaveBeenCalled();
+    expect(tv.watchAdvertisements).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('falls back to the chooser when scanning is unavailable', async () => {
+    const bluetooth = installBluetooth({ getDevices: undefined, requestLEScan: undefined });
+    const chosen = createFakeDevice('picked', 'Picked TV');
+    bluetooth.requestDevice.mockResolvedValue(chosen);
+
+    expect(await bluetoothManager.scanForDevices()).toEqual([]);
+
+    const device = await bluetoothManager.requestDevice();
+    expect(device).toBe(chosen);
+    expect(bluetooth.requestDevice).toHaveBeenCalledWith(expect.objectContaining({
+      filters: [{ services: ['generic_access'] }]
+    }));
+  });
+
+  test('permitted devices connect without the chooser, others narrow it by name', async () => {
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    const bluetooth = installBluetooth({ getDevices: jest.fn().mockResolvedValue([tv]) });
+    await deviceDiscovery.start();
+    advertise(createFakeDevice('new-1', 'Bedroom TV'), { rssi: -60 });
+
+    expect(await bluetoothManager.requestDevice({ deviceId: 'tv-1' })).toBe(tv);
+    expect(bluetooth.requestDevice).not.toHaveBeenCalled();
+
+    bluetooth.requestDevice.mockResolvedValue(createFakeDevice('new-1', 'Bedroom TV'));
+    await bluetoothManager.requestDevice({ deviceId: 'new-1' });
+    expect(bluetooth.requestDevice).toHaveBeenCalledWith(expect.objectContaining({
+      filters: [{ name: 'Bedroom TV' }]
+    }));
+  });
+
+  test('filters discovered devices by connection status', () => {
+    const devices = [
+      { id: 'a', inRange: true },
+      { id: 'b', inRange: true },
+      { id: 'c', inRange: false }
+    ];
+    const paired = [{ id: 'a', connected: true }, { id: 'c', connected: false }];
+
+    expect(filterDiscoveredDevices(devices, DEVICE_FILTER_OPTIONS.ALL, paired)).toHaveLength(3);
+    expect(filterDiscoveredDevices(devices, DEVICE_FILTER_OPTIONS.CONNECTED, paired).map(d => d.id)).toEqual(['a']);
+    expect(filterDiscoveredDevices(devices, DEVICE_FILTER_OPTIONS.AVAILABLE, paired).map(d => d.id)).toEqual(['b']);
+  });
+});
+
+describe('restoring the last active device', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stateManager.addPairedDevice({ id: 'tv-1', name: 'Living Room TV', codec: PROTOCOL_CODECS.TEXT });
+    stateManager.setActiveDevice('tv-1');
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    Object.defineProperty(navigator, 'bluetooth', { value: originalBluetooth, configurable: true });
+  });
+
+  test('shows reconnecting until the device advertises, then connects', async () => {
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    tv.gatt = createFakeGattServer({ generic_access: [{ uuid: 'device_name' }] });
+    tv.gatt.connected = false;
+    installBluetooth({ getDevices: jest.fn().mockResolvedValue([tv]) });
+
+    const restoring = bluetoothManager.restoreDevice('tv-1');
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.RECONNECTING);
+    expect(tv.gatt.connect).not.toHaveBeenCalled();
+
+    tv.dispatchEvent(new Event('advertisementreceived'));
+
+    await expect(restoring).resolves.toBe(true);
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.CONNECTED);
+    expect(tv.watchAdvertisements.mock.calls[0][0].signal.aborted).toBe(true);
+  });
+
+  test('gives up when the device stays out of range', async () => {
+    jest.useFakeTimers();
+    const tv = createFakeDevice('tv-1', 'Living Room TV');
+    installBluetooth({ getDevices: jest.fn().mockResolvedValue([tv]) });
+
+    const restoring = bluetoothManager.restoreDevice('tv-1', { timeout: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(restoring).resolves.toBe(false);
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.DISCONNECTED);
+  });
+
+  test('returns false when the device is no longer permitted', async () => {
+    installBluetooth({ getDevices: jest.fn().mockResolvedValue([]) });
+
+    await expect(bluetoothManager.restoreDevice('tv-1')).resolves.toBe(false);
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.DISCONNECTED);
+  });
+});
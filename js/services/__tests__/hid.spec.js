@@ -0,0 +1,192 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import { parseReportMap, discoverHidProfile, HID_GATT, HID_REPORT_TYPES, HID_MOUSE_BUTTONS } from '../hid.js';
+import { HidCodec } from '../protocol.js';
+import { REMOTE_COMMANDS, KEYBOARD_LAYOUTS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+// Consumer Control collection, report ID 1: one 16-bit usage
+const CONSUMER_DESCRIPTOR = [
+  0x05, 0x0C, 0x09, 0x01, 0xA1, 0x01, 0x85, 0x01,
+  0x15, 0x00, 0x26, 0xFF, 0x03, 0x19, 0x00, 0x2A, 0xFF, 0x03,
+  0x75, 0x10, 0x95, 0x01, 0x81, 0x00, 0xC0
+];
+
+// Boot keyboard collection, report ID 2: modifiers, reserved byte, six keys, LED output
+const KEYBOARD_DESCRIPTOR = [
+  0x05, 0x01, 0x09, 0x06, 0xA1, 0x01, 0x85, 0x02,
+  0x05, 0x07, 0x19, 0xE0, 0x29, 0xE7, 0x15, 0x00, 0x25, 0x01, 0x75, 0x01, 0x95, 0x08, 0x81, 0x02,
+  0x95, 0x01, 0x75, 0x08, 0x81, 0x01,
+  0x95, 0x05, 0x75, 0x01, 0x05, 0x08, 0x19, 0x01, 0x29, 0x05, 0x91, 0x02,
+  0x95, 0x01, 0x75, 0x03, 0x91, 0x01,
+  0x95, 0x06, 0x75, 0x08, 0x15, 0x00, 0x25, 0x65, 0x05, 0x07, 0x19, 0x00, 0x29, 0x65, 0x81, 0x00,
+  0xC0
+];
+
+// Mouse collection, report ID 3: three buttons, then relative X, Y and wheel
+const MOUSE_DESCRIPTOR = [
+  0x05, 0x01, 0x09, 0x02, 0xA1, 0x01, 0x85, 0x03,
+  0x05, 0x09, 0x19, 0x01, 0x29, 0x03, 0x15, 0x00, 0x25, 0x01, 0x95, 0x03, 0x75, 0x01, 0x81, 0x02,
+  0x95, 0x01, 0x75, 0x05, 0x81, 0x01,
+  0x05, 0x01, 0x09, 0x30, 0x09, 0x31, 0x09, 0x38, 0x15, 0x81, 0x25, 0x7F, 0x75, 0x08, 0x95, 0x03, 0x81, 0x06,
+  0xC0
+];
+
+const reportSpec = (id, type, properties = {}) => ({
+  uuid: HID_GATT.REPORT,
+  properties: { write: true, notify: true, ...properties },
+  descriptors: { [HID_GATT.REPORT_REFERENCE]: [id, type] }
+});
+
+const createHidServer = (reportMap, reports) => createFakeGattServer({
+  [HID_GATT.SERVICE]: [
+    { uuid: HID_GATT.REPORT_MAP, value: reportMap },
+    ...reports
+  ]
+});
+
+const reportsOf = (server) => server.services.get(HID_GATT.SERVICE).characteristics
+  .filter(c => c.uuid === HID_GATT.REPORT);
+
+describe('HID report map parsing', () => {
+  test('finds consumer control and keyboard collections with their report IDs', () => {
+    const collections = parseReportMap([...CONSUMER_DESCRIPTOR, ...KEYBOARD_DESCRIPTOR]);
+
+    expect(collections).toEqual([
+      { usagePage: 0x0C, usage: 0x01, reports: [{ id: 1, type: HID_REPORT_TYPES.INPUT }] },
+      {
+        usagePage: 0x01,
+        usage: 0x06,
+        reports: [
+          { id: 2, type: HID_REPORT_TYPES.INPUT },
+          { id: 2, type: HID_REPORT_TYPES.OUTPUT }
+        ]
+      }
+    ]);
+  });
+
+  test('ignores items outside application collections', () => {
+    expect(parseReportMap([0x05, 0x01, 0x85, 0x03, 0x81, 0x00])).toEqual([]);
+  });
+});
+
+describe('HID over GATT profile', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('maps report characteristics through their report reference descriptors', async () => {
+    const server = createHidServer(
+      [...CONSUMER_DESCRIPTOR, ...KEYBOARD_DESCRIPTOR],
+      [reportSpec(2, 1), reportSpec(2, 2), reportSpec(1, 1)]
+    );
+    const [keyboardInput, , consumerInput] = reportsOf(server);
+
+    const profile = await discoverHidProfile(server);
+
+    expect(profile.consumer).toBe(consumerInput);
+    expect(profile.keyboard).toBe(keyboardInput);
+  });
+
+  test('never picks the keyboard LED output report, whatever the order', async () => {
+    const server = createHidServer(KEYBOARD_DESCRIPTOR, [reportSpec(2, 2), reportSpec(2, 1)]);
+    const [, keyboardInput] = reportsOf(server);
+
+    const profile = await discoverHidProfile(server);
+
+    expect(profile.keyboard).toBe(keyboardInput);
+  });
+
+  test('prefers writable report characteristics', async () => {
+    const server = createHidServer(CONSUMER_DESCRIPTOR, [
+      reportSpec(1, 1, { write: false }),
+      reportSpec(1, 1, { write: false, writeWithoutResponse: true })
+    ]);
+
+    const profile = await discoverHidProfile(server);
+
+    expect(profile.consumer).toBe(reportsOf(server)[1]);
+    expect(profile.keyboard).toBeNull();
+  });
+
+  test('codec sends D-pad as keyboard reports and media keys as consumer reports', async () => {
+    const server = createHidServer(
+      [...CONSUMER_DESCRIPTOR, ...KEYBOARD_DESCRIPTOR],
+      [reportSpec(1, 1), reportSpec(2, 1)]
+    );
+    const codec = new HidCodec();
+    const channels = await codec.bind(server);
+
+    const up = codec.encode(REMOTE_COMMANDS.UP, { channels });
+    expect(up.map(f => f.channel)).toEqual(['keyboard', 'keyboard']);
+    expect(up.map(f => Array.from(f.value))).toEqual([
+      [0x00, 0x00, 0x52, 0x00, 0x00, 0x00, 0x00, 0x00],
+      [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+    ]);
+
+    const volume = codec.encode(REMOTE_COMMANDS.VOLUME_UP, { channels });
+    expect(volume.map(f => f.channel)).toEqual(['consumer', 'consumer']);
+    expect(volume.map(f => Array.from(f.value))).toEqual([[0xE9, 0x00], [0x00, 0x00]]);
+
+    const home = codec.encode(REMOTE_COMMANDS.HOME, { channels });
+    expect(Array.from(home[0].value)).toEqual([0x23, 0x02]);
+  });
+
+  test('codec falls back to consumer menu usages without a keyboard report', async () => {
+    const server = createHidServer(CONSUMER_DESCRIPTOR, [reportSpec(1, 1)]);
+    const codec = new HidCodec();
+    const channels = await codec.bind(server);
+
+    const frames = codec.encode(REMOTE_COMMANDS.RIGHT, { channels });
+    expect(frames.map(f => f.channel)).toEqual(['consumer', 'consumer']);
+    expect(Array.from(frames[0].value)).toEqual([0x45, 0x00]);
+  });
+
+  test('codec sends pointer input as mouse reports, splitting large deltas', async () => {
+    const server = createHidServer(
+      [...CONSUMER_DESCRIPTOR, ...MOUSE_DESCRIPTOR],
+      [reportSpec(1, 1), reportSpec(3, 1)]
+    );
+    const codec = new HidCodec();
+    const channels = await codec.bind(server);
+
+    expect(channels.mouse).toBe(reportsOf(server)[1]);
+    expect(codec.supportsPointer(channels)).toBe(true);
+
+    const frames = codec.encodePointer({ dx: 200, dy: -10, buttons: HID_MOUSE_BUTTONS.PRIMARY }, { channels });
+    expect(frames.map(f => f.channel)).toEqual(['mouse', 'mouse']);
+    expect(frames.map(f => Array.from(f.value))).toEqual([
+      [0x01, 100, 0xFB, 0x00],
+      [0x01, 100, 0xFB, 0x00]
+    ]);
+  });
+
+  test('codec types text as keyboard reports for the TV layout', async () => {
+    const server = createHidServer(KEYBOARD_DESCRIPTOR, [reportSpec(2, 1)]);
+    const codec = new HidCodec();
+    const channels = await codec.bind(server);
+
+    const { groups, unsupported } = codec.encodeText('Zä\b', { channels, layout: KEYBOARD_LAYOUTS.DE });
+    expect(groups.map(frames => Array.from(frames[0].value))).toEqual([
+      [0x02, 0x00, 0x1C, 0x00, 0x00, 0x00, 0x00, 0x00],
+      [0x00, 0x00, 0x34, 0x00, 0x00, 0x00, 0x00, 0x00],
+      [0x00, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x00, 0x00]
+    ]);
+    expect(groups.every(frames => frames[1].value.every(byte => byte === 0))).toBe(true);
+    expect(unsupported).toEqual([]);
+  });
+
+  test('codec without a mouse report does not support pointer input', async () => {
+    const server = createHidServer(CONSUMER_DESCRIPTOR, [reportSpec(1, 1)]);
+    const codec = new HidCodec();
+    const channels = await codec.bind(server);
+
+    expect(codec.supportsPointer(channels)).toBe(false);
+  });
+
+  test('binding fails when the report map has no usable collection', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const server = createHidServer(CONSUMER_DESCRIPTOR, [reportSpec(7, 1)]);
+
+    await expect(new HidCodec().bind(server)).rejects.toThrow('no consumer control, keyboard or mouse report');
+  });
+});
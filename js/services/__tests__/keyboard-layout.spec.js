@@ -0,0 +1,33 @@
+import { describe, expect, test } from '@jest/globals';
+import { mapTextToKeystrokes, getKeyboardLayout, KEY_MODIFIERS } from '../keyboard-layout.js';
+import { KEYBOARD_LAYOUTS } from '../../core/constants.js';
+
+describe('keyboard layouts', () => {
+  test('maps shifted characters to their key on the chosen layout', () => {
+    expect(getKeyboardLayout(KEYBOARD_LAYOUTS.US).get('@')).toEqual({ usage: 0x1F, modifiers: KEY_MODIFIERS.SHIFT });
+    expect(getKeyboardLayout(KEYBOARD_LAYOUTS.UK).get('@')).toEqual({ usage: 0x34, modifiers: KEY_MODIFIERS.SHIFT });
+    expect(getKeyboardLayout(KEYBOARD_LAYOUTS.DE).get('@')).toEqual({ usage: 0x14, modifiers: KEY_MODIFIERS.ALT_GR });
+  });
+
+  test('unknown layouts fall back to US', () => {
+    expect(getKeyboardLayout('xx')).toBe(getKeyboardLayout(KEYBOARD_LAYOUTS.US));
+  });
+
+  test('types accented characters the layout has and reports the rest once', () => {
+    const { keystrokes, unsupported } = mapTextToKeystrokes('Grüße, café!é', KEYBOARD_LAYOUTS.DE);
+
+    expect(keystrokes).toHaveLength(11);
+    expect(keystrokes[2]).toEqual({ usage: 0x2F, modifiers: KEY_MODIFIERS.NONE });
+    expect(unsupported).toEqual(['é']);
+  });
+
+  test('composes combining accents and collapses CRLF into one Enter', () => {
+    const { keystrokes, unsupported } = mapTextToKeystrokes('ü\r\n', KEYBOARD_LAYOUTS.DE);
+
+    expect(keystrokes).toEqual([
+      { usage: 0x2F, modifiers: KEY_MODIFIERS.NONE },
+      { usage: 0x28, modifiers: KEY_MODIFIERS.NONE }
+    ]);
+    expect(unsupported).toEqual([]);
+  });
+});
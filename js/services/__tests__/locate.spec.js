@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ProximityTracker, LOCATE_GATT, ALERT_LEVELS, deviceLocator } from '../locate.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { protocolRegistry } from '../protocol.js';
+import { resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, LOCATE_METHODS, PROTOCOL_CODECS, PROXIMITY_TRENDS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+describe('ProximityTracker', () => {
+  test('reports warmer and colder once the smoothed signal moves past the threshold', () => {
+    const tracker = new ProximityTracker({ smoothing: 0.5, threshold: 3 });
+
+    expect(tracker.add(-80)).toEqual({ rssi: -80, signal: 33, trend: PROXIMITY_TRENDS.STEADY });
+    expect(tracker.add(-78).trend).toBe(PROXIMITY_TRENDS.STEADY); // -79
+    expect(tracker.add(-70)).toMatchObject({ rssi: -74, trend: PROXIMITY_TRENDS.WARMER });
+    expect(tracker.add(-75).trend).toBe(PROXIMITY_TRENDS.WARMER);
+    expect(tracker.add(-90)).toMatchObject({ rssi: -82, trend: PROXIMITY_TRENDS.COLDER });
+  });
+});
+
+describe('locating a device', () => {
+  let device;
+  let listeners;
+
+  const connect = async (services, codec) => {
+    listeners = new Set();
+    device = {
+      id: 'tv-1',
+      name: 'TV',
+      gatt: createFakeGattServer(services),
+      addEventListener: jest.fn((event, listener) => {
+        if (event === 'advertisementreceived') listeners.add(listener);
+      }),
+      removeEventListener: jest.fn((event, listener) => listeners.delete(listener)),
+      watchAdvertisements: jest.fn(async () => {})
+    };
+    bluetoothManager.useDevice(device);
+    await bluetoothManager.connect({ codec });
+    return bluetoothManager.getSession('tv-1');
+  };
+
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await deviceLocator.stop();
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.restoreAllMocks();
+  });
+
+  test('sounds the Immediate Alert and silences it when stopped', async () => {
+    const session = await connect({
+      generic_access: [{ uuid: 'device_name' }],
+      [LOCATE_GATT.IMMEDIATE_ALERT]: [{ uuid: LOCATE_GATT.ALERT_LEVEL, properties: { writeWithoutResponse: true } }]
+    }, PROTOCOL_CODECS.TEXT);
+    const [alertLevel] = device.gatt.services.get(String(LOCATE_GATT.IMMEDIATE_ALERT)).characteristics;
+    const onProximity = jest.fn();
+
+    expect(await deviceLocator.start(session, { onProximity })).toBe(true);
+    expect(await deviceLocator.alert()).toBe(LOCATE_METHODS.IMMEDIATE_ALERT);
+    listeners.forEach(listener => listener({ rssi: -60 }));
+    expect(onProximity).toHaveBeenCalledWith({ rssi: -60, signal: 67, trend: PROXIMITY_TRENDS.STEADY });
+
+    await deviceLocator.stop();
+    expect(alertLevel.writeValueWithoutResponse.mock.calls.map(([value]) => value[0])).toEqual([ALERT_LEVELS.HIGH, ALERT_LEVELS.NONE]);
+    expect(listeners.size).toBe(0);
+  });
+
+  test('falls back to the protocol locate command', async () => {
+    const codec = protocolRegistry.get(PROTOCOL_CODECS.VENDOR_FRAME);
+    const session = await connect({ [codec.service]: [{ uuid: codec.characteristic }] }, PROTOCOL_CODECS.VENDOR_FRAME);
+    const [command] = device.gatt.services.get(codec.service).characteristics;
+
+    expect(await session.locate()).toBe(LOCATE_METHODS.PROTOCOL);
+    expect(Array.from(command.writeValue.mock.calls[0][0])).toEqual(Array.from(codec.encodeLocate(true)[0].value));
+  });
+
+  test('explains when the device has no way to sound an alert', async () => {
+    const session = await connect({ human_interface_device: [{ uuid: 'report' }] }, PROTOCOL_CODECS.HID_CONSUMER);
+
+    await expect(session.locate()).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.LOCATE_UNSUPPORTED });
+  });
+});
@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { macroManager, stepsFromHistory, validateMacro, getMacroDuration } from '../macros.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { PROTOCOL_CODECS, REMOTE_COMMANDS, COMMAND_STATUS, MACRO_SETTINGS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const connect = async () => {
+  const gattServer = createFakeGattServer({ generic_access: [{ uuid: 'device_name' }] });
+  bluetoothManager.device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  await bluetoothManager.connect({ codec: PROTOCOL_CODECS.TEXT });
+  return gattServer;
+};
+
+const sentCommands = (gattServer) => gattServer.services.get('generic_access').characteristics[0].writeValue.mock.calls
+  .map(([value]) => new TextDecoder().decode(value));
+
+const openApp = {
+  name: 'Open app',
+  steps: [
+    { command: REMOTE_COMMANDS.HOME, delay: 1000 },
+    { command: REMOTE_COMMANDS.RIGHT, delay: 200 },
+    { command: REMOTE_COMMANDS.OK, delay: 0 }
+  ]
+};
+
+describe('stepsFromHistory', () => {
+  test('keeps the gap before the next press, rounded and capped', () => {
+    const entries = [
+      { command: 'power-on', timestamp: 0, status: COMMAND_STATUS.ACKNOWLEDGED },
+      { command: 'home', timestamp: 8040, status: COMMAND_STATUS.SENT },
+      { command: 'right', timestamp: 8040 + MACRO_SETTINGS.MAX_DELAY_MS * 2, status: COMMAND_STATUS.QUEUED },
+      { command: 'ok', timestamp: 9e9, status: COMMAND_STATUS.DROPPED },
+      { command: 'ok', timestamp: 9e9, status: COMMAND_STATUS.FAILED }
+    ];
+
+    expect(stepsFromHistory(entries)).toEqual([
+      { command: 'power-on', delay: 8000 },
+      { command: 'home', delay: MACRO_SETTINGS.MAX_DELAY_MS },
+      { command: 'right', delay: 0 }
+    ]);
+  });
+});
+
+describe('validateMacro', () => {
+  test('reports the first problem', () => {
+    expect(validateMacro(openApp)).toBeNull();
+    expect(validateMacro({ ...openApp, name: '  ' })).toBe('Give the macro a name.');
+    expect(validateMacro({ ...openApp, steps: [] })).toBe('Add at least one step.');
+    expect(validateMacro({ ...openApp, steps: [{ command: 'jump', delay: 0 }] })).toBe('Step 1 has an unknown command "jump".');
+    expect(validateMacro({ ...openApp, steps: [{ command: 'ok', delay: -1 }] })).toMatch(/^Step 1 must wait/);
+    expect(getMacroDuration(openApp)).toBe(1200);
+  });
+});
+
+describe('macroManager', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    macroManager.abort();
+    macroManager.stopRecording();
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('records the presses sent between start and stop', () => {
+    jest.useFakeTimers();
+    stateManager.recordCommand('menu'); // Before recording
+
+    macroManager.startRecording('tv-1');
+    stateManager.recordCommand('home');
+    jest.advanceTimersByTime(1500);
+    stateManager.recordCommand('ok');
+
+    expect(macroManager.stopRecording()).toEqual({
+      deviceId: 'tv-1',
+      steps: [{ command: 'home', delay: 1500 }, { command: 'ok', delay: 0 }]
+    });
+    expect(macroManager.isRecording).toBe(false);
+  });
+
+  test('saves macros on the paired device and deletes them', async () => {
+    await connect();
+
+    expect(() => macroManager.saveMacro('tv-1', { ...openApp, name: '' })).toThrow('Give the macro a name.');
+    const saved = macroManager.saveMacro('tv-1', openApp);
+    macroManager.saveMacro('tv-1', { ...saved, name: 'Open Netflix' });
+
+    expect(macroManager.getMacros('tv-1')).toEqual([{ ...saved, name: 'Open Netflix' }]);
+    expect(stateManager.getPairedDevices()[0].macros).toHaveLength(1);
+    expect(macroManager.getMacros('other-tv')).toEqual([]);
+
+    macroManager.deleteMacro('tv-1', saved.id);
+    expect(macroManager.getMacros('tv-1')).toEqual([]);
+  });
+
+  test('plays steps with their own delays and reports progress', async () => {
+    const gattServer = await connect();
+    jest.useFakeTimers();
+    const onProgress = jest.fn();
+
+    const playing = macroManager.play(openApp, { onProgress });
+    await jest.advanceTimersByTimeAsync(500);
+    expect(sentCommands(gattServer)).toEqual(['home']);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(playing).resolves.toEqual({ completed: 3, total: 3, cancelled: false });
+    expect(sentCommands(gattServer)).toEqual(['home', 'right', 'ok']);
+    expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+
+  test('pause holds the next step and abort stops a paused macro', async () => {
+    const gattServer = await connect();
+    jest.useFakeTimers();
+
+    const playing = macroManager.play(openApp);
+    await jest.advanceTimersByTimeAsync(0);
+    macroManager.pause();
+    expect(macroManager.getPlayback()).toMatchObject({ deviceId: 'tv-1', paused: true });
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(sentCommands(gattServer)).toEqual(['home']);
+
+    macroManager.resume();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sentCommands(gattServer)).toEqual(['home', 'right']);
+
+    macroManager.pause();
+    macroManager.abort();
+    await expect(playing).resolves.toEqual({ completed: 2, total: 3, cancelled: true });
+    expect(macroManager.isPlaying).toBe(false);
+  });
+});
@@ -0,0 +1,212 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { OperationQueue } from '../operation-queue.js';
+import { BluetoothError } from '../errors.js';
+import { DeviceSession } from '../session.js';
+import { resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, OPERATION_PRIORITIES } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('OperationQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new OperationQueue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs operations one at a time in FIFO order', async () => {
+    const order = [];
+    const first = deferred();
+
+    const a = queue.enqueue('a', async () => {
+      order.push('a:start');
+      await first.promise;
+      order.push('a:end');
+    });
+    const b = queue.enqueue('b', async () => {
+      order.push('b');
+    });
+
+    await Promise.resolve();
+    expect(queue.isBusy()).toBe(true);
+    expect(queue.size).toBe(2);
+
+    first.resolve();
+    await Promise.all([a, b]);
+
+    expect(order).toEqual(['a:start', 'a:end', 'b']);
+    expect(queue.size).toBe(0);
+  });
+
+  test('higher priority operations jump ahead of queued work', async () => {
+    const order = [];
+    const blocker = deferred();
+
+    const running = queue.enqueue('running', () => blocker.promise);
+    const low = queue.enqueue('battery', async () => order.push('battery'), { priority: OPERATION_PRIORITIES.LOW });
+    const normal = queue.enqueue('write', async () => order.push('write'));
+    const high = queue.enqueue('disconnect', async () => order.push('disconnect'), { priority: OPERATION_PRIORITIES.HIGH });
+
+    blocker.resolve();
+    await Promise.all([running, low, normal, high]);
+
+    expect(order).toEqual(['disconnect', 'write', 'battery']);
+  });
+
+  test('times out slow operations but runs the next one only once the task has finished', async () => {
+    jest.useFakeTimers();
+    const order = [];
+
+    const slow = queue.enqueue('connect', () => new Promise(resolve => setTimeout(() => {
+      order.push('connect:end');
+      resolve();
+    }, 1500)), { timeout: 1000 });
+    const next = queue.enqueue('write', async () => {
+      order.push('write');
+      return 'written';
+    });
+
+    const timedOut = expect(slow).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.TIMEOUT });
+    await jest.advanceTimersByTimeAsync(1000);
+    await timedOut;
+    expect(order).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    await expect(next).resolves.toBe('written');
+    expect(order).toEqual(['connect:end', 'write']);
+  });
+
+  test('aborting the caller signal cancels a queued operation', async () => {
+    const blocker = deferred();
+    const controller = new AbortController();
+    const task = jest.fn();
+
+    const running = queue.enqueue('running', () => blocker.promise);
+    const cancelled = queue.enqueue('write', task, { signal: controller.signal });
+
+    controller.abort();
+    blocker.resolve();
+
+    await running;
+    await expect(cancelled).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.CANCELLED });
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  test('stops listening to the caller signal once the operation settles', async () => {
+    const controller = new AbortController();
+    const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await queue.enqueue('write', async () => 'written', { signal: controller.signal });
+
+    expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+
+  test('cancel() rejects matching operations, including the running one', async () => {
+    let runningSignal;
+    const running = queue.enqueue('write:up', ({ signal }) => {
+      runningSignal = signal;
+      return new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    }, { group: 'command' });
+    const queued = queue.enqueue('write:down', async () => {}, { group: 'command' });
+    const other = queue.enqueue('readBattery', async () => 80);
+
+    await Promise.resolve();
+    expect(queue.cancel(op => op.group === 'command', 'Cancelled by test')).toBe(2);
+
+    await expect(running).rejects.toThrow('Cancelled by test');
+    await expect(queued).rejects.toBeInstanceOf(BluetoothError);
+    await expect(other).resolves.toBe(80);
+    expect(runningSignal.aborted).toBe(true);
+  });
+});
+
+describe('DeviceSession operation queue', () => {
+  let session;
+
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    session.close();
+    jest.restoreAllMocks();
+  });
+
+  const connectFakeDevice = () => {
+    const server = createFakeGattServer();
+    session = new DeviceSession({ id: 'tv-1', name: 'TV', gatt: server, addEventListener: jest.fn(), removeEventListener: jest.fn() });
+    session.gattServer = server;
+    session.codec = { id: 'text', label: 'Text', encode: command => [{ channel: 'default', value: new Uint8Array([command.length]) }] };
+    return server;
+  };
+
+  test('concurrent commands are serialized instead of rejected', async () => {
+    connectFakeDevice();
+    const write = deferred();
+    const writeValue = jest.fn()
+      .mockImplementationOnce(() => write.promise)
+      .mockResolvedValue(undefined);
+    session.channels = { default: { writeValue } };
+
+    const first = session.sendCommand('up');
+    const second = session.sendCommand('down');
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(writeValue).toHaveBeenCalledTimes(1);
+
+    write.resolve();
+    await expect(Promise.all([first, second])).resolves.toEqual([true, true]);
+    expect(writeValue).toHaveBeenCalledTimes(2);
+  });
+
+  test('disconnect cancels pending commands and runs next', async () => {
+    connectFakeDevice();
+    const write = deferred();
+    session.channels = { default: { writeValue: jest.fn(() => write.promise) } };
+
+    const inFlight = session.sendCommand('up');
+    const pending = session.sendCommand('down');
+
+    const disconnected = session.disconnect();
+    // The browser fails the write in flight; the disconnect waits for it instead of interleaving
+    await Promise.resolve();
+    expect(session.gattServer).not.toBeNull();
+    write.reject(new DOMException('GATT Server is disconnected.', 'NetworkError'));
+    await disconnected;
+
+    await expect(inFlight).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.CANCELLED });
+    await expect(pending).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.CANCELLED });
+    expect(session.gattServer).toBeNull();
+  });
+
+  test('write failures surface taxonomy codes', async () => {
+    connectFakeDevice();
+    const lost = Object.assign(new Error('GATT Server is disconnected'), { name: 'NetworkError' });
+    session.channels = { default: { writeValue: jest.fn().mockRejectedValue(lost) } };
+
+    await expect(session.sendCommand('up')).rejects.toMatchObject({
+      code: BLUETOOTH_ERRORS.NOT_CONNECTED,
+      message: 'Lost connection to device. Please reconnect.'
+    });
+
+    session.gattServer = null;
+    await expect(session.sendCommand('up')).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.NOT_CONNECTED });
+  });
+});
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { parsePairingInput, PAIRING_INPUTS } from '../pairing.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { protocolRegistry } from '../protocol.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, PROTOCOL_CODECS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+describe('parsePairingInput', () => {
+  test('reads pairing codes and service UUIDs', () => {
+    expect(parsePairingInput(' 123 456 ')).toEqual({ type: PAIRING_INPUTS.CODE, code: '123456' });
+    expect(parsePairingInput('0xFF00')).toEqual({ type: PAIRING_INPUTS.SERVICE, service: '0000ff00-0000-1000-8000-00805f9b34fb' });
+    expect(parsePairingInput('6E400001-B5A3-F393-E0A9-E50E24DCCA9E'))
+      .toEqual({ type: PAIRING_INPUTS.SERVICE, service: '6e400001-b5a3-f393-e0a9-e50e24dcca9e' });
+  });
+
+  test('explains what is wrong with anything else', () => {
+    expect(() => parsePairingInput('')).toThrow('Enter the pairing code shown on the TV');
+    expect(() => parsePairingInput('12')).toThrow('Pairing codes have 4 to 8 digits.');
+    expect(() => parsePairingInput('AA:BB:CC:DD:EE:FF')).toThrow('Browsers cannot connect to a Bluetooth address.');
+    expect(() => parsePairingInput('living room')).toThrow("That isn't a pairing code or a service UUID.");
+  });
+});
+
+describe('pairing handshake', () => {
+  const codec = protocolRegistry.get(PROTOCOL_CODECS.VENDOR_FRAME);
+  let command;
+  let notify;
+  let device;
+
+  const ackFrame = (result) => {
+    const bytes = [codec.sync, 0x03, 0xF0, codec.pairingAckKey(), result];
+    return [...bytes, bytes.reduce((acc, byte) => acc ^ byte, 0)];
+  };
+
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const gattServer = createFakeGattServer({
+      [codec.service]: [
+        { uuid: codec.characteristic },
+        { uuid: codec.notifyCharacteristic, properties: { notify: true } }
+      ]
+    });
+    [command, notify] = gattServer.services.get(codec.service).characteristics;
+    device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    jest.spyOn(bluetoothManager, 'requestDevice').mockImplementation(async () => bluetoothManager.useDevice(device));
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('stores the device once it accepts the code', async () => {
+    command.writeValue.mockImplementation(async () => notify.emitValue(ackFrame(0x00)));
+
+    await bluetoothManager.pairManually({ type: PAIRING_INPUTS.CODE, code: '1234' });
+
+    expect(bluetoothManager.requestDevice).toHaveBeenCalledWith({ filters: [{ services: [codec.service] }] });
+    expect(Array.from(command.writeValue.mock.calls[0][0])).toEqual(Array.from(codec.encodePairing('1234')[0].value));
+    expect(stateManager.getPairedDevices()).toMatchObject([{ id: 'tv-1', codec: PROTOCOL_CODECS.VENDOR_FRAME, connected: true }]);
+  });
+
+  test('a wrong or unanswered code disconnects without pairing', async () => {
+    command.writeValue.mockImplementation(async () => notify.emitValue(ackFrame(0x01)));
+    await expect(bluetoothManager.pairManually({ type: PAIRING_INPUTS.CODE, code: '0000' }))
+      .rejects.toMatchObject({ code: BLUETOOTH_ERRORS.PAIRING_REJECTED, message: expect.stringContaining('Wrong pairing code') });
+
+    jest.useFakeTimers();
+    command.writeValue.mockResolvedValue(undefined);
+    const unanswered = bluetoothManager.pairManually({ type: PAIRING_INPUTS.CODE, code: '1234' });
+    const assertion = expect(unanswered).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.TIMEOUT });
+    await jest.advanceTimersByTimeAsync(10000);
+    await assertion;
+
+    expect(stateManager.getPairedDevices()).toEqual([]);
+    expect(bluetoothManager.getSession('tv-1')).toBeNull();
+    const listeners = (method) => device[method].mock.calls.filter(([event]) => event === 'gattserverdisconnected').map(([, listener]) => listener);
+    expect(listeners('removeEventListener')).toEqual(expect.arrayContaining(listeners('addEventListener')));
+  });
+});
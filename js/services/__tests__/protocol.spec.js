@@ -0,0 +1,312 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import {
+  protocolRegistry,
+  CommandCodec,
+  TextCodec,
+  HidConsumerCodec,
+  VendorFrameCodec,
+  DEFAULT_CHANNEL,
+  chunkUtf8
+} from '../protocol.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, COMMAND_STATUS, PROTOCOL_CODECS, REMOTE_COMMANDS, TEXT_INPUT_SETTINGS, SHORTCUT_SETTINGS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const bytesOf = (frames) => frames.map(frame => Array.from(frame.value));
+
+const createCommandServer = (codec) => {
+  const gattServer = createFakeGattServer({ [codec.service]: [{ uuid: codec.characteristic }] });
+  const characteristic = gattServer.services.get(codec.service).characteristics[0];
+  return { gattServer, characteristic };
+};
+
+describe('protocol codecs', () => {
+  test('text codec writes the command name as UTF-8', () => {
+    const frames = new TextCodec().encode(REMOTE_COMMANDS.VOLUME_UP);
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].channel).toBe(DEFAULT_CHANNEL);
+    expect(bytesOf(frames)).toEqual([Array.from(new TextEncoder().encode('volume-up'))]);
+  });
+
+  test('HID consumer codec sends a little-endian usage press followed by release', () => {
+    const codec = new HidConsumerCodec();
+
+    expect(bytesOf(codec.encode(REMOTE_COMMANDS.VOLUME_UP))).toEqual([[0xE9, 0x00], [0x00, 0x00]]);
+    expect(bytesOf(codec.encode(REMOTE_COMMANDS.HOME))).toEqual([[0x23, 0x02], [0x00, 0x00]]);
+  });
+
+  test('HID consumer codec does not send the Power toggle for power on', () => {
+    const codec = new HidConsumerCodec();
+
+    expect(codec.supports(REMOTE_COMMANDS.POWER_OFF)).toBe(true);
+    expect(codec.supports(REMOTE_COMMANDS.POWER_ON)).toBe(false);
+  });
+
+  test('vendor frame codec adds length and XOR checksum', () => {
+    const codec = new VendorFrameCodec();
+
+    // 0xA5 ^ 0x01 ^ 0x20 = 0x84
+    expect(bytesOf(codec.encode(REMOTE_COMMANDS.VOLUME_UP))).toEqual([[0xA5, 0x01, 0x20, 0x84]]);
+  });
+
+  test('vendor frame codec decodes acknowledgement frames', () => {
+    const codec = new VendorFrameCodec();
+    const frame = (bytes) => {
+      const checksum = bytes.reduce((acc, byte) => acc ^ byte, 0);
+      return new DataView(Uint8Array.from([...bytes, checksum]).buffer);
+    };
+
+    expect(codec.decodeNotification(frame([0xA5, 0x04, 0xF0, 0x20, 0x00, 0x2A])))
+      .toEqual({ key: codec.ackKey(REMOTE_COMMANDS.VOLUME_UP), ok: true, result: 0x00, payload: [0x2A] });
+    expect(codec.decodeNotification(frame([0xA5, 0x03, 0xF0, 0x20, 0x03])).ok).toBe(false);
+    // Not an acknowledgement, or a corrupted one
+    expect(codec.decodeNotification(frame([0xA5, 0x01, 0x20]))).toBeNull();
+    expect(codec.decodeNotification(new DataView(Uint8Array.from([0xA5, 0x03, 0xF0, 0x20, 0x00, 0xFF]).buffer))).toBeNull();
+  });
+
+  test('text frames are chunked without splitting multi-byte characters', () => {
+    expect(chunkUtf8('abcdé', 5).map(chunk => new TextDecoder().decode(chunk))).toEqual(['abcd', 'é']);
+    expect(chunkUtf8('a\r\nb', 16).map(chunk => Array.from(chunk))).toEqual([[0x61, 0x0A, 0x62]]);
+
+    const text = new TextCodec().encodeText('hi');
+    expect(bytesOf(text.groups.flat())).toEqual([Array.from(new TextEncoder().encode('text:hi'))]);
+
+    // 0xA5 ^ 0x03 ^ 0x40 ^ 0x68 ^ 0x69 = 0xE7
+    const vendor = new VendorFrameCodec().encodeText('hi');
+    expect(bytesOf(vendor.groups.flat())).toEqual([[0xA5, 0x03, 0x40, 0x68, 0x69, 0xE7]]);
+    expect(new HidConsumerCodec().supportsText()).toBe(false);
+  });
+
+  test('launch frames carry the app id', () => {
+    expect(bytesOf(new TextCodec().encodeLaunch('netflix'))).toEqual([Array.from(new TextEncoder().encode('launch:netflix'))]);
+
+    // 0xA5 ^ 0x03 ^ 0x41 ^ 0x79 ^ 0x74 = 0xEA
+    const vendor = new VendorFrameCodec();
+    expect(bytesOf(vendor.encodeLaunch('yt'))).toEqual([[0xA5, 0x03, 0x41, 0x79, 0x74, 0xEA]]);
+    expect(() => vendor.encodeLaunch('x'.repeat(SHORTCUT_SETTINGS.MAX_APP_ID_BYTES + 1))).toThrow('must be 1-32 bytes');
+    expect(new HidConsumerCodec().supportsLaunch()).toBe(false);
+  });
+
+  test('codecs reject commands they cannot express', () => {
+    const codec = new HidConsumerCodec({ usages: {} });
+
+    expect(codec.supports(REMOTE_COMMANDS.UP)).toBe(false);
+    expect(() => codec.encode(REMOTE_COMMANDS.UP)).toThrow('not supported');
+  });
+
+  test('registry falls back to the default codec for unknown ids', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(protocolRegistry.get('does-not-exist').id).toBe(PROTOCOL_CODECS.TEXT);
+    expect(() => protocolRegistry.register({ id: 'plain-object' })).toThrow('CommandCodec');
+  });
+
+  test('registry collects services for all registered codecs', () => {
+    const services = protocolRegistry.getServices();
+
+    expect(services).toEqual(expect.arrayContaining(['generic_access', 'human_interface_device']));
+    expect(new Set(services).size).toBe(services.length);
+  });
+});
+
+describe('BluetoothManager command transmission', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  const connectWith = async (codecId) => {
+    const fake = createCommandServer(protocolRegistry.get(codecId));
+    bluetoothManager.device = {
+      id: 'tv-1',
+      name: 'Living Room TV',
+      gatt: fake.gattServer,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    };
+    await bluetoothManager.connect({ codec: codecId });
+    return fake;
+  };
+
+  test('sendCommand writes every encoded frame in order', async () => {
+    const { gattServer, characteristic } = await connectWith(PROTOCOL_CODECS.HID_CONSUMER);
+
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.PLAY_PAUSE);
+
+    expect(gattServer.getPrimaryService).toHaveBeenCalledWith('human_interface_device');
+    expect(characteristic.writeValue.mock.calls.map(([value]) => Array.from(value)))
+      .toEqual([[0xCD, 0x00], [0x00, 0x00]]);
+  });
+
+  test('connect stores the codec on the paired device', async () => {
+    await connectWith(PROTOCOL_CODECS.VENDOR_FRAME);
+
+    expect(stateManager.getActiveDevice().codec).toBe(PROTOCOL_CODECS.VENDOR_FRAME);
+    expect(bluetoothManager.getSession('tv-1').resolveCodec().id).toBe(PROTOCOL_CODECS.VENDOR_FRAME);
+  });
+
+  test('unsupported commands are not recorded or written', async () => {
+    const { characteristic } = await connectWith(PROTOCOL_CODECS.HID_CONSUMER);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    bluetoothManager.getSession().codec = new HidConsumerCodec({ usages: {} });
+
+    await expect(bluetoothManager.sendCommand(REMOTE_COMMANDS.UP)).rejects.toThrow('not supported');
+    expect(characteristic.writeValue).not.toHaveBeenCalled();
+    expect(stateManager.getState().commandQueue).toHaveLength(0);
+  });
+
+  test('sendText paces chunks and stops when cancelled', async () => {
+    jest.useFakeTimers();
+    const { characteristic } = await connectWith(PROTOCOL_CODECS.VENDOR_FRAME);
+    const controller = new AbortController();
+    const progress = jest.fn();
+
+    const typing = bluetoothManager.sendText('x'.repeat(40), { signal: controller.signal, onProgress: progress });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(characteristic.writeValue).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(TEXT_INPUT_SETTINGS.KEY_INTERVAL_MS);
+    expect(characteristic.writeValue).toHaveBeenCalledTimes(2);
+
+    controller.abort();
+    await expect(typing).resolves.toEqual({ sent: 2, total: 3, unsupported: [], cancelled: true });
+    expect(progress).toHaveBeenLastCalledWith(2, 3);
+    expect(stateManager.getState().commandQueue).toHaveLength(0);
+    jest.useRealTimers();
+  });
+
+  test('sendText rejects protocols without text input and over-long text', async () => {
+    await connectWith(PROTOCOL_CODECS.HID_CONSUMER);
+
+    await expect(bluetoothManager.sendText('hello')).rejects.toThrow('does not accept text input');
+    await expect(bluetoothManager.sendText('x'.repeat(TEXT_INPUT_SETTINGS.MAX_LENGTH + 1))).rejects.toThrow('too long');
+  });
+
+  test('launchApp writes a launch frame and rejects protocols that cannot open apps', async () => {
+    const { characteristic } = await connectWith(PROTOCOL_CODECS.VENDOR_FRAME);
+
+    await bluetoothManager.launchApp('yt');
+    expect(Array.from(characteristic.writeValue.mock.calls[0][0])).toEqual([0xA5, 0x03, 0x41, 0x79, 0x74, 0xEA]);
+    expect(stateManager.getState().commandQueue).toHaveLength(0);
+
+    await bluetoothManager.disconnectAll();
+    await connectWith(PROTOCOL_CODECS.HID_CONSUMER);
+    await expect(bluetoothManager.launchApp('netflix')).rejects.toThrow('cannot open apps');
+  });
+
+  test('custom codecs can be registered without changing sendCommand', async () => {
+    class ReverseCodec extends CommandCodec {
+      supports() { return true; }
+      encode(command) { return [this.frame([...new TextEncoder().encode(command)].reverse())]; }
+    }
+    protocolRegistry.register(new ReverseCodec({ id: 'reverse', service: 'generic_access', characteristic: 'device_name' }));
+
+    try {
+      const { characteristic } = await connectWith('reverse');
+      await bluetoothManager.sendCommand('ok');
+
+      expect(Array.from(characteristic.writeValue.mock.calls[0][0])).toEqual([0x6B, 0x6F]);
+    } finally {
+      protocolRegistry.unregister('reverse');
+    }
+  });
+});
+
+describe('acknowledged command delivery', () => {
+  const codec = protocolRegistry.get(PROTOCOL_CODECS.VENDOR_FRAME);
+  let command;
+  let notify;
+
+  const ackFrame = (key, result = 0x00) => {
+    const bytes = [codec.sync, 0x03, 0xF0, key, result];
+    return [...bytes, bytes.reduce((acc, byte) => acc ^ byte, 0)];
+  };
+
+  beforeEach(async () => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const gattServer = createFakeGattServer({
+      [codec.service]: [
+        { uuid: codec.characteristic },
+        { uuid: codec.notifyCharacteristic, properties: { notify: true } }
+      ]
+    });
+    [command, notify] = gattServer.services.get(codec.service).characteristics;
+    bluetoothManager.device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    await bluetoothManager.connect({ codec: PROTOCOL_CODECS.VENDOR_FRAME });
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('resolves once the device acknowledges and records the latency', async () => {
+    jest.useFakeTimers();
+    command.writeValue.mockImplementation(async () => {
+      setTimeout(() => notify.emitValue(ackFrame(codec.ackKey(REMOTE_COMMANDS.POWER_OFF))), 40);
+    });
+
+    const sent = bluetoothManager.sendCommand(REMOTE_COMMANDS.POWER_OFF);
+    await jest.advanceTimersByTimeAsync(40);
+
+    await expect(sent).resolves.toBe(true);
+    expect(notify.startNotifications).toHaveBeenCalled();
+    expect(stateManager.getState().lastCommand).toMatchObject({ status: COMMAND_STATUS.ACKNOWLEDGED, latency: 40 });
+    expect(stateManager.getDeviceStatus('tv-1').delivery).toEqual({ acknowledged: 1, failed: 0, lastLatency: 40, averageLatency: 40 });
+  });
+
+  test('surfaces rejections and missing acknowledgements as failures', async () => {
+    jest.useFakeTimers();
+    command.writeValue.mockImplementationOnce(async () => {
+      notify.emitValue(ackFrame(codec.ackKey(REMOTE_COMMANDS.HOME), 0x02));
+    });
+
+    await expect(bluetoothManager.sendCommand(REMOTE_COMMANDS.HOME))
+      .rejects.toMatchObject({ code: BLUETOOTH_ERRORS.COMMAND_REJECTED });
+
+    const unanswered = bluetoothManager.sendCommand(REMOTE_COMMANDS.POWER_ON);
+    const assertion = expect(unanswered).rejects.toMatchObject({ code: BLUETOOTH_ERRORS.ACK_TIMEOUT });
+    await jest.advanceTimersByTimeAsync(2000);
+    await assertion;
+
+    expect(stateManager.getState().commandQueue.map(e => e.status)).toEqual([COMMAND_STATUS.FAILED, COMMAND_STATUS.FAILED]);
+    expect(stateManager.getDeviceStatus('tv-1').delivery.failed).toBe(2);
+  });
+
+  test('losing the link mid-write leaves no unhandled rejection behind', async () => {
+    jest.useFakeTimers();
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    let finishWrite;
+    command.writeValue.mockImplementationOnce(() => new Promise(resolve => { finishWrite = resolve; }));
+
+    const sent = bluetoothManager.sendCommand(REMOTE_COMMANDS.HOME);
+    const assertion = expect(sent).rejects.toThrow();
+    await jest.advanceTimersByTimeAsync(0);
+    bluetoothManager.device.gatt.connected = false;
+    bluetoothManager.getSession('tv-1').onDisconnected();
+    // Give the rejected acknowledgement time to be reported while the write is still pending
+    await new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+    finishWrite();
+    await assertion;
+
+    process.off('unhandledRejection', unhandled);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, test } from '@jest/globals';
+import { encodeQr, getDataCodewords, qrToSvgPath, reedSolomonDivisor, reedSolomonRemainder } from '../qr-code.js';
+
+// Both copies of the 15 format bits, read back from the symbol
+const readFormatBits = ({ modules, size }) => {
+  const first = [];
+  const second = [];
+  for (let i = 0; i < 15; i++) {
+    if (i <= 5) first.push(modules[i][8]);
+    else if (i === 6) first.push(modules[7][8]);
+    else if (i === 7) first.push(modules[8][8]);
+    else if (i === 8) first.push(modules[8][7]);
+    else first.push(modules[8][14 - i]);
+    second.push(i < 8 ? modules[8][size - 1 - i] : modules[size - 15 + i][8]);
+  }
+  const toNumber = (bits) => bits.reduce((value, dark, i) => value | (dark ? 1 << i : 0), 0);
+  return [toNumber(first), toNumber(second)];
+};
+
+describe('capacity', () => {
+  test('matches the level M byte capacities of the standard', () => {
+    expect(getDataCodewords(1)).toBe(16);
+    expect(getDataCodewords(10)).toBe(216);
+    expect(getDataCodewords(40)).toBe(2334);
+  });
+
+  test('picks the smallest version that fits and rejects too much data', () => {
+    expect(encodeQr('HELLO WORLD')).toMatchObject({ version: 1, size: 21 });
+    expect(encodeQr('x'.repeat(84)).version).toBe(5);
+    expect(encodeQr('x'.repeat(85)).version).toBe(6);
+    expect(encodeQr('x'.repeat(2331)).version).toBe(40);
+    expect(() => encodeQr('x'.repeat(2332))).toThrow('Too much data for a QR code.');
+  });
+});
+
+describe('symbol', () => {
+  test('error correction leaves no remainder', () => {
+    const divisor = reedSolomonDivisor(10);
+    const data = Array.from(new TextEncoder().encode('tv-remote-device'));
+    const ecc = reedSolomonRemainder(data, divisor);
+
+    expect(reedSolomonRemainder([...data, ...ecc], divisor)).toEqual(new Array(10).fill(0));
+  });
+
+  test('draws finder, timing and format patterns', () => {
+    const qr = encodeQr('{"type":"tv-remote-device","v":1,"name":"Living Room TV"}');
+    const { modules, size } = qr;
+
+    // Finder pattern rings in three corners
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([x, y]) => {
+      expect(modules[y][x]).toBe(true);
+      expect(modules[y + 1][x + 1]).toBe(false);
+      expect(modules[y + 3][x + 3]).toBe(true);
+    });
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+
+    const [first, second] = readFormatBits(qr);
+    expect(first).toBe(second);
+    const data = (first ^ 0x5412) >>> 10;
+    expect(data >>> 3).toBe(0); // Level M
+    expect(data & 7).toBe(qr.mask);
+  });
+
+  test('outlines dark modules inside the quiet zone', () => {
+    const path = qrToSvgPath({ modules: [[true, false], [false, true]] }, 4);
+    expect(path).toBe('M4 4h1v1h-1zM5 5h1v1h-1z');
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, test } from '@jest/globals';
+import { getReconnectDelay, normalizeReconnectPolicy, isUnlimited } from '../reconnect.js';
+import { DEFAULT_RECONNECT_POLICY } from '../../core/constants.js';
+
+describe('reconnection policy', () => {
+  test('fills missing fields from the defaults and clamps bad values', () => {
+    expect(normalizeReconnectPolicy(undefined)).toEqual(DEFAULT_RECONNECT_POLICY);
+    expect(normalizeReconnectPolicy({ maxAttempts: -2, jitter: 4, baseDelay: 5000, maxDelay: 1000 })).toEqual(
+      expect.objectContaining({ maxAttempts: 0, jitter: 1, baseDelay: 5000, maxDelay: 5000 })
+    );
+    expect(isUnlimited(normalizeReconnectPolicy({ maxAttempts: 0 }))).toBe(true);
+  });
+
+  test('backs off exponentially up to the ceiling', () => {
+    const policy = normalizeReconnectPolicy({ baseDelay: 1000, maxDelay: 10000, jitter: 0 });
+
+    expect([1, 2, 3, 4, 5, 6].map(attempt => getReconnectDelay(attempt, policy)))
+      .toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+
+  test('jitter spreads the delay without exceeding the ceiling', () => {
+    const policy = normalizeReconnectPolicy({ baseDelay: 1000, maxDelay: 4000, jitter: 0.5 });
+
+    expect(getReconnectDelay(2, policy, () => 0)).toBe(1000);
+    expect(getReconnectDelay(2, policy, () => 1)).toBe(3000);
+    expect(getReconnectDelay(5, policy, () => 1)).toBe(4000);
+  });
+});
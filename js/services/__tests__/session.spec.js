@@ -0,0 +1,249 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, COMMAND_STATUS, CONNECTION_STATES, PROTOCOL_CODECS, RECONNECT_PHASES, REMOTE_COMMANDS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const createFakeDevice = (id, name, { battery = 80 } = {}) => {
+  const target = new EventTarget();
+  const gatt = createFakeGattServer({
+    generic_access: [{ uuid: 'device_name' }],
+    battery_service: [{ uuid: 'battery_level', value: [battery] }]
+  });
+  gatt.connected = false;
+  return {
+    id,
+    name,
+    gatt,
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target)
+  };
+};
+
+const writesTo = (device) => device.gatt.services.get('generic_access').characteristics.find(c => c.uuid === 'device_name').writeValue;
+
+describe('multi-device sessions', () => {
+  let tv;
+  let soundbar;
+
+  beforeEach(async () => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    tv = createFakeDevice('tv-1', 'Living Room TV', { battery: 64 });
+    soundbar = createFakeDevice('bar-1', 'Soundbar', { battery: 15 });
+    await bluetoothManager.connect({ device: tv, codec: PROTOCOL_CODECS.TEXT });
+    await bluetoothManager.connect({ device: soundbar, codec: PROTOCOL_CODECS.TEXT });
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a connected session per device', () => {
+    expect(bluetoothManager.getSessions().map(s => s.id)).toEqual(['tv-1', 'bar-1']);
+    expect(stateManager.getPairedDevices().map(d => d.connected)).toEqual([true, true]);
+    expect(stateManager.getState().activeDeviceId).toBe('bar-1');
+  });
+
+  test('sendCommand targets the active device unless a device id is given', async () => {
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.VOLUME_UP);
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.HOME, { deviceId: 'tv-1' });
+
+    expect(writesTo(soundbar)).toHaveBeenCalledTimes(1);
+    expect(writesTo(tv)).toHaveBeenCalledTimes(1);
+    expect(new TextDecoder().decode(writesTo(tv).mock.calls[0][0])).toBe('home');
+  });
+
+  test('sendCommand rejects devices without a session', async () => {
+    await expect(bluetoothManager.sendCommand(REMOTE_COMMANDS.OK, { deviceId: 'unknown' }))
+      .rejects.toMatchObject({ code: BLUETOOTH_ERRORS.NOT_CONNECTED });
+  });
+
+  test('switching the active device keeps both connected and follows its state', () => {
+    bluetoothManager.getSession('tv-1').setState(CONNECTION_STATES.CONNECTING);
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.CONNECTED);
+
+    bluetoothManager.setActiveDevice('tv-1');
+
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.CONNECTING);
+    expect(bluetoothManager.isConnected('bar-1')).toBe(true);
+  });
+
+  test('disconnecting the active device falls back to another connected one', async () => {
+    await bluetoothManager.disconnect('bar-1');
+
+    expect(bluetoothManager.getSession('bar-1')).toBeNull();
+    expect(soundbar.gatt.disconnect).toHaveBeenCalled();
+    expect(stateManager.getState().activeDeviceId).toBe('tv-1');
+    expect(stateManager.getPairedDevices().find(d => d.id === 'bar-1').connected).toBe(false);
+    expect(bluetoothManager.isConnected('tv-1')).toBe(true);
+  });
+
+  test('a failed connect leaves nothing behind that reconnects the device later', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const box = createFakeDevice('box-1', 'Streaming Box');
+    box.gatt.connect.mockRejectedValueOnce(Object.assign(new Error('unreachable'), { name: 'NetworkError' }));
+
+    await expect(bluetoothManager.connect({ device: box, codec: PROTOCOL_CODECS.TEXT })).rejects.toThrow();
+    await bluetoothManager.connect({ device: box, codec: PROTOCOL_CODECS.TEXT });
+    await bluetoothManager.disconnect('box-1');
+    box.dispatchEvent(new Event('gattserverdisconnected'));
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(box.gatt.connect).toHaveBeenCalledTimes(2);
+    expect(bluetoothManager.getSession('box-1')).toBeNull();
+    expect(stateManager.getState().reconnectStatus).toEqual({});
+  });
+
+  test('a failed connect to a device that is already connected keeps its session', async () => {
+    const session = bluetoothManager.getSession('tv-1');
+    jest.spyOn(session, 'connect').mockRejectedValueOnce(new Error('Connection failed'));
+
+    await expect(bluetoothManager.connect({ device: tv, codec: PROTOCOL_CODECS.TEXT })).rejects.toThrow('Connection failed');
+
+    expect(bluetoothManager.getSession('tv-1')).toBe(session);
+    expect(session.isConnected()).toBe(true);
+    await expect(bluetoothManager.sendCommand(REMOTE_COMMANDS.HOME, { deviceId: 'tv-1' })).resolves.toBe(true);
+  });
+
+  test('reconnect backoff is tracked per device', () => {
+    jest.useFakeTimers();
+    soundbar.gatt.connected = false;
+
+    soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+
+    expect(bluetoothManager.getSession('bar-1').reconnectAttempts).toBe(1);
+    expect(bluetoothManager.getSession('tv-1').reconnectAttempts).toBe(0);
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.RECONNECTING);
+    expect(stateManager.getState().reconnectStatus['bar-1']).toEqual(expect.objectContaining({
+      phase: RECONNECT_PHASES.SCHEDULED,
+      attempt: 1,
+      maxAttempts: 5
+    }));
+    expect(stateManager.getPairedDevices().find(d => d.id === 'tv-1').connected).toBe(true);
+  });
+
+  test('gives up after the policy attempts but keeps the device selected', async () => {
+    jest.useFakeTimers();
+    stateManager.updateUserSetting('reconnectPolicy', { maxAttempts: 2, baseDelay: 100, maxDelay: 1000, jitter: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    soundbar.gatt.connect.mockRejectedValue(Object.assign(new Error('unreachable'), { name: 'NetworkError' }));
+    soundbar.gatt.connected = false;
+
+    soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+    await jest.advanceTimersByTimeAsync(100 + 200);
+
+    expect(bluetoothManager.getSession('bar-1')).toBeNull();
+    expect(stateManager.getState().activeDeviceId).toBe('bar-1');
+    expect(stateManager.getConnectionState()).toBe(CONNECTION_STATES.DISCONNECTED);
+    expect(stateManager.getState().reconnectStatus).toEqual({});
+    expect(soundbar.gatt.connect).toHaveBeenCalledTimes(3); // initial connect + 2 retries
+  });
+
+  test('pauses while the page is hidden and retries once visible', async () => {
+    jest.useFakeTimers();
+    const hidden = jest.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+    soundbar.gatt.connected = false;
+
+    soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+    expect(stateManager.getState().reconnectStatus['bar-1'].phase).toBe(RECONNECT_PHASES.PAUSED);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(soundbar.gatt.connect).toHaveBeenCalledTimes(1);
+
+    hidden.mockReturnValue(false);
+    document.dispatchEvent(new Event('visibilitychange'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(soundbar.gatt.connect).toHaveBeenCalledTimes(2);
+    expect(bluetoothManager.isConnected('bar-1')).toBe(true);
+    expect(stateManager.getState().reconnectStatus).toEqual({});
+  });
+
+  test('cancelling a reconnect stops retries and keeps the device selected', async () => {
+    jest.useFakeTimers();
+    const progress = [];
+    const listener = (e) => progress.push(e.detail.phase);
+    window.addEventListener('bluetooth:reconnect', listener);
+    soundbar.gatt.connected = false;
+
+    try {
+      soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+      expect(bluetoothManager.cancelReconnect()).toBe(true);
+      await jest.advanceTimersByTimeAsync(60000);
+    } finally {
+      window.removeEventListener('bluetooth:reconnect', listener);
+    }
+
+    expect(progress).toEqual([RECONNECT_PHASES.SCHEDULED, RECONNECT_PHASES.CANCELLED]);
+    expect(soundbar.gatt.connect).toHaveBeenCalledTimes(1);
+    expect(stateManager.getState().activeDeviceId).toBe('bar-1');
+  });
+
+  test('buffers commands while reconnecting and replays them once connected', async () => {
+    jest.useFakeTimers();
+    soundbar.gatt.connected = false;
+    soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+
+    await expect(bluetoothManager.sendCommand(REMOTE_COMMANDS.VOLUME_UP)).resolves.toBe(false);
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.VOLUME_UP);
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.VOLUME_DOWN);
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.OK);
+
+    expect(writesTo(soundbar)).not.toHaveBeenCalled();
+    expect(stateManager.getState().commandQueue.map(e => e.status)).toEqual([
+      COMMAND_STATUS.QUEUED,
+      COMMAND_STATUS.DROPPED,
+      COMMAND_STATUS.DROPPED,
+      COMMAND_STATUS.QUEUED
+    ]);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(bluetoothManager.isConnected('bar-1')).toBe(true);
+    expect(writesTo(soundbar).mock.calls.map(([value]) => new TextDecoder().decode(value))).toEqual(['volume-up', 'ok']);
+    expect(stateManager.getState().commandQueue.map(e => e.status)).toEqual([
+      COMMAND_STATUS.SENT,
+      COMMAND_STATUS.DROPPED,
+      COMMAND_STATUS.DROPPED,
+      COMMAND_STATUS.SENT
+    ]);
+  });
+
+  test('buffered commands are dropped when the reconnect is cancelled', async () => {
+    jest.useFakeTimers();
+    soundbar.gatt.connected = false;
+    soundbar.dispatchEvent(new Event('gattserverdisconnected'));
+
+    await bluetoothManager.sendCommand(REMOTE_COMMANDS.HOME);
+    bluetoothManager.cancelReconnect();
+
+    expect(stateManager.getState().lastCommand.status).toBe(COMMAND_STATUS.DROPPED);
+  });
+
+  test('each session monitors its own battery level', async () => {
+    const levels = [];
+    const listener = (e) => levels.push(e.detail);
+    window.addEventListener('bluetooth:battery-level', listener);
+
+    try {
+      await Promise.all(bluetoothManager.getSessions().map(s => s.checkBatteryLevel()));
+    } finally {
+      window.removeEventListener('bluetooth:battery-level', listener);
+    }
+
+    expect(stateManager.getDeviceStatus('tv-1').battery).toBe(64);
+    expect(stateManager.getDeviceStatus('bar-1').battery).toBe(15);
+    expect(levels).toEqual(expect.arrayContaining([
+      { deviceId: 'tv-1', battery: 64 },
+      { deviceId: 'bar-1', battery: 15 }
+    ]));
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, test } from '@jest/globals';
+import { getShortcuts, validateShortcut, saveShortcut, moveShortcut, removeShortcut } from '../shortcuts.js';
+import { DEFAULT_SHORTCUTS, SHORTCUT_SETTINGS } from '../../core/constants.js';
+
+const tiles = [
+  { id: 'a', label: 'Netflix', icon: 'movie', action: 'app:netflix' },
+  { id: 'b', label: 'Home', icon: 'home', action: 'home' },
+  { id: 'c', label: 'Movie night', icon: 'star', action: 'macro:m1' }
+];
+
+describe('shortcuts', () => {
+  test('devices show the default tiles until they are edited', () => {
+    expect(getShortcuts(undefined)).toEqual(DEFAULT_SHORTCUTS);
+    expect(getShortcuts({ id: 'tv-1' })).toEqual(DEFAULT_SHORTCUTS);
+    expect(getShortcuts({ id: 'tv-1', shortcuts: [] })).toEqual([]);
+  });
+
+  test('validation checks the label, icon and action', () => {
+    expect(validateShortcut(tiles[0])).toBeNull();
+    expect(validateShortcut({ ...tiles[0], label: ' ' })).toBe('Give the shortcut a label.');
+    expect(validateShortcut({ ...tiles[0], label: 'x'.repeat(SHORTCUT_SETTINGS.MAX_LABEL_LENGTH + 1) })).toMatch(/at most/);
+    expect(validateShortcut({ ...tiles[0], icon: 'rocket' })).toBe('Pick an icon for the shortcut.');
+    expect(validateShortcut({ ...tiles[0], action: 'jump' })).toBe('Pick what the shortcut does.');
+    expect(validateShortcut(tiles[2])).toBe('The macro for this shortcut no longer exists.');
+    expect(validateShortcut(tiles[2], { macroIds: ['m1'] })).toBeNull();
+  });
+
+  test('tiles are added, replaced, moved and removed', () => {
+    const added = saveShortcut(tiles, { label: ' YouTube ', icon: 'smart_display', action: 'app:youtube' });
+    expect(added).toHaveLength(4);
+    expect(added[3]).toMatchObject({ label: 'YouTube', action: 'app:youtube' });
+    expect(added[3].id).toEqual(expect.any(String));
+
+    expect(saveShortcut(tiles, { ...tiles[1], label: 'Start' }).map(t => t.label)).toEqual(['Netflix', 'Start', 'Movie night']);
+    expect(moveShortcut(tiles, 'a', 1).map(t => t.id)).toEqual(['b', 'a', 'c']);
+    expect(moveShortcut(tiles, 'c', 1)).toBe(tiles);
+    expect(removeShortcut(tiles, 'b').map(t => t.id)).toEqual(['a', 'c']);
+  });
+});
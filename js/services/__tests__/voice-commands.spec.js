@@ -0,0 +1,37 @@
+import { describe, expect, test } from '@jest/globals';
+import { parseVoiceCommand } from '../voice-commands.js';
+import { VOICE_SETTINGS } from '../../core/constants.js';
+
+describe('parseVoiceCommand', () => {
+  test('understands phrases with filler words and punctuation', () => {
+    expect(parseVoiceCommand('Go home.')).toEqual({ command: 'home', count: 1 });
+    expect(parseVoiceCommand('pause')).toEqual({ command: 'pause', count: 1 });
+    expect(parseVoiceCommand('Please turn off the TV')).toEqual({ command: 'power-off', count: 1 });
+    expect(parseVoiceCommand('turn it up')).toEqual({ command: 'volume-up', count: 1 });
+    expect(parseVoiceCommand('Play/Pause')).toEqual({ command: 'play-pause', count: 1 });
+  });
+
+  test('reads repeat counts in words and digits', () => {
+    expect(parseVoiceCommand('volume up five')).toEqual({ command: 'volume-up', count: 5 });
+    expect(parseVoiceCommand('volume down by 3')).toEqual({ command: 'volume-down', count: 3 });
+    expect(parseVoiceCommand('right twice')).toEqual({ command: 'right', count: 2 });
+    expect(parseVoiceCommand('down to times')).toEqual({ command: 'down', count: 2 });
+    expect(parseVoiceCommand('next 99 times')).toEqual({ command: 'next', count: VOICE_SETTINGS.MAX_REPEAT });
+  });
+
+  test('reads "to", "too" and "for" as numbers only after "by" or before "times"', () => {
+    expect(parseVoiceCommand('volume up by to')).toEqual({ command: 'volume-up', count: 2 });
+    expect(parseVoiceCommand('left for times')).toEqual({ command: 'left', count: 4 });
+    expect(parseVoiceCommand('volume up to')).toEqual({ command: 'volume-up', count: 1 });
+    expect(parseVoiceCommand('volume down too')).toBeNull();
+    expect(parseVoiceCommand('skip forward for')).toBeNull();
+  });
+
+  test('sends one-shot commands once and rejects anything else', () => {
+    expect(parseVoiceCommand('power off twice')).toEqual({ command: 'power-off', count: 1 });
+    expect(parseVoiceCommand('up 0')).toBeNull();
+    expect(parseVoiceCommand('five')).toBeNull();
+    expect(parseVoiceCommand('what is the weather')).toBeNull();
+    expect(parseVoiceCommand('')).toBeNull();
+  });
+});
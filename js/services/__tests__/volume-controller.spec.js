@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { volumeController, planVolumeSteps } from '../volume-controller.js';
+import { DEVICE_STATE_GATT } from '../device-state.js';
+import { bluetoothManager } from '../bluetooth.js';
+import { stateManager, resetStateManagerForTesting } from '../../core/state.js';
+import { BLUETOOTH_ERRORS, PROTOCOL_CODECS, REMOTE_COMMANDS } from '../../core/constants.js';
+import { createFakeGattServer } from '../../../tests/browserMocks.js';
+
+const connect = async (services = {}) => {
+  const gattServer = createFakeGattServer({ generic_access: [{ uuid: 'device_name' }], ...services });
+  bluetoothManager.device = { id: 'tv-1', name: 'TV', gatt: gattServer, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  await bluetoothManager.connect({ codec: PROTOCOL_CODECS.TEXT });
+  return gattServer;
+};
+
+const sentCommands = (gattServer) => gattServer.services.get('generic_access').characteristics[0].writeValue.mock.calls
+  .map(([value]) => new TextDecoder().decode(value));
+
+describe('planVolumeSteps', () => {
+  test('converts a level difference into capped up/down steps', () => {
+    expect(planVolumeSteps(10, 90, 2)).toBe(40);
+    expect(planVolumeSteps(50, 45, 2)).toBe(-3); // rounds 2.5 steps
+    expect(planVolumeSteps(0, 100, 1, 50)).toBe(50);
+    expect(planVolumeSteps(30, 30, 2)).toBe(0);
+  });
+});
+
+describe('volumeController', () => {
+  beforeEach(() => {
+    resetStateManagerForTesting();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await bluetoothManager.disconnectAll();
+    bluetoothManager.device = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('steps from the known level to the target and keeps the estimate', async () => {
+    const gattServer = await connect();
+    jest.useFakeTimers();
+
+    const change = volumeController.setVolume(60);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(change).resolves.toEqual({ level: 60, cancelled: false });
+    expect(sentCommands(gattServer)).toEqual(new Array(5).fill(REMOTE_COMMANDS.VOLUME_UP));
+    expect(stateManager.getDeviceStatus('tv-1').volume).toBe(60);
+  });
+
+  test('dragging again cancels the sequence in flight and continues from where it stopped', async () => {
+    const gattServer = await connect();
+    jest.useFakeTimers();
+
+    const first = volumeController.setVolume(90);
+    await jest.advanceTimersByTimeAsync(250); // 3 steps written
+    const second = volumeController.setVolume(50);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(first).resolves.toEqual({ level: 56, cancelled: true });
+    await expect(second).resolves.toEqual({ level: 50, cancelled: false });
+    expect(sentCommands(gattServer)).toEqual([
+      ...new Array(3).fill(REMOTE_COMMANDS.VOLUME_UP),
+      ...new Array(3).fill(REMOTE_COMMANDS.VOLUME_DOWN)
+    ]);
+  });
+
+  test('rapid targets run one at a time, and only the last one completes', async () => {
+    const gattServer = await connect();
+    jest.useFakeTimers();
+
+    const first = volumeController.setVolume(90);
+    await jest.advanceTimersByTimeAsync(130); // 2 steps written
+    const second = volumeController.setVolume(70);
+    const third = volumeController.setVolume(60);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(first).resolves.toEqual({ level: 54, cancelled: true });
+    await expect(second).resolves.toEqual({ level: 54, cancelled: true });
+    await expect(third).resolves.toEqual({ level: 60, cancelled: false });
+    expect(sentCommands(gattServer)).toEqual(new Array(5).fill(REMOTE_COMMANDS.VOLUME_UP));
+    expect(stateManager.getDeviceStatus('tv-1').volume).toBe(60);
+  });
+
+  test('uses the Volume Control Point for a single absolute write when available', async () => {
+    const gattServer = await connect({
+      [DEVICE_STATE_GATT.VOLUME_CONTROL]: [
+        { uuid: DEVICE_STATE_GATT.VOLUME_STATE, value: [25, 0, 9], properties: { notify: true } },
+        { uuid: DEVICE_STATE_GATT.VOLUME_CONTROL_POINT, properties: { write: true } }
+      ]
+    });
+    const [, controlPoint] = gattServer.services.get(String(DEVICE_STATE_GATT.VOLUME_CONTROL)).characteristics;
+
+    await expect(volumeController.setVolume(80)).resolves.toEqual({ level: 80, cancelled: false });
+
+    expect(Array.from(controlPoint.writeValue.mock.calls[0][0])).toEqual([0x04, 9, 204]);
+    expect(sentCommands(gattServer)).toEqual([]);
+    // The device reports its own level; no estimate is written
+    expect(stateManager.getDeviceStatus('tv-1').volume).toBe(10);
+  });
+
+  test('an exact volume on a connected device without a Volume Control Point is unsupported, not a lost connection', async () => {
+    await connect();
+
+    await expect(bluetoothManager.requireSession('tv-1').setAbsoluteVolume(40))
+      .rejects.toMatchObject({ code: BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND });
+  });
+});
@@ -0,0 +1,121 @@
+// Acknowledgement Tracker - Correlates device notifications with sent commands
+
+import { BLUETOOTH_ERRORS, OPERATION_TIMEOUTS, ACK_SETTINGS } from '../core/constants.js';
+import { BluetoothError } from './errors.js';
+
+/**
+ * Pending acknowledgements are kept per correlation key in send order, so the oldest
+ * unacknowledged command with a matching key is resolved first. Also keeps round-trip
+ * latency and failure counts for the device.
+ */
+export class AckTracker {
+  constructor(options = {}) {
+    this.timeout = options.timeout ?? OPERATION_TIMEOUTS.ACK;
+    this.maxSamples = options.maxSamples ?? ACK_SETTINGS.LATENCY_SAMPLES;
+    this.pending = new Map(); // key -> [{ command, sentAt, resolve, reject, timer }]
+    this.samples = [];
+    this.acknowledged = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Wait for the acknowledgement of a command. Register before writing so a fast
+   * device cannot answer before anyone is listening.
+   * @param {*} key - Codec ackKey() for the command
+   * @param {string} command - REMOTE_COMMANDS value (for error messages)
+   * @param {number} [timeout] - Milliseconds to wait, defaulting to the tracker's timeout
+   * @returns {{promise: Promise<{latency: number, result: number, payload: number[]}>, cancel: function(): void}}
+   */
+  expect(key, command, timeout = this.timeout) {
+    let waiter;
+    const promise = new Promise((resolve, reject) => {
+      waiter = { command, sentAt: Date.now(), resolve, reject, timer: null };
+    });
+    // May reject (link lost, timeout) while the write is still pending, before anyone awaits it
+    promise.catch(() => {});
+
+    waiter.timer = setTimeout(() => {
+      this.remove(key, waiter);
+      this.failed++;
+      waiter.reject(new BluetoothError(BLUETOOTH_ERRORS.ACK_TIMEOUT, 'Device did not confirm the command.'));
+    }, timeout);
+
+    if (!this.pending.has(key)) this.pending.set(key, []);
+    this.pending.get(key).push(waiter);
+
+    return {
+      promise,
+      cancel: () => {
+        clearTimeout(waiter.timer);
+        this.remove(key, waiter);
+      }
+    };
+  }
+
+  /**
+   * Settle the oldest pending command for a decoded acknowledgement
+   * @returns {boolean} Whether the acknowledgement matched a pending command
+   */
+  handle(ack) {
+    const waiter = this.pending.get(ack.key)?.[0];
+    if (!waiter) {
+      return false;
+    }
+
+    clearTimeout(waiter.timer);
+    this.remove(ack.key, waiter);
+    const latency = Date.now() - waiter.sentAt;
+
+    if (!ack.ok) {
+      this.failed++;
+      waiter.reject(new BluetoothError(BLUETOOTH_ERRORS.COMMAND_REJECTED, `Device rejected the command (code ${ack.result}).`));
+      return true;
+    }
+
+    this.acknowledged++;
+    this.samples = [...this.samples, latency].slice(-this.maxSamples);
+    waiter.resolve({ latency, result: ack.result, payload: ack.payload });
+    return true;
+  }
+
+  remove(key, waiter) {
+    const waiters = this.pending.get(key);
+    if (!waiters) return;
+
+    const remaining = waiters.filter(w => w !== waiter);
+    if (remaining.length > 0) {
+      this.pending.set(key, remaining);
+    } else {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Reject everything still waiting, e.g. when the link drops
+   */
+  rejectAll(code, message) {
+    const waiters = [...this.pending.values()].flat();
+    this.pending.clear();
+
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new BluetoothError(code, message));
+    });
+  }
+
+  /**
+   * Delivery statistics for deviceStatus
+   */
+  getStats() {
+    const average = this.samples.length > 0
+      ? Math.round(this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length)
+      : null;
+
+    return {
+      acknowledged: this.acknowledged,
+      failed: this.failed,
+      lastLatency: this.samples.length > 0 ? this.samples[this.samples.length - 1] : null,
+      averageLatency: average
+    };
+  }
+}
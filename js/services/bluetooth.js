@@ -1,18 +1,51 @@
 // Web Bluetooth API Wrapper
 
 import { stateManager } from '../core/state.js';
-import { CONNECTION_STATES, REMOTE_COMMANDS } from '../core/constants.js';
+import {
+  CONNECTION_STATES,
+  REMOTE_COMMANDS,
+  BLUETOOTH_ERRORS,
+  OPERATION_TIMEOUTS,
+  AUTO_RECONNECT_SETTINGS,
+  RECONNECT_PHASES,
+  TEXT_INPUT_SETTINGS,
+  PAIRING_SETTINGS
+} from '../core/constants.js';
+import { protocolRegistry } from './protocol.js';
+import { DeviceStateMonitor } from './device-state.js';
+import { DeviceLocator } from './locate.js';
+import { deviceDiscovery, waitForAdvertisement } from './discovery.js';
+import { deviceCatalog } from './device-catalog.js';
+import { PAIRING_INPUTS } from './pairing.js';
+import { OperationQueue } from './operation-queue.js';
+import { BluetoothError } from './errors.js';
+import { DeviceSession } from './session.js';
+
+/**
+ * Resolve after `ms`, or as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
 
 class BluetoothManager {
   constructor() {
-    this.device = null;
-    this.gattServer = null;
-    this.characteristic = null;
+    this.device = null; // Device picked by requestDevice(), awaiting connect()
+    this.sessions = new Map();
     this.isSupported = this.checkBluetoothSupport();
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
-    this.reconnectTimeout = null;
-    this.operationInProgress = false;
+    this.queue = new OperationQueue(); // Chooser requests; GATT work runs on each session's queue
+    
+    // Reconnections paused while hidden (or backing off) retry as soon as the page is usable again
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.resumeReconnects();
+    });
+    window.addEventListener('online', () => this.resumeReconnects());
   }
   
   checkBluetoothSupport() {
@@ -21,275 +54,389 @@ class BluetoothManager {
   
   /**
    * Request device from user
+   * @param {Object} [options]
+   * @param {Array} [options.filters] - requestDevice filters
+   * @param {string} [options.deviceId] - Discovered device to use; permitted devices skip the chooser
    */
   async requestDevice(options = {}) {
-    if (this.operationInProgress) {
-      throw new Error('Another Bluetooth operation is in progress');
+    return this.queue.enqueue('requestDevice', () => this.performRequestDevice(options), {
+      timeout: OPERATION_TIMEOUTS.REQUEST_DEVICE
+    });
+  }
+  
+  async performRequestDevice(options) {
+    if (!this.isSupported) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.NOT_SUPPORTED, 'Bluetooth is not supported on this device');
+    }
+    
+    // Previously permitted devices found by discovery can be used directly
+    const discovered = options.deviceId ? deviceDiscovery.getEntry(options.deviceId) : null;
+    const knownDevice = discovered?.permitted ? deviceDiscovery.getDevice(options.deviceId) : null;
+    if (knownDevice) {
+      return this.useDevice(knownDevice);
     }
     
-    this.operationInProgress = true;
+    // Otherwise narrow the chooser to the advertised name when we have one
+    const filters = options.filters || (discovered?.name && discovered.name !== 'Unknown Device'
+      ? [{ name: discovered.name }]
+      : [{ services: ['generic_access'] }]);
     
     try {
-      if (!this.isSupported) {
-        throw new Error('Bluetooth is not supported on this device');
-      }
+      stateManager.setScanning(true);
       
-      const filters = options.filters || [
-        { services: ['generic_access'] }
-      ];
+      const device = await navigator.bluetooth.requestDevice({
+        filters,
+        optionalServices: [...new Set([
+          'battery_service',
+          'generic_access',
+          'generic_attribute',
+          ...DeviceStateMonitor.getServices(),
+          ...DeviceLocator.getServices(),
+          ...protocolRegistry.getServices()
+        ])]
+      });
       
-      try {
-        stateManager.setScanning(true);
-        
-        this.device = await navigator.bluetooth.requestDevice({
-          filters,
-          optionalServices: [
-            'battery_service',
-            'generic_access',
-            'generic_attribute'
-          ]
-        });
-        
-        this.device.addEventListener('gattserverdisconnected', () => {
-          this.onDisconnected();
-        });
-        
-        return this.device;
-      } catch (error) {
-        console.error('Error requesting Bluetooth device:', error);
-        stateManager.setConnectionState(CONNECTION_STATES.ERROR);
-        
-        // Provide user-friendly error messages
-        if (error.name === 'NotFoundError') {
-          throw new Error('No device selected. Please try pairing again.');
-        } else if (error.name === 'SecurityError') {
-          throw new Error('Bluetooth access denied. Check browser permissions.');
-        } else {
-          throw new Error(`Failed to discover device: ${error.message}`);
-        }
-      } finally {
-        stateManager.setScanning(false);
+      return this.useDevice(device);
+    } catch (error) {
+      console.error('Error requesting Bluetooth device:', error);
+      stateManager.setConnectionState(CONNECTION_STATES.ERROR);
+      
+      // Provide user-friendly error messages
+      if (error.name === 'NotFoundError') {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NO_DEVICE, 'No device selected. Please try pairing again.', { cause: error });
+      } else if (error.name === 'SecurityError') {
+        throw new BluetoothError(BLUETOOTH_ERRORS.PERMISSION_DENIED, 'Bluetooth access denied. Check browser permissions.', { cause: error });
+      } else {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NO_DEVICE, `Failed to discover device: ${error.message}`, { cause: error });
       }
     } finally {
-      this.operationInProgress = false;
+      // Keep the scanning indicator while background discovery is still running
+      stateManager.setScanning(deviceDiscovery.active);
     }
   }
   
   /**
-   * Connect to GATT server
+   * Adopt a BluetoothDevice handle as the device the next connect() uses
+   */
+  useDevice(device) {
+    this.device = device;
+    return this.device;
+  }
+  
+  /**
+   * Session for a device, defaulting to the active device
+   * @param {string|null} [deviceId]
+   * @returns {DeviceSession|null}
+   */
+  getSession(deviceId = stateManager.getState().activeDeviceId) {
+    return deviceId ? this.sessions.get(deviceId) || null : null;
+  }
+  
+  /**
+   * All open sessions
+   */
+  getSessions() {
+    return [...this.sessions.values()];
+  }
+  
+  /**
+   * Connect to a device's GATT server, opening (or reusing) its session
+   * @param {Object} [options]
+   * @param {BluetoothDevice} [options.device] - Device to connect, defaulting to the one from requestDevice()
+   * @param {string} [options.codec] - Protocol codec id, overriding the paired device's codec
+   *   and the one from the device catalog
+   * @param {string} [options.pairingCode] - Code the device must accept before it is stored as paired
    */
-  async connect() {
-    if (this.operationInProgress) {
-      throw new Error('Another Bluetooth operation is in progress');
+  async connect(options = {}) {
+    const device = options.device || this.device;
+    if (!device) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.NO_DEVICE, 'No device selected');
     }
     
-    this.operationInProgress = true;
+    const created = !this.sessions.has(device.id);
+    const session = created ? this.createSession(device) : this.sessions.get(device.id);
+    const isNew = !stateManager.getPairedDevices().some(d => d.id === device.id);
     
     try {
-      if (!this.device) {
-        throw new Error('No device selected');
-      }
+      // New devices get their family's codec; the advertisement is all we know before connecting
+      let family = isNew ? deviceCatalog.match(this.describeAdvertisement(device)) : null;
+      const gattServer = await session.connect({ codec: options.codec || family?.codec });
       
-      try {
-        stateManager.setConnectionState(CONNECTION_STATES.CONNECTING);
-        
-        this.gattServer = await this.device.gatt.connect();
-        this.reconnectAttempts = 0; // Reset on successful connection
-        
-        // Discover and store characteristic for command transmission
-        try {
-          const service = await this.gattServer.getPrimaryService('generic_access');
-          this.characteristic = await service.getCharacteristic('device_name');
-        } catch (error) {
-          console.warn('Could not discover characteristic on initial connection:', error);
-          // Continue even if characteristic discovery fails - some devices may not have this
-          // or may use custom UUIDs not accessible this way
-        }
-        
-        stateManager.setConnectionState(CONNECTION_STATES.CONNECTED);
-        
-        // Store as paired device
-        const pairedDevice = {
-          id: this.device.id,
-          name: this.device.name,
-          connected: true,
-          lastConnected: new Date().toISOString()
-        };
-        
-        stateManager.addPairedDevice(pairedDevice);
-        stateManager.setActiveDevice(this.device.id);
-        
-        return this.gattServer;
-      } catch (error) {
-        console.error('Error connecting to device:', error);
-        stateManager.setConnectionState(CONNECTION_STATES.ERROR);
-        
-        // Provide user-friendly error messages
-        if (error.name === 'NetworkError') {
-          throw new Error('Device out of range or turned off.');
-        } else if (error.name === 'NotFoundError') {
-          throw new Error('Device no longer available.');
-        } else {
-          throw new Error(`Connection failed: ${error.message}`);
+      // Services are only known once connected
+      if (isNew && !family) {
+        family = deviceCatalog.match({ ...this.describeAdvertisement(device), services: session.profile?.services });
+        if (family?.codec && !options.codec && family.codec !== session.codec.id) {
+          await session.setCodec(family.codec);
         }
       }
-    } finally {
-      this.operationInProgress = false;
+      
+      if (options.pairingCode) {
+        await session.pair(options.pairingCode);
+      }
+      
+      // Store as paired device
+      const pairedDevice = {
+        id: device.id,
+        name: device.name,
+        codec: session.codec.id,
+        profile: session.profile,
+        ...(family ? deviceCatalog.getDeviceDefaults(family) : {}),
+        connected: true,
+        lastConnected: new Date().toISOString()
+      };
+      
+      stateManager.addPairedDevice(pairedDevice);
+      stateManager.updatePairedDevice(device.id, {
+        codec: session.codec.id,
+        profile: session.profile,
+        connected: true,
+        lastConnected: pairedDevice.lastConnected
+      });
+      this.setActiveDevice(device.id);
+      
+      return gattServer;
+    } catch (error) {
+      // Close a session this attempt opened (also after a refused or unanswered pairing code), or its
+      // disconnect listener outlives it and reconnects later. A session that was already open stays.
+      if (created) {
+        session.close();
+        this.removeSession(session);
+      }
+      throw error;
     }
   }
   
   /**
-   * Disconnect from device
+   * Pair a device the user identified by hand. A pairing code narrows the chooser to
+   * devices speaking the pairing protocol and is checked by the device once connected;
+   * a service UUID narrows the chooser to devices advertising that service.
+   * @param {{type: string, code?: string, service?: string}} pairing - From parsePairingInput()
+   * @returns {Promise<BluetoothDevice>} The paired device
    */
-  async disconnect() {
-    if (this.operationInProgress) {
-      throw new Error('Another Bluetooth operation is in progress');
+  async pairManually(pairing) {
+    if (pairing.type === PAIRING_INPUTS.SERVICE) {
+      const device = await this.requestDevice({ filters: [{ services: [pairing.service] }] });
+      await this.connect();
+      return device;
     }
     
-    this.operationInProgress = true;
+    const codec = protocolRegistry.get(PAIRING_SETTINGS.CODEC);
+    const device = await this.requestDevice({ filters: codec.getServices().map(service => ({ services: [service] })) });
+    await this.connect({ codec: codec.id, pairingCode: pairing.code });
+    return device;
+  }
+  
+  /**
+   * Pair a device shared from another browser. The chooser is narrowed to the shared
+   * device's name; once connected, the shared setup replaces the device's own.
+   * @param {Object} shared - From parseShareCode()
+   * @returns {Promise<BluetoothDevice>} The paired device
+   */
+  async pairShared(shared) {
+    const { name, ...fields } = shared;
+    const device = await this.requestDevice({ filters: [{ name }] });
+    await this.connect({ codec: fields.codec });
+    stateManager.updatePairedDevice(device.id, fields);
+    return device;
+  }
+  
+  /**
+   * What discovery saw of a device, for matching it against the device catalog
+   */
+  describeAdvertisement(device) {
+    const entry = deviceDiscovery.getEntry(device.id);
+    return {
+      name: device.name || entry?.name || '',
+      manufacturerIds: entry?.manufacturerIds ?? [],
+      services: entry?.uuids ?? []
+    };
+  }
+  
+  createSession(device) {
+    const session = new DeviceSession(device, {
+      onStateChange: (s) => this.onSessionStateChange(s),
+      onClosed: (s) => this.removeSession(s, { keepActive: true }),
+      onReconnectProgress: (s, progress) => this.onReconnectProgress(progress)
+    });
+    this.sessions.set(device.id, session);
+    return session;
+  }
+  
+  /**
+   * Forget a session. Explicit disconnects move the remote to another connected device;
+   * abandoned reconnects keep the device selected so it can be reconnected later.
+   */
+  removeSession(session, { keepActive = false } = {}) {
+    if (this.sessions.get(session.id) !== session) return;
+    this.sessions.delete(session.id);
     
-    try {
-      // Clear any pending reconnection attempts
-      if (this.reconnectTimeout) {
-        clearTimeout(this.reconnectTimeout);
-        this.reconnectTimeout = null;
-      }
-      
-      if (this.device && this.device.gatt.connected) {
-        this.device.gatt.disconnect();
-      }
-      
-      this.device = null;
-      this.gattServer = null;
-      this.characteristic = null;
-      this.reconnectAttempts = 0;
-      stateManager.setConnectionState(CONNECTION_STATES.DISCONNECTED);
-      stateManager.setActiveDevice(null);
-    } finally {
-      this.operationInProgress = false;
+    if (!keepActive && stateManager.getState().activeDeviceId === session.id) {
+      // Fall back to another connected device, if any
+      const next = this.getSessions().find(s => s.isConnected());
+      this.setActiveDevice(next ? next.id : null);
     }
   }
   
   /**
-   * Handle disconnection
+   * Mirror a session's state into its paired device entry and, for the active device, the global connection state
    */
-  onDisconnected() {
-    console.log('Device disconnected');
-    stateManager.setConnectionState(CONNECTION_STATES.DISCONNECTED);
+  onSessionStateChange(session) {
+    const connected = session.state === CONNECTION_STATES.CONNECTED;
+    const pairedDevice = stateManager.getPairedDevices().find(d => d.id === session.id);
+    if (pairedDevice && pairedDevice.connected !== connected) {
+      stateManager.updatePairedDevice(session.id, { connected });
+    }
     
-    // Attempt reconnection with exponential backoff
-    if (this.device && this.reconnectAttempts < this.maxReconnectAttempts) {
-      const delay = Math.pow(2, this.reconnectAttempts) * 1000; // 1s, 2s, 4s
-      this.reconnectAttempts++;
-      
-      console.log(`Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
-      
-      // Clear any existing reconnection timeout before setting a new one
-      if (this.reconnectTimeout) {
-        clearTimeout(this.reconnectTimeout);
-        this.reconnectTimeout = null;
-      }
-      
-      this.reconnectTimeout = setTimeout(async () => {
-        try {
-          stateManager.setConnectionState(CONNECTION_STATES.CONNECTING);
-          await this.device.gatt.connect();
-          this.gattServer = this.device.gatt;
-          
-          // Re-discover and set characteristic after reconnection
-          try {
-            const service = await this.gattServer.getPrimaryService('generic_access');
-            this.characteristic = await service.getCharacteristic('device_name');
-          } catch (error) {
-            console.warn('Could not rediscover characteristic after reconnection:', error);
-            // Continue even if characteristic discovery fails - some devices may not have this
-          }
-          
-          this.reconnectAttempts = 0;
-          stateManager.setConnectionState(CONNECTION_STATES.CONNECTED);
-          console.log('Reconnected successfully');
-        } catch (error) {
-          console.error('Reconnection failed:', error);
-          // Schedule next retry inline if attempts remain
-          if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            const nextDelay = Math.pow(2, this.reconnectAttempts) * 1000;
-            this.reconnectAttempts++;
-            console.log(`Scheduling next reconnection attempt in ${nextDelay}ms`);
-            
-            this.reconnectTimeout = setTimeout(() => {
-              this.onDisconnected();
-            }, nextDelay);
-          } else {
-            // Max attempts reached, clean up
-            this.device = null;
-            this.gattServer = null;
-            this.characteristic = null;
-            this.reconnectAttempts = 0;
-            stateManager.setActiveDevice(null);
-          }
-        }
-      }, delay);
-    } else {
-      // Max attempts reached, clean up
-      this.device = null;
-      this.gattServer = null;
-      this.characteristic = null;
-      this.reconnectAttempts = 0;
-      stateManager.setActiveDevice(null);
+    const activeDeviceId = stateManager.getState().activeDeviceId;
+    if (session.id === activeDeviceId || !activeDeviceId) {
+      stateManager.setConnectionState(session.state);
     }
   }
   
   /**
-   * Send command to remote device
+   * Publish reconnection progress to state (for the header) and as a `bluetooth:reconnect` window event
    */
-  async sendCommand(command) {
-    if (!this.gattServer || !this.gattServer.connected) {
-      console.warn('Device not connected');
-      throw new Error('Device is not connected. Please reconnect.');
+  onReconnectProgress(progress) {
+    const active = [RECONNECT_PHASES.SCHEDULED, RECONNECT_PHASES.ATTEMPTING, RECONNECT_PHASES.PAUSED];
+    stateManager.setReconnectStatus(progress.deviceId, active.includes(progress.phase) ? progress : null);
+    window.dispatchEvent(new CustomEvent('bluetooth:reconnect', { detail: progress }));
+  }
+  
+  /**
+   * Stop reconnecting to a device, defaulting to the active one
+   * @returns {boolean} Whether a reconnection was cancelled
+   */
+  cancelReconnect(deviceId = stateManager.getState().activeDeviceId) {
+    return this.getSession(deviceId)?.cancelReconnect() || false;
+  }
+  
+  /**
+   * Retry waiting reconnections immediately (page visible again or network back)
+   */
+  resumeReconnects() {
+    this.getSessions().forEach(session => session.resumeReconnect());
+  }
+  
+  /**
+   * Select which session the remote UI drives
+   */
+  setActiveDevice(deviceId) {
+    stateManager.setActiveDevice(deviceId);
+    this.syncActiveSession();
+  }
+  
+  /**
+   * Set the global connection state from the active device's session
+   */
+  syncActiveSession() {
+    const session = this.getSession();
+    const connectionState = session ? session.state : CONNECTION_STATES.DISCONNECTED;
+    if (stateManager.getConnectionState() !== connectionState) {
+      stateManager.setConnectionState(connectionState);
     }
+  }
+  
+  /**
+   * Disconnect a device, defaulting to the active one
+   * @param {string|null} [deviceId]
+   */
+  async disconnect(deviceId = stateManager.getState().activeDeviceId) {
+    const session = this.getSession(deviceId);
     
-    if (!this.characteristic) {
-      console.warn('Characteristic not available for command transmission');
-      throw new Error('Device characteristic not available. Cannot send command.');
+    if (this.device && this.device.id === deviceId) {
+      this.device = null;
     }
     
-    try {
-      // Log command for debugging
-      console.log(`Sending command: ${command}`);
-      
-      // Record command in state
-      stateManager.recordCommand(command);
-      
-      // Write command to BLE characteristic
-      const encoder = new TextEncoder();
-      await this.characteristic.writeValue(encoder.encode(command));
-      
-      return true;
-    } catch (error) {
-      console.error('Error sending command:', error);
-      
-      // Check if it's a connection error
-      if (error.name === 'NetworkError' || error.name === 'NotConnectedError') {
-        stateManager.setConnectionState(CONNECTION_STATES.ERROR);
-        throw new Error('Lost connection to device. Please reconnect.');
+    if (!session) {
+      if (deviceId === stateManager.getState().activeDeviceId) {
+        this.setActiveDevice(null);
       }
-      
-      throw new Error(`Failed to send command: ${error.message}`);
+      return;
     }
+    
+    await session.disconnect();
+    this.removeSession(session);
   }
   
   /**
-   * Send command sequence (for volume, etc.)
+   * Disconnect every open session
+   */
+  async disconnectAll() {
+    await Promise.all(this.getSessions().map(session => this.disconnect(session.id)));
+  }
+  
+  /**
+   * Switch the protocol codec for a device, defaulting to the active one
+   */
+  async setCodec(codecId, deviceId = stateManager.getState().activeDeviceId) {
+    const codec = protocolRegistry.get(codecId);
+    
+    if (deviceId) {
+      stateManager.updatePairedDevice(deviceId, { codec: codec.id });
+    }
+    
+    const session = this.getSession(deviceId);
+    return session ? session.setCodec(codec.id) : codec;
+  }
+  
+  requireSession(deviceId) {
+    const session = this.getSession(deviceId);
+    if (!session) {
+      console.warn('Device not connected');
+      throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+    }
+    return session;
+  }
+  
+  /**
+   * Send command to a remote device
+   * @param {string} command - REMOTE_COMMANDS value
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Target device, defaulting to the active one
+   * @param {AbortSignal} [options.signal] - Cancels the write if it has not completed
+   * @returns {Promise<boolean>} true once written, false when buffered during a reconnect
+   */
+  async sendCommand(command, options = {}) {
+    return this.requireSession(options.deviceId).sendCommand(command, options);
+  }
+  
+  /**
+   * Send command sequence (for volume, macros, etc.)
+   * @param {Array<string|{command: string, delay?: number}>} commands - Steps with their own
+   *   `delay` wait that long after the step instead of `options.delay`
+   * @param {Object} [options]
+   * @param {number} [options.delay=100] - Milliseconds between commands
+   * @param {boolean} [options.stopOnError=true]
+   * @param {string} [options.deviceId] - Target device, defaulting to the active one
+   * @param {AbortSignal} [options.signal] - Stops the sequence; the result then has `cancelled: true`
+   * @param {function(): Promise} [options.gate] - Awaited before each step (e.g. while paused)
+   * @param {function(number, number): void} [options.onProgress] - Receives (completed, total)
    */
   async sendCommandSequence(commands, options = {}) {
-    const { delay = 100, stopOnError = true } = options;
-    const results = { successes: [], failures: [] };
-
-    for (const command of commands) {
+    const { delay = 100, stopOnError = true, deviceId, signal, gate, onProgress } = options;
+    const results = { successes: [], failures: [], cancelled: false };
+    
+    for (const [index, step] of commands.entries()) {
+      const { command, delay: stepDelay = delay } = typeof step === 'string' ? { command: step } : step;
+      
+      if (gate && !signal?.aborted) {
+        await gate();
+      }
+      
+      if (signal?.aborted) {
+        results.cancelled = true;
+        break;
+      }
+      
       try {
-        await this.sendCommand(command);
+        await this.sendCommand(command, { deviceId, signal });
         results.successes.push(command);
       } catch (error) {
+        if (signal?.aborted) {
+          results.cancelled = true;
+          break;
+        }
+        
         console.error(`Failed to send command '${command}':`, error);
         results.failures.push({ command, error });
         
@@ -298,55 +445,147 @@ class BluetoothManager {
         }
       }
       
+      onProgress?.(index + 1, commands.length);
+      
       // Always wait the delay, even on failure
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await sleep(stepDelay, signal);
     }
-
+    
     return results;
   }
   
   /**
-   * Get device battery level
+   * Send relative pointer input (touchpad) to a device
+   * @param {{dx?: number, dy?: number, wheel?: number, buttons?: number}} report
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Target device, defaulting to the active one
+   */
+  async sendPointer(report, options = {}) {
+    return this.requireSession(options.deviceId).sendPointer(report, options);
+  }
+  
+  /**
+   * Type text on a device. Keystrokes (or text chunks) are paced so long strings are
+   * not dropped by the device's input buffer.
+   * @param {string} text - '\b' presses Backspace, '\n' presses Enter
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Target device, defaulting to the active one
+   * @param {string} [options.layout] - KEYBOARD_LAYOUTS value, defaulting to the keyboardLayout setting
+   * @param {number} [options.delay] - Milliseconds between keystrokes
+   * @param {AbortSignal} [options.signal] - Stops typing; the result then has `cancelled: true`
+   * @param {function(number, number): void} [options.onProgress] - Receives (sent, total)
+   * @returns {Promise<{sent: number, total: number, unsupported: string[], cancelled: boolean}>}
    */
-  async getBatteryLevel() {
-    if (!this.gattServer || !this.gattServer.connected) {
-      return null;
+  async sendText(text, options = {}) {
+    const { deviceId, signal, onProgress, delay = TEXT_INPUT_SETTINGS.KEY_INTERVAL_MS } = options;
+    const layout = options.layout ?? stateManager.getUserSettings().keyboardLayout;
+    
+    if (text.length > TEXT_INPUT_SETTINGS.MAX_LENGTH) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, `Text is too long to send (${TEXT_INPUT_SETTINGS.MAX_LENGTH} characters at most).`);
     }
     
-    try {
-      const batteryService = await this.gattServer.getPrimaryService('battery_service');
-      const batteryLevelCharacteristic = await batteryService.getCharacteristic('battery_level');
-      const value = await batteryLevelCharacteristic.readValue();
-      return value.getUint8(0);
-    } catch (error) {
-      console.warn('Could not read battery level:', error);
-      return null;
+    const session = this.requireSession(deviceId);
+    const { groups, unsupported } = session.encodeText(text, { layout });
+    const result = { sent: 0, total: groups.length, unsupported, cancelled: false };
+    
+    for (const frames of groups) {
+      if (signal?.aborted) {
+        result.cancelled = true;
+        break;
+      }
+      
+      try {
+        await session.sendTextFrames(frames, { signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          result.cancelled = true;
+          break;
+        }
+        throw error;
+      }
+      
+      result.sent++;
+      onProgress?.(result.sent, result.total);
+      if (result.sent < result.total) {
+        await sleep(delay, signal);
+      }
     }
+    
+    return result;
+  }
+  
+  /**
+   * Open an app on a device
+   * @param {string} appId - SHORTCUT_APPS key or a vendor app id
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Target device, defaulting to the active one
+   */
+  async launchApp(appId, options = {}) {
+    return this.requireSession(options.deviceId).launchApp(appId, options);
+  }
+  
+  /**
+   * Whether a device can open apps by id
+   */
+  supportsLaunch(deviceId) {
+    return this.getSession(deviceId)?.supportsLaunch() || false;
+  }
+  
+  /**
+   * Whether a device accepts text input
+   */
+  supportsText(deviceId) {
+    return this.getSession(deviceId)?.supportsText() || false;
+  }
+  
+  /**
+   * Whether a device accepts pointer input
+   */
+  supportsPointer(deviceId) {
+    return this.getSession(deviceId)?.supportsPointer() || false;
+  }
+  
+  /**
+   * Cancel queued commands that have not been written yet
+   * @returns {number} Number of cancelled commands
+   */
+  cancelPendingCommands(reason = 'Command cancelled', deviceId) {
+    return this.getSession(deviceId)?.cancelPendingCommands(reason) || 0;
+  }
+  
+  /**
+   * Get device battery level
+   */
+  async getBatteryLevel(deviceId) {
+    const session = this.getSession(deviceId);
+    return session ? session.getBatteryLevel() : null;
   }
   
   /**
    * Get device name
    */
-  getDeviceName() {
-    return this.device?.name || 'Unknown Device';
+  getDeviceName(deviceId) {
+    const session = this.getSession(deviceId);
+    return session ? session.name : (this.device?.name || 'Unknown Device');
   }
   
   /**
-   * Get device ID
+   * Get active device ID
    */
   getDeviceId() {
-    return this.device?.id || null;
+    return this.getSession()?.id || null;
   }
   
   /**
-   * Check if connected
+   * Check if a device (default: the active one) is connected
    */
-  isConnected() {
-    return this.device && this.device.gatt.connected;
+  isConnected(deviceId) {
+    return Boolean(this.getSession(deviceId)?.isConnected());
   }
   
   /**
-   * Scan for available devices (simulated - actual scanning requires persistent characteristics)
+   * Scan for available devices using advertisement discovery.
+   * Returns an empty list when scanning is unavailable so callers fall back to requestDevice().
    */
   async scanForDevices() {
     if (!this.isSupported) {
@@ -354,15 +593,80 @@ class BluetoothManager {
       return [];
     }
     
-    // Mock device list - in production, would implement actual scanning
-    const mockDevices = [
-      { id: 'device-1', name: 'Samsung TV', signal: 85 },
-      { id: 'device-2', name: 'LG Remote', signal: 65 },
-      { id: 'device-3', name: 'Sony Soundbar', signal: 75 }
-    ];
+    const started = await deviceDiscovery.start();
+    return started ? stateManager.getDiscoveredDevices() : [];
+  }
+  
+  /**
+   * Stop advertisement discovery
+   */
+  stopScan() {
+    deviceDiscovery.stop();
+  }
+  
+  /**
+   * Whether live discovery is available (otherwise only the chooser flow works)
+   */
+  supportsDiscovery() {
+    return this.isSupported && deviceDiscovery.isSupported();
+  }
+  
+  /**
+   * Whether previously permitted devices can be re-acquired without the chooser
+   */
+  supportsRestore() {
+    return this.isSupported && typeof navigator.bluetooth.getDevices === 'function';
+  }
+  
+  /**
+   * Re-acquire a previously permitted device and connect once it advertises.
+   * The device shows as RECONNECTING while we wait for it to come in range.
+   * @param {string} deviceId
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Milliseconds to wait for an advertisement
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @returns {Promise<boolean>} Whether the device is connected
+   */
+  async restoreDevice(deviceId, options = {}) {
+    const { timeout = AUTO_RECONNECT_SETTINGS.ADVERTISEMENT_TIMEOUT_MS, signal } = options;
+    
+    if (!this.supportsRestore()) {
+      return false;
+    }
+    
+    if (this.isConnected(deviceId)) {
+      return true;
+    }
+    
+    const devices = await navigator.bluetooth.getDevices();
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) {
+      // Permission was revoked or never persisted; only the chooser can get it back
+      return false;
+    }
+    
+    const showState = (connectionState) => {
+      if (stateManager.getState().activeDeviceId === deviceId) {
+        stateManager.setConnectionState(connectionState);
+      }
+    };
+    
+    showState(CONNECTION_STATES.RECONNECTING);
     
-    stateManager.setDiscoveredDevices(mockDevices);
-    return mockDevices;
+    try {
+      const inRange = await waitForAdvertisement(device, { timeout, signal });
+      if (!inRange) {
+        showState(CONNECTION_STATES.DISCONNECTED);
+        return false;
+      }
+      
+      await this.connect({ device });
+      return true;
+    } catch (error) {
+      console.warn(`Could not restore ${device.name}:`, error);
+      showState(CONNECTION_STATES.DISCONNECTED);
+      return false;
+    }
   }
 }
 
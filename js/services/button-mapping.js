@@ -0,0 +1,239 @@
+// Button Mapping - Resolves on-screen buttons, keyboard keys and gamepad buttons to actions
+
+import { DEFAULT_SETTINGS, REMOTE_COMMANDS, BUTTON_INPUTS, INPUT_SOURCES, RESERVED_KEYS, BROWSER_SHORTCUTS, SHORTCUT_APPS } from '../core/constants.js';
+
+export const MACRO_PREFIX = 'macro:';
+export const APP_PREFIX = 'app:';
+const KEY_PREFIX = 'key-';
+const MODIFIERS = [['ctrlKey', 'Ctrl'], ['altKey', 'Alt'], ['shiftKey', 'Shift'], ['metaKey', 'Meta']];
+const COMMANDS = new Set(Object.values(REMOTE_COMMANDS));
+
+export const MAPPING_ISSUES = {
+  UNKNOWN_ACTION: 'unknown-action',
+  MISSING_MACRO: 'missing-macro',
+  RESERVED_KEY: 'reserved-key',
+  DUPLICATE_KEY: 'duplicate-key',
+  BROWSER_SHORTCUT: 'browser-shortcut',
+};
+
+/**
+ * Input id for a KeyboardEvent.key and its modifiers, e.g. 'key-Ctrl+Shift+m'. Single
+ * characters are case-insensitive; Shift is left out for symbols and digits because it
+ * only picks the character ('?' is Shift+/ on one layout and a key of its own on another).
+ * @param {string} key
+ * @param {{ctrlKey?: boolean, altKey?: boolean, shiftKey?: boolean, metaKey?: boolean}} [modifiers]
+ */
+export function keyInputId(key, modifiers = {}) {
+  const name = key === ' ' ? 'Space' : key.length === 1 ? key.toLowerCase() : key;
+  const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+  const prefix = MODIFIERS
+    .filter(([flag, label]) => modifiers[flag] && !(label === 'Shift' && isSymbol))
+    .map(([, label]) => `${label}+`)
+    .join('');
+  return `${KEY_PREFIX}${prefix}${name}`;
+}
+
+/**
+ * Split a key input id into its key name and modifier flags
+ * @returns {{key: string, ctrlKey: boolean, altKey: boolean, shiftKey: boolean, metaKey: boolean}}
+ */
+export function parseKeyInputId(inputId) {
+  let rest = inputId.slice(KEY_PREFIX.length);
+  const parsed = { ctrlKey: false, altKey: false, shiftKey: false, metaKey: false };
+  for (const [flag, label] of MODIFIERS) {
+    // 'Ctrl++' is Ctrl and the plus key, so a modifier needs a key after it
+    if (rest.startsWith(`${label}+`) && rest.length > label.length + 1) {
+      parsed[flag] = true;
+      rest = rest.slice(label.length + 1);
+    }
+  }
+  return { key: rest, ...parsed };
+}
+
+export function getInputSource(inputId) {
+  if (BUTTON_INPUTS[inputId]) {
+    return BUTTON_INPUTS[inputId].source;
+  }
+  return inputId.startsWith(KEY_PREFIX) ? INPUT_SOURCES.KEYBOARD : null;
+}
+
+export function getInputLabel(inputId) {
+  if (BUTTON_INPUTS[inputId]) {
+    return BUTTON_INPUTS[inputId].label;
+  }
+  const { key, ...modifiers } = parseKeyInputId(inputId);
+  const held = MODIFIERS.filter(([flag]) => modifiers[flag]).map(([, label]) => label);
+  return [...held, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+export function macroAction(macroId) {
+  return `${MACRO_PREFIX}${macroId}`;
+}
+
+export function appAction(appId) {
+  return `${APP_PREFIX}${appId}`;
+}
+
+/**
+ * Split an action into { type: 'command' | 'macro' | 'app', value }, or null if it is none of them
+ */
+export function parseAction(action) {
+  if (typeof action !== 'string') {
+    return null;
+  }
+  if (action.startsWith(MACRO_PREFIX)) {
+    return { type: 'macro', value: action.slice(MACRO_PREFIX.length) };
+  }
+  if (action.startsWith(APP_PREFIX) && action.length > APP_PREFIX.length) {
+    return { type: 'app', value: action.slice(APP_PREFIX.length) };
+  }
+  return COMMANDS.has(action) ? { type: 'command', value: action } : null;
+}
+
+/**
+ * Human-readable action name, e.g. 'volume-up' → 'Volume up'
+ */
+export function getActionLabel(action, macros = []) {
+  const parsed = parseAction(action);
+  if (!parsed) {
+    return action ? String(action) : 'None';
+  }
+  if (parsed.type === 'macro') {
+    return macros.find(m => m.id === parsed.value)?.name || 'Missing macro';
+  }
+  if (parsed.type === 'app') {
+    return `Open ${SHORTCUT_APPS[parsed.value]?.label ?? parsed.value}`;
+  }
+  const words = parsed.value.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Effective mapping: stored bindings over the defaults, so inputs added later keep their default.
+ * The active device's preset (from the device catalog) wins for the inputs it lists.
+ * @param {Object} [buttonMapping] - Stored settings.buttonMapping
+ * @param {Object} [preset] - Paired device's `buttonMapping`
+ */
+export function resolveButtonMapping(buttonMapping = {}, preset = {}) {
+  return { ...DEFAULT_SETTINGS.buttonMapping, ...buttonMapping, ...preset };
+}
+
+/**
+ * Action bound to an input, or null when it is unbound
+ */
+export function resolveInput(inputId, buttonMapping, preset = {}) {
+  return resolveButtonMapping(buttonMapping, preset)[inputId] ?? null;
+}
+
+/**
+ * Move a device preset binding to another key. The old key goes back to the shared mapping.
+ */
+export function movePresetKey(preset, fromInputId, key, modifiers = {}) {
+  const toInputId = keyInputId(key, modifiers);
+  if (toInputId === fromInputId) {
+    return preset;
+  }
+  const { [fromInputId]: action = null, ...rest } = preset;
+  return { ...rest, [toInputId]: action };
+}
+
+export function rebindInput(buttonMapping, inputId, action) {
+  return { ...resolveButtonMapping(buttonMapping), [inputId]: action || null };
+}
+
+export function resetInput(buttonMapping, inputId) {
+  const mapping = resolveButtonMapping(buttonMapping);
+  if (inputId in DEFAULT_SETTINGS.buttonMapping) {
+    mapping[inputId] = DEFAULT_SETTINGS.buttonMapping[inputId];
+  } else {
+    delete mapping[inputId];
+  }
+  return mapping;
+}
+
+/**
+ * Move a keyboard binding to another key (with modifiers). `conflict` describes a different
+ * action the new key was already bound to; the returned mapping replaces it.
+ * @returns {{mapping: Object, conflict: {inputId: string, action: string}|null}}
+ */
+export function rebindKey(buttonMapping, fromInputId, key, modifiers = {}) {
+  const mapping = resolveButtonMapping(buttonMapping);
+  const toInputId = keyInputId(key, modifiers);
+  const action = mapping[fromInputId] ?? null;
+  if (toInputId === fromInputId) {
+    return { mapping, conflict: null };
+  }
+
+  const existing = mapping[toInputId] ?? null;
+  const conflict = existing && existing !== action ? { inputId: toInputId, action: existing } : null;
+
+  mapping[toInputId] = action;
+  if (fromInputId in DEFAULT_SETTINGS.buttonMapping) {
+    mapping[fromInputId] = null; // Keep the entry so the default does not come back
+  } else {
+    delete mapping[fromInputId];
+  }
+  return { mapping, conflict };
+}
+
+export function isReservedKey(key) {
+  return RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Whether a key input id is a combination the browser usually acts on first (e.g. Ctrl+T)
+ */
+export function isBrowserShortcut(inputId) {
+  const { key, ...modifiers } = parseKeyInputId(inputId);
+  return BROWSER_SHORTCUTS.includes(keyInputId(key, modifiers).slice(KEY_PREFIX.length));
+}
+
+/**
+ * Problems with a mapping: unknown actions, deleted macros, reserved keys, keys bound
+ * twice (e.g. 'key-P' and 'key-p' with different actions) and browser shortcuts
+ * @param {Object} buttonMapping
+ * @param {Object} [options]
+ * @param {string[]} [options.macroIds] - Ids of existing macros
+ * @returns {Array<{inputId: string, type: string, message: string}>}
+ */
+export function validateButtonMapping(buttonMapping, { macroIds = [] } = {}) {
+  const mapping = resolveButtonMapping(buttonMapping);
+  const issues = [];
+  const keys = new Map(); // normalized key id → first input id bound to it
+
+  Object.entries(mapping).forEach(([inputId, action]) => {
+    const label = getInputLabel(inputId);
+
+    if (action !== null) {
+      const parsed = parseAction(action);
+      if (!parsed) {
+        issues.push({ inputId, type: MAPPING_ISSUES.UNKNOWN_ACTION, message: `${label} is bound to an unknown command "${action}".` });
+      } else if (parsed.type === 'macro' && !macroIds.includes(parsed.value)) {
+        issues.push({ inputId, type: MAPPING_ISSUES.MISSING_MACRO, message: `${label} is bound to a macro that no longer exists.` });
+      }
+    }
+
+    if (getInputSource(inputId) !== INPUT_SOURCES.KEYBOARD) {
+      return;
+    }
+
+    const { key, ...modifiers } = parseKeyInputId(inputId);
+    if (isReservedKey(key)) {
+      issues.push({ inputId, type: MAPPING_ISSUES.RESERVED_KEY, message: `${label} is reserved and cannot be bound.` });
+      return;
+    }
+    if (action !== null && isBrowserShortcut(inputId)) {
+      issues.push({ inputId, type: MAPPING_ISSUES.BROWSER_SHORTCUT, message: `${label} is a browser shortcut, so the browser may act on it first.` });
+    }
+
+    const normalized = keyInputId(key, modifiers);
+    const other = keys.get(normalized);
+    if (other !== undefined && mapping[other] !== action) {
+      issues.push({ inputId, type: MAPPING_ISSUES.DUPLICATE_KEY, message: `${label} is bound twice (${getActionLabel(mapping[other])} and ${getActionLabel(action)}).` });
+    } else if (other === undefined) {
+      keys.set(normalized, inputId);
+    }
+  });
+
+  return issues;
+}
@@ -0,0 +1,139 @@
+// Command Buffer - Holds commands pressed while a device reconnects
+
+import {
+  COALESCE_RULES,
+  COMMAND_COALESCING,
+  OPPOSITE_COMMANDS,
+  COMMAND_BUFFER_SETTINGS
+} from '../core/constants.js';
+
+/**
+ * Short-lived outbound buffer. Each entry is a command plus the presses merged into it
+ * (`items`, each tied to a commandQueue history id). Methods that discard presses return
+ * the history ids they dropped so the caller can mark them in state.
+ */
+export class CommandBuffer {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? COMMAND_BUFFER_SETTINGS.TTL_MS;
+    this.maxSize = options.maxSize ?? COMMAND_BUFFER_SETTINGS.MAX_SIZE;
+    this.maxBurst = options.maxBurst ?? COMMAND_BUFFER_SETTINGS.MAX_BURST;
+    this.entries = [];
+  }
+
+  /**
+   * Number of buffered presses
+   */
+  get size() {
+    return this.entries.reduce((total, entry) => total + entry.items.length, 0);
+  }
+
+  /**
+   * Buffer a press, coalescing it with what is already queued
+   * @param {string} command - REMOTE_COMMANDS value
+   * @param {number} historyId - commandQueue entry id
+   * @param {number} [now=Date.now()]
+   * @returns {number[]} History ids dropped as a result
+   */
+  add(command, historyId, now = Date.now()) {
+    const dropped = this.prune(now);
+    const item = { historyId, at: now };
+    const rule = COMMAND_COALESCING[command];
+    const opposite = OPPOSITE_COMMANDS[command];
+    const last = this.entries[this.entries.length - 1];
+
+    if (rule === COALESCE_RULES.BURST && last?.command === command) {
+      if (last.items.length >= this.maxBurst) {
+        return [...dropped, historyId];
+      }
+      last.items.push(item);
+      return dropped;
+    }
+
+    if (rule === COALESCE_RULES.BURST && last?.command === opposite) {
+      // e.g. volume-down right after volume-up undoes one step of that burst
+      const undone = last.items.pop();
+      if (last.items.length === 0) {
+        this.entries.pop();
+      }
+      return [...dropped, undone.historyId, historyId];
+    }
+
+    if (rule === COALESCE_RULES.TOGGLE && last?.command === command) {
+      // Pressing a toggle twice is a no-op
+      this.entries.pop();
+      return [...dropped, ...last.items.map(i => i.historyId), historyId];
+    }
+
+    if (rule === COALESCE_RULES.LATEST) {
+      this.entries = this.entries.filter(entry => {
+        const superseded = entry.command === command || entry.command === opposite;
+        if (superseded) {
+          dropped.push(...entry.items.map(i => i.historyId));
+        }
+        return !superseded;
+      });
+    }
+
+    this.entries.push({ command, items: [item] });
+    return [...dropped, ...this.trim()];
+  }
+
+  /**
+   * Drop presses older than the TTL
+   * @returns {number[]} Dropped history ids
+   */
+  prune(now = Date.now()) {
+    const dropped = [];
+
+    this.entries = this.entries.filter(entry => {
+      entry.items = entry.items.filter(item => {
+        const stale = now - item.at > this.ttl;
+        if (stale) dropped.push(item.historyId);
+        return !stale;
+      });
+      return entry.items.length > 0;
+    });
+
+    return dropped;
+  }
+
+  /**
+   * Drop the oldest presses beyond maxSize
+   */
+  trim() {
+    const dropped = [];
+
+    while (this.size > this.maxSize) {
+      const oldest = this.entries[0];
+      dropped.push(oldest.items.shift().historyId);
+      if (oldest.items.length === 0) {
+        this.entries.shift();
+      }
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Take everything still fresh, in press order, and empty the buffer
+   * @returns {{commands: Array<{command: string, historyId: number}>, dropped: number[]}}
+   */
+  drain(now = Date.now()) {
+    const dropped = this.prune(now);
+    const commands = this.entries.flatMap(entry =>
+      entry.items.map(item => ({ command: entry.command, historyId: item.historyId }))
+    );
+    this.entries = [];
+    return { commands, dropped };
+  }
+
+  /**
+   * Empty the buffer without replaying
+   * @returns {number[]} Dropped history ids
+   */
+  clear() {
+    const dropped = this.entries.flatMap(entry => entry.items.map(item => item.historyId));
+    this.entries = [];
+    return dropped;
+  }
+}
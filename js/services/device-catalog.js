@@ -0,0 +1,238 @@
+// Device Catalog - Recognizes device families when pairing and supplies their defaults
+
+import { stateManager } from '../core/state.js';
+import {
+  DEVICE_CATALOG,
+  DEVICE_ICONS,
+  CATALOG_SETTINGS,
+  PROTOCOL_CODECS,
+  BUTTON_INPUTS,
+  SHORTCUT_SETTINGS
+} from '../core/constants.js';
+import { createId } from '../core/ids.js';
+import { parseAction } from './button-mapping.js';
+import { validateShortcut } from './shortcuts.js';
+
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+const CODECS = new Set(Object.values(PROTOCOL_CODECS));
+
+// Points per matching criterion; the highest-scoring family wins
+const MATCH_SCORES = { names: 2, manufacturerIds: 2, services: 1 };
+
+/**
+ * Full lowercase UUID for a service: 16-bit ids ('1812', '0x1812') are expanded
+ * @returns {string|null} null when it is not a UUID
+ */
+export function normalizeUuid(uuid) {
+  const value = String(uuid).trim().toLowerCase().replace(/^0x/, '');
+  if (/^[0-9a-f]{4}$/.test(value)) {
+    return `0000${value}${BASE_UUID_SUFFIX}`;
+  }
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value) ? value : null;
+}
+
+/**
+ * How well a catalog entry matches a device, 0 when it does not
+ * @param {Object} entry - Catalog entry
+ * @param {{name?: string, manufacturerIds?: number[], services?: string[]}} device
+ */
+export function scoreCatalogEntry(entry, { name = '', manufacturerIds = [], services = [] }) {
+  const { match } = entry;
+  const uuids = new Set(services.map(normalizeUuid));
+  const hits = {
+    names: match.names?.some(pattern => new RegExp(pattern, 'i').test(name)),
+    manufacturerIds: match.manufacturerIds?.some(id => manufacturerIds.includes(id)),
+    services: match.services?.some(uuid => uuids.has(normalizeUuid(uuid))),
+  };
+  return Object.entries(hits).reduce((score, [criterion, hit]) => score + (hit ? MATCH_SCORES[criterion] : 0), 0);
+}
+
+/**
+ * First problem with a catalog entry as a user-facing message, or null when it can be used
+ */
+export function validateCatalogEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return 'Catalog entries must be objects.';
+  }
+  if (typeof entry.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(entry.id)) {
+    return 'Catalog entries need an id of lowercase letters, digits and dashes.';
+  }
+
+  const name = `"${entry.id}"`;
+  if (typeof entry.label !== 'string' || !entry.label.trim()) {
+    return `Give ${name} a label.`;
+  }
+  if (entry.icon !== undefined && !DEVICE_ICONS.includes(entry.icon)) {
+    return `${name} uses an unknown icon "${entry.icon}".`;
+  }
+  if (entry.codec !== undefined && !CODECS.has(entry.codec)) {
+    return `${name} uses an unknown protocol "${entry.codec}".`;
+  }
+
+  const { names = [], manufacturerIds = [], services = [] } = entry.match ?? {};
+  if (![names, manufacturerIds, services].every(Array.isArray) || names.length + manufacturerIds.length + services.length === 0) {
+    return `${name} needs at least one name pattern, manufacturer id or service to match on.`;
+  }
+  for (const pattern of names) {
+    if (typeof pattern !== 'string' || !pattern || pattern.length > CATALOG_SETTINGS.MAX_PATTERN_LENGTH) {
+      return `${name} has a name pattern that is empty or longer than ${CATALOG_SETTINGS.MAX_PATTERN_LENGTH} characters.`;
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `${name} has an invalid name pattern "${pattern}".`;
+    }
+  }
+  if (!manufacturerIds.every(id => Number.isInteger(id) && id >= 0 && id <= 0xFFFF)) {
+    return `${name} has a manufacturer id that is not a 16-bit company id.`;
+  }
+  if (!services.every(uuid => normalizeUuid(uuid))) {
+    return `${name} has a service that is not a UUID.`;
+  }
+
+  if (entry.shortcuts !== undefined) {
+    if (!Array.isArray(entry.shortcuts) || entry.shortcuts.length > SHORTCUT_SETTINGS.MAX_TILES) {
+      return `${name} can have at most ${SHORTCUT_SETTINGS.MAX_TILES} shortcuts.`;
+    }
+    for (const tile of entry.shortcuts) {
+      const problem = validateShortcut(tile ?? {});
+      if (problem) {
+        return `${name}: ${problem}`;
+      }
+    }
+  }
+
+  if (entry.buttonMapping !== undefined) {
+    if (!entry.buttonMapping || typeof entry.buttonMapping !== 'object' || Array.isArray(entry.buttonMapping)) {
+      return `${name} has a button mapping that is not an object.`;
+    }
+    for (const [inputId, action] of Object.entries(entry.buttonMapping)) {
+      if (!BUTTON_INPUTS[inputId] && !inputId.startsWith('key-')) {
+        return `${name} maps an unknown input "${inputId}".`;
+      }
+      // Macros belong to one paired device, so a preset cannot refer to them
+      const type = action === null ? null : parseAction(action)?.type;
+      if (action !== null && type !== 'command' && type !== 'app') {
+        return `${name} maps ${inputId} to an unknown command "${action}".`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Entries from an imported JSON catalog: an array of entries or { entries: [...] }.
+ * Services are normalized and shortcut tiles get ids.
+ * @throws {Error} With a user-facing message when the file or any entry is invalid
+ */
+export function parseCatalogJson(text) {
+  if (text.length > CATALOG_SETTINGS.MAX_IMPORT_BYTES) {
+    throw new Error('The catalog file is too large.');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The catalog file is not valid JSON.', { cause: error });
+  }
+
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('The catalog file has no entries.');
+  }
+  for (const entry of entries) {
+    const problem = validateCatalogEntry(entry);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+
+  return entries.map(({ id, label, icon, match, codec, shortcuts, buttonMapping }) => ({
+    id,
+    label: label.trim(),
+    icon: icon ?? null,
+    match: {
+      names: match.names ?? [],
+      manufacturerIds: match.manufacturerIds ?? [],
+      services: (match.services ?? []).map(normalizeUuid),
+    },
+    codec: codec ?? null,
+    shortcuts: shortcuts?.map(tile => ({ id: tile.id || createId(), label: tile.label.trim(), icon: tile.icon, action: tile.action })) ?? null,
+    buttonMapping: buttonMapping ?? null,
+  }));
+}
+
+/**
+ * Built-in families plus the ones imported by the user (stored in state.catalogEntries)
+ */
+class DeviceCatalog {
+  /**
+   * Imported entries first, so they can replace a built-in family with the same id
+   */
+  getEntries() {
+    const imported = stateManager.getState().catalogEntries ?? [];
+    const importedIds = new Set(imported.map(entry => entry.id));
+    return [...imported, ...DEVICE_CATALOG.filter(entry => !importedIds.has(entry.id))];
+  }
+
+  getEntry(id) {
+    return this.getEntries().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Best matching family for a device; ties go to the entry listed first
+   * @param {{name?: string, manufacturerIds?: number[], services?: string[]}} device
+   * @returns {Object|null}
+   */
+  match(device) {
+    let best = null;
+    let bestScore = 0;
+    this.getEntries().forEach(entry => {
+      const score = scoreCatalogEntry(entry, device);
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Add the entries of a JSON catalog, replacing imported entries with the same id
+   * @returns {number} Entries imported
+   * @throws {Error} With a user-facing message
+   */
+  importJson(text) {
+    const entries = parseCatalogJson(text);
+    const ids = new Set(entries.map(entry => entry.id));
+    const kept = (stateManager.getState().catalogEntries ?? []).filter(entry => !ids.has(entry.id));
+    if (kept.length + entries.length > CATALOG_SETTINGS.MAX_IMPORTED_ENTRIES) {
+      throw new Error(`At most ${CATALOG_SETTINGS.MAX_IMPORTED_ENTRIES} catalog entries can be imported.`);
+    }
+    stateManager.setCatalogEntries([...kept, ...entries]);
+    return entries.length;
+  }
+
+  removeImported(id) {
+    stateManager.setCatalogEntries((stateManager.getState().catalogEntries ?? []).filter(entry => entry.id !== id));
+  }
+
+  /**
+   * Paired device fields a family supplies. Tiles and preset are only set when the
+   * family has them, so the usual defaults apply otherwise.
+   */
+  getDeviceDefaults(entry) {
+    const defaults = { catalogId: entry.id, icon: entry.icon ?? null };
+    if (entry.shortcuts) {
+      defaults.shortcuts = entry.shortcuts.map(tile => ({ ...tile }));
+    }
+    if (entry.buttonMapping) {
+      defaults.buttonMapping = { ...entry.buttonMapping };
+    }
+    return defaults;
+  }
+}
+
+// Singleton instance
+export const deviceCatalog = new DeviceCatalog();
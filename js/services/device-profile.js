@@ -0,0 +1,120 @@
+// Device Profiles - What a paired device can do, detected on connect and adjustable per device
+
+import { DEVICE_CAPABILITIES, CAPABILITY_STATES, CAPABILITY_OVERRIDES } from '../core/constants.js';
+
+// Names for standard 16-bit service UUIDs shown in settings
+const SERVICE_NAMES = {
+  0x1800: 'Generic Access',
+  0x1801: 'Generic Attribute',
+  0x180A: 'Device Information',
+  0x180F: 'Battery',
+  0x1812: 'HID',
+  0x1844: 'Volume Control',
+  0x1848: 'Media Control',
+};
+
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+// Capabilities without a command list, checked against the bound codec channels
+const FEATURE_CHECKS = {
+  pointer: (codec, channels) => codec.supportsPointer(channels),
+  text: (codec, channels) => codec.supportsText(channels),
+  apps: (codec, channels) => codec.supportsLaunch(channels),
+};
+
+/**
+ * UUIDs of the primary services the device exposes to this page. Only services listed in
+ * requestDevice optionalServices are visible; an empty list means nothing could be read.
+ */
+export async function detectServices(gattServer) {
+  if (typeof gattServer?.getPrimaryServices !== 'function') {
+    return [];
+  }
+  try {
+    const services = await gattServer.getPrimaryServices();
+    return [...new Set(services.map(service => String(service.uuid).toLowerCase()))].sort();
+  } catch (error) {
+    console.warn('Could not list device services:', error);
+    return [];
+  }
+}
+
+/**
+ * Which DEVICE_CAPABILITIES the codec declares for the bound channels. Without channels
+ * (binding failed) nothing can be sent, so everything is reported missing.
+ * @returns {Object<string, boolean>}
+ */
+export function declareCapabilities(codec, channels) {
+  return Object.fromEntries(Object.entries(DEVICE_CAPABILITIES).map(([id, capability]) => {
+    if (!codec || !channels) {
+      return [id, false];
+    }
+    const supported = capability.commands
+      ? capability.commands.some(command => codec.supports(command))
+      : FEATURE_CHECKS[id](codec, channels);
+    return [id, Boolean(supported)];
+  }));
+}
+
+/**
+ * Profile stored on the paired device as `profile`
+ * @returns {{services: string[], capabilities: Object<string, boolean>, codec: string|null, detectedAt: string}}
+ */
+export function createDeviceProfile({ services = [], codec = null, channels = null }) {
+  return {
+    services,
+    capabilities: declareCapabilities(codec, channels),
+    codec: codec?.id ?? null,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * How each main remote section should look for a paired device: user overrides first,
+ * then the detected profile. Devices that were never profiled show everything.
+ * @param {Object|null} device - Paired device with optional `profile` and `capabilityOverrides`
+ * @returns {Object<string, string>} Capability id → CAPABILITY_STATES value
+ */
+export function getCapabilityStates(device) {
+  const overrides = device?.capabilityOverrides ?? {};
+  const detected = device?.profile?.capabilities;
+
+  return Object.fromEntries(Object.entries(DEVICE_CAPABILITIES).map(([id, capability]) => {
+    if (overrides[id] === CAPABILITY_OVERRIDES.SHOW) {
+      return [id, CAPABILITY_STATES.ENABLED];
+    }
+    if (overrides[id] === CAPABILITY_OVERRIDES.HIDE) {
+      return [id, CAPABILITY_STATES.HIDDEN];
+    }
+    const supported = detected?.[id] ?? true;
+    return [id, supported ? CAPABILITY_STATES.ENABLED : capability.unsupported];
+  }));
+}
+
+/**
+ * Overrides with one capability changed; AUTO removes the override
+ */
+export function setCapabilityOverride(overrides = {}, capabilityId, value) {
+  if (!(capabilityId in DEVICE_CAPABILITIES)) {
+    throw new Error(`Unknown capability "${capabilityId}"`);
+  }
+  const updated = { ...overrides };
+  if (value === CAPABILITY_OVERRIDES.SHOW || value === CAPABILITY_OVERRIDES.HIDE) {
+    updated[capabilityId] = value;
+  } else {
+    delete updated[capabilityId];
+  }
+  return updated;
+}
+
+/**
+ * Readable name for a service UUID, e.g. "Battery", or the UUID itself
+ */
+export function describeService(uuid) {
+  const value = String(uuid).toLowerCase();
+  if (value.startsWith('0000') && value.endsWith(BASE_UUID_SUFFIX)) {
+    const shortId = parseInt(value.slice(4, 8), 16);
+    return SERVICE_NAMES[shortId] ?? `0x${shortId.toString(16).toUpperCase().padStart(4, '0')}`;
+  }
+  return value;
+}
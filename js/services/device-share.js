@@ -0,0 +1,84 @@
+// Device Sharing - Paired device setup as text for a QR code, and back
+
+import { PROTOCOL_CODECS, DEVICE_ICONS, DEVICE_CAPABILITIES, CAPABILITY_OVERRIDES, SHARE_SETTINGS } from '../core/constants.js';
+import { validateMacro } from './macros.js';
+import { validateShortcut } from './shortcuts.js';
+import { parseAction } from './button-mapping.js';
+
+const CODECS = new Set(Object.values(PROTOCOL_CODECS));
+
+/**
+ * Share code for a paired device: its names, protocol and per-device setup. Connection
+ * details are left out; another browser has to pick the device in its own chooser.
+ * @returns {string} JSON text for encodeQr()
+ */
+export function createShareCode(device) {
+  const profile = {
+    type: SHARE_SETTINGS.TYPE,
+    v: SHARE_SETTINGS.VERSION,
+    name: device.name,
+    customName: device.customName,
+    codec: device.codec,
+    icon: device.icon,
+    catalogId: device.catalogId,
+    shortcuts: device.shortcuts?.map(({ id, label, icon, action }) => ({ id, label, icon, action })),
+    buttonMapping: device.buttonMapping,
+    macros: device.macros?.map(({ id, name, steps }) => ({ id, name, steps })),
+    capabilityOverrides: device.capabilityOverrides,
+  };
+  // Unset fields are dropped by JSON.stringify
+  return JSON.stringify(profile);
+}
+
+/**
+ * Shared device profile from a scanned code
+ * @returns {Object} Paired device fields plus `name`, the advertised name to pick
+ * @throws {Error} With a user-facing message for codes that are not device shares
+ */
+export function parseShareCode(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This QR code isn't a shared remote.", { cause: error });
+  }
+  if (profile?.type !== SHARE_SETTINGS.TYPE) {
+    throw new Error("This QR code isn't a shared remote.");
+  }
+  if (profile.v !== SHARE_SETTINGS.VERSION) {
+    throw new Error('This remote was shared from a newer version of the app. Update the app and scan again.');
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    throw new Error('The shared remote has no device name.');
+  }
+
+  const macros = Array.isArray(profile.macros) ? profile.macros.filter(macro => macro?.id && !validateMacro(macro)) : [];
+  const macroIds = macros.map(macro => macro.id);
+  const usable = (action) => {
+    const parsed = parseAction(action);
+    return action === null || (parsed && (parsed.type !== 'macro' || macroIds.includes(parsed.value)));
+  };
+  const overrides = profile.capabilityOverrides && typeof profile.capabilityOverrides === 'object'
+    ? Object.entries(profile.capabilityOverrides).filter(([id, value]) =>
+      id in DEVICE_CAPABILITIES && (value === CAPABILITY_OVERRIDES.SHOW || value === CAPABILITY_OVERRIDES.HIDE))
+    : [];
+  const mapping = profile.buttonMapping && typeof profile.buttonMapping === 'object' && !Array.isArray(profile.buttonMapping)
+    ? Object.entries(profile.buttonMapping).filter(([, action]) => usable(action))
+    : [];
+
+  // Anything unusable is dropped rather than failing the whole share
+  const shared = {
+    name: profile.name.trim(),
+    customName: typeof profile.customName === 'string' ? profile.customName.trim() || undefined : undefined,
+    codec: CODECS.has(profile.codec) ? profile.codec : undefined,
+    icon: DEVICE_ICONS.includes(profile.icon) ? profile.icon : undefined,
+    catalogId: typeof profile.catalogId === 'string' && /^[a-z0-9-]{1,40}$/.test(profile.catalogId) ? profile.catalogId : undefined,
+    shortcuts: Array.isArray(profile.shortcuts)
+      ? profile.shortcuts.filter(tile => tile?.id && !validateShortcut(tile, { macroIds }))
+      : undefined,
+    buttonMapping: mapping.length > 0 ? Object.fromEntries(mapping) : undefined,
+    macros: macros.length > 0 ? macros : undefined,
+    capabilityOverrides: overrides.length > 0 ? Object.fromEntries(overrides) : undefined,
+  };
+  return Object.fromEntries(Object.entries(shared).filter(([, value]) => value !== undefined));
+}
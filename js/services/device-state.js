@@ -0,0 +1,183 @@
+// Device State - Volume, mute and now-playing reported by the device over GATT
+
+import { MEDIA_STATES } from '../core/constants.js';
+
+export const DEVICE_STATE_GATT = {
+  VOLUME_CONTROL: 0x1844,       // Volume Control Service
+  VOLUME_STATE: 0x2B7D,         // [volume setting 0-255, mute, change counter]
+  VOLUME_CONTROL_POINT: 0x2B7E, // [opcode, change counter, ...operand]
+  MEDIA_CONTROL: 0x1848,        // Media Control Service
+  MEDIA_PLAYER_NAME: 0x2B93,
+  TRACK_TITLE: 0x2B97,
+  TRACK_DURATION: 0x2B98,       // int32, 0.01 s units, -1 when unknown
+  TRACK_POSITION: 0x2B99,       // int32, 0.01 s units, -1 when unknown
+  MEDIA_STATE: 0x2BA3,
+};
+
+export const VOLUME_CONTROL_OPCODES = {
+  SET_ABSOLUTE_VOLUME: 0x04,
+};
+
+const VOLUME_SETTING_MAX = 255;
+const TRACK_TIME_UNKNOWN = -1;
+const MEDIA_STATE_VALUES = [MEDIA_STATES.INACTIVE, MEDIA_STATES.PLAYING, MEDIA_STATES.PAUSED, MEDIA_STATES.SEEKING];
+
+const bytesOf = (value) => new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+/**
+ * Volume State (0x2B7D) → { volume: 0-100, muted }
+ */
+export function parseVolumeState(value) {
+  const setting = value.getUint8(0);
+  return {
+    volume: Math.round((setting / VOLUME_SETTING_MAX) * 100),
+    muted: value.getUint8(1) === 1
+  };
+}
+
+/**
+ * Volume Control Point "Set Absolute Volume" for a 0-100 level. The change counter must
+ * match the device's latest Volume State or the write is rejected.
+ */
+export function encodeSetAbsoluteVolume(percent, changeCounter) {
+  const setting = Math.round((Math.min(100, Math.max(0, percent)) / 100) * VOLUME_SETTING_MAX);
+  return Uint8Array.from([VOLUME_CONTROL_OPCODES.SET_ABSOLUTE_VOLUME, changeCounter & 0xFF, setting]);
+}
+
+/**
+ * Media State (0x2BA3) → MEDIA_STATES value
+ */
+export function parseMediaState(value) {
+  return MEDIA_STATE_VALUES[value.getUint8(0)] || MEDIA_STATES.INACTIVE;
+}
+
+/**
+ * Track duration/position → seconds, or null when the player does not know
+ */
+export function parseTrackTime(value) {
+  const hundredths = value.getInt32(0, true);
+  return hundredths === TRACK_TIME_UNKNOWN ? null : hundredths / 100;
+}
+
+export function parseText(value) {
+  return new TextDecoder().decode(bytesOf(value));
+}
+
+// Characteristics we read on connect and subscribe to; `parse` maps a value onto deviceStatus fields
+const SOURCES = [
+  { service: DEVICE_STATE_GATT.VOLUME_CONTROL, characteristic: DEVICE_STATE_GATT.VOLUME_STATE, parse: parseVolumeState },
+  { service: DEVICE_STATE_GATT.MEDIA_CONTROL, characteristic: DEVICE_STATE_GATT.MEDIA_PLAYER_NAME, parse: v => ({ nowPlaying: { player: parseText(v) } }) },
+  { service: DEVICE_STATE_GATT.MEDIA_CONTROL, characteristic: DEVICE_STATE_GATT.TRACK_TITLE, parse: v => ({ nowPlaying: { title: parseText(v) } }) },
+  { service: DEVICE_STATE_GATT.MEDIA_CONTROL, characteristic: DEVICE_STATE_GATT.TRACK_DURATION, parse: v => ({ nowPlaying: { duration: parseTrackTime(v) } }) },
+  { service: DEVICE_STATE_GATT.MEDIA_CONTROL, characteristic: DEVICE_STATE_GATT.TRACK_POSITION, parse: v => ({ nowPlaying: { position: parseTrackTime(v) } }) },
+  { service: DEVICE_STATE_GATT.MEDIA_CONTROL, characteristic: DEVICE_STATE_GATT.MEDIA_STATE, parse: v => ({ nowPlaying: { state: parseMediaState(v) } }) },
+];
+
+/**
+ * Reads and subscribes to whichever state characteristics a device exposes and reports
+ * changes as partial deviceStatus updates. Missing services are skipped silently; most
+ * TVs only implement some of them. Also exposes the Volume Control Point, when writable,
+ * for absolute volume changes.
+ */
+export class DeviceStateMonitor {
+  /**
+   * @param {function(Object): void} onChange - Receives changed deviceStatus fields
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.subscriptions = [];
+    this.nowPlaying = {};
+    this.reportsVolume = false;
+    this.changeCounter = 0;
+    this.volumeControlPoint = null;
+  }
+
+  /**
+   * Services that must be listed in requestDevice optionalServices
+   */
+  static getServices() {
+    return [DEVICE_STATE_GATT.VOLUME_CONTROL, DEVICE_STATE_GATT.MEDIA_CONTROL];
+  }
+
+  /**
+   * Read the current state and subscribe to changes
+   * @returns {Promise<boolean>} Whether any state characteristic was found
+   */
+  async bind(gattServer) {
+    this.release();
+    this.nowPlaying = {};
+    this.reportsVolume = false;
+    const services = new Map();
+
+    for (const source of SOURCES) {
+      try {
+        if (!services.has(source.service)) {
+          services.set(source.service, gattServer.getPrimaryService(source.service));
+        }
+        const service = await services.get(source.service);
+        const characteristic = await service.getCharacteristic(source.characteristic);
+        await this.watch(characteristic, source);
+      } catch (error) {
+        // Not every device implements every characteristic
+      }
+    }
+
+    this.volumeControlPoint = this.reportsVolume ? await this.findVolumeControlPoint(services) : null;
+    return this.subscriptions.length > 0;
+  }
+
+  async watch(characteristic, source) {
+    const isVolumeState = source.characteristic === DEVICE_STATE_GATT.VOLUME_STATE;
+    const update = (value) => {
+      if (isVolumeState) {
+        this.reportsVolume = true;
+        this.changeCounter = value.getUint8(2);
+      }
+      this.apply(source.parse(value));
+    };
+    const listener = (event) => update(event.target.value);
+
+    if (characteristic.properties?.notify) {
+      characteristic.addEventListener('characteristicvaluechanged', listener);
+      await characteristic.startNotifications();
+    }
+    this.subscriptions.push({ characteristic, listener });
+
+    if (characteristic.properties?.read !== false) {
+      update(await characteristic.readValue());
+    }
+  }
+
+  async findVolumeControlPoint(services) {
+    try {
+      const service = await services.get(DEVICE_STATE_GATT.VOLUME_CONTROL);
+      const characteristic = await service.getCharacteristic(DEVICE_STATE_GATT.VOLUME_CONTROL_POINT);
+      return characteristic.properties?.write ? characteristic : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Merge a parsed value into the reported state; now-playing fields arrive one at a time
+   */
+  apply(fields) {
+    if (fields.nowPlaying) {
+      this.nowPlaying = { ...this.nowPlaying, ...fields.nowPlaying };
+      this.onChange({ ...fields, nowPlaying: { ...this.nowPlaying } });
+      return;
+    }
+    this.onChange(fields);
+  }
+
+  /**
+   * Stop listening (notifications end with the connection, so only listeners are removed)
+   */
+  release() {
+    this.subscriptions.forEach(({ characteristic, listener }) => {
+      characteristic.removeEventListener('characteristicvaluechanged', listener);
+    });
+    this.subscriptions = [];
+    this.volumeControlPoint = null;
+  }
+}
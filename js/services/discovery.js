@@ -0,0 +1,383 @@
+// Device Discovery - Live advertisement scanning for nearby and previously permitted devices
+
+import { stateManager } from '../core/state.js';
+import { DEVICE_FILTER_OPTIONS, DISCOVERY_SETTINGS } from '../core/constants.js';
+
+/**
+ * Map an RSSI reading (dBm) onto a 0-100 signal percentage
+ */
+export function rssiToSignal(rssi) {
+  if (typeof rssi !== 'number' || Number.isNaN(rssi)) {
+    return 0;
+  }
+  const { RSSI_FLOOR, RSSI_CEILING } = DISCOVERY_SETTINGS;
+  const ratio = (rssi - RSSI_FLOOR) / (RSSI_CEILING - RSSI_FLOOR);
+  return Math.round(Math.min(1, Math.max(0, ratio)) * 100);
+}
+
+/**
+ * Filter discovered devices using DEVICE_FILTER_OPTIONS
+ * @param {Array} devices - Discovered device entries
+ * @param {string} filter - DEVICE_FILTER_OPTIONS value
+ * @param {Array} pairedDevices - Paired devices (for connection status)
+ */
+export function filterDiscoveredDevices(devices, filter, pairedDevices = []) {
+  const connectedIds = new Set(pairedDevices.filter(d => d.connected).map(d => d.id));
+
+  switch (filter) {
+    case DEVICE_FILTER_OPTIONS.CONNECTED:
+      return devices.filter(d => connectedIds.has(d.id));
+    case DEVICE_FILTER_OPTIONS.AVAILABLE:
+      return devices.filter(d => d.inRange && !connectedIds.has(d.id));
+    default:
+      return devices;
+  }
+}
+
+/**
+ * Resolve once a permitted device advertises, i.e. is back in range
+ * @param {BluetoothDevice} device
+ * @param {Object} [options]
+ * @param {number} [options.timeout=0] - Milliseconds to wait (0 = until aborted)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<boolean>} false on timeout or abort; true if the device advertised
+ *   or cannot be watched (callers then just try to connect)
+ */
+export function waitForAdvertisement(device, options = {}) {
+  const { timeout = 0, signal } = options;
+
+  if (typeof device.watchAdvertisements !== 'function') {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const watcher = new AbortController();
+    let timer = null;
+    let settled = false;
+
+    const finish = (seen) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      device.removeEventListener('advertisementreceived', onAdvertisement);
+      signal?.removeEventListener('abort', onAbort);
+      watcher.abort();
+      resolve(seen);
+    };
+    const onAdvertisement = () => finish(true);
+    const onAbort = () => finish(false);
+
+    if (signal?.aborted) {
+      finish(false);
+      return;
+    }
+
+    device.addEventListener('advertisementreceived', onAdvertisement);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (timeout > 0) {
+      timer = setTimeout(() => finish(false), timeout);
+    }
+
+    device.watchAdvertisements({ signal: watcher.signal }).catch((error) => {
+      console.warn(`Could not watch advertisements for ${device.name}:`, error);
+      finish(true);
+    });
+  });
+}
+
+/**
+ * Call onAdvertisement with every advertisement a permitted device sends until the
+ * signal aborts
+ * @param {BluetoothDevice} device
+ * @param {function(Event): void} onAdvertisement - Receives the advertisementreceived event
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<boolean>} false when the browser cannot watch the device
+ */
+export async function watchAdvertisements(device, onAdvertisement, options = {}) {
+  const { signal } = options;
+
+  if (typeof device?.watchAdvertisements !== 'function' || signal?.aborted) {
+    return false;
+  }
+
+  const release = () => device.removeEventListener('advertisementreceived', onAdvertisement);
+  device.addEventListener('advertisementreceived', onAdvertisement);
+  signal?.addEventListener('abort', release, { once: true });
+
+  try {
+    await device.watchAdvertisements({ signal });
+    return true;
+  } catch (error) {
+    console.warn(`Could not watch advertisements for ${device.name}:`, error);
+    release();
+    return false;
+  }
+}
+
+class DeviceDiscovery {
+  constructor() {
+    this.entries = new Map();      // id -> serializable entry published to state
+    this.devices = new Map();      // id -> BluetoothDevice handle
+    this.watchers = new Map();     // id -> AbortController for watchAdvertisements()
+    this.scan = null;              // BluetoothLEScan from requestLEScan()
+    this.expiryInterval = null;
+    this.handledEvents = new WeakSet();
+    this.active = false;
+    this.onAdvertisement = (event) => this.handleAdvertisement(event);
+  }
+
+  /**
+   * Whether live scanning (requestLEScan) is available
+   */
+  supportsLEScan() {
+    return typeof navigator.bluetooth?.requestLEScan === 'function';
+  }
+
+  /**
+   * Whether previously permitted devices can be listed (getDevices)
+   */
+  supportsPermittedDevices() {
+    return typeof navigator.bluetooth?.getDevices === 'function';
+  }
+
+  /**
+   * Whether any form of discovery is available; otherwise callers fall back to requestDevice()
+   */
+  isSupported() {
+    return this.supportsLEScan() || this.supportsPermittedDevices();
+  }
+
+  /**
+   * Start discovery
+   * @returns {Promise<boolean>} false when discovery is unavailable and the chooser must be used,
+   *   or when stop() was called before it finished starting
+   */
+  async start() {
+    if (this.active) {
+      return true;
+    }
+
+    if (!this.isSupported()) {
+      console.warn('Device discovery not supported, falling back to device chooser');
+      return false;
+    }
+
+    this.active = true;
+    stateManager.setScanning(true);
+
+    if (typeof navigator.bluetooth.addEventListener === 'function') {
+      navigator.bluetooth.addEventListener('advertisementreceived', this.onAdvertisement);
+    }
+
+    await this.loadPermittedDevices();
+    // stop() may have run while we were waiting; it already cleaned up
+    if (!this.active) {
+      return false;
+    }
+
+    if (this.supportsLEScan()) {
+      try {
+        const scan = await navigator.bluetooth.requestLEScan({ acceptAllAdvertisements: true, keepRepeatedDevices: true });
+        if (!this.active) {
+          scan.stop();
+          return false;
+        }
+        this.scan = scan;
+      } catch (error) {
+        // Scanning needs a user gesture and an enabled flag in most browsers
+        console.warn('Could not start LE scan:', error);
+        this.scan = null;
+        if (!this.active) {
+          return false;
+        }
+      }
+    }
+
+    this.expiryInterval = setInterval(() => {
+      this.expireStaleEntries();
+    }, DISCOVERY_SETTINGS.EXPIRY_CHECK_INTERVAL_MS);
+
+    this.publish();
+    return true;
+  }
+
+  /**
+   * Stop scanning and advertisement watching
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+
+    if (this.scan) {
+      this.scan.stop();
+      this.scan = null;
+    }
+
+    this.watchers.forEach(controller => controller.abort());
+    this.watchers.clear();
+
+    this.devices.forEach(device => {
+      device.removeEventListener?.('advertisementreceived', this.onAdvertisement);
+    });
+
+    navigator.bluetooth?.removeEventListener?.('advertisementreceived', this.onAdvertisement);
+
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+      this.expiryInterval = null;
+    }
+
+    stateManager.setScanning(false);
+  }
+
+  /**
+   * Load devices the user already granted access to and watch their advertisements
+   */
+  async loadPermittedDevices() {
+    if (!this.supportsPermittedDevices()) {
+      return;
+    }
+
+    let devices = [];
+    try {
+      devices = await navigator.bluetooth.getDevices();
+    } catch (error) {
+      console.warn('Could not list permitted devices:', error);
+      return;
+    }
+
+    for (const device of devices) {
+      if (!this.active) {
+        return;
+      }
+
+      this.devices.set(device.id, device);
+      this.upsert(device.id, { name: device.name, permitted: true });
+
+      if (typeof device.watchAdvertisements === 'function' && !this.watchers.has(device.id)) {
+        const controller = new AbortController();
+        this.watchers.set(device.id, controller);
+        device.addEventListener?.('advertisementreceived', this.onAdvertisement);
+
+        try {
+          await device.watchAdvertisements({ signal: controller.signal });
+        } catch (error) {
+          console.warn(`Could not watch advertisements for ${device.name || device.id}:`, error);
+          this.watchers.delete(device.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle an advertisement from requestLEScan or watchAdvertisements
+   */
+  handleAdvertisement(event) {
+    // Device-level events also bubble to navigator.bluetooth
+    if (this.handledEvents.has(event)) return;
+    this.handledEvents.add(event);
+
+    const { device } = event;
+    if (!device) return;
+
+    this.devices.set(device.id, device);
+    this.upsert(device.id, {
+      name: event.name || device.name,
+      rssi: event.rssi ?? null,
+      signal: rssiToSignal(event.rssi),
+      uuids: event.uuids ? [...event.uuids] : undefined,
+      manufacturerIds: event.manufacturerData ? [...event.manufacturerData.keys()] : undefined,
+      lastSeen: Date.now(),
+      inRange: true
+    });
+
+    this.publish();
+  }
+
+  /**
+   * Merge fields into a discovered device entry
+   */
+  upsert(id, fields) {
+    const existing = this.entries.get(id) || {
+      id,
+      name: 'Unknown Device',
+      rssi: null,
+      signal: 0,
+      uuids: [],
+      manufacturerIds: [],  // Bluetooth SIG company ids from the manufacturer data
+      lastSeen: null,
+      permitted: false,
+      inRange: false
+    };
+
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    this.entries.set(id, { ...existing, ...defined });
+  }
+
+  /**
+   * Drop entries that have stopped advertising. Permitted devices stay listed
+   * (they can still be connected without the chooser) but are marked out of range.
+   */
+  expireStaleEntries(now = Date.now()) {
+    let changed = false;
+
+    this.entries.forEach((entry, id) => {
+      // Permitted devices already marked out of range keep their last sighting
+      if (!entry.inRange || entry.lastSeen === null || now - entry.lastSeen < DISCOVERY_SETTINGS.STALE_AFTER_MS) {
+        return;
+      }
+
+      changed = true;
+      if (entry.permitted) {
+        this.entries.set(id, { ...entry, rssi: null, signal: 0, inRange: false });
+      } else {
+        this.entries.delete(id);
+        this.devices.delete(id);
+      }
+    });
+
+    if (changed) {
+      this.publish();
+    }
+  }
+
+  /**
+   * Push entries into stateManager.discoveredDevices, strongest signal first
+   */
+  publish() {
+    const devices = [...this.entries.values()]
+      .sort((a, b) => b.signal - a.signal || a.name.localeCompare(b.name));
+    stateManager.setDiscoveredDevices(devices);
+  }
+
+  /**
+   * Get the BluetoothDevice handle for a discovered device
+   */
+  getDevice(id) {
+    return this.devices.get(id) || null;
+  }
+
+  /**
+   * Get a discovered device entry
+   */
+  getEntry(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Clear all discovered entries (for testing and when leaving the pairing flow)
+   */
+  reset() {
+    this.stop();
+    this.entries.clear();
+    this.devices.clear();
+    stateManager.setDiscoveredDevices([]);
+  }
+}
+
+// Singleton instance
+export const deviceDiscovery = new DeviceDiscovery();
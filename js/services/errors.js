@@ -0,0 +1,36 @@
+// Bluetooth Error Types
+
+import { BLUETOOTH_ERRORS } from '../core/constants.js';
+
+/**
+ * Error raised by the Bluetooth layer. `message` stays user-facing (the UI shows it
+ * directly); `code` is one of BLUETOOTH_ERRORS for programmatic handling and `cause`
+ * keeps the underlying DOMException when there is one.
+ */
+export class BluetoothError extends Error {
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'BluetoothError';
+    this.code = code;
+  }
+
+  /**
+   * Whether an error is a BluetoothError with the given code
+   */
+  static is(error, code) {
+    return error instanceof BluetoothError && (code === undefined || error.code === code);
+  }
+
+  /**
+   * Map a Web Bluetooth DOMException from a write into the taxonomy
+   */
+  static fromWriteError(error) {
+    if (error instanceof BluetoothError) {
+      return error;
+    }
+    if (error.name === 'NetworkError' || error.name === 'NotConnectedError') {
+      return new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Lost connection to device. Please reconnect.', { cause: error });
+    }
+    return new BluetoothError(BLUETOOTH_ERRORS.WRITE_FAILED, `Failed to send command: ${error.message}`, { cause: error });
+  }
+}
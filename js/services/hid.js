@@ -0,0 +1,215 @@
+// HID over GATT Profile - Report map parsing and report characteristic discovery
+
+export const HID_GATT = {
+  SERVICE: 'human_interface_device', // 0x1812
+  REPORT_MAP: 'report_map',          // 0x2A4B
+  REPORT: 'report',                  // 0x2A4D
+  REPORT_REFERENCE: 0x2908,
+};
+
+export const HID_REPORT_TYPES = {
+  INPUT: 'input',
+  OUTPUT: 'output',
+  FEATURE: 'feature',
+};
+
+// Top-level application collections we know how to drive
+export const HID_COLLECTIONS = {
+  CONSUMER_CONTROL: { usagePage: 0x0C, usage: 0x01 },
+  KEYBOARD: { usagePage: 0x01, usage: 0x06 },
+  MOUSE: { usagePage: 0x01, usage: 0x02 },
+};
+
+export const HID_MOUSE_BUTTONS = {
+  PRIMARY: 0x01,
+  SECONDARY: 0x02,
+  MIDDLE: 0x04,
+};
+
+const REPORT_REFERENCE_TYPES = { 1: HID_REPORT_TYPES.INPUT, 2: HID_REPORT_TYPES.OUTPUT, 3: HID_REPORT_TYPES.FEATURE };
+
+const ITEM_TYPES = { MAIN: 0, GLOBAL: 1, LOCAL: 2 };
+const MAIN_TAGS = { INPUT: 0x8, OUTPUT: 0x9, COLLECTION: 0xA, FEATURE: 0xB, END_COLLECTION: 0xC };
+const GLOBAL_TAGS = { USAGE_PAGE: 0x0, REPORT_ID: 0x8, PUSH: 0xA, POP: 0xB };
+const LOCAL_TAGS = { USAGE: 0x0 };
+const COLLECTION_APPLICATION = 0x01;
+const LONG_ITEM_PREFIX = 0xFE;
+
+/**
+ * Read an unsigned little-endian item payload
+ */
+function readItemData(bytes, offset, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value |= bytes[offset + i] << (8 * i);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Parse a HID report descriptor into its top-level application collections
+ * @param {Uint8Array|number[]} reportMap - Raw report map bytes
+ * @returns {Array<{usagePage: number, usage: number, reports: Array<{id: number, type: string}>}>}
+ */
+export function parseReportMap(reportMap) {
+  const bytes = Array.from(reportMap);
+  const collections = [];
+  const globalStack = [];
+  let globals = { usagePage: 0, reportId: 0 };
+  let usages = [];
+  let depth = 0;
+  let current = null;
+
+  const addReport = (type) => {
+    if (!current) return;
+    const exists = current.reports.some(r => r.id === globals.reportId && r.type === type);
+    if (!exists) {
+      current.reports.push({ id: globals.reportId, type });
+    }
+  };
+
+  let offset = 0;
+  while (offset < bytes.length) {
+    const prefix = bytes[offset];
+
+    if (prefix === LONG_ITEM_PREFIX) {
+      // Long items: [0xFE, dataSize, longItemTag, ...data] - never used by real devices, skip
+      offset += 3 + (bytes[offset + 1] ?? 0);
+      continue;
+    }
+
+    const sizeCode = prefix & 0x03;
+    const size = sizeCode === 3 ? 4 : sizeCode;
+    const type = (prefix >> 2) & 0x03;
+    const tag = (prefix >> 4) & 0x0F;
+    const data = readItemData(bytes, offset + 1, size);
+    offset += 1 + size;
+
+    if (type === ITEM_TYPES.GLOBAL) {
+      if (tag === GLOBAL_TAGS.USAGE_PAGE) globals.usagePage = data;
+      else if (tag === GLOBAL_TAGS.REPORT_ID) globals.reportId = data;
+      else if (tag === GLOBAL_TAGS.PUSH) globalStack.push({ ...globals });
+      else if (tag === GLOBAL_TAGS.POP && globalStack.length > 0) globals = globalStack.pop();
+    } else if (type === ITEM_TYPES.LOCAL) {
+      if (tag === LOCAL_TAGS.USAGE) {
+        // 4-byte usages carry their own usage page in the high word
+        usages.push(size === 4 ? data : (globals.usagePage << 16) | data);
+      }
+    } else if (type === ITEM_TYPES.MAIN) {
+      if (tag === MAIN_TAGS.COLLECTION) {
+        if (depth === 0 && data === COLLECTION_APPLICATION) {
+          const usage = usages[0] ?? 0;
+          current = { usagePage: usage >>> 16, usage: usage & 0xFFFF, reports: [] };
+          collections.push(current);
+        }
+        depth++;
+      } else if (tag === MAIN_TAGS.END_COLLECTION) {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) current = null;
+      } else if (tag === MAIN_TAGS.INPUT) {
+        addReport(HID_REPORT_TYPES.INPUT);
+      } else if (tag === MAIN_TAGS.OUTPUT) {
+        addReport(HID_REPORT_TYPES.OUTPUT);
+      } else if (tag === MAIN_TAGS.FEATURE) {
+        addReport(HID_REPORT_TYPES.FEATURE);
+      }
+      // Local items only apply to the next main item
+      usages = [];
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Find the first application collection matching a usage page/usage pair
+ */
+export function findCollection(collections, { usagePage, usage }) {
+  return collections.find(c => c.usagePage === usagePage && c.usage === usage) || null;
+}
+
+/**
+ * Read the report ID and type of a Report characteristic from its Report Reference descriptor
+ */
+async function readReportReference(characteristic) {
+  try {
+    const descriptor = await characteristic.getDescriptor(HID_GATT.REPORT_REFERENCE);
+    const value = await descriptor.readValue();
+    return { id: value.getUint8(0), type: REPORT_REFERENCE_TYPES[value.getUint8(1)] || null };
+  } catch (error) {
+    console.warn('Could not read HID report reference:', error);
+    return null;
+  }
+}
+
+/**
+ * Pick the Input Report characteristic for a collection, preferring writable ones.
+ * Output reports (keyboard LEDs) share the Input report's id and are writable too,
+ * so the Report Reference type must match as well.
+ */
+function selectReportCharacteristic(references, collection) {
+  if (!collection) return null;
+
+  const ids = new Set(collection.reports.filter(r => r.type === HID_REPORT_TYPES.INPUT).map(r => r.id));
+  const candidates = references.filter(ref => ref.type === HID_REPORT_TYPES.INPUT && ids.has(ref.id));
+  const isWritable = ({ characteristic }) =>
+    characteristic.properties?.write || characteristic.properties?.writeWithoutResponse;
+
+  const match = candidates.find(isWritable) || candidates[0];
+  return match ? match.characteristic : null;
+}
+
+/**
+ * Discover the HID service, parse its report map and locate the
+ * Consumer Control, Keyboard and Mouse report characteristics.
+ * @param {BluetoothRemoteGATTServer} gattServer
+ * @returns {Promise<{collections: Array, consumer: ?BluetoothRemoteGATTCharacteristic, keyboard: ?BluetoothRemoteGATTCharacteristic, mouse: ?BluetoothRemoteGATTCharacteristic}>}
+ */
+export async function discoverHidProfile(gattServer) {
+  const service = await gattServer.getPrimaryService(HID_GATT.SERVICE);
+
+  const reportMapCharacteristic = await service.getCharacteristic(HID_GATT.REPORT_MAP);
+  const reportMapValue = await reportMapCharacteristic.readValue();
+  const collections = parseReportMap(
+    new Uint8Array(reportMapValue.buffer, reportMapValue.byteOffset, reportMapValue.byteLength)
+  );
+
+  const reportCharacteristics = await service.getCharacteristics(HID_GATT.REPORT);
+  const references = [];
+  for (const characteristic of reportCharacteristics) {
+    const reference = await readReportReference(characteristic);
+    if (reference) {
+      references.push({ ...reference, characteristic });
+    }
+  }
+
+  return {
+    collections,
+    consumer: selectReportCharacteristic(references, findCollection(collections, HID_COLLECTIONS.CONSUMER_CONTROL)),
+    keyboard: selectReportCharacteristic(references, findCollection(collections, HID_COLLECTIONS.KEYBOARD)),
+    mouse: selectReportCharacteristic(references, findCollection(collections, HID_COLLECTIONS.MOUSE)),
+  };
+}
+
+/**
+ * Consumer Control report: 16-bit little-endian usage
+ */
+export function buildConsumerReport(usage = 0) {
+  return [usage & 0xFF, (usage >> 8) & 0xFF];
+}
+
+/**
+ * Boot-style keyboard report: [modifiers, reserved, key1..key6]
+ */
+export function buildKeyboardReport(usage = 0, modifiers = 0) {
+  return [modifiers, 0x00, usage, 0x00, 0x00, 0x00, 0x00, 0x00];
+}
+
+const toInt8 = (value) => Math.max(-127, Math.min(127, Math.round(value))) & 0xFF;
+
+/**
+ * Boot-style mouse report: [buttons, x, y, wheel] with signed 8-bit relative values
+ */
+export function buildMouseReport({ buttons = 0, dx = 0, dy = 0, wheel = 0 } = {}) {
+  return [buttons & 0xFF, toInt8(dx), toInt8(dy), toInt8(wheel)];
+}
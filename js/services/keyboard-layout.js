@@ -0,0 +1,119 @@
+// Keyboard Layouts - Maps characters to HID keyboard usages for the layout the TV uses
+
+import { KEYBOARD_LAYOUTS } from '../core/constants.js';
+
+export const KEY_MODIFIERS = {
+  NONE: 0x00,
+  SHIFT: 0x02,   // Left Shift
+  ALT_GR: 0x40,  // Right Alt
+};
+
+const LETTER_A = 0x04;
+const USAGE_ENTER = 0x28;
+const USAGE_BACKSPACE = 0x2A;
+const USAGE_TAB = 0x2B;
+const USAGE_SPACE = 0x2C;
+
+// Keys shared by every layout; '\b' and '\n' in text press Backspace and Enter
+const CONTROL_KEYS = [
+  ['\n', USAGE_ENTER],
+  ['\b', USAGE_BACKSPACE],
+  ['\t', USAGE_TAB],
+  [' ', USAGE_SPACE],
+];
+
+// [usage, plain, shifted, altGr] per layout; letters are generated separately
+const LAYOUT_KEYS = {
+  [KEYBOARD_LAYOUTS.US]: {
+    letterUsages: {},
+    keys: [
+      [0x1E, '1', '!'], [0x1F, '2', '@'], [0x20, '3', '#'], [0x21, '4', '$'], [0x22, '5', '%'],
+      [0x23, '6', '^'], [0x24, '7', '&'], [0x25, '8', '*'], [0x26, '9', '('], [0x27, '0', ')'],
+      [0x2D, '-', '_'], [0x2E, '=', '+'], [0x2F, '[', '{'], [0x30, ']', '}'], [0x31, '\\', '|'],
+      [0x33, ';', ':'], [0x34, "'", '"'], [0x35, '`', '~'], [0x36, ',', '<'], [0x37, '.', '>'],
+      [0x38, '/', '?'],
+    ],
+  },
+  [KEYBOARD_LAYOUTS.UK]: {
+    letterUsages: {},
+    keys: [
+      [0x1E, '1', '!'], [0x1F, '2', '"'], [0x20, '3', '£'], [0x21, '4', '$', '€'], [0x22, '5', '%'],
+      [0x23, '6', '^'], [0x24, '7', '&'], [0x25, '8', '*'], [0x26, '9', '('], [0x27, '0', ')'],
+      [0x2D, '-', '_'], [0x2E, '=', '+'], [0x2F, '[', '{'], [0x30, ']', '}'], [0x32, '#', '~'],
+      [0x33, ';', ':'], [0x34, "'", '@'], [0x35, '`', '¬'], [0x36, ',', '<'], [0x37, '.', '>'],
+      [0x38, '/', '?'], [0x64, '\\', '|'],
+    ],
+  },
+  [KEYBOARD_LAYOUTS.DE]: {
+    // QWERTZ: Y and Z trade places
+    letterUsages: { y: 0x1D, z: 0x1C },
+    keys: [
+      [0x1E, '1', '!'], [0x1F, '2', '"', '²'], [0x20, '3', '§', '³'], [0x21, '4', '$'], [0x22, '5', '%'],
+      [0x23, '6', '&'], [0x24, '7', '/', '{'], [0x25, '8', '(', '['], [0x26, '9', ')', ']'], [0x27, '0', '=', '}'],
+      [0x2D, 'ß', '?', '\\'], [0x2F, 'ü', 'Ü'], [0x30, '+', '*', '~'], [0x32, '#', "'"],
+      [0x33, 'ö', 'Ö'], [0x34, 'ä', 'Ä'], [0x35, null, '°'], [0x36, ',', ';'], [0x37, '.', ':'],
+      [0x38, '-', '_'], [0x64, '<', '>', '|'], [0x14, null, null, '@'], [0x08, null, null, '€'],
+      [0x10, null, null, 'µ'],
+    ],
+  },
+};
+
+const layoutCache = new Map();
+
+/**
+ * Character → { usage, modifiers } for a layout, falling back to US for unknown layouts
+ * @returns {Map<string, {usage: number, modifiers: number}>}
+ */
+export function getKeyboardLayout(layoutId) {
+  const id = LAYOUT_KEYS[layoutId] ? layoutId : KEYBOARD_LAYOUTS.US;
+  if (layoutCache.has(id)) {
+    return layoutCache.get(id);
+  }
+
+  const { letterUsages, keys } = LAYOUT_KEYS[id];
+  const layout = new Map();
+  const add = (char, usage, modifiers = KEY_MODIFIERS.NONE) => {
+    if (char && !layout.has(char)) {
+      layout.set(char, { usage, modifiers });
+    }
+  };
+
+  CONTROL_KEYS.forEach(([char, usage]) => add(char, usage));
+  for (let i = 0; i < 26; i++) {
+    const letter = String.fromCharCode(97 + i);
+    const usage = letterUsages[letter] ?? LETTER_A + i;
+    add(letter, usage);
+    add(letter.toUpperCase(), usage, KEY_MODIFIERS.SHIFT);
+  }
+  keys.forEach(([usage, plain, shifted, altGr]) => {
+    add(plain, usage);
+    add(shifted, usage, KEY_MODIFIERS.SHIFT);
+    add(altGr, usage, KEY_MODIFIERS.ALT_GR);
+  });
+
+  layoutCache.set(id, layout);
+  return layout;
+}
+
+/**
+ * Turn text into keystrokes for a layout. Characters the layout cannot type are skipped
+ * and listed once each in `unsupported`.
+ * @returns {{keystrokes: Array<{usage: number, modifiers: number}>, unsupported: string[]}}
+ */
+export function mapTextToKeystrokes(text, layoutId = KEYBOARD_LAYOUTS.US) {
+  const layout = getKeyboardLayout(layoutId);
+  const keystrokes = [];
+  const unsupported = new Set();
+
+  // Compose accents typed as separate combining marks (e + ◌̈ → ë) and collapse CRLF
+  for (const char of text.normalize('NFC').replace(/\r\n?/g, '\n')) {
+    const key = layout.get(char);
+    if (key) {
+      keystrokes.push(key);
+    } else {
+      unsupported.add(char);
+    }
+  }
+
+  return { keystrokes, unsupported: [...unsupported] };
+}
@@ -0,0 +1,129 @@
+// Locate - Makes a device sound its alert and tracks how close it is
+
+import { LOCATE_SETTINGS, PROXIMITY_TRENDS } from '../core/constants.js';
+import { rssiToSignal, watchAdvertisements } from './discovery.js';
+
+export const LOCATE_GATT = {
+  IMMEDIATE_ALERT: 0x1802, // Immediate Alert Service
+  ALERT_LEVEL: 0x2A06,     // uint8, written without response
+};
+
+export const ALERT_LEVELS = {
+  NONE: 0x00,
+  MILD: 0x01,
+  HIGH: 0x02,
+};
+
+/**
+ * Alert Level (0x2A06) value
+ */
+export function encodeAlertLevel(level) {
+  return Uint8Array.of(level);
+}
+
+/**
+ * Smooths RSSI readings and reports whether they are getting stronger ("warmer")
+ * or weaker ("colder") than the last reading that counted as a change.
+ */
+export class ProximityTracker {
+  constructor({ smoothing = LOCATE_SETTINGS.RSSI_SMOOTHING, threshold = LOCATE_SETTINGS.TREND_THRESHOLD_DB } = {}) {
+    this.smoothing = smoothing;
+    this.threshold = threshold;
+    this.reset();
+  }
+
+  reset() {
+    this.average = null;
+    this.reference = null;
+    this.trend = PROXIMITY_TRENDS.STEADY;
+  }
+
+  /**
+   * @param {number} rssi - dBm
+   * @returns {{rssi: number, signal: number, trend: string}} Smoothed RSSI, its 0-100
+   *   signal and PROXIMITY_TRENDS value
+   */
+  add(rssi) {
+    this.average = this.average === null ? rssi : this.average + (rssi - this.average) * this.smoothing;
+    if (this.reference === null) {
+      this.reference = this.average;
+    }
+
+    const change = this.average - this.reference;
+    if (Math.abs(change) >= this.threshold) {
+      this.trend = change > 0 ? PROXIMITY_TRENDS.WARMER : PROXIMITY_TRENDS.COLDER;
+      this.reference = this.average;
+    }
+
+    return { rssi: Math.round(this.average), signal: rssiToSignal(this.average), trend: this.trend };
+  }
+}
+
+/**
+ * One locate at a time: start() follows the device's advertisements into proximity
+ * updates, alert() makes the device noticeable and stop() silences it again.
+ */
+export class DeviceLocator {
+  constructor() {
+    this.session = null;
+    this.watcher = null;
+    this.alerting = false;
+  }
+
+  /**
+   * Services that must be listed in requestDevice optionalServices
+   */
+  static getServices() {
+    return [LOCATE_GATT.IMMEDIATE_ALERT];
+  }
+
+  /**
+   * @param {DeviceSession} session - Connected session of the device to find
+   * @param {Object} options
+   * @param {function({rssi: number, signal: number, trend: string}): void} options.onProximity
+   * @returns {Promise<boolean>} Whether the browser reports the device's signal strength
+   */
+  async start(session, { onProximity }) {
+    await this.stop();
+
+    this.session = session;
+    this.watcher = new AbortController();
+    const tracker = new ProximityTracker();
+    return watchAdvertisements(session.device, (event) => {
+      if (typeof event.rssi === 'number') {
+        onProximity(tracker.add(event.rssi));
+      }
+    }, { signal: this.watcher.signal });
+  }
+
+  /**
+   * Sound the alert on the device being located
+   * @returns {Promise<string>} LOCATE_METHODS value
+   */
+  async alert() {
+    if (!this.session) {
+      throw new Error('Open the locate sheet first');
+    }
+    // Set first so a stop() while the write is queued still silences it afterwards
+    this.alerting = true;
+    return this.session.locate(true);
+  }
+
+  /**
+   * Silence the alert and stop following advertisements
+   */
+  async stop() {
+    this.watcher?.abort();
+    this.watcher = null;
+
+    const session = this.session;
+    this.session = null;
+    if (session && this.alerting) {
+      this.alerting = false;
+      await session.locate(false).catch(error => console.warn('Could not silence the locate alert:', error));
+    }
+  }
+}
+
+// Singleton instance
+export const deviceLocator = new DeviceLocator();
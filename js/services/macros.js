@@ -0,0 +1,230 @@
+// Macros - Records button presses from the command history and replays them per device
+
+import { stateManager } from '../core/state.js';
+import { REMOTE_COMMANDS, COMMAND_STATUS, MACRO_SETTINGS } from '../core/constants.js';
+import { createId } from '../core/ids.js';
+import { bluetoothManager } from './bluetooth.js';
+
+const COMMANDS = new Set(Object.values(REMOTE_COMMANDS));
+
+// Presses that reached (or are about to reach) the device; dropped and failed ones are left out
+const RECORDED_STATUSES = new Set([COMMAND_STATUS.QUEUED, COMMAND_STATUS.SENT, COMMAND_STATUS.ACKNOWLEDGED]);
+
+const roundDelay = (ms) => {
+  const rounded = Math.round(ms / MACRO_SETTINGS.DELAY_STEP_MS) * MACRO_SETTINGS.DELAY_STEP_MS;
+  return Math.min(MACRO_SETTINGS.MAX_DELAY_MS, Math.max(0, rounded));
+};
+
+/**
+ * Macro steps from command history entries. Each step waits as long as the user did
+ * before the next press; the last step does not wait.
+ * @param {Array<{command: string, timestamp: number, status: string}>} entries
+ * @returns {Array<{command: string, delay: number}>}
+ */
+export function stepsFromHistory(entries) {
+  const presses = entries
+    .filter(entry => RECORDED_STATUSES.has(entry.status) && COMMANDS.has(entry.command))
+    .slice(0, MACRO_SETTINGS.MAX_STEPS);
+
+  return presses.map((entry, index) => {
+    const next = presses[index + 1];
+    return { command: entry.command, delay: next ? roundDelay(next.timestamp - entry.timestamp) : 0 };
+  });
+}
+
+/**
+ * First problem with a macro as a user-facing message, or null when it can be saved
+ */
+export function validateMacro(macro) {
+  const name = macro.name?.trim() ?? '';
+  if (!name) {
+    return 'Give the macro a name.';
+  }
+  if (name.length > MACRO_SETTINGS.MAX_NAME_LENGTH) {
+    return `Macro names can be at most ${MACRO_SETTINGS.MAX_NAME_LENGTH} characters.`;
+  }
+  if (!Array.isArray(macro.steps) || macro.steps.length === 0) {
+    return 'Add at least one step.';
+  }
+  if (macro.steps.length > MACRO_SETTINGS.MAX_STEPS) {
+    return `Macros can have at most ${MACRO_SETTINGS.MAX_STEPS} steps.`;
+  }
+
+  for (const [index, step] of macro.steps.entries()) {
+    if (!COMMANDS.has(step.command)) {
+      return `Step ${index + 1} has an unknown command "${step.command}".`;
+    }
+    if (!Number.isFinite(step.delay) || step.delay < 0 || step.delay > MACRO_SETTINGS.MAX_DELAY_MS) {
+      return `Step ${index + 1} must wait between 0 and ${MACRO_SETTINGS.MAX_DELAY_MS / 1000} seconds.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Total playback time in milliseconds
+ */
+export function getMacroDuration(macro) {
+  return macro.steps.reduce((total, step) => total + step.delay, 0);
+}
+
+/**
+ * Keeps each paired device's macros (on its `macros` field), records new ones from the
+ * command history and plays one macro at a time. Pausing holds the next step until resumed.
+ */
+class MacroManager {
+  constructor() {
+    this.recording = null; // { deviceId, afterId }
+    this.playback = null;  // { macroId, deviceId, controller, paused, resumed, resume }
+  }
+
+  getMacros(deviceId = stateManager.getState().activeDeviceId) {
+    const device = stateManager.getPairedDevices().find(d => d.id === deviceId);
+    return device?.macros ?? [];
+  }
+
+  findMacro(macroId, deviceId) {
+    return this.getMacros(deviceId).find(macro => macro.id === macroId) ?? null;
+  }
+
+  /**
+   * Add a macro, or replace the one with the same id
+   * @returns {Object} The saved macro
+   */
+  saveMacro(deviceId, macro) {
+    if (!stateManager.getPairedDevices().some(d => d.id === deviceId)) {
+      throw new Error('Pair a device before saving macros.');
+    }
+    const problem = validateMacro(macro);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const saved = {
+      id: macro.id || createId(),
+      name: macro.name.trim(),
+      steps: macro.steps.map(({ command, delay }) => ({ command, delay: Math.round(delay) }))
+    };
+    const macros = this.getMacros(deviceId);
+    const updated = macros.some(m => m.id === saved.id)
+      ? macros.map(m => (m.id === saved.id ? saved : m))
+      : [...macros, saved];
+    stateManager.updatePairedDevice(deviceId, { macros: updated });
+    return saved;
+  }
+
+  deleteMacro(deviceId, macroId) {
+    if (this.playback?.macroId === macroId) {
+      this.abort();
+    }
+    stateManager.updatePairedDevice(deviceId, {
+      macros: this.getMacros(deviceId).filter(m => m.id !== macroId)
+    });
+  }
+
+  // Recording
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Start capturing button presses sent to a device
+   */
+  startRecording(deviceId = stateManager.getState().activeDeviceId) {
+    if (this.playback) {
+      throw new Error('Stop the running macro before recording a new one.');
+    }
+    this.recording = { deviceId, afterId: stateManager.getState().lastCommand?.id ?? 0 };
+  }
+
+  /**
+   * Stop capturing and turn the presses since startRecording() into steps
+   * @returns {{deviceId: string, steps: Array<{command: string, delay: number}>}|null}
+   */
+  stopRecording() {
+    if (!this.recording) {
+      return null;
+    }
+    const { deviceId, afterId } = this.recording;
+    this.recording = null;
+
+    const entries = stateManager.getState().commandQueue.filter(entry => entry.id > afterId);
+    return { deviceId, steps: stepsFromHistory(entries) };
+  }
+
+  // Playback
+
+  get isPlaying() {
+    return this.playback !== null;
+  }
+
+  /**
+   * @returns {{macroId: string, deviceId: string, paused: boolean}|null}
+   */
+  getPlayback() {
+    if (!this.playback) {
+      return null;
+    }
+    const { macroId, deviceId, paused } = this.playback;
+    return { macroId, deviceId, paused };
+  }
+
+  /**
+   * Play a macro through sendCommandSequence. A step that fails stops the macro and rejects.
+   * @param {Object} macro
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Defaults to the active device
+   * @param {function(number, number): void} [options.onProgress] - Receives (completed, total)
+   * @returns {Promise<{completed: number, total: number, cancelled: boolean}>}
+   */
+  async play(macro, options = {}) {
+    if (this.playback) {
+      throw new Error('Another macro is already running.');
+    }
+    if (this.recording) {
+      throw new Error('Stop recording before playing a macro.');
+    }
+
+    const deviceId = options.deviceId ?? stateManager.getState().activeDeviceId;
+    const controller = new AbortController();
+    this.playback = { macroId: macro.id, deviceId, controller, paused: false, resumed: null, resume: null };
+
+    try {
+      const results = await bluetoothManager.sendCommandSequence(macro.steps, {
+        deviceId,
+        signal: controller.signal,
+        gate: () => this.playback?.resumed ?? Promise.resolve(),
+        onProgress: options.onProgress
+      });
+      return { completed: results.successes.length, total: macro.steps.length, cancelled: results.cancelled };
+    } finally {
+      this.playback = null;
+    }
+  }
+
+  pause() {
+    if (this.playback && !this.playback.paused) {
+      this.playback.paused = true;
+      this.playback.resumed = new Promise(resolve => { this.playback.resume = resolve; });
+    }
+  }
+
+  resume() {
+    if (this.playback?.paused) {
+      const { resume } = this.playback;
+      Object.assign(this.playback, { paused: false, resumed: null, resume: null });
+      resume();
+    }
+  }
+
+  abort() {
+    if (this.playback) {
+      this.playback.controller.abort();
+      this.resume(); // Release a paused sequence so it can finish as cancelled
+    }
+  }
+}
+
+// Singleton instance
+export const macroManager = new MacroManager();
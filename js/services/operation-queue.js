@@ -0,0 +1,176 @@
+// GATT Operation Queue - Serializes Bluetooth operations with priorities, timeouts and cancellation
+
+import { BLUETOOTH_ERRORS, OPERATION_PRIORITIES } from '../core/constants.js';
+import { BluetoothError } from './errors.js';
+
+let nextOperationId = 1;
+
+/**
+ * Runs one operation at a time. Web Bluetooth GATT calls fail with
+ * "GATT operation already in progress" when interleaved, so every request,
+ * connect, disconnect and characteristic write goes through a queue.
+ */
+export class OperationQueue {
+  constructor() {
+    this.pending = [];
+    this.current = null;
+  }
+
+  /**
+   * Queue an operation
+   * @param {string} name - Operation name (used in errors and cancellation)
+   * @param {function({signal: AbortSignal}): Promise<*>} task - Work to run; should honour the signal
+   * @param {Object} [options]
+   * @param {number} [options.priority=OPERATION_PRIORITIES.NORMAL]
+   * @param {number} [options.timeout=0] - Milliseconds before the operation fails with TIMEOUT (0 = none)
+   * @param {AbortSignal} [options.signal] - External cancellation
+   * @param {string} [options.group] - Tag used by cancel() filters (e.g. 'command')
+   * @returns {Promise<*>} Resolves with the task result
+   */
+  enqueue(name, task, options = {}) {
+    const { priority = OPERATION_PRIORITIES.NORMAL, timeout = 0, signal, group = null } = options;
+
+    return new Promise((resolve, reject) => {
+      const operation = {
+        id: nextOperationId++,
+        name,
+        task,
+        priority,
+        timeout,
+        group,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        settled: false,
+        detach: null
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(this.createCancelError(operation));
+          return;
+        }
+        const onAbort = () => this.cancelOperation(operation);
+        signal.addEventListener('abort', onAbort, { once: true });
+        operation.detach = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      // Insert after the last operation with the same or higher priority (stable FIFO)
+      const index = this.pending.findIndex(op => op.priority > priority);
+      if (index === -1) {
+        this.pending.push(operation);
+      } else {
+        this.pending.splice(index, 0, operation);
+      }
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Cancel queued and running operations matching a filter
+   * @param {function(Object): boolean} [filter] - Receives { name, group, priority }
+   * @param {string} [reason]
+   * @returns {number} Number of operations cancelled
+   */
+  cancel(filter = () => true, reason) {
+    const targets = [...this.pending, ...(this.current ? [this.current] : [])]
+      .filter(op => filter({ name: op.name, group: op.group, priority: op.priority }));
+
+    targets.forEach(op => this.cancelOperation(op, reason));
+    return targets.length;
+  }
+
+  /**
+   * Number of operations waiting or running
+   */
+  get size() {
+    return this.pending.length + (this.current ? 1 : 0);
+  }
+
+  isBusy() {
+    return this.current !== null;
+  }
+
+  createCancelError(operation, reason) {
+    return new BluetoothError(
+      BLUETOOTH_ERRORS.CANCELLED,
+      reason || `Bluetooth operation "${operation.name}" was cancelled`
+    );
+  }
+
+  cancelOperation(operation, reason) {
+    if (operation.settled) return;
+
+    const error = this.createCancelError(operation, reason);
+    this.pending = this.pending.filter(op => op !== operation);
+    operation.controller.abort(error);
+    this.settle(operation, error);
+  }
+
+  settle(operation, error, value) {
+    if (operation.settled) return;
+    operation.settled = true;
+    operation.detach?.();
+
+    if (error) {
+      operation.reject(error);
+    } else {
+      operation.resolve(value);
+    }
+  }
+
+  async drain() {
+    if (this.current || this.pending.length === 0) {
+      return;
+    }
+
+    const operation = this.pending.shift();
+    this.current = operation;
+
+    try {
+      await this.run(operation);
+    } finally {
+      this.current = null;
+      this.drain();
+    }
+  }
+
+  async run(operation) {
+    const { controller } = operation;
+    let timer = null;
+
+    // Rejects as soon as the operation is cancelled or times out, even if the task ignores the signal
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    aborted.catch(() => {});
+
+    if (operation.timeout > 0) {
+      timer = setTimeout(() => {
+        const error = new BluetoothError(
+          BLUETOOTH_ERRORS.TIMEOUT,
+          `Bluetooth operation "${operation.name}" timed out after ${operation.timeout}ms`
+        );
+        controller.abort(error);
+        this.settle(operation, error);
+      }, operation.timeout);
+    }
+
+    const task = Promise.resolve().then(() => operation.task({ signal: controller.signal }));
+    try {
+      const value = await Promise.race([task, aborted]);
+      this.settle(operation, null, value);
+    } catch (error) {
+      this.settle(operation, error);
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    // The caller has its answer, but a timed-out or cancelled task that ignored the signal may
+    // still be talking to the device; the next operation waits for it so GATT calls never interleave
+    if (controller.signal.aborted) {
+      await task.catch(() => {});
+    }
+  }
+}
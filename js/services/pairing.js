@@ -0,0 +1,43 @@
+// Manual Pairing - Parses what the user types into "Enter Code Manually"
+
+import { PAIRING_SETTINGS } from '../core/constants.js';
+import { normalizeUuid } from './device-catalog.js';
+
+export const PAIRING_INPUTS = {
+  CODE: 'code',       // Pairing code shown on the TV, checked by the device
+  SERVICE: 'service', // Service UUID the device advertises, narrows the chooser
+};
+
+const MAC_ADDRESS = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i;
+
+/**
+ * What the user entered, as { type: 'code', code } or { type: 'service', service }.
+ * Digits are a pairing code (spaces and dashes ignored); service UUIDs are full
+ * 128-bit UUIDs or 16-bit ids written as 0x1234.
+ * @param {string} value
+ * @throws {Error} With a user-facing message when it is neither
+ */
+export function parsePairingInput(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    throw new Error('Enter the pairing code shown on the TV, or the service UUID of the device.');
+  }
+  if (MAC_ADDRESS.test(text)) {
+    throw new Error('Browsers cannot connect to a Bluetooth address. Enter the pairing code shown on the TV, or the service UUID of the device.');
+  }
+
+  const digits = text.replace(/[\s-]/g, '');
+  if (/^\d+$/.test(digits)) {
+    const { CODE_MIN_LENGTH, CODE_MAX_LENGTH } = PAIRING_SETTINGS;
+    if (digits.length < CODE_MIN_LENGTH || digits.length > CODE_MAX_LENGTH) {
+      throw new Error(`Pairing codes have ${CODE_MIN_LENGTH} to ${CODE_MAX_LENGTH} digits.`);
+    }
+    return { type: PAIRING_INPUTS.CODE, code: digits };
+  }
+
+  const service = /^0x[0-9a-f]{4}$/i.test(text) || text.length === 36 ? normalizeUuid(text) : null;
+  if (!service) {
+    throw new Error("That isn't a pairing code or a service UUID.");
+  }
+  return { type: PAIRING_INPUTS.SERVICE, service };
+}
@@ -0,0 +1,632 @@
+// Command Protocol Layer - Turns REMOTE_COMMANDS into device-specific byte frames
+
+import {
+  PROTOCOL_CODECS,
+  DEFAULT_CODEC,
+  HID_CONSUMER_USAGES,
+  HID_KEYBOARD_USAGES,
+  VENDOR_COMMAND_IDS,
+  POWER_STATES,
+  TEXT_INPUT_SETTINGS,
+  SHORTCUT_SETTINGS
+} from '../core/constants.js';
+import { HID_GATT, discoverHidProfile, buildConsumerReport, buildKeyboardReport, buildMouseReport } from './hid.js';
+import { mapTextToKeystrokes } from './keyboard-layout.js';
+
+export const DEFAULT_CHANNEL = 'default';
+
+/**
+ * Split text into UTF-8 chunks of at most maxBytes without cutting a character in half
+ * @returns {Uint8Array[]}
+ */
+export function chunkUtf8(text, maxBytes = TEXT_INPUT_SETTINGS.CHUNK_BYTES) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = [];
+
+  for (const char of text.normalize('NFC').replace(/\r\n?/g, '\n')) {
+    const bytes = encoder.encode(char);
+    if (current.length > 0 && current.length + bytes.length > maxBytes) {
+      chunks.push(Uint8Array.from(current));
+      current = [];
+    }
+    current.push(...bytes);
+  }
+  if (current.length > 0) {
+    chunks.push(Uint8Array.from(current));
+  }
+
+  return chunks;
+}
+
+/**
+ * Base class for command codecs.
+ *
+ * Codecs are stateless: `bind()` resolves the characteristics a codec writes to
+ * and returns them as named channels, and `encode()` turns a command into an
+ * ordered list of frames ({ channel, value }) for those channels. The encode
+ * context carries the bound channels so codecs can pick between them.
+ *
+ * Codecs with a `notifyCharacteristic` can also confirm delivery: `bindNotifications()`
+ * resolves that characteristic and `decodeNotification()` turns each notification into
+ * an acknowledgement ({ key, ok, result, payload }) matched to commands by `ackKey()`,
+ * or a state report ({ status }) with deviceStatus fields such as power or volume.
+ */
+export class CommandCodec {
+  constructor({ id, label, service, characteristic, notifyCharacteristic = null }) {
+    this.id = id;
+    this.label = label || id;
+    this.service = service;
+    this.characteristic = characteristic;
+    this.notifyCharacteristic = notifyCharacteristic;
+  }
+
+  /**
+   * Services that must be listed in requestDevice optionalServices
+   */
+  getServices() {
+    return [this.service];
+  }
+
+  /**
+   * Resolve the characteristics used by this codec on a connected GATT server
+   */
+  async bind(gattServer) {
+    const service = await gattServer.getPrimaryService(this.service);
+    const characteristic = await service.getCharacteristic(this.characteristic);
+    return { [DEFAULT_CHANNEL]: characteristic };
+  }
+
+  /**
+   * Resolve the notify characteristic used for acknowledgements, or null when the
+   * codec or the device does not provide one
+   */
+  async bindNotifications(gattServer) {
+    if (!this.notifyCharacteristic) {
+      return null;
+    }
+
+    const service = await gattServer.getPrimaryService(this.service);
+    const characteristic = await service.getCharacteristic(this.notifyCharacteristic);
+    return characteristic.properties?.notify ? characteristic : null;
+  }
+
+  /**
+   * Decode a notification into an acknowledgement or state report, or null if it is neither
+   * @param {DataView} value
+   * @returns {{key: *, ok: boolean, result: number, payload: number[]}|{status: Object}|null}
+   */
+  decodeNotification(value) {
+    return null;
+  }
+
+  /**
+   * Key correlating a command with its acknowledgement
+   */
+  ackKey(command) {
+    return command;
+  }
+
+  /**
+   * Check whether a command can be encoded
+   */
+  supports(command) {
+    return false;
+  }
+
+  /**
+   * Encode a command into frames
+   * @param {string} command - REMOTE_COMMANDS value
+   * @param {Object} [context] - { channels } bound for the current device
+   */
+  encode(command, context = {}) {
+    throw new Error(`Codec "${this.id}" does not implement encode()`);
+  }
+
+  /**
+   * Whether relative pointer reports can be sent over the bound channels
+   */
+  supportsPointer(channels = {}) {
+    return false;
+  }
+
+  /**
+   * Encode relative pointer movement, wheel and button state into frames
+   * @param {{dx?: number, dy?: number, wheel?: number, buttons?: number}} report
+   * @param {Object} [context] - { channels } bound for the current device
+   */
+  encodePointer(report, context = {}) {
+    throw new Error(`The ${this.label} protocol does not support pointer input`);
+  }
+
+  /**
+   * Whether text can be typed over the bound channels
+   */
+  supportsText(channels = {}) {
+    return false;
+  }
+
+  /**
+   * Encode text (with '\b' for Backspace and '\n' for Enter) into frame groups. Each
+   * group is one keystroke or text chunk; callers pause between groups so the device
+   * is not flooded.
+   * @param {string} text
+   * @param {Object} [context] - { channels, layout } for the current device
+   * @returns {{groups: Array<Array<{channel: string, value: Uint8Array}>>, unsupported: string[]}}
+   */
+  encodeText(text, context = {}) {
+    throw new Error(`The ${this.label} protocol does not support text input`);
+  }
+
+  /**
+   * Whether apps can be launched by id (e.g. 'netflix') over the bound channels
+   */
+  supportsLaunch(channels = {}) {
+    return false;
+  }
+
+  /**
+   * Encode a request to open an app on the device
+   * @param {string} appId - SHORTCUT_APPS key or a vendor app id
+   * @param {Object} [context] - { channels } bound for the current device
+   */
+  encodeLaunch(appId, context = {}) {
+    throw new Error(`The ${this.label} protocol does not support launching apps`);
+  }
+
+  /**
+   * Whether the device can be paired with a code shown on its screen
+   */
+  supportsPairing() {
+    return false;
+  }
+
+  /**
+   * Encode a pairing request carrying the code the user entered
+   * @param {string} code - Digits only
+   */
+  encodePairing(code) {
+    throw new Error(`The ${this.label} protocol does not support pairing codes`);
+  }
+
+  /**
+   * Correlation key of the device's answer to a pairing request
+   */
+  pairingAckKey() {
+    return null;
+  }
+
+  /**
+   * Whether the device can be asked to beep or flash so it can be found. Devices with
+   * the Immediate Alert service are located over GATT instead.
+   */
+  supportsLocate() {
+    return false;
+  }
+
+  /**
+   * Encode a request to start (or stop) the device's locate alert
+   * @param {boolean} [active=true]
+   */
+  encodeLocate(active = true) {
+    throw new Error(`The ${this.label} protocol does not support locating the device`);
+  }
+
+  /**
+   * Build a single frame for a channel
+   */
+  frame(bytes, channel = DEFAULT_CHANNEL) {
+    return { channel, value: Uint8Array.from(bytes) };
+  }
+
+  /**
+   * Throw a consistent error for commands the codec cannot express
+   */
+  assertSupported(command) {
+    if (!this.supports(command)) {
+      throw new Error(`Command "${command}" is not supported by the ${this.label} protocol`);
+    }
+  }
+}
+
+/**
+ * Plain text codec - writes the command name as UTF-8
+ */
+export class TextCodec extends CommandCodec {
+  constructor(options = {}) {
+    super({
+      id: PROTOCOL_CODECS.TEXT,
+      label: 'Plain text',
+      service: 'generic_access',
+      characteristic: 'device_name',
+      ...options
+    });
+    this.encoder = new TextEncoder();
+  }
+
+  static TEXT_PREFIX = 'text:';
+  static LAUNCH_PREFIX = 'launch:';
+  static LOCATE_PREFIX = 'locate:';
+
+  supports(command) {
+    return typeof command === 'string' && command.length > 0;
+  }
+
+  encode(command, context = {}) {
+    this.assertSupported(command);
+    return [this.frame(this.encoder.encode(command))];
+  }
+
+  supportsText() {
+    return true;
+  }
+
+  /**
+   * Text chunks are written as "text:<chunk>" so they cannot be mistaken for commands
+   */
+  encodeText(text, context = {}) {
+    const prefix = this.encoder.encode(TextCodec.TEXT_PREFIX);
+    const groups = chunkUtf8(text).map(chunk => [this.frame([...prefix, ...chunk])]);
+    return { groups, unsupported: [] };
+  }
+
+  supportsLaunch() {
+    return true;
+  }
+
+  encodeLaunch(appId, context = {}) {
+    return [this.frame(this.encoder.encode(`${TextCodec.LAUNCH_PREFIX}${appId}`))];
+  }
+
+  supportsLocate() {
+    return true;
+  }
+
+  /**
+   * "locate:start" / "locate:stop"
+   */
+  encodeLocate(active = true) {
+    return [this.frame(this.encoder.encode(`${TextCodec.LOCATE_PREFIX}${active ? 'start' : 'stop'}`))];
+  }
+}
+
+/**
+ * HID Consumer Control codec - 16-bit little-endian usage press followed by release
+ */
+export class HidConsumerCodec extends CommandCodec {
+  constructor(options = {}) {
+    super({
+      id: PROTOCOL_CODECS.HID_CONSUMER,
+      label: 'HID consumer control',
+      service: HID_GATT.SERVICE,
+      characteristic: HID_GATT.REPORT,
+      ...options
+    });
+    this.usages = options.usages || HID_CONSUMER_USAGES;
+  }
+
+  supports(command) {
+    return this.usages[command] !== undefined;
+  }
+
+  encode(command, context = {}) {
+    this.assertSupported(command);
+    return [
+      this.frame(buildConsumerReport(this.usages[command])),
+      this.frame(buildConsumerReport())
+    ];
+  }
+}
+
+/**
+ * HID over GATT codec - discovers Consumer Control, Keyboard and Mouse reports from the
+ * report map and sends press/release reports on the matching characteristic.
+ * Navigation goes through the keyboard report when one exists, everything else
+ * through consumer control; pointer input goes through the mouse report.
+ */
+export class HidCodec extends CommandCodec {
+  static CHANNELS = { CONSUMER: 'consumer', KEYBOARD: 'keyboard', MOUSE: 'mouse' };
+  static MAX_POINTER_DELTA = 127;
+
+  constructor(options = {}) {
+    super({
+      id: PROTOCOL_CODECS.HID,
+      label: 'HID over GATT',
+      service: HID_GATT.SERVICE,
+      characteristic: HID_GATT.REPORT,
+      ...options
+    });
+    this.consumerUsages = options.consumerUsages || HID_CONSUMER_USAGES;
+    this.keyboardUsages = options.keyboardUsages || HID_KEYBOARD_USAGES;
+  }
+
+  async bind(gattServer) {
+    const profile = await discoverHidProfile(gattServer);
+    const channels = {};
+
+    if (profile.consumer) channels[HidCodec.CHANNELS.CONSUMER] = profile.consumer;
+    if (profile.keyboard) channels[HidCodec.CHANNELS.KEYBOARD] = profile.keyboard;
+    if (profile.mouse) channels[HidCodec.CHANNELS.MOUSE] = profile.mouse;
+
+    if (Object.keys(channels).length === 0) {
+      throw new Error('HID report map has no consumer control, keyboard or mouse report');
+    }
+
+    return channels;
+  }
+
+  supports(command) {
+    return this.consumerUsages[command] !== undefined || this.keyboardUsages[command] !== undefined;
+  }
+
+  encode(command, { channels = {} } = {}) {
+    this.assertSupported(command);
+    const { CONSUMER, KEYBOARD } = HidCodec.CHANNELS;
+    const keyboardUsage = this.keyboardUsages[command];
+    const consumerUsage = this.consumerUsages[command];
+
+    const useKeyboard = keyboardUsage !== undefined && (channels[KEYBOARD] || consumerUsage === undefined);
+    if (useKeyboard) {
+      return [
+        this.frame(buildKeyboardReport(keyboardUsage), KEYBOARD),
+        this.frame(buildKeyboardReport(), KEYBOARD)
+      ];
+    }
+
+    return [
+      this.frame(buildConsumerReport(consumerUsage), CONSUMER),
+      this.frame(buildConsumerReport(), CONSUMER)
+    ];
+  }
+
+  supportsPointer(channels = {}) {
+    return Boolean(channels[HidCodec.CHANNELS.MOUSE]);
+  }
+
+  supportsText(channels = {}) {
+    return Boolean(channels[HidCodec.CHANNELS.KEYBOARD]);
+  }
+
+  /**
+   * One press/release pair per character, using the key positions of the TV's layout
+   */
+  encodeText(text, { layout } = {}) {
+    const { KEYBOARD } = HidCodec.CHANNELS;
+    const { keystrokes, unsupported } = mapTextToKeystrokes(text, layout);
+    const groups = keystrokes.map(({ usage, modifiers }) => [
+      this.frame(buildKeyboardReport(usage, modifiers), KEYBOARD),
+      this.frame(buildKeyboardReport(), KEYBOARD)
+    ]);
+    return { groups, unsupported };
+  }
+
+  /**
+   * Movements beyond the report's signed 8-bit range are split across several reports
+   */
+  encodePointer({ dx = 0, dy = 0, wheel = 0, buttons = 0 } = {}, context = {}) {
+    const max = HidCodec.MAX_POINTER_DELTA;
+    const count = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy), Math.abs(wheel)) / max));
+    const frames = [];
+    let sent = { dx: 0, dy: 0, wheel: 0 };
+
+    for (let i = 1; i <= count; i++) {
+      const target = {
+        dx: Math.round((dx * i) / count),
+        dy: Math.round((dy * i) / count),
+        wheel: Math.round((wheel * i) / count)
+      };
+      frames.push(this.frame(buildMouseReport({
+        buttons,
+        dx: target.dx - sent.dx,
+        dy: target.dy - sent.dy,
+        wheel: target.wheel - sent.wheel
+      }), HidCodec.CHANNELS.MOUSE));
+      sent = target;
+    }
+
+    return frames;
+  }
+}
+
+/**
+ * Vendor frame codec - [sync, length, command id, ...payload, checksum]
+ *
+ * Length counts the command id and payload bytes; the checksum is the XOR of
+ * every preceding byte. Vendor families can register their own instance with a
+ * different service, sync byte or command table.
+ */
+export class VendorFrameCodec extends CommandCodec {
+  constructor(options = {}) {
+    super({
+      id: PROTOCOL_CODECS.VENDOR_FRAME,
+      label: 'Vendor frame',
+      // 0xFF00 / 0xFF01 is the de facto vendor-specific pair used by many BLE remotes
+      service: '0000ff00-0000-1000-8000-00805f9b34fb',
+      characteristic: '0000ff01-0000-1000-8000-00805f9b34fb',
+      notifyCharacteristic: '0000ff02-0000-1000-8000-00805f9b34fb',
+      ...options
+    });
+    this.sync = options.sync ?? 0xA5;
+    this.commandIds = options.commandIds || VENDOR_COMMAND_IDS;
+  }
+
+  static ACK_OPCODE = 0xF0;
+  static ACK_OK = 0x00;
+  static STATUS_OPCODE = 0xF1;
+  static TEXT_OPCODE = 0x40;
+  static LAUNCH_OPCODE = 0x41;
+  static PAIR_OPCODE = 0x42;
+  static LOCATE_OPCODE = 0x43;
+
+  // State report fields → deviceStatus fields
+  static STATUS_FIELDS = {
+    0x01: value => ({ power: [POWER_STATES.OFF, POWER_STATES.ON, POWER_STATES.STANDBY][value] }),
+    0x02: value => ({ volume: Math.min(100, value) }),
+    0x03: value => ({ muted: value === 1 }),
+  };
+
+  supports(command) {
+    return this.commandIds[command] !== undefined;
+  }
+
+  encode(command, { payload = [] } = {}) {
+    this.assertSupported(command);
+    return [this.buildFrame([this.commandIds[command], ...payload])];
+  }
+
+  supportsText() {
+    return true;
+  }
+
+  /**
+   * Text frames carry UTF-8 chunks: [sync, length, 0x40, ...utf8, checksum]
+   */
+  encodeText(text, context = {}) {
+    const groups = chunkUtf8(text).map(chunk => [this.buildFrame([VendorFrameCodec.TEXT_OPCODE, ...chunk])]);
+    return { groups, unsupported: [] };
+  }
+
+  supportsLaunch() {
+    return true;
+  }
+
+  /**
+   * Launch frames carry the app id: [sync, length, 0x41, ...utf8, checksum]
+   */
+  encodeLaunch(appId, context = {}) {
+    const id = new TextEncoder().encode(appId);
+    if (id.length === 0 || id.length > SHORTCUT_SETTINGS.MAX_APP_ID_BYTES) {
+      throw new Error(`App id "${appId}" must be 1-${SHORTCUT_SETTINGS.MAX_APP_ID_BYTES} bytes for the ${this.label} protocol`);
+    }
+    return [this.buildFrame([VendorFrameCodec.LAUNCH_OPCODE, ...id])];
+  }
+
+  supportsPairing() {
+    return true;
+  }
+
+  /**
+   * Pairing frames carry the code as ASCII digits: [sync, length, 0x42, ...digits, checksum].
+   * The device acknowledges with key 0x42 and a non-zero result for a wrong code.
+   */
+  encodePairing(code) {
+    return [this.buildFrame([VendorFrameCodec.PAIR_OPCODE, ...new TextEncoder().encode(code)])];
+  }
+
+  pairingAckKey() {
+    return VendorFrameCodec.PAIR_OPCODE;
+  }
+
+  supportsLocate() {
+    return true;
+  }
+
+  /**
+   * Locate frames switch the device's alert on or off: [sync, 0x02, 0x43, 0x01|0x00, checksum]
+   */
+  encodeLocate(active = true) {
+    return [this.buildFrame([VendorFrameCodec.LOCATE_OPCODE, active ? 0x01 : 0x00])];
+  }
+
+  buildFrame(body) {
+    const bytes = [this.sync, body.length, ...body];
+    const checksum = bytes.reduce((acc, byte) => acc ^ byte, 0);
+    return this.frame([...bytes, checksum]);
+  }
+
+  ackKey(command) {
+    return this.commandIds[command];
+  }
+
+  /**
+   * Notifications use the same framing:
+   *   acknowledgement  [sync, length, 0xF0, command id, result, ...payload, checksum]
+   *   state report     [sync, length, 0xF1, field, value, checksum]
+   */
+  decodeNotification(value) {
+    const bytes = Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    const [sync, length, opcode, ...rest] = bytes;
+    const body = rest.slice(0, -1);
+
+    if (sync !== this.sync || bytes.length !== length + 3 || body.length < 2) {
+      return null;
+    }
+
+    const checksum = bytes.slice(0, -1).reduce((acc, byte) => acc ^ byte, 0);
+    if (checksum !== bytes[bytes.length - 1]) {
+      return null;
+    }
+
+    if (opcode === VendorFrameCodec.STATUS_OPCODE) {
+      const [field, fieldValue] = body;
+      const status = VendorFrameCodec.STATUS_FIELDS[field]?.(fieldValue);
+      const known = status && Object.values(status).every(field => field !== undefined);
+      return known ? { status } : null;
+    }
+
+    if (opcode !== VendorFrameCodec.ACK_OPCODE) {
+      return null;
+    }
+
+    const [key, result, ...payload] = body;
+    return { key, ok: result === VendorFrameCodec.ACK_OK, result, payload };
+  }
+}
+
+/**
+ * Registry of available codecs, keyed by codec id
+ */
+class ProtocolRegistry {
+  constructor() {
+    this.codecs = new Map();
+  }
+
+  register(codec) {
+    if (!(codec instanceof CommandCodec)) {
+      throw new Error('Codecs must extend CommandCodec');
+    }
+    this.codecs.set(codec.id, codec);
+    return codec;
+  }
+
+  unregister(codecId) {
+    this.codecs.delete(codecId);
+  }
+
+  has(codecId) {
+    return this.codecs.has(codecId);
+  }
+
+  /**
+   * Get a codec by id, falling back to the default codec for unknown ids
+   */
+  get(codecId) {
+    if (codecId && this.codecs.has(codecId)) {
+      return this.codecs.get(codecId);
+    }
+    if (codecId) {
+      console.warn(`Unknown protocol codec "${codecId}", using ${DEFAULT_CODEC}`);
+    }
+    return this.codecs.get(DEFAULT_CODEC);
+  }
+
+  list() {
+    return [...this.codecs.values()];
+  }
+
+  /**
+   * All services required by registered codecs (for optionalServices)
+   */
+  getServices() {
+    const services = this.list().flatMap(codec => codec.getServices());
+    return [...new Set(services)];
+  }
+}
+
+// Singleton instance with built-in codecs
+export const protocolRegistry = new ProtocolRegistry();
+
+protocolRegistry.register(new TextCodec());
+protocolRegistry.register(new HidConsumerCodec());
+protocolRegistry.register(new VendorFrameCodec());
+protocolRegistry.register(new HidCodec());
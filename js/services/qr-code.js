@@ -0,0 +1,356 @@
+// QR Code - Minimal encoder for sharing devices (byte mode, error correction level M)
+
+// Per version 1-40 (index 0 unused), from the QR code specification for level M
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+const LEVEL_M_FORMAT = 0b00;
+const BYTE_MODE = 0b0100;
+const MAX_VERSION = 40;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Data-area mask conditions; a module is inverted where the condition holds
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+/**
+ * Modules available for data and error correction in a version
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+export function getDataCodewords(version) {
+  return Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+// ============ Reed-Solomon over GF(2^8) ============
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Generator polynomial coefficients (highest degree first, leading 1 omitted)
+ */
+export function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+export function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// ============ Codewords ============
+/**
+ * Data codewords for the bytes in the smallest version that fits them
+ * @returns {{version: number, codewords: number[]}}
+ */
+function encodeData(bytes) {
+  let version = 1;
+  const countBits = (v) => (v <= 9 ? 8 : 16);
+  while (4 + countBits(version) + bytes.length * 8 > getDataCodewords(version) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new Error('Too much data for a QR code.');
+    }
+  }
+
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  append(BYTE_MODE, 4);
+  append(bytes.length, countBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  // Terminator, byte alignment, then alternating pad bytes
+  const capacity = getDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return { version, codewords };
+}
+
+/**
+ * Split data into blocks, add error correction to each and interleave them
+ */
+function addErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) {
+      block.push(0); // Placeholder so all blocks interleave by index
+    }
+    blocks.push([...block, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// ============ Module Placement ============
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  alignmentPositions() {
+    if (this.version === 1) return [];
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < count; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          const xx = x + dx;
+          const yy = y + dy;
+          if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+            this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = this.alignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // Skip the three corners taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    this.drawFormatBits(0); // Reserve the area; redrawn once the mask is chosen
+    this.drawVersion();
+  }
+
+  drawFormatBits(mask) {
+    const data = (LEVEL_M_FORMAT << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, getBit(bits, i));
+    this.setFunction(8, this.size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, getBit(bits, i));
+      this.setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  /**
+   * Place codewords in the zigzag column pairs, right to left, skipping the timing column
+   */
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty for long runs, 2x2 blocks and dark/light imbalance. Finder-like
+   * patterns are not scored; any mask decodes, this only picks a readable one.
+   */
+  penalty() {
+    let score = 0;
+    const runs = (line) => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+    };
+    for (let i = 0; i < this.size; i++) {
+      runs(this.modules[i]);
+      runs(this.modules.map(row => row[i]));
+    }
+
+    let dark = 0;
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        const color = this.modules[y][x];
+        if (color) dark++;
+        if (x < this.size - 1 && y < this.size - 1 && color === this.modules[y][x + 1]
+          && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+    const total = this.size * this.size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text (as UTF-8) into a QR code
+ * @param {string} text
+ * @returns {{version: number, size: number, mask: number, modules: boolean[][]}} modules[y][x], true is dark
+ * @throws {Error} When the text does not fit in a QR code
+ */
+export function encodeQr(text) {
+  const { version, codewords } = encodeData(Array.from(new TextEncoder().encode(text)));
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(codewords, version));
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) {
+      best = { mask, score };
+    }
+    matrix.applyMask(mask); // Masks are their own inverse
+  });
+
+  matrix.applyMask(best.mask);
+  matrix.drawFormatBits(best.mask);
+  return { version, size: matrix.size, mask: best.mask, modules: matrix.modules };
+}
+
+/**
+ * SVG path drawing the dark modules, one unit per module, offset by a quiet zone
+ */
+export function qrToSvgPath(qr, margin = 4) {
+  const parts = [];
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+  }));
+  return parts.join('');
+}
@@ -0,0 +1,45 @@
+// Reconnection Policy - Backoff delays for re-acquiring dropped devices
+
+import { DEFAULT_RECONNECT_POLICY } from '../core/constants.js';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Fill in missing fields from DEFAULT_RECONNECT_POLICY and clamp the rest to sane ranges
+ * @param {Object} [policy] - Stored (possibly partial or outdated) policy
+ * @returns {Object} Complete policy
+ */
+export function normalizeReconnectPolicy(policy = {}) {
+  const merged = { ...DEFAULT_RECONNECT_POLICY, ...policy };
+  const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+  const baseDelay = Math.max(0, number(merged.baseDelay, DEFAULT_RECONNECT_POLICY.baseDelay));
+  return {
+    maxAttempts: Math.max(0, Math.floor(number(merged.maxAttempts, DEFAULT_RECONNECT_POLICY.maxAttempts))),
+    baseDelay,
+    maxDelay: Math.max(baseDelay, number(merged.maxDelay, DEFAULT_RECONNECT_POLICY.maxDelay)),
+    jitter: clamp(number(merged.jitter, DEFAULT_RECONNECT_POLICY.jitter), 0, 1),
+    pauseWhenHidden: Boolean(merged.pauseWhenHidden)
+  };
+}
+
+/**
+ * Whether a policy retries forever
+ */
+export function isUnlimited(policy) {
+  return policy.maxAttempts === 0;
+}
+
+/**
+ * Delay before a reconnection attempt: exponential from baseDelay, capped at maxDelay, then jittered
+ * @param {number} attempt - 1-based attempt number
+ * @param {Object} policy - Normalized policy
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Milliseconds
+ */
+export function getReconnectDelay(attempt, policy, random = Math.random) {
+  const exponential = policy.baseDelay * Math.pow(2, Math.max(0, attempt - 1));
+  const capped = Math.min(policy.maxDelay, exponential);
+  const spread = capped * policy.jitter;
+  return Math.round(clamp(capped - spread + random() * spread * 2, 0, policy.maxDelay));
+}
@@ -0,0 +1,896 @@
+// Device Session - One connected (or reconnecting) Bluetooth device
+
+import { stateManager } from '../core/state.js';
+import {
+  CONNECTION_STATES,
+  BLUETOOTH_ERRORS,
+  OPERATION_PRIORITIES,
+  OPERATION_TIMEOUTS,
+  BATTERY_MONITOR_INTERVAL,
+  RECONNECT_PHASES,
+  COMMAND_STATUS,
+  LOCATE_METHODS
+} from '../core/constants.js';
+import { protocolRegistry } from './protocol.js';
+import { OperationQueue } from './operation-queue.js';
+import { BluetoothError } from './errors.js';
+import { normalizeReconnectPolicy, getReconnectDelay, isUnlimited } from './reconnect.js';
+import { CommandBuffer } from './command-buffer.js';
+import { AckTracker } from './ack-tracker.js';
+import { DeviceStateMonitor, encodeSetAbsoluteVolume } from './device-state.js';
+import { detectServices, createDeviceProfile } from './device-profile.js';
+import { LOCATE_GATT, ALERT_LEVELS, encodeAlertLevel } from './locate.js';
+
+export const COMMAND_GROUP = 'command';
+const RECONNECT_GROUP = 'reconnect';
+
+/**
+ * Owns everything tied to a single device's GATT connection: its operation queue,
+ * codec channels, characteristic cache, reconnect backoff, offline command buffer, delivery
+ * acknowledgements, reported device state and battery monitor.
+ * BluetoothManager keeps one session per connected device.
+ */
+export class DeviceSession {
+  /**
+   * @param {BluetoothDevice} device
+   * @param {Object} [callbacks]
+   * @param {function(DeviceSession): void} [callbacks.onStateChange] - Called whenever `state` changes
+   * @param {function(DeviceSession): void} [callbacks.onClosed] - Called once reconnection is abandoned
+   * @param {function(DeviceSession, Object): void} [callbacks.onReconnectProgress] - Reconnection progress (RECONNECT_PHASES)
+   */
+  constructor(device, callbacks = {}) {
+    this.device = device;
+    this.id = device.id;
+    this.gattServer = null;
+    this.codec = null;
+    this.channels = null;
+    this.profile = null;
+    this.characteristics = new Map();
+    this.state = CONNECTION_STATES.DISCONNECTED;
+    this.queue = new OperationQueue();
+    this.reconnectAttempts = 0;
+    this.reconnectTimeout = null;
+    this.reconnectPaused = false;
+    this.buffer = new CommandBuffer();
+    this.acks = new AckTracker();
+    this.notifications = null;
+    this.deviceState = new DeviceStateMonitor(fields => this.applyDeviceState(fields));
+    this.batteryInterval = null;
+    this.callbacks = callbacks;
+    this.closed = false;
+    
+    this.handleDisconnected = () => this.onDisconnected();
+    this.handleNotification = (event) => this.onNotification(event);
+    this.device.addEventListener('gattserverdisconnected', this.handleDisconnected);
+  }
+  
+  /**
+   * Device display name
+   */
+  get name() {
+    return this.device.name || 'Unknown Device';
+  }
+  
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.callbacks.onStateChange?.(this);
+  }
+  
+  isConnected() {
+    return Boolean(this.gattServer && this.gattServer.connected);
+  }
+  
+  /**
+   * Connect to the GATT server and bind the codec
+   * @param {Object} [options]
+   * @param {string} [options.codec] - Protocol codec id, overriding the paired device's codec
+   */
+  async connect(options = {}) {
+    return this.queue.enqueue('connect', () => this.performConnect(options), {
+      timeout: OPERATION_TIMEOUTS.CONNECT
+    });
+  }
+  
+  async performConnect(options) {
+    try {
+      this.setState(CONNECTION_STATES.CONNECTING);
+      
+      this.gattServer = await this.device.gatt.connect();
+      this.reconnectAttempts = 0; // Reset on successful connection
+      this.characteristics.clear();
+      
+      // Resolve the device's protocol codec and its command characteristics
+      this.codec = this.resolveCodec(options.codec);
+      await this.bindCodec();
+      await this.bindDeviceState();
+      
+      this.setState(CONNECTION_STATES.CONNECTED);
+      this.startBatteryMonitor();
+      
+      return this.gattServer;
+    } catch (error) {
+      console.error('Error connecting to device:', error);
+      this.setState(CONNECTION_STATES.ERROR);
+      
+      // Provide user-friendly error messages
+      if (error.name === 'NetworkError') {
+        throw new BluetoothError(BLUETOOTH_ERRORS.CONNECTION_FAILED, 'Device out of range or turned off.', { cause: error });
+      } else if (error.name === 'NotFoundError') {
+        throw new BluetoothError(BLUETOOTH_ERRORS.CONNECTION_FAILED, 'Device no longer available.', { cause: error });
+      } else {
+        throw new BluetoothError(BLUETOOTH_ERRORS.CONNECTION_FAILED, `Connection failed: ${error.message}`, { cause: error });
+      }
+    }
+  }
+  
+  /**
+   * Disconnect and release the session. Jumps ahead of queued work and cancels pending commands and reconnects.
+   */
+  async disconnect() {
+    this.queue.cancel(op => op.group === COMMAND_GROUP || op.group === RECONNECT_GROUP, 'Cancelled by disconnect');
+    
+    return this.queue.enqueue('disconnect', () => this.close(), {
+      priority: OPERATION_PRIORITIES.HIGH,
+      timeout: OPERATION_TIMEOUTS.DISCONNECT
+    });
+  }
+  
+  /**
+   * Tear down the connection and stop all timers
+   */
+  close() {
+    if (this.isReconnecting()) {
+      this.reportReconnect(RECONNECT_PHASES.CANCELLED);
+    }
+    
+    this.closed = true;
+    this.clearReconnectTimeout();
+    this.reconnectPaused = false;
+    this.dropCommands(this.buffer.clear());
+    this.releaseNotifications();
+    this.deviceState.release();
+    this.acks.rejectAll(BLUETOOTH_ERRORS.CANCELLED, 'Cancelled by disconnect');
+    this.stopBatteryMonitor();
+    this.device.removeEventListener('gattserverdisconnected', this.handleDisconnected);
+    
+    if (this.device.gatt.connected) {
+      this.device.gatt.disconnect();
+    }
+    
+    this.gattServer = null;
+    this.channels = null;
+    this.characteristics.clear();
+    this.reconnectAttempts = 0;
+    this.setState(CONNECTION_STATES.DISCONNECTED);
+  }
+  
+  clearReconnectTimeout() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+  }
+  
+  /**
+   * Whether a reconnection is scheduled, paused or in flight
+   */
+  isReconnecting() {
+    return !this.closed && this.state === CONNECTION_STATES.RECONNECTING;
+  }
+  
+  /**
+   * Current reconnection policy from settings
+   */
+  getReconnectPolicy() {
+    return normalizeReconnectPolicy(stateManager.getUserSettings().reconnectPolicy);
+  }
+  
+  /**
+   * Publish reconnection progress, e.g. for "Reconnecting (2/5)…"
+   */
+  reportReconnect(phase, details = {}) {
+    const policy = this.getReconnectPolicy();
+    this.callbacks.onReconnectProgress?.(this, {
+      deviceId: this.id,
+      phase,
+      attempt: this.reconnectAttempts,
+      maxAttempts: policy.maxAttempts,
+      ...details
+    });
+  }
+  
+  /**
+   * Handle an unexpected disconnection
+   */
+  onDisconnected() {
+    if (this.closed) return;
+    
+    console.log(`Device disconnected: ${this.name}`);
+    this.stopBatteryMonitor();
+    this.characteristics.clear();
+    
+    // Writes queued against the dropped link can never succeed, nor can acknowledgements arrive
+    this.queue.cancel(op => op.group === COMMAND_GROUP, 'Device disconnected');
+    this.releaseNotifications();
+    this.deviceState.release();
+    this.acks.rejectAll(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Lost connection to device. Please reconnect.');
+    
+    this.scheduleReconnect();
+  }
+  
+  /**
+   * Schedule the next reconnection attempt per the policy, or give up once attempts are exhausted
+   */
+  scheduleReconnect() {
+    const policy = this.getReconnectPolicy();
+    this.clearReconnectTimeout();
+    
+    if (!isUnlimited(policy) && this.reconnectAttempts >= policy.maxAttempts) {
+      // Attempts exhausted; the device stays selected so the user can reconnect later
+      console.log(`Giving up reconnecting to ${this.name} after ${this.reconnectAttempts} attempts`);
+      this.setState(CONNECTION_STATES.DISCONNECTED);
+      this.reportReconnect(RECONNECT_PHASES.FAILED);
+      this.close();
+      this.callbacks.onClosed?.(this);
+      return;
+    }
+    
+    this.setState(CONNECTION_STATES.RECONNECTING);
+    
+    if (policy.pauseWhenHidden && document.hidden) {
+      this.reconnectPaused = true;
+      this.reportReconnect(RECONNECT_PHASES.PAUSED);
+      return;
+    }
+    
+    this.reconnectAttempts++;
+    const delay = getReconnectDelay(this.reconnectAttempts, policy);
+    const limit = isUnlimited(policy) ? '∞' : policy.maxAttempts;
+    console.log(`Reconnection attempt ${this.reconnectAttempts}/${limit} in ${delay}ms`);
+    
+    this.reportReconnect(RECONNECT_PHASES.SCHEDULED, { delay });
+    this.reconnectTimeout = setTimeout(() => this.attemptReconnect(), delay);
+  }
+  
+  /**
+   * Retry now instead of waiting out the backoff (page became visible or came back online)
+   */
+  resumeReconnect() {
+    const waiting = this.reconnectPaused || this.reconnectTimeout;
+    if (!this.isReconnecting() || !waiting) return;
+    
+    const policy = this.getReconnectPolicy();
+    if (policy.pauseWhenHidden && document.hidden) return;
+    
+    this.clearReconnectTimeout();
+    if (this.reconnectPaused) {
+      // Paused before this attempt was counted
+      this.reconnectPaused = false;
+      this.reconnectAttempts++;
+    }
+    
+    this.attemptReconnect();
+  }
+  
+  async attemptReconnect() {
+    this.reconnectTimeout = null;
+    this.reportReconnect(RECONNECT_PHASES.ATTEMPTING);
+    
+    try {
+      await this.queue.enqueue('reconnect', () => this.performReconnect(), {
+        group: RECONNECT_GROUP,
+        timeout: OPERATION_TIMEOUTS.CONNECT
+      });
+      this.replayBufferedCommands();
+    } catch (error) {
+      if (BluetoothError.is(error, BLUETOOTH_ERRORS.CANCELLED) || this.closed) {
+        return;
+      }
+      
+      console.error('Reconnection failed:', error);
+      this.scheduleReconnect();
+    }
+  }
+  
+  /**
+   * Stop reconnecting and release the session
+   */
+  cancelReconnect() {
+    if (!this.isReconnecting()) return false;
+    
+    this.queue.cancel(op => op.group === RECONNECT_GROUP, 'Reconnection cancelled');
+    this.close();
+    this.callbacks.onClosed?.(this);
+    return true;
+  }
+  
+  async performReconnect() {
+    if (this.closed) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.CANCELLED, 'Reconnection cancelled');
+    }
+    
+    this.gattServer = await this.device.gatt.connect();
+    
+    // Re-bind codec characteristics and state subscriptions after reconnection
+    await this.bindCodec();
+    await this.bindDeviceState();
+    
+    const attempts = this.reconnectAttempts;
+    this.reconnectAttempts = 0;
+    this.setState(CONNECTION_STATES.CONNECTED);
+    this.reportReconnect(RECONNECT_PHASES.SUCCEEDED, { attempt: attempts });
+    this.startBatteryMonitor();
+    console.log(`Reconnected to ${this.name}`);
+  }
+  
+  /**
+   * Pick the codec: explicit override, then the paired device's codec, then the default
+   */
+  resolveCodec(codecId = null) {
+    const pairedDevice = stateManager.getPairedDevices().find(d => d.id === this.id);
+    return protocolRegistry.get(codecId || pairedDevice?.codec);
+  }
+  
+  /**
+   * Resolve the characteristics the current codec writes to
+   */
+  async bindCodec() {
+    this.channels = null;
+    
+    try {
+      this.channels = await this.codec.bind(this.gattServer);
+    } catch (error) {
+      console.warn(`Could not bind ${this.codec.label} characteristics:`, error);
+      // Continue even if characteristic discovery fails - some devices may not have this
+      // or may use custom UUIDs not accessible this way
+    }
+    
+    await this.bindNotifications();
+    await this.detectProfile();
+  }
+  
+  /**
+   * Record the device's services and what the bound codec can do with them. Paired
+   * devices get the profile right away; new ones get it when they are paired.
+   */
+  async detectProfile() {
+    const services = await detectServices(this.gattServer);
+    this.profile = createDeviceProfile({ services, codec: this.codec, channels: this.channels });
+    
+    if (stateManager.getPairedDevices().some(d => d.id === this.id)) {
+      stateManager.updatePairedDevice(this.id, { profile: this.profile });
+    }
+  }
+  
+  /**
+   * Subscribe to the codec's acknowledgement characteristic when the device has one.
+   * Without it commands keep resolving as soon as the write completes.
+   */
+  async bindNotifications() {
+    this.releaseNotifications();
+    
+    try {
+      const characteristic = await this.codec.bindNotifications(this.gattServer);
+      if (!characteristic) return;
+      
+      characteristic.addEventListener('characteristicvaluechanged', this.handleNotification);
+      await characteristic.startNotifications();
+      this.notifications = characteristic;
+    } catch (error) {
+      console.warn(`Acknowledgements unavailable for ${this.name}:`, error);
+    }
+  }
+  
+  releaseNotifications() {
+    if (!this.notifications) return;
+    
+    this.notifications.removeEventListener('characteristicvaluechanged', this.handleNotification);
+    if (this.isConnected()) {
+      this.notifications.stopNotifications().catch(() => {});
+    }
+    this.notifications = null;
+  }
+  
+  onNotification(event) {
+    const message = this.codec?.decodeNotification(event.target.value);
+    if (!message) return;
+    
+    if (message.status) {
+      this.applyDeviceState(message.status);
+    } else if (!this.acks.handle(message)) {
+      console.warn(`Unmatched acknowledgement from ${this.name}:`, message);
+    }
+  }
+  
+  /**
+   * Read and subscribe to volume, mute and now-playing characteristics the device exposes
+   */
+  async bindDeviceState() {
+    try {
+      await this.deviceState.bind(this.gattServer);
+    } catch (error) {
+      console.warn(`Could not read device state from ${this.name}:`, error);
+    }
+  }
+  
+  /**
+   * Store state reported by the device (volume, muted, power, nowPlaying) in deviceStatus
+   */
+  applyDeviceState(fields) {
+    stateManager.updateDeviceStatus(this.id, fields);
+    window.dispatchEvent(new CustomEvent('bluetooth:device-state', {
+      detail: { deviceId: this.id, ...fields }
+    }));
+  }
+  
+  /**
+   * Switch the protocol codec for this device
+   */
+  async setCodec(codecId) {
+    this.codec = protocolRegistry.get(codecId);
+    
+    if (this.isConnected()) {
+      await this.queue.enqueue('bindCodec', () => this.bindCodec(), { timeout: OPERATION_TIMEOUTS.READ });
+    }
+    
+    return this.codec;
+  }
+  
+  /**
+   * Look up a characteristic, caching it for the lifetime of the connection
+   */
+  async getCharacteristic(service, characteristic) {
+    const key = `${service}/${characteristic}`;
+    
+    if (!this.characteristics.has(key)) {
+      const primaryService = await this.gattServer.getPrimaryService(service);
+      this.characteristics.set(key, await primaryService.getCharacteristic(characteristic));
+    }
+    
+    return this.characteristics.get(key);
+  }
+  
+  /**
+   * Send command to this device. While reconnecting (and buffering is enabled) the command
+   * is held in the session's buffer and replayed once the device is back.
+   * @param {string} command - REMOTE_COMMANDS value
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the write if it has not completed
+   * @param {number} [options.historyId] - commandQueue entry to mark sent instead of recording a new one
+   * @returns {Promise<boolean>} true once written (and acknowledged, when the device sends
+   *   acknowledgements), false when buffered
+   */
+  async sendCommand(command, options = {}) {
+    if (this.shouldBuffer()) {
+      return this.bufferCommand(command);
+    }
+    
+    return this.queue.enqueue(`write:${command}`, () => this.performSendCommand(command, options.historyId), {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE + (this.notifications ? OPERATION_TIMEOUTS.ACK : 0),
+      signal: options.signal
+    });
+  }
+  
+  shouldBuffer() {
+    return this.isReconnecting() && !this.isConnected() && stateManager.getUserSettings().bufferOfflineCommands;
+  }
+  
+  bufferCommand(command) {
+    if (this.codec && !this.codec.supports(command)) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, `Failed to send command: Command "${command}" is not supported by the ${this.codec.label} protocol`);
+    }
+    
+    const entry = stateManager.recordCommand(command, { status: COMMAND_STATUS.QUEUED });
+    this.dropCommands(this.buffer.add(command, entry.id));
+    return false;
+  }
+  
+  dropCommands(historyIds) {
+    if (historyIds.length > 0) {
+      stateManager.updateCommandStatus(historyIds, COMMAND_STATUS.DROPPED);
+    }
+  }
+  
+  /**
+   * Write buffered commands in press order; stale or failed ones are marked dropped
+   */
+  replayBufferedCommands() {
+    const { commands, dropped } = this.buffer.drain();
+    this.dropCommands(dropped);
+    
+    if (commands.length > 0) {
+      console.log(`Replaying ${commands.length} buffered command(s) to ${this.name}`);
+    }
+    
+    return Promise.all(commands.map(({ command, historyId }) =>
+      this.sendCommand(command, { historyId }).catch((error) => {
+        console.warn(`Dropped buffered command '${command}':`, error);
+        this.dropCommands([historyId]);
+        return false;
+      })
+    ));
+  }
+  
+  async performSendCommand(command, historyId = null) {
+    if (!this.isConnected()) {
+      console.warn('Device not connected');
+      throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+    }
+    
+    if (!this.codec || !this.channels) {
+      console.warn('Characteristic not available for command transmission');
+      throw new BluetoothError(BLUETOOTH_ERRORS.CHARACTERISTIC_UNAVAILABLE, 'Device characteristic not available. Cannot send command.');
+    }
+    
+    // Encode before recording so unsupported commands never reach history
+    let frames;
+    try {
+      frames = this.codec.encode(command, { channels: this.channels });
+    } catch (error) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, `Failed to send command: ${error.message}`, { cause: error });
+    }
+    
+    let ack = null;
+    try {
+      // Log command for debugging
+      console.log(`Sending command to ${this.name}: ${command}`);
+      
+      // Record command in state (buffered commands already have an entry)
+      if (historyId) {
+        stateManager.updateCommandStatus([historyId], COMMAND_STATUS.SENT);
+      } else {
+        historyId = stateManager.recordCommand(command).id;
+      }
+      
+      // Listen for the acknowledgement before writing so a fast reply is not missed
+      if (this.notifications) {
+        ack = this.acks.expect(this.codec.ackKey(command), command);
+      }
+      
+      // Write each frame to its channel in order (e.g. HID press then release)
+      for (const frame of frames) {
+        const channel = this.channels[frame.channel];
+        if (!channel) {
+          throw new BluetoothError(BLUETOOTH_ERRORS.CHARACTERISTIC_UNAVAILABLE, `Failed to send command: channel "${frame.channel}" is not available`);
+        }
+        await channel.writeValue(frame.value);
+      }
+    } catch (error) {
+      console.error('Error sending command:', error);
+      ack?.cancel();
+      
+      const bluetoothError = BluetoothError.fromWriteError(error);
+      if (bluetoothError.code === BLUETOOTH_ERRORS.NOT_CONNECTED) {
+        this.setState(CONNECTION_STATES.ERROR);
+      }
+      
+      throw bluetoothError;
+    }
+    
+    if (ack) {
+      await this.awaitAck(command, historyId, ack.promise);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Wait for the device to confirm a written command and publish its latency or failure
+   */
+  async awaitAck(command, historyId, acknowledgement) {
+    try {
+      const { latency } = await acknowledgement;
+      stateManager.updateCommandStatus([historyId], COMMAND_STATUS.ACKNOWLEDGED, { latency });
+      this.reportDelivery({ command, ok: true, latency });
+    } catch (error) {
+      console.warn(`Command '${command}' was not confirmed by ${this.name}:`, error);
+      stateManager.updateCommandStatus([historyId], COMMAND_STATUS.FAILED);
+      this.reportDelivery({ command, ok: false, error: error.message, code: error.code });
+      throw error;
+    }
+  }
+  
+  /**
+   * Publish delivery statistics to deviceStatus and a `bluetooth:command-ack` event
+   */
+  reportDelivery(result) {
+    stateManager.updateDeviceStatus(this.id, { delivery: this.acks.getStats() });
+    window.dispatchEvent(new CustomEvent('bluetooth:command-ack', {
+      detail: { deviceId: this.id, ...result }
+    }));
+  }
+  
+  /**
+   * Whether the codec can send relative pointer input to this device (e.g. an HID mouse report)
+   */
+  supportsPointer() {
+    return Boolean(this.codec && this.channels && this.codec.supportsPointer(this.channels));
+  }
+  
+  /**
+   * Send relative pointer movement, wheel and buttons. Pointer reports are not recorded
+   * in command history.
+   * @param {{dx?: number, dy?: number, wheel?: number, buttons?: number}} report
+   */
+  async sendPointer(report, options = {}) {
+    return this.queue.enqueue('write:pointer', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      if (!this.supportsPointer()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, 'This device does not support pointer input.');
+      }
+      
+      return this.writeFrames(this.codec.encodePointer(report, { channels: this.channels }));
+    }, {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE,
+      signal: options.signal
+    });
+  }
+  
+  /**
+   * Whether the codec can type text on this device (HID keyboard report or text frames)
+   */
+  supportsText() {
+    return Boolean(this.codec && this.channels && this.codec.supportsText(this.channels));
+  }
+  
+  /**
+   * Encode text into keystroke/chunk groups for sendTextFrames()
+   * @param {string} text - '\b' presses Backspace, '\n' presses Enter
+   * @param {Object} [options]
+   * @param {string} [options.layout] - KEYBOARD_LAYOUTS value the TV uses
+   * @returns {{groups: Array<Array<{channel: string, value: Uint8Array}>>, unsupported: string[]}}
+   */
+  encodeText(text, options = {}) {
+    if (!this.supportsText()) {
+      throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, 'This device does not accept text input.');
+    }
+    return this.codec.encodeText(text, { channels: this.channels, layout: options.layout });
+  }
+  
+  /**
+   * Write one keystroke or text chunk. Typed text is not recorded in command history.
+   */
+  async sendTextFrames(frames, options = {}) {
+    return this.queue.enqueue('write:text', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      return this.writeFrames(frames);
+    }, {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE,
+      signal: options.signal
+    });
+  }
+  
+  async writeFrames(frames) {
+    try {
+      for (const frame of frames) {
+        const channel = this.channels[frame.channel];
+        if (!channel) {
+          throw new BluetoothError(BLUETOOTH_ERRORS.CHARACTERISTIC_UNAVAILABLE, `Channel "${frame.channel}" is not available.`);
+        }
+        await channel.writeValue(frame.value);
+      }
+      return true;
+    } catch (error) {
+      throw BluetoothError.fromWriteError(error);
+    }
+  }
+  
+  /**
+   * Whether the codec can open apps on this device by id
+   */
+  supportsLaunch() {
+    return Boolean(this.codec && this.channels && this.codec.supportsLaunch(this.channels));
+  }
+  
+  /**
+   * Open an app (shortcut tiles). Launches are not recorded in command history.
+   * @param {string} appId - SHORTCUT_APPS key or a vendor app id
+   */
+  async launchApp(appId, options = {}) {
+    return this.queue.enqueue('write:launch', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      if (!this.supportsLaunch()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, 'This device cannot open apps directly. Bind the shortcut to a macro instead.');
+      }
+      
+      return this.writeFrames(this.codec.encodeLaunch(appId, { channels: this.channels }));
+    }, {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE,
+      signal: options.signal
+    });
+  }
+  
+  /**
+   * Whether the device can be paired with a code shown on its screen
+   */
+  supportsPairing() {
+    return Boolean(this.codec && this.channels && this.notifications && this.codec.supportsPairing());
+  }
+  
+  /**
+   * Send the pairing code the user entered and wait for the device to accept it. The
+   * device checks the code; it is not stored.
+   * @param {string} code - Digits only
+   */
+  async pair(code, options = {}) {
+    return this.queue.enqueue('pair', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      if (!this.supportsPairing()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.PAIRING_UNSUPPORTED, `${this.name} does not accept pairing codes. Use Connect Device instead.`);
+      }
+      
+      // Listen for the answer before writing so a fast reply is not missed
+      const ack = this.acks.expect(this.codec.pairingAckKey(), 'pair', OPERATION_TIMEOUTS.PAIRING);
+      try {
+        await this.writeFrames(this.codec.encodePairing(code));
+        await ack.promise;
+      } catch (error) {
+        ack.cancel();
+        if (error.code === BLUETOOTH_ERRORS.COMMAND_REJECTED) {
+          throw new BluetoothError(BLUETOOTH_ERRORS.PAIRING_REJECTED, 'Wrong pairing code. Check the code on the TV and try again.', { cause: error });
+        }
+        if (error.code === BLUETOOTH_ERRORS.ACK_TIMEOUT) {
+          throw new BluetoothError(BLUETOOTH_ERRORS.TIMEOUT, `${this.name} did not answer. Make sure it is showing a pairing code and try again.`, { cause: error });
+        }
+        throw error;
+      }
+      return true;
+    }, {
+      timeout: OPERATION_TIMEOUTS.WRITE + OPERATION_TIMEOUTS.PAIRING,
+      signal: options.signal
+    });
+  }
+  
+  /**
+   * Start (or stop) the alert that helps find the device. Devices with the Immediate
+   * Alert service get a High Alert; others get their protocol's locate command.
+   * Not recorded in command history.
+   * @param {boolean} [active=true]
+   * @returns {Promise<string>} LOCATE_METHODS value that was used
+   */
+  async locate(active = true, options = {}) {
+    return this.queue.enqueue('write:locate', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      
+      const alertLevel = await this.getCharacteristic(LOCATE_GATT.IMMEDIATE_ALERT, LOCATE_GATT.ALERT_LEVEL).catch(() => null);
+      if (alertLevel) {
+        try {
+          await alertLevel.writeValueWithoutResponse(encodeAlertLevel(active ? ALERT_LEVELS.HIGH : ALERT_LEVELS.NONE));
+        } catch (error) {
+          throw BluetoothError.fromWriteError(error);
+        }
+        return LOCATE_METHODS.IMMEDIATE_ALERT;
+      }
+      
+      if (!this.codec?.supportsLocate()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.LOCATE_UNSUPPORTED, `${this.name} can't play a sound to help you find it. Follow the signal meter instead.`);
+      }
+      await this.writeFrames(this.codec.encodeLocate(active));
+      return LOCATE_METHODS.PROTOCOL;
+    }, {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE,
+      signal: options.signal
+    });
+  }
+  
+  /**
+   * Whether the device reports its volume level (Volume State)
+   */
+  reportsVolume() {
+    return this.deviceState.reportsVolume;
+  }
+  
+  /**
+   * Whether the volume can be set directly through the Volume Control Point
+   */
+  supportsAbsoluteVolume() {
+    return this.isConnected() && Boolean(this.deviceState.volumeControlPoint);
+  }
+  
+  /**
+   * Set an exact 0-100 volume level in one write (Volume Control Point opcode 0x04)
+   * @param {number} level
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   */
+  async setAbsoluteVolume(level, options = {}) {
+    return this.queue.enqueue('write:set-volume', async () => {
+      if (!this.isConnected()) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.NOT_CONNECTED, 'Device is not connected. Please reconnect.');
+      }
+      const controlPoint = this.deviceState.volumeControlPoint;
+      if (!controlPoint) {
+        throw new BluetoothError(BLUETOOTH_ERRORS.UNSUPPORTED_COMMAND, 'This device does not support setting an exact volume.');
+      }
+      
+      try {
+        await controlPoint.writeValue(encodeSetAbsoluteVolume(level, this.deviceState.changeCounter));
+        return true;
+      } catch (error) {
+        throw BluetoothError.fromWriteError(error);
+      }
+    }, {
+      group: COMMAND_GROUP,
+      timeout: OPERATION_TIMEOUTS.WRITE,
+      signal: options.signal
+    });
+  }
+  
+  /**
+   * Cancel queued commands that have not been written yet
+   * @returns {number} Number of cancelled commands
+   */
+  cancelPendingCommands(reason = 'Command cancelled') {
+    return this.queue.cancel(op => op.group === COMMAND_GROUP, reason);
+  }
+  
+  /**
+   * Read the battery level, or null when the device has no battery service
+   */
+  async getBatteryLevel() {
+    if (!this.isConnected()) {
+      return null;
+    }
+    
+    try {
+      return await this.queue.enqueue('readBattery', async () => {
+        const batteryLevelCharacteristic = await this.getCharacteristic('battery_service', 'battery_level');
+        const value = await batteryLevelCharacteristic.readValue();
+        return value.getUint8(0);
+      }, {
+        priority: OPERATION_PRIORITIES.LOW,
+        timeout: OPERATION_TIMEOUTS.READ
+      });
+    } catch (error) {
+      console.warn('Could not read battery level:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Poll the battery level into deviceStatus while connected
+   */
+  startBatteryMonitor() {
+    // Stop any existing monitoring
+    this.stopBatteryMonitor();
+    
+    // Check battery immediately, then every interval
+    this.checkBatteryLevel();
+    this.batteryInterval = setInterval(() => {
+      this.checkBatteryLevel();
+    }, BATTERY_MONITOR_INTERVAL);
+  }
+  
+  stopBatteryMonitor() {
+    if (this.batteryInterval) {
+      clearInterval(this.batteryInterval);
+      this.batteryInterval = null;
+    }
+  }
+  
+  async checkBatteryLevel() {
+    const battery = await this.getBatteryLevel();
+    if (battery === null) return;
+    
+    stateManager.updateDeviceStatus(this.id, { battery });
+    window.dispatchEvent(new CustomEvent('bluetooth:battery-level', {
+      detail: { deviceId: this.id, battery }
+    }));
+  }
+}
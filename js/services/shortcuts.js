@@ -0,0 +1,70 @@
+// Shortcuts - Tiles on the main remote that run a command, a macro or open an app
+
+import { DEFAULT_SHORTCUTS, SHORTCUT_ICONS, SHORTCUT_SETTINGS } from '../core/constants.js';
+import { createId } from '../core/ids.js';
+import { parseAction } from './button-mapping.js';
+
+/**
+ * A paired device's tiles; devices whose shortcuts were never edited show the defaults
+ */
+export function getShortcuts(device) {
+  return (device?.shortcuts ?? DEFAULT_SHORTCUTS).map(tile => ({ ...tile }));
+}
+
+/**
+ * First problem with a tile as a user-facing message, or null when it can be saved
+ * @param {Object} tile - { label, icon, action }
+ * @param {Object} [options]
+ * @param {string[]} [options.macroIds] - Ids of the device's macros
+ */
+export function validateShortcut(tile, { macroIds = [] } = {}) {
+  const label = tile.label?.trim() ?? '';
+  if (!label) {
+    return 'Give the shortcut a label.';
+  }
+  if (label.length > SHORTCUT_SETTINGS.MAX_LABEL_LENGTH) {
+    return `Shortcut labels can be at most ${SHORTCUT_SETTINGS.MAX_LABEL_LENGTH} characters.`;
+  }
+  if (!SHORTCUT_ICONS.includes(tile.icon)) {
+    return 'Pick an icon for the shortcut.';
+  }
+
+  const parsed = parseAction(tile.action);
+  if (!parsed) {
+    return 'Pick what the shortcut does.';
+  }
+  if (parsed.type === 'macro' && !macroIds.includes(parsed.value)) {
+    return 'The macro for this shortcut no longer exists.';
+  }
+  return null;
+}
+
+/**
+ * Add a tile, or replace the one with the same id
+ */
+export function saveShortcut(shortcuts, tile) {
+  const saved = { id: tile.id || createId(), label: tile.label.trim(), icon: tile.icon, action: tile.action };
+  return shortcuts.some(t => t.id === saved.id)
+    ? shortcuts.map(t => (t.id === saved.id ? saved : t))
+    : [...shortcuts, saved];
+}
+
+/**
+ * Move a tile by `offset` places, staying within the grid
+ */
+export function moveShortcut(shortcuts, tileId, offset) {
+  const from = shortcuts.findIndex(t => t.id === tileId);
+  const to = Math.min(shortcuts.length - 1, Math.max(0, from + offset));
+  if (from === -1 || from === to) {
+    return shortcuts;
+  }
+
+  const updated = [...shortcuts];
+  const [tile] = updated.splice(from, 1);
+  updated.splice(to, 0, tile);
+  return updated;
+}
+
+export function removeShortcut(shortcuts, tileId) {
+  return shortcuts.filter(t => t.id !== tileId);
+}
@@ -0,0 +1,90 @@
+// Voice Commands - Parses spoken transcripts like "volume up five" into remote commands
+
+import { REMOTE_COMMANDS, VOICE_SETTINGS } from '../core/constants.js';
+
+// Phrases per command, after filler words are removed ("go to the home screen" → "home screen")
+const PHRASES = {
+  [REMOTE_COMMANDS.UP]: ['up', 'move up'],
+  [REMOTE_COMMANDS.DOWN]: ['down', 'move down'],
+  [REMOTE_COMMANDS.LEFT]: ['left', 'move left'],
+  [REMOTE_COMMANDS.RIGHT]: ['right', 'move right'],
+  [REMOTE_COMMANDS.OK]: ['ok', 'okay', 'select', 'enter', 'confirm'],
+  [REMOTE_COMMANDS.BACK]: ['back'],
+  [REMOTE_COMMANDS.HOME]: ['home', 'home screen'],
+  [REMOTE_COMMANDS.MENU]: ['menu', 'open menu', 'options'],
+  [REMOTE_COMMANDS.PLAY]: ['play', 'resume'],
+  [REMOTE_COMMANDS.PAUSE]: ['pause'],
+  [REMOTE_COMMANDS.PLAY_PAUSE]: ['play pause'],
+  [REMOTE_COMMANDS.PREVIOUS]: ['previous', 'previous track', 'last track'],
+  [REMOTE_COMMANDS.NEXT]: ['next', 'next track', 'skip'],
+  [REMOTE_COMMANDS.REPLAY_10S]: ['rewind', 'replay', 'skip back'],
+  [REMOTE_COMMANDS.FORWARD_10S]: ['fast forward', 'forward', 'skip ahead', 'skip forward'],
+  [REMOTE_COMMANDS.VOLUME_UP]: ['volume up', 'louder', 'turn up', 'turn volume up', 'turn up volume', 'raise volume'],
+  [REMOTE_COMMANDS.VOLUME_DOWN]: ['volume down', 'quieter', 'softer', 'turn down', 'turn volume down', 'turn down volume', 'lower volume'],
+  [REMOTE_COMMANDS.VOLUME_MUTE]: ['mute', 'unmute', 'mute volume'],
+  [REMOTE_COMMANDS.POWER_OFF]: ['power off', 'turn off', 'switch off', 'shut down'],
+  [REMOTE_COMMANDS.POWER_ON]: ['power on', 'turn on', 'switch on'],
+};
+
+const PHRASE_COMMANDS = new Map(
+  Object.entries(PHRASES).flatMap(([command, phrases]) => phrases.map(phrase => [phrase, command]))
+);
+
+const FILLER_WORDS = new Set(['please', 'the', 'tv', 'television', 'it', 'go', 'press', 'to', 'a']);
+
+const NUMBER_WORDS = {
+  once: 1, one: 1, twice: 2, two: 2, three: 3, thrice: 3, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+// Recognizers often hear "to", "too" and "for" for the numbers. They are ordinary words too
+// ("volume up to"), so they only count after "by" or before "times".
+const SOUNDALIKE_NUMBERS = { to: 2, too: 2, for: 4 };
+
+// Commands a count repeats; saying "power off twice" still sends it once
+const REPEATABLE = new Set([
+  REMOTE_COMMANDS.UP, REMOTE_COMMANDS.DOWN, REMOTE_COMMANDS.LEFT, REMOTE_COMMANDS.RIGHT,
+  REMOTE_COMMANDS.BACK, REMOTE_COMMANDS.PREVIOUS, REMOTE_COMMANDS.NEXT,
+  REMOTE_COMMANDS.REPLAY_10S, REMOTE_COMMANDS.FORWARD_10S,
+  REMOTE_COMMANDS.VOLUME_UP, REMOTE_COMMANDS.VOLUME_DOWN,
+]);
+
+const parseCount = (word) => NUMBER_WORDS[word] ?? (/^\d+$/.test(word) ? Number(word) : null);
+
+/**
+ * Command and repeat count for a transcript, or null when it is not a command.
+ * Grammar: [please] [go|press] <phrase> [[by] <count> [times]], e.g. "go home",
+ * "volume up by five" or "right 3 times".
+ * @param {string} transcript
+ * @returns {{command: string, count: number}|null}
+ */
+export function parseVoiceCommand(transcript) {
+  const words = String(transcript).toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const saidTimes = ['times', 'time'].includes(words.at(-1));
+  if (saidTimes) {
+    words.pop();
+  }
+  let count = 1;
+  const last = words.at(-1);
+  const soundalike = SOUNDALIKE_NUMBERS[last] && (saidTimes || words.at(-2) === 'by') ? SOUNDALIKE_NUMBERS[last] : null;
+  if (words.length > 1 && (parseCount(last) ?? soundalike) !== null) {
+    count = parseCount(words.pop()) ?? soundalike;
+    if (words.at(-1) === 'by') {
+      words.pop();
+    }
+  }
+
+  const phrase = words.filter(word => !FILLER_WORDS.has(word)).join(' ');
+  const command = PHRASE_COMMANDS.get(phrase);
+  if (!command || count < 1) {
+    return null;
+  }
+  return {
+    command,
+    count: REPEATABLE.has(command) ? Math.min(count, VOICE_SETTINGS.MAX_REPEAT) : 1
+  };
+}
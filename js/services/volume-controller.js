@@ -0,0 +1,159 @@
+// Volume Controller - Moves a device's volume to an exact level
+
+import { stateManager } from '../core/state.js';
+import { REMOTE_COMMANDS, VOLUME_SETTINGS } from '../core/constants.js';
+import { bluetoothManager } from './bluetooth.js';
+
+const clampLevel = (level) => Math.min(100, Math.max(0, Math.round(level)));
+
+/**
+ * Number of up/down steps to move between two levels (negative = down), capped at maxSteps
+ */
+export function planVolumeSteps(current, target, step = VOLUME_SETTINGS.STEP_PERCENT, maxSteps = VOLUME_SETTINGS.MAX_STEPS) {
+  const difference = target - current;
+  const steps = Math.sign(difference) * Math.round(Math.abs(difference) / step);
+  return Math.max(-maxSteps, Math.min(maxSteps, steps));
+}
+
+/**
+ * Sets absolute volume levels. Devices with a Volume Control Point get a single write;
+ * everything else gets the computed number of up/down steps through sendCommandSequence.
+ * Starting a new change cancels the one still in flight for that device. For devices
+ * that don't report their volume, the level reached is kept in deviceStatus as an estimate.
+ */
+class VolumeController {
+  constructor() {
+    this.inFlight = new Map(); // deviceId -> { controller, done }
+  }
+
+  /**
+   * Current (reported or estimated) level for a device
+   */
+  getLevel(deviceId) {
+    const { volume } = stateManager.getDeviceStatus(deviceId);
+    return typeof volume === 'number' ? volume : VOLUME_SETTINGS.DEFAULT_LEVEL;
+  }
+
+  /**
+   * Volume change per step, from the paired device's `volumeStep` when set
+   */
+  getStep(deviceId) {
+    const device = stateManager.getPairedDevices().find(d => d.id === deviceId);
+    return device?.volumeStep > 0 ? device.volumeStep : VOLUME_SETTINGS.STEP_PERCENT;
+  }
+
+  /**
+   * Cancel the change in flight for a device and wait for it to stop
+   */
+  async cancel(deviceId = stateManager.getState().activeDeviceId) {
+    let running;
+    while ((running = this.inFlight.get(deviceId))) {
+      running.controller.abort();
+      await running.done;
+    }
+  }
+
+  /**
+   * Move the volume to an exact level
+   * @param {number} target - 0-100
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Defaults to the active device
+   * @returns {Promise<{level: number, cancelled: boolean}>} Level reached
+   */
+  async setVolume(target, options = {}) {
+    const deviceId = options.deviceId ?? stateManager.getState().activeDeviceId;
+    return this.run(deviceId, (session, signal) => this.performSetVolume(session, clampLevel(target), signal));
+  }
+
+  /**
+   * Single up/down step (volume buttons), cancelling any slider change in flight
+   * @param {string} direction - 'up' or 'down'
+   */
+  async step(direction, options = {}) {
+    const deviceId = options.deviceId ?? stateManager.getState().activeDeviceId;
+    return this.run(deviceId, async (session) => {
+      const up = direction === 'up';
+      const sent = await session.sendCommand(up ? REMOTE_COMMANDS.VOLUME_UP : REMOTE_COMMANDS.VOLUME_DOWN);
+      const level = this.getLevel(deviceId);
+      if (sent === false) {
+        // Buffered while reconnecting; the level is unknown until it is replayed
+        return { level, cancelled: false };
+      }
+
+      const reached = clampLevel(level + (up ? 1 : -1) * this.getStep(deviceId));
+      this.track(session, reached);
+      return { level: reached, cancelled: false };
+    });
+  }
+
+  async run(deviceId, task) {
+    const session = bluetoothManager.requireSession(deviceId);
+
+    // Claim the slot before waiting for the previous change, so a change started
+    // meanwhile cancels this one instead of running alongside it
+    const previous = this.inFlight.get(deviceId);
+    const controller = new AbortController();
+    let finished;
+    const done = new Promise(resolve => { finished = resolve; });
+    this.inFlight.set(deviceId, { controller, done });
+
+    try {
+      if (previous) {
+        previous.controller.abort();
+        await previous.done;
+        if (controller.signal.aborted) {
+          return { level: this.getLevel(deviceId), cancelled: true };
+        }
+      }
+      return await task(session, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return { level: this.getLevel(deviceId), cancelled: true };
+      }
+      throw error;
+    } finally {
+      if (this.inFlight.get(deviceId)?.controller === controller) {
+        this.inFlight.delete(deviceId);
+      }
+      finished();
+    }
+  }
+
+  async performSetVolume(session, target, signal) {
+    if (session.supportsAbsoluteVolume()) {
+      await session.setAbsoluteVolume(target, { signal });
+      this.track(session, target);
+      return { level: target, cancelled: false };
+    }
+
+    const current = this.getLevel(session.id);
+    const step = this.getStep(session.id);
+    const steps = planVolumeSteps(current, target, step);
+    if (steps === 0) {
+      return { level: current, cancelled: false };
+    }
+
+    const command = steps > 0 ? REMOTE_COMMANDS.VOLUME_UP : REMOTE_COMMANDS.VOLUME_DOWN;
+    const results = await bluetoothManager.sendCommandSequence(new Array(Math.abs(steps)).fill(command), {
+      deviceId: session.id,
+      delay: VOLUME_SETTINGS.STEP_DELAY_MS,
+      signal
+    });
+
+    const reached = clampLevel(current + Math.sign(steps) * results.successes.length * step);
+    this.track(session, reached);
+    return { level: reached, cancelled: results.cancelled };
+  }
+
+  /**
+   * Keep an estimate for devices that don't report their volume; reported levels arrive by notification
+   */
+  track(session, level) {
+    if (!session.reportsVolume()) {
+      stateManager.updateDeviceStatus(session.id, { volume: level });
+    }
+  }
+}
+
+// Singleton instance
+export const volumeController = new VolumeController();
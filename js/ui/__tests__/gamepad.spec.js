@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { GamepadInput, readGamepad, repeatInterval } from '../gamepad.js';
+import { GAMEPAD_SETTINGS } from '../../core/constants.js';
+
+const createGamepad = ({ pressed = [], values = {}, axes = [0, 0, 0, 0], mapping = 'standard' } = {}) => ({
+  index: 0,
+  id: 'Test Controller',
+  mapping,
+  axes,
+  buttons: Array.from({ length: 17 }, (_, index) => ({
+    pressed: pressed.includes(index),
+    value: values[index] ?? (pressed.includes(index) ? 1 : 0)
+  }))
+});
+
+describe('readGamepad', () => {
+  test('maps standard buttons, scales triggers and ignores small stick movement', () => {
+    const held = readGamepad(createGamepad({ pressed: [0, 12, 16], values: { 7: 0.6, 6: 0.1 }, axes: [0.3, -0.2, 0, 0] }));
+
+    expect([...held.keys()].sort()).toEqual(['btn-a', 'btn-dpad-up', 'btn-home', 'btn-r-trigger']);
+    expect(held.get('btn-r-trigger')).toBeCloseTo(0.5);
+  });
+
+  test('reports only the dominant stick direction', () => {
+    const held = readGamepad(createGamepad({ axes: [0.6, -0.9, -1, 0.2] }));
+
+    expect([...held.keys()]).toEqual(['btn-l-stick-up', 'btn-r-stick-left']);
+    expect(held.get('btn-r-stick-left')).toBe(1);
+  });
+});
+
+describe('repeatInterval', () => {
+  test('repeats faster the further an input is pushed', () => {
+    expect(repeatInterval(0)).toBe(GAMEPAD_SETTINGS.SLOWEST_REPEAT_MS);
+    expect(repeatInterval(1)).toBe(GAMEPAD_SETTINGS.FASTEST_REPEAT_MS);
+    expect(repeatInterval(0.5)).toBeLessThan(repeatInterval(0.2));
+  });
+});
+
+describe('GamepadInput', () => {
+  let gamepad;
+  let frames;
+  let handlers;
+  let input;
+
+  beforeEach(() => {
+    gamepad = null;
+    frames = [];
+    navigator.getGamepads = () => [gamepad, null];
+    window.requestAnimationFrame = (callback) => frames.push(callback);
+    window.cancelAnimationFrame = () => {};
+    handlers = { onInput: jest.fn(), onConnectionChange: jest.fn() };
+    input = new GamepadInput(handlers);
+    input.start();
+  });
+
+  afterEach(() => {
+    input.stop();
+    delete navigator.getGamepads;
+  });
+
+  const connect = (pad) => {
+    gamepad = pad;
+    window.dispatchEvent(new Event('gamepadconnected'));
+  };
+
+  test('reports connections and polls only while a gamepad is connected', () => {
+    expect(handlers.onConnectionChange).toHaveBeenLastCalledWith([]);
+    expect(frames).toHaveLength(0);
+
+    connect(createGamepad({ mapping: '' }));
+    expect(handlers.onConnectionChange).toHaveBeenLastCalledWith([{ index: 0, id: 'Test Controller', standard: false }]);
+    expect(frames).toHaveLength(1);
+  });
+
+  test('fires a button once per press', () => {
+    connect(createGamepad({ pressed: [0] }));
+
+    input.poll(0);
+    input.poll(1000);
+    expect(handlers.onInput.mock.calls).toEqual([['btn-a']]);
+
+    gamepad = createGamepad();
+    input.poll(1100);
+    gamepad = createGamepad({ pressed: [0] });
+    input.poll(1200);
+    expect(handlers.onInput).toHaveBeenCalledTimes(2);
+  });
+
+  test('repeats held directions after the delay at an analog rate', () => {
+    connect(createGamepad({ values: { 7: 1 } }));
+    const { REPEAT_DELAY_MS, FASTEST_REPEAT_MS } = GAMEPAD_SETTINGS;
+
+    input.poll(0);
+    input.poll(REPEAT_DELAY_MS - 1);
+    expect(handlers.onInput).toHaveBeenCalledTimes(1);
+
+    input.poll(REPEAT_DELAY_MS);
+    input.poll(REPEAT_DELAY_MS + FASTEST_REPEAT_MS);
+    expect(handlers.onInput).toHaveBeenCalledTimes(3);
+    expect(handlers.onInput).toHaveBeenLastCalledWith('btn-r-trigger');
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { MediaSessionBridge, MEDIA_SESSION_ACTIONS, describeSession } from '../media-session.js';
+import { MEDIA_STATES } from '../../core/constants.js';
+
+describe('describeSession', () => {
+  test('shows the reported title and falls back to the device name', () => {
+    expect(describeSession('Living Room TV', { title: 'Episode 3', player: 'Netflix', state: MEDIA_STATES.PLAYING }))
+      .toEqual({ title: 'Episode 3', artist: 'Netflix', album: 'Living Room TV' });
+    expect(describeSession('Living Room TV', { title: 'Episode 3', state: MEDIA_STATES.INACTIVE }))
+      .toEqual({ title: 'Living Room TV', artist: 'TV Remote', album: 'Living Room TV' });
+  });
+});
+
+describe('MediaSessionBridge', () => {
+  let handlers;
+  let onControl;
+  let bridge;
+
+  beforeEach(() => {
+    handlers = {};
+    navigator.mediaSession = {
+      metadata: null,
+      playbackState: 'none',
+      setActionHandler: jest.fn((action, handler) => { handlers[action] = handler; }),
+      setPositionState: jest.fn()
+    };
+    global.MediaMetadata = class {
+      constructor(init) { Object.assign(this, init); }
+    };
+    onControl = jest.fn();
+    bridge = new MediaSessionBridge({ onControl });
+    bridge.start();
+  });
+
+  afterEach(() => {
+    delete navigator.mediaSession;
+    delete global.MediaMetadata;
+  });
+
+  test('forwards every media action as a playback control', () => {
+    Object.entries(MEDIA_SESSION_ACTIONS).forEach(([action, control]) => {
+      handlers[action]();
+      expect(onControl).toHaveBeenLastCalledWith(control);
+    });
+
+    bridge.stop();
+    expect(Object.values(handlers).every(handler => handler === null)).toBe(true);
+  });
+
+  test('publishes the active device and clears it without one', () => {
+    bridge.update({
+      name: 'Bedroom TV',
+      nowPlaying: { title: 'News', state: MEDIA_STATES.PAUSED, position: 30, duration: 120 }
+    });
+
+    expect(navigator.mediaSession.metadata).toMatchObject({ title: 'News', artist: 'Bedroom TV' });
+    expect(navigator.mediaSession.playbackState).toBe('paused');
+    expect(navigator.mediaSession.setPositionState).toHaveBeenCalledWith({ duration: 120, position: 30, playbackRate: 1 });
+
+    bridge.update(null);
+    expect(navigator.mediaSession.metadata).toBeNull();
+    expect(navigator.mediaSession.playbackState).toBe('none');
+  });
+});
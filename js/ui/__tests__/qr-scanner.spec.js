@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { QrScanner, describeCameraError } from '../qr-scanner.js';
+
+describe('QrScanner', () => {
+  let track;
+  let video;
+  let decoder;
+  let handlers;
+  let scanner;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    track = { stop: jest.fn() };
+    navigator.mediaDevices = { getUserMedia: jest.fn(async () => ({ getTracks: () => [track] })) };
+    video = { srcObject: null, play: jest.fn(async () => {}) };
+    decoder = { detect: jest.fn(async () => []) };
+    handlers = { onResult: jest.fn(), onError: jest.fn() };
+    scanner = new QrScanner({ decoder, ...handlers });
+  });
+
+  afterEach(() => {
+    scanner.stop();
+    delete navigator.mediaDevices;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('checks frames until a code shows up, then releases the camera', async () => {
+    await scanner.start(video);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ video: { facingMode: 'environment' }, audio: false });
+    expect(video.srcObject).not.toBeNull();
+
+    decoder.detect.mockRejectedValueOnce(new Error('video not ready'));
+    await jest.advanceTimersByTimeAsync(500);
+    expect(handlers.onResult).not.toHaveBeenCalled();
+
+    decoder.detect.mockResolvedValueOnce(['{"type":"tv-remote-device"}']);
+    await jest.advanceTimersByTimeAsync(250);
+    expect(handlers.onResult).toHaveBeenCalledWith('{"type":"tv-remote-device"}');
+    expect(track.stop).toHaveBeenCalled();
+    expect(video.srcObject).toBeNull();
+
+    const calls = decoder.detect.mock.calls.length;
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(decoder.detect).toHaveBeenCalledTimes(calls);
+  });
+
+  test('explains camera failures', async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(Object.assign(new Error('denied'), { name: 'NotAllowedError' }));
+
+    expect(await scanner.start(video)).toBe(false);
+    expect(handlers.onError).toHaveBeenCalledWith('Allow camera access to scan a QR code.');
+    expect(describeCameraError(new Error('?'))).toBe('The camera could not be started.');
+  });
+});
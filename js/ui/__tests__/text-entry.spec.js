@@ -0,0 +1,54 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { TextEntry, diffTextEntry } from '../text-entry.js';
+
+describe('diffTextEntry', () => {
+  test('sends only what changed at the end of the field', () => {
+    expect(diffTextEntry('', 'net')).toBe('net');
+    expect(diffTextEntry('net', 'netflix')).toBe('flix');
+    expect(diffTextEntry('netflx', 'netf')).toBe('\b\b');
+    // Autocorrect replacing a word
+    expect(diffTextEntry('teh', 'the')).toBe('\b\bhe');
+    expect(diffTextEntry('é', 'é')).toBe('');
+  });
+});
+
+describe('TextEntry', () => {
+  let field;
+  let onText;
+  let entry;
+
+  beforeEach(() => {
+    field = document.createElement('input');
+    onText = jest.fn();
+    entry = new TextEntry(field, onText);
+  });
+
+  const type = (value) => {
+    field.value = value;
+    field.dispatchEvent(new Event('input'));
+  };
+
+  test('mirrors typing and waits for IME composition to finish', () => {
+    type('ab');
+    field.dispatchEvent(new Event('compositionstart'));
+    type('abか');
+    expect(onText).toHaveBeenCalledTimes(1);
+
+    field.dispatchEvent(new Event('compositionend'));
+    expect(onText.mock.calls.map(([text]) => text)).toEqual(['ab', 'か']);
+  });
+
+  test('Enter submits and clears, Backspace on an empty field still deletes on the TV', () => {
+    type('hi');
+    field.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(field.value).toBe('');
+
+    field.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+    expect(onText.mock.calls.map(([text]) => text)).toEqual(['hi', '\n', '\b']);
+
+    type('x');
+    entry.backspace();
+    expect(field.value).toBe('');
+    expect(onText).toHaveBeenLastCalledWith('\b');
+  });
+});
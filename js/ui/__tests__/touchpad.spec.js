@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { Touchpad, pointerGain, classifySwipe } from '../touchpad.js';
+import { TOUCHPAD_MODES, TOUCHPAD_SETTINGS } from '../../core/constants.js';
+
+const pointer = (type, pointerId, clientX, clientY) => Object.assign(new Event(type), { pointerId, clientX, clientY });
+
+describe('pointerGain', () => {
+  test('scales with sensitivity and accelerates fast movement', () => {
+    expect(pointerGain(0, 0)).toBeCloseTo(TOUCHPAD_SETTINGS.MIN_GAIN);
+    expect(pointerGain(0, '100')).toBeCloseTo(TOUCHPAD_SETTINGS.MAX_GAIN);
+    expect(pointerGain(1, 50)).toBeGreaterThan(pointerGain(0, 50));
+    expect(pointerGain(100, 50)).toBeCloseTo(pointerGain(TOUCHPAD_SETTINGS.MAX_SPEED, 50));
+  });
+});
+
+describe('classifySwipe', () => {
+  test('picks the dominant axis and ignores short movements', () => {
+    expect(classifySwipe(60, 10)).toBe('right');
+    expect(classifySwipe(-60, 10)).toBe('left');
+    expect(classifySwipe(5, -80)).toBe('up');
+    expect(classifySwipe(5, 80)).toBe('down');
+    expect(classifySwipe(10, 10)).toBeNull();
+  });
+});
+
+describe('Touchpad gestures', () => {
+  let element;
+  let settings;
+  let handlers;
+  let frames;
+  let touchpad;
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    settings = { cursorSensitivity: 50, invertYAxis: false, touchpadMode: TOUCHPAD_MODES.POINTER };
+    handlers = {
+      getSettings: () => settings,
+      onMove: jest.fn(),
+      onScroll: jest.fn(),
+      onTap: jest.fn(),
+      onSwipe: jest.fn()
+    };
+    frames = [];
+    window.requestAnimationFrame = (callback) => frames.push(callback);
+    window.cancelAnimationFrame = () => {};
+    touchpad = new Touchpad(element, handlers).attach();
+  });
+
+  afterEach(() => {
+    touchpad.detach();
+  });
+
+  const runFrames = () => frames.splice(0).forEach(callback => callback());
+
+  test('batches movement per frame and honours invertYAxis', () => {
+    element.dispatchEvent(pointer('pointerdown', 1, 100, 100));
+    element.dispatchEvent(pointer('pointermove', 1, 110, 90));
+    element.dispatchEvent(pointer('pointermove', 1, 120, 80));
+    expect(frames).toHaveLength(1);
+    runFrames();
+
+    const [dx, dy] = handlers.onMove.mock.calls[0];
+    expect(dx).toBeGreaterThan(0);
+    expect(dy).toBeLessThan(0);
+
+    settings.invertYAxis = true;
+    element.dispatchEvent(pointer('pointermove', 1, 120, 60));
+    runFrames();
+    expect(handlers.onMove.mock.calls[1][1]).toBeGreaterThan(0);
+    expect(handlers.onTap).not.toHaveBeenCalled();
+  });
+
+  test('taps click and two-finger taps right-click', () => {
+    element.dispatchEvent(pointer('pointerdown', 1, 50, 50));
+    element.dispatchEvent(pointer('pointerup', 1, 51, 50));
+    expect(handlers.onTap).toHaveBeenLastCalledWith('primary');
+
+    element.dispatchEvent(pointer('pointerdown', 1, 50, 50));
+    element.dispatchEvent(pointer('pointerdown', 2, 80, 50));
+    element.dispatchEvent(pointer('pointerup', 2, 80, 50));
+    element.dispatchEvent(pointer('pointerup', 1, 50, 50));
+    expect(handlers.onTap).toHaveBeenLastCalledWith('secondary');
+    expect(handlers.onTap).toHaveBeenCalledTimes(2);
+  });
+
+  test('two fingers scroll in wheel notches', () => {
+    element.dispatchEvent(pointer('pointerdown', 1, 50, 100));
+    element.dispatchEvent(pointer('pointerdown', 2, 80, 100));
+    element.dispatchEvent(pointer('pointermove', 1, 50, 60));
+    element.dispatchEvent(pointer('pointermove', 2, 80, 60));
+
+    expect(handlers.onScroll).toHaveBeenCalledWith(-1);
+    expect(handlers.onMove).not.toHaveBeenCalled();
+  });
+
+  test('swipe mode turns swipes into D-pad directions', () => {
+    settings.touchpadMode = TOUCHPAD_MODES.SWIPE;
+    element.dispatchEvent(pointer('pointerdown', 1, 100, 100));
+    element.dispatchEvent(pointer('pointermove', 1, 20, 105));
+    element.dispatchEvent(pointer('pointerup', 1, 20, 105));
+
+    expect(handlers.onSwipe).toHaveBeenCalledWith('left');
+    expect(handlers.onMove).not.toHaveBeenCalled();
+    expect(frames).toHaveLength(0);
+  });
+});
@@ -0,0 +1,62 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { VoiceInput, describeSpeechError } from '../voice-input.js';
+
+// Recognizer that hands back whatever the test "says"
+const createFakeRecognizer = () => ({
+  handlers: null,
+  start: jest.fn(function (handlers) { this.handlers = handlers; }),
+  stop: jest.fn(function () { this.handlers.onEnd(); }),
+  say(...alternatives) {
+    this.handlers.onTranscript(alternatives);
+    this.handlers.onEnd();
+  }
+});
+
+describe('describeSpeechError', () => {
+  test('explains errors and stays quiet when stopped on purpose', () => {
+    expect(describeSpeechError('not-allowed')).toMatch(/microphone/);
+    expect(describeSpeechError('aborted')).toBeNull();
+    expect(describeSpeechError('bad-grammar')).toBe('Voice recognition stopped unexpectedly.');
+  });
+});
+
+describe('VoiceInput', () => {
+  let recognizer;
+  let handlers;
+  let voice;
+
+  beforeEach(() => {
+    recognizer = createFakeRecognizer();
+    handlers = { onCommand: jest.fn(), onUnrecognized: jest.fn(), onError: jest.fn(), onListeningChange: jest.fn() };
+    voice = new VoiceInput({ recognizer, ...handlers });
+  });
+
+  test('uses the first alternative that is a command', () => {
+    voice.start();
+    expect(voice.listening).toBe(true);
+
+    recognizer.say('volume a five', ' volume up five ');
+    expect(handlers.onCommand).toHaveBeenCalledWith({ command: 'volume-up', count: 5, transcript: 'volume up five' });
+    expect(handlers.onListeningChange.mock.calls).toEqual([[true], [false]]);
+  });
+
+  test('reports transcripts that are not commands', () => {
+    voice.start();
+    recognizer.say('order a pizza', 'older pizza');
+
+    expect(handlers.onCommand).not.toHaveBeenCalled();
+    expect(handlers.onUnrecognized).toHaveBeenCalledWith('order a pizza');
+  });
+
+  test('toggle stops listening and errors become messages', () => {
+    voice.toggle();
+    voice.toggle();
+    expect(recognizer.stop).toHaveBeenCalled();
+    expect(voice.listening).toBe(false);
+
+    voice.start();
+    recognizer.handlers.onError('aborted');
+    recognizer.handlers.onError('no-speech');
+    expect(handlers.onError.mock.calls).toEqual([[describeSpeechError('no-speech')]]);
+  });
+});
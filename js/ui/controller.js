@@ -1,9 +1,46 @@
 // UI Controller - Manages View Rendering and Navigation
 
 import { stateManager } from '../core/state.js';
-import { VIEWS } from '../core/constants.js';
+import { VIEWS, CONNECTION_STATES, CAPABILITY_STATES, CAPABILITY_OVERRIDES, DEVICE_CAPABILITIES, RECONNECT_PHASES, DEFAULT_RECONNECT_POLICY, COMMAND_STATUS, POWER_STATES, MEDIA_STATES, TOUCHPAD_MODES, REMOTE_COMMANDS, INPUT_SOURCES, DEFAULT_SETTINGS, MACRO_SETTINGS, SHORTCUT_APPS, SHORTCUT_ICONS, SHORTCUT_SETTINGS, DEFAULT_DEVICE_ICON, PROXIMITY_TRENDS, VOLUME_SETTINGS } from '../core/constants.js';
+import { filterDiscoveredDevices } from '../services/discovery.js';
+import { normalizeReconnectPolicy } from '../services/reconnect.js';
+import { Touchpad } from './touchpad.js';
+import { TextEntry } from './text-entry.js';
+import { VoiceInput, WebSpeechRecognizer } from './voice-input.js';
+import { QrScanner, BarcodeDetectorDecoder } from './qr-scanner.js';
+import { getCapabilityStates, setCapabilityOverride, describeService } from '../services/device-profile.js';
+import {
+  resolveButtonMapping,
+  rebindInput,
+  resetInput,
+  rebindKey,
+  movePresetKey,
+  keyInputId,
+  parseKeyInputId,
+  isReservedKey,
+  isBrowserShortcut,
+  getInputSource,
+  getInputLabel,
+  getActionLabel,
+  macroAction,
+  appAction,
+  parseAction,
+  validateButtonMapping
+} from '../services/button-mapping.js';
+import { getMacroDuration } from '../services/macros.js';
+import { getShortcuts, validateShortcut, saveShortcut, moveShortcut, removeShortcut } from '../services/shortcuts.js';
+import { deviceCatalog } from '../services/device-catalog.js';
+import { parsePairingInput } from '../services/pairing.js';
+import { createShareCode, parseShareCode } from '../services/device-share.js';
+import { encodeQr, qrToSvgPath } from '../services/qr-code.js';
 
 const SLIDE_COUNT = 4;
+const QR_MARGIN = 4; // Quiet zone around the QR code, in modules
+const PROXIMITY_LABELS = {
+  [PROXIMITY_TRENDS.WARMER]: 'Warmer',
+  [PROXIMITY_TRENDS.COLDER]: 'Colder',
+  [PROXIMITY_TRENDS.STEADY]: 'Signal found',
+};
 
 class UIController {
   constructor() {
@@ -12,6 +49,7 @@ class UIController {
     this.viewScripts = {};
     this.notificationContainer = null;
     this.previousViewState = null;
+    this.selectedDeviceId = null;
     this.modal = document.getElementById('confirmation-modal');
     this.modalMessage = document.getElementById('modal-message');
     this.modalCancel = document.getElementById('modal-cancel');
@@ -20,6 +58,21 @@ class UIController {
     this.renameInput = document.getElementById('rename-input');
     this.renameCancel = document.getElementById('rename-cancel');
     this.renameConfirm = document.getElementById('rename-confirm');
+    this.shortcutHelp = document.getElementById('shortcut-help');
+    this.shortcutHelpList = document.getElementById('shortcut-help-list');
+    this.shareModal = document.getElementById('share-modal');
+    this.shareQr = document.getElementById('share-qr');
+    this.shareCaption = document.getElementById('share-caption');
+    this.locateModal = document.getElementById('locate-modal');
+    this.macroBar = document.querySelector('[data-macro-bar]');
+    this.macroDraft = null;
+    this.mappingMacros = [];
+    this.mappingPreset = {};
+    this.shortcutsEditing = false;
+    this.shortcutDraft = null;
+    this.voiceInput = null;
+    this.qrScanner = null;
+    this.sharedDevice = null;
   }
   
   /**
@@ -35,6 +88,11 @@ class UIController {
       [VIEWS.SETTINGS]: document.getElementById(VIEWS.SETTINGS),
     };
     
+    this.initMacroBar();
+    this.initShortcutHelp();
+    this.initShareModal();
+    this.initLocateSheet();
+    
     // Subscribe to state changes
     stateManager.subscribe((state) => {
       this.handleStateChange(state);
@@ -65,13 +123,13 @@ class UIController {
       case VIEWS.ONBOARDING:
         return { onboardingSlide: state.onboardingSlide };
       case VIEWS.DEVICE_CONNECTION:
-        return { discoveredDevices: state.discoveredDevices, isScanning: state.isScanning };
+        return { discoveredDevices: state.discoveredDevices, isScanning: state.isScanning, deviceFilter: state.deviceFilter, pairedDevices: state.pairedDevices };
       case VIEWS.DEVICE_LIST:
         return { pairedDevices: state.pairedDevices, activeDeviceId: state.activeDeviceId, connectionState: state.connectionState };
       case VIEWS.MAIN_REMOTE:
-        return { pairedDevices: state.pairedDevices, activeDeviceId: state.activeDeviceId, connectionState: state.connectionState, deviceStatus: state.deviceStatus };
+        return { pairedDevices: state.pairedDevices, activeDeviceId: state.activeDeviceId, connectionState: state.connectionState, deviceStatus: state.deviceStatus, reconnectStatus: state.reconnectStatus };
       case VIEWS.SETTINGS:
-        return { settings: state.settings, commandQueue: state.commandQueue };
+        return { settings: state.settings, commandQueue: state.commandQueue, pairedDevices: state.pairedDevices, activeDeviceId: state.activeDeviceId, gamepads: state.gamepads, catalogEntries: state.catalogEntries };
       default:
         return {};
     }
@@ -81,6 +139,10 @@ class UIController {
    * Navigate to a specific view
    */
   navigateToView(viewName) {
+    // A command heard after leaving the remote would be sent unseen
+    this.voiceInput?.stop();
+    this.setQrScanOpen(false);
+    
     // Hide all views
     Object.values(this.viewContainers).forEach(container => {
       if (container) container.style.display = 'none';
@@ -210,40 +272,113 @@ class UIController {
     // Return early if already initialized to prevent duplicate listeners
     if (this._deviceConnectionInitialized) return;
     
-    // Setup device selection radio buttons
-    const deviceRadios = container.querySelectorAll('[data-device-radio]');
-    deviceRadios.forEach(radio => {
-      radio.addEventListener('change', (e) => {
-        const deviceId = e.target.value;
-        stateManager.addPairedDevice({
-          id: deviceId,
-          name: e.target.dataset.deviceName,
-          connected: false
-        });
+    // Setup device selection radio buttons with event delegation (list is re-rendered on every scan update)
+    const deviceList = container.querySelector('[data-discovered-devices]');
+    if (deviceList) {
+      deviceList.addEventListener('change', (e) => {
+        const radio = e.target.closest('[data-device-radio]');
+        if (radio) {
+          this.selectedDeviceId = radio.value;
+        }
       });
-    });
+    }
     
-    // Setup connect button
+    // Setup discovery filter
+    const filterSelect = container.querySelector('[data-device-filter]');
+    if (filterSelect) {
+      filterSelect.addEventListener('change', (e) => {
+        stateManager.setDeviceFilter(e.target.value);
+      });
+    }
+    
+    // Setup connect button - uses the selected discovered device, or the chooser when none is selected
     const connectBtn = container.querySelector('[data-action="connect"]');
     if (connectBtn) {
       connectBtn.addEventListener('click', async () => {
-        // This would trigger actual Bluetooth connection in app.js
-        this.dispatchEvent('device-connect-requested');
+        this.dispatchEvent('device-connect-requested', { deviceId: this.selectedDeviceId });
       });
     }
     
+    this.initManualPairing(container);
+    this.initQrScan(container);
+    
     // Mark as initialized
     this._deviceConnectionInitialized = true;
   }
   
+  /**
+   * "Enter Code Manually" form: checks the input here, pairing itself runs in the app
+   */
+  initManualPairing(container) {
+    const toggleBtn = container.querySelector('[data-action="manual-pairing"]');
+    const form = container.querySelector('[data-manual-pairing]');
+    if (!toggleBtn || !form) return;
+    
+    const input = form.querySelector('[data-pairing-input]');
+    const showForm = (open) => {
+      form.classList.toggle('hidden', !open);
+      toggleBtn.setAttribute('aria-expanded', String(open));
+      this.setPairingError(null);
+      if (open) input.focus();
+    };
+    
+    toggleBtn.addEventListener('click', () => showForm(form.classList.contains('hidden')));
+    form.querySelector('[data-action="cancel-manual-pairing"]')?.addEventListener('click', () => {
+      input.value = '';
+      showForm(false);
+    });
+    input.addEventListener('input', () => this.setPairingError(null));
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        const pairing = parsePairingInput(input.value);
+        this.setPairingError(null);
+        this.dispatchEvent('manual-pairing-requested', { pairing });
+      } catch (error) {
+        this.setPairingError(error.message);
+        input.focus();
+      }
+    });
+  }
+  
+  /**
+   * Show (or clear with null) a problem under the manual pairing input
+   */
+  setPairingError(message) {
+    const errorEl = this.viewContainers[VIEWS.DEVICE_CONNECTION]?.querySelector('[data-pairing-error]');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+  
+  /**
+   * Disable the Pair button while a pairing attempt runs
+   */
+  setPairingBusy(busy) {
+    const submitBtn = this.viewContainers[VIEWS.DEVICE_CONNECTION]?.querySelector('[data-pairing-submit]');
+    if (!submitBtn) return;
+    submitBtn.disabled = busy;
+    submitBtn.textContent = busy ? 'Pairing…' : 'Pair';
+  }
+  
   updateDeviceConnection(state) {
     const container = this.viewContainers[VIEWS.DEVICE_CONNECTION];
     if (!container) return;
     
     // Update discovered devices list
     const deviceList = container.querySelector('[data-discovered-devices]');
-    if (deviceList && state.discoveredDevices.length > 0) {
-      this.renderDiscoveredDevices(deviceList, state.discoveredDevices);
+    if (deviceList) {
+      const devices = filterDiscoveredDevices(state.discoveredDevices, state.deviceFilter, state.pairedDevices);
+      if (this.selectedDeviceId && !devices.some(d => d.id === this.selectedDeviceId)) {
+        this.selectedDeviceId = null;
+      }
+      this.renderDiscoveredDevices(deviceList, devices);
+    }
+    
+    const filterSelect = container.querySelector('[data-device-filter]');
+    if (filterSelect) {
+      filterSelect.value = state.deviceFilter;
     }
     
     // Show/hide scanning animation
@@ -255,6 +390,14 @@ class UIController {
   
   renderDiscoveredDevices(container, devices) {
     const fragment = document.createDocumentFragment();
+    
+    if (devices.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-gray-400 text-sm text-center';
+      empty.textContent = 'No devices found yet. Tap Connect Device to choose one from the browser list.';
+      fragment.appendChild(empty);
+    }
+    
     devices.forEach(device => {
       const deviceEl = document.createElement('div');
       deviceEl.className = 'device-item';
@@ -266,6 +409,7 @@ class UIController {
       input.setAttribute('value', String(device.id));
       input.setAttribute('data-device-radio', '');
       input.dataset.deviceName = device.name;
+      input.checked = device.id === this.selectedDeviceId;
       deviceEl.appendChild(input);
       
       // Create label element
@@ -273,6 +417,12 @@ class UIController {
       label.textContent = device.name;
       deviceEl.appendChild(label);
       
+      // Create detail line (RSSI / last seen)
+      const detail = document.createElement('p');
+      detail.className = 'text-xs text-gray-400';
+      detail.textContent = this.formatDiscoveryDetail(device);
+      deviceEl.appendChild(detail);
+      
       // Create signal indicator element
       const signalIndicator = document.createElement('div');
       signalIndicator.className = 'signal-indicator';
@@ -286,6 +436,22 @@ class UIController {
     container.appendChild(fragment);
   }
   
+  formatDiscoveryDetail(device) {
+    if (!device.inRange) {
+      return device.permitted ? 'Previously paired · not in range' : 'Not in range';
+    }
+    
+    const parts = [];
+    if (device.rssi !== null && device.rssi !== undefined) {
+      parts.push(`${device.rssi} dBm`);
+    }
+    if (device.lastSeen) {
+      const seconds = Math.max(0, Math.round((Date.now() - device.lastSeen) / 1000));
+      parts.push(seconds < 2 ? 'seen just now' : `seen ${seconds}s ago`);
+    }
+    return parts.join(' · ');
+  }
+  
   // ============ Device List View ============
   initDeviceList() {
     const container = this.viewContainers[VIEWS.DEVICE_LIST];
@@ -323,6 +489,13 @@ class UIController {
           return;
         }
         
+        const shareBtn = e.target.closest('[data-action="share-device"]');
+        if (shareBtn) {
+          const device = stateManager.getPairedDevices().find(d => d.id === shareBtn.dataset.deviceId);
+          if (device) this.showShareModal(device);
+          return;
+        }
+        
         const renameBtn = e.target.closest('[data-action="rename-device"]');
         if (renameBtn) {
           const deviceId = renameBtn.dataset.deviceId;
@@ -358,6 +531,9 @@ class UIController {
         const deviceCard = document.createElement('div');
         deviceCard.className = 'device-card active';
         
+        // Create and add the device family icon
+        deviceCard.appendChild(this.createDeviceIcon(device, 'text-3xl text-blue-400'));
+        
         // Create and add device name
         const deviceName = document.createElement('h3');
         deviceName.textContent = device.name;
@@ -379,7 +555,7 @@ class UIController {
         locateBtn.setAttribute('data-action', 'locate-device');
         locateBtn.textContent = 'Locate';
         locateBtn.addEventListener('click', () => {
-          console.log('Locate device:', device.name);
+          this.dispatchEvent('locate-requested', { deviceId: device.id });
         });
         deviceCard.appendChild(locateBtn);
         
@@ -408,6 +584,7 @@ class UIController {
     devices.forEach(device => {
       const deviceEl = document.createElement('div');
       deviceEl.className = 'device-list-item';
+      deviceEl.appendChild(this.createDeviceIcon(device, 'text-gray-400 mr-3'));
       
       // Create device info section
       const deviceInfo = document.createElement('div');
@@ -427,6 +604,18 @@ class UIController {
       const actions = document.createElement('div');
       actions.className = 'flex items-center gap-2';
       
+      // Add share button
+      const shareBtn = document.createElement('button');
+      shareBtn.setAttribute('data-action', 'share-device');
+      shareBtn.setAttribute('data-device-id', String(device.id));
+      shareBtn.setAttribute('aria-label', `Share ${device.customName || device.name} as a QR code`);
+      shareBtn.className = 'text-gray-400 hover:text-blue-400 transition';
+      const shareIcon = document.createElement('span');
+      shareIcon.className = 'material-symbols-outlined text-sm';
+      shareIcon.textContent = 'qr_code_2';
+      shareBtn.appendChild(shareIcon);
+      actions.appendChild(shareBtn);
+      
       // Add rename button
       const renameBtn = document.createElement('button');
       renameBtn.setAttribute('data-action', 'rename-device');
@@ -456,6 +645,17 @@ class UIController {
     container.appendChild(fragment);
   }
   
+  /**
+   * Icon of the device's catalog family, or a generic one
+   */
+  createDeviceIcon(device, className) {
+    const icon = document.createElement('span');
+    icon.className = `material-symbols-outlined ${className}`;
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = device.icon || DEFAULT_DEVICE_ICON;
+    return icon;
+  }
+  
   // ============ Main Remote Control View ============
   initMainRemote() {
     const container = this.viewContainers[VIEWS.MAIN_REMOTE];
@@ -464,6 +664,14 @@ class UIController {
     // Return early if already initialized to prevent duplicate listeners
     if (this._mainRemoteInitialized) return;
     
+    // Setup reconnect cancel button
+    const cancelReconnectBtn = container.querySelector('[data-action="cancel-reconnect"]');
+    if (cancelReconnectBtn) {
+      cancelReconnectBtn.addEventListener('click', () => {
+        this.dispatchEvent('reconnect-cancel-requested', { deviceId: stateManager.getState().activeDeviceId });
+      });
+    }
+    
     // Setup D-pad buttons
     const dpadButtons = container.querySelectorAll('[data-dpad-button]');
     dpadButtons.forEach(btn => {
@@ -486,12 +694,30 @@ class UIController {
     const volumeSlider = container.querySelector('[data-volume-slider]');
     const volumeDisplay = container.querySelector('[data-volume-display]');
     if (volumeSlider) {
+      // Don't move the slider under the user's finger when the device reports a new level
+      volumeSlider.addEventListener('pointerdown', () => {
+        this._volumeDragging = true;
+      });
+      // Every input event would start (and cancel) a change, so send once the slider settles
+      let volumeTimer = null;
+      const sendVolume = () => {
+        clearTimeout(volumeTimer);
+        volumeTimer = null;
+        this.dispatchEvent('volume-changed', { volume: volumeSlider.value });
+      };
+      volumeSlider.addEventListener('change', () => {
+        this._volumeDragging = false;
+        if (volumeTimer) {
+          sendVolume();
+        }
+      });
       volumeSlider.addEventListener('input', (e) => {
         const volume = e.target.value;
         if (volumeDisplay) {
           volumeDisplay.textContent = `${volume}%`;
         }
-        this.dispatchEvent('volume-changed', { volume });
+        clearTimeout(volumeTimer);
+        volumeTimer = setTimeout(sendVolume, VOLUME_SETTINGS.SLIDER_DEBOUNCE_MS);
       });
     }
     
@@ -534,6 +760,69 @@ class UIController {
       btn.addEventListener('touchcancel', endPress);
     });
     
+    // Setup mute button
+    const muteBtn = container.querySelector('[data-mute-button]');
+    if (muteBtn) {
+      muteBtn.addEventListener('click', () => {
+        this.dispatchEvent('mute-pressed', {});
+      });
+    }
+    
+    // Setup touchpad
+    const touchpadSurface = container.querySelector('[data-touchpad]');
+    if (touchpadSurface) {
+      this.touchpad = new Touchpad(touchpadSurface, {
+        getSettings: () => stateManager.getUserSettings(),
+        onMove: (dx, dy) => this.dispatchEvent('pointer-move', { dx, dy }),
+        onScroll: (wheel) => this.dispatchEvent('pointer-scroll', { wheel }),
+        onTap: (button) => {
+          if (this.touchpad.mode === TOUCHPAD_MODES.SWIPE) {
+            this.dispatchEvent('dpad-pressed', { direction: 'center' });
+          } else {
+            this.dispatchEvent('pointer-click', { button });
+          }
+        },
+        onSwipe: (direction) => this.dispatchEvent('dpad-pressed', { direction })
+      }).attach();
+    }
+    
+    container.querySelectorAll('[data-touchpad-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        stateManager.updateUserSetting('touchpadMode', btn.dataset.touchpadMode);
+      });
+    });
+    
+    // Setup text entry sheet
+    const textEntrySheet = container.querySelector('[data-text-entry]');
+    const textEntryToggle = container.querySelector('[data-text-entry-toggle]');
+    const textEntryField = container.querySelector('[data-text-entry-field]');
+    if (textEntrySheet && textEntryField) {
+      this.textEntry = new TextEntry(textEntryField, (text) => this.dispatchEvent('text-entered', { text }));
+      
+      textEntryToggle?.addEventListener('click', () => {
+        const open = textEntrySheet.classList.toggle('hidden') === false;
+        textEntryToggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+          textEntryField.focus();
+        } else {
+          this.textEntry.clear();
+          this.setTextEntryStatus('');
+          this.dispatchEvent('text-entry-closed', {});
+        }
+      });
+      
+      container.querySelectorAll('[data-text-entry-key]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (btn.dataset.textEntryKey === 'enter') {
+            this.textEntry.enter();
+          } else {
+            this.textEntry.backspace();
+          }
+          textEntryField.focus();
+        });
+      });
+    }
+    
     // Setup playback controls
     const playbackBtns = container.querySelectorAll('[data-playback-control]');
     playbackBtns.forEach(btn => {
@@ -551,6 +840,13 @@ class UIController {
       });
     }
     
+    this.initShortcuts(container);
+    this.initVoiceInput(container);
+    
+    container.querySelector('[data-action="show-shortcut-help"]')?.addEventListener('click', () => {
+      this.toggleShortcutHelp();
+    });
+    
     // Mark as initialized
     this._mainRemoteInitialized = true;
   }
@@ -561,8 +857,19 @@ class UIController {
     
     // Update connection status
     const statusIndicator = container.querySelector('[data-connection-status]');
+    const reconnecting = state.connectionState === CONNECTION_STATES.RECONNECTING;
+    const reconnect = state.reconnectStatus?.[state.activeDeviceId] || null;
     if (statusIndicator) {
-      statusIndicator.textContent = state.connectionState;
+      statusIndicator.textContent = reconnecting
+        ? this.formatReconnectStatus(reconnect)
+        : state.connectionState;
+      statusIndicator.classList.toggle('status-reconnecting', reconnecting);
+    }
+    
+    // Backoff reconnects can be cancelled from the header
+    const cancelReconnectBtn = container.querySelector('[data-action="cancel-reconnect"]');
+    if (cancelReconnectBtn) {
+      cancelReconnectBtn.classList.toggle('hidden', !(reconnecting && reconnect));
     }
     
     // Update active device name
@@ -584,6 +891,496 @@ class UIController {
         batteryLevel.textContent = '--';
       }
     }
+    
+    // State reported by the device: volume, mute, power and now playing
+    const deviceStatus = state.deviceStatus[state.activeDeviceId] || {};
+    this.updateVolumeState(container, deviceStatus);
+    this.updateNowPlaying(container, deviceStatus.nowPlaying);
+    
+    this.updateTouchpadMode(container, state.settings.touchpadMode);
+    const activeDevice = state.pairedDevices.find(d => d.id === state.activeDeviceId);
+    this.renderShortcuts(container, activeDevice);
+    this.applyCapabilities(container, getCapabilityStates(activeDevice));
+    
+    const powerBtn = container.querySelector('[data-power-button]');
+    if (powerBtn) {
+      const off = deviceStatus.power === POWER_STATES.OFF || deviceStatus.power === POWER_STATES.STANDBY;
+      powerBtn.textContent = off ? 'Power On' : 'Power Off';
+      powerBtn.title = off ? 'Power on connected device' : 'Power off connected device';
+    }
+  }
+  
+  updateVolumeState(container, deviceStatus) {
+    if (typeof deviceStatus.volume === 'number' && !this._volumeDragging) {
+      const volumeSlider = container.querySelector('[data-volume-slider]');
+      const volumeDisplay = container.querySelector('[data-volume-display]');
+      if (volumeSlider) {
+        volumeSlider.value = deviceStatus.volume;
+      }
+      if (volumeDisplay) {
+        volumeDisplay.textContent = `${deviceStatus.volume}%`;
+      }
+    }
+    
+    const muteIcon = container.querySelector('[data-mute-icon]');
+    if (muteIcon) {
+      muteIcon.textContent = deviceStatus.muted ? 'volume_off' : 'volume_up';
+      muteIcon.classList.toggle('text-red-400', Boolean(deviceStatus.muted));
+    }
+  }
+  
+  /**
+   * Progress or problems while text is typed on the TV
+   */
+  setTextEntryStatus(message) {
+    const status = this.viewContainers[VIEWS.MAIN_REMOTE]?.querySelector('[data-text-entry-status]');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+  
+  updateTouchpadMode(container, mode = TOUCHPAD_MODES.POINTER) {
+    container.querySelectorAll('[data-touchpad-mode]').forEach(btn => {
+      const active = btn.dataset.touchpadMode === mode;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+    
+    const hint = container.querySelector('[data-touchpad-hint]');
+    if (hint) {
+      hint.textContent = mode === TOUCHPAD_MODES.SWIPE
+        ? 'Swipe to navigate · tap to select'
+        : 'Drag to move · tap to click · two fingers to scroll';
+    }
+  }
+  
+  /**
+   * Now-playing card, shown while the device reports a title
+   */
+  updateNowPlaying(container, nowPlaying) {
+    const card = container.querySelector('[data-now-playing]');
+    if (!card) return;
+    
+    const visible = Boolean(nowPlaying?.title) && nowPlaying.state !== MEDIA_STATES.INACTIVE;
+    card.classList.toggle('hidden', !visible);
+    if (!visible) return;
+    
+    const title = card.querySelector('[data-now-playing-title]');
+    const player = card.querySelector('[data-now-playing-player]');
+    const stateIcon = card.querySelector('[data-now-playing-state]');
+    const progress = card.querySelector('[data-now-playing-progress]');
+    
+    if (title) title.textContent = nowPlaying.title;
+    if (player) player.textContent = nowPlaying.player || '';
+    if (stateIcon) {
+      stateIcon.textContent = nowPlaying.state === MEDIA_STATES.PLAYING ? 'play_circle' : 'pause_circle';
+    }
+    if (progress) {
+      const { position, duration } = nowPlaying;
+      const percent = duration > 0 && typeof position === 'number'
+        ? Math.min(100, Math.max(0, (position / duration) * 100))
+        : 0;
+      progress.style.width = `${percent}%`;
+    }
+  }
+  
+  /**
+   * Header text for a reconnection, e.g. "Reconnecting (2/5)…"
+   */
+  formatReconnectStatus(reconnect) {
+    if (!reconnect || reconnect.attempt === 0) {
+      return 'Reconnecting…';
+    }
+    if (reconnect.phase === RECONNECT_PHASES.PAUSED) {
+      return 'Reconnect paused';
+    }
+    
+    const progress = reconnect.maxAttempts > 0
+      ? `${reconnect.attempt}/${reconnect.maxAttempts}`
+      : `attempt ${reconnect.attempt}`;
+    return `Reconnecting (${progress})…`;
+  }
+  
+  // ============ Shortcut Tiles ============
+  initShortcuts(container) {
+    const grid = container.querySelector('[data-shortcuts]');
+    const editor = container.querySelector('[data-shortcut-editor]');
+    if (!grid || !editor) return;
+    
+    const getDevice = () => stateManager.getActiveDevice();
+    const saveShortcuts = (shortcuts) => {
+      const device = getDevice();
+      if (device) stateManager.updatePairedDevice(device.id, { shortcuts });
+    };
+    
+    const iconSelect = editor.querySelector('[data-shortcut-icon]');
+    SHORTCUT_ICONS.forEach(icon => {
+      const option = document.createElement('option');
+      option.value = icon;
+      option.textContent = icon.replace(/_/g, ' ');
+      iconSelect.appendChild(option);
+    });
+    
+    container.querySelector('[data-action="edit-shortcuts"]')?.addEventListener('click', (e) => {
+      this.shortcutsEditing = !this.shortcutsEditing;
+      e.currentTarget.textContent = this.shortcutsEditing ? 'Done' : 'Edit';
+      e.currentTarget.setAttribute('aria-pressed', String(this.shortcutsEditing));
+      if (!this.shortcutsEditing) this.closeShortcutEditor(editor);
+      this.renderShortcuts(container, getDevice(), { force: true });
+    });
+    
+    grid.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-shortcut-control]');
+      const tileEl = e.target.closest('[data-shortcut]');
+      const shortcuts = getShortcuts(getDevice());
+      
+      if (e.target.closest('[data-action="add-shortcut"]')) {
+        this.openShortcutEditor(editor, { label: '', icon: SHORTCUT_ICONS[0], action: appAction(Object.keys(SHORTCUT_APPS)[0]) });
+        return;
+      }
+      if (!tileEl) return;
+      
+      const tile = shortcuts.find(t => t.id === tileEl.dataset.shortcut);
+      if (!tile) return;
+      
+      if (!this.shortcutsEditing) {
+        this.dispatchEvent('shortcut-pressed', { action: tile.action });
+      } else if (control?.dataset.shortcutControl === 'left') {
+        saveShortcuts(moveShortcut(shortcuts, tile.id, -1));
+      } else if (control?.dataset.shortcutControl === 'right') {
+        saveShortcuts(moveShortcut(shortcuts, tile.id, 1));
+      } else if (control?.dataset.shortcutControl === 'delete') {
+        saveShortcuts(removeShortcut(shortcuts, tile.id));
+      } else {
+        this.openShortcutEditor(editor, tile);
+      }
+    });
+    
+    // Picking an app names the tile after it when no label was typed yet
+    editor.querySelector('[data-shortcut-action]').addEventListener('change', (e) => {
+      const parsed = parseAction(e.target.value);
+      const labelInput = editor.querySelector('[data-shortcut-label]');
+      const app = parsed?.type === 'app' ? SHORTCUT_APPS[parsed.value] : null;
+      if (app && !labelInput.value.trim()) {
+        labelInput.value = app.label;
+        iconSelect.value = app.icon;
+      }
+    });
+    
+    editor.querySelector('[data-action="cancel-shortcut"]')?.addEventListener('click', () => {
+      this.closeShortcutEditor(editor);
+    });
+    
+    editor.querySelector('[data-action="save-shortcut"]')?.addEventListener('click', () => {
+      const device = getDevice();
+      if (!device || !this.shortcutDraft) return;
+      
+      const tile = {
+        id: this.shortcutDraft.id,
+        label: editor.querySelector('[data-shortcut-label]').value,
+        icon: iconSelect.value,
+        action: editor.querySelector('[data-shortcut-action]').value
+      };
+      const shortcuts = getShortcuts(device);
+      const isNew = !shortcuts.some(t => t.id === tile.id);
+      const problem = isNew && shortcuts.length >= SHORTCUT_SETTINGS.MAX_TILES
+        ? `You can have at most ${SHORTCUT_SETTINGS.MAX_TILES} shortcuts.`
+        : validateShortcut(tile, { macroIds: (device.macros ?? []).map(m => m.id) });
+      
+      if (problem) {
+        this.setShortcutEditorError(editor, problem);
+        return;
+      }
+      saveShortcuts(saveShortcut(shortcuts, tile));
+      this.closeShortcutEditor(editor);
+    });
+  }
+  
+  /**
+   * Fill the tile editor; the action list offers apps, commands and the device's macros
+   */
+  openShortcutEditor(editor, tile) {
+    this.shortcutDraft = { id: tile.id };
+    const macros = stateManager.getActiveDevice()?.macros ?? [];
+    const groups = [
+      ['Apps', Object.keys(SHORTCUT_APPS).map(appAction)],
+      ['Commands', Object.values(REMOTE_COMMANDS)],
+      ['Macros', macros.map(m => macroAction(m.id))]
+    ];
+    
+    const actionSelect = editor.querySelector('[data-shortcut-action]');
+    actionSelect.innerHTML = '';
+    groups.filter(([, actions]) => actions.length > 0).forEach(([title, actions]) => {
+      const group = document.createElement('optgroup');
+      group.label = title;
+      actions.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = getActionLabel(action, macros);
+        group.appendChild(option);
+      });
+      actionSelect.appendChild(group);
+    });
+    
+    editor.querySelector('[data-shortcut-label]').value = tile.label;
+    editor.querySelector('[data-shortcut-icon]').value = tile.icon;
+    actionSelect.value = tile.action;
+    this.setShortcutEditorError(editor, '');
+    editor.classList.remove('hidden');
+  }
+  
+  closeShortcutEditor(editor) {
+    this.shortcutDraft = null;
+    editor.classList.add('hidden');
+  }
+  
+  setShortcutEditorError(editor, message) {
+    const errorEl = editor.querySelector('[data-shortcut-error]');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.toggle('hidden', !message);
+    }
+  }
+  
+  /**
+   * Draw the active device's tiles, with move and delete controls while editing
+   */
+  renderShortcuts(container, device, { force = false } = {}) {
+    const grid = container.querySelector('[data-shortcuts]');
+    if (!grid) return;
+    
+    const shortcuts = getShortcuts(device);
+    const signature = JSON.stringify({ shortcuts, editing: Boolean(this.shortcutsEditing) });
+    if (!force && signature === this._renderedShortcuts) return;
+    this._renderedShortcuts = signature;
+    
+    const fragment = document.createDocumentFragment();
+    shortcuts.forEach((tile, index) => {
+      const tileEl = document.createElement('div');
+      tileEl.setAttribute('data-shortcut', tile.id);
+      tileEl.className = 'flex flex-col gap-1 min-w-0';
+      
+      const button = document.createElement('button');
+      button.title = this.shortcutsEditing ? `Edit ${tile.label}` : getActionLabel(tile.action, device?.macros ?? []);
+      button.className = 'flex flex-col items-center gap-1 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 rounded-lg transition-all duration-150 active:scale-95';
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined text-lg';
+      icon.textContent = tile.icon;
+      const label = document.createElement('span');
+      label.className = 'text-xs truncate max-w-full px-1';
+      label.textContent = tile.label;
+      button.append(icon, label);
+      if (!this.shortcutsEditing && parseAction(tile.action)?.type === 'app') {
+        button.setAttribute('data-capability', 'apps');
+      }
+      tileEl.appendChild(button);
+      
+      if (this.shortcutsEditing) {
+        const controls = document.createElement('div');
+        controls.className = 'flex justify-center gap-2 text-gray-400';
+        [['left', 'chevron_left', 'Move left', index === 0], ['delete', 'delete', 'Delete', false], ['right', 'chevron_right', 'Move right', index === shortcuts.length - 1]]
+          .forEach(([control, iconName, title, hidden]) => {
+            const controlBtn = document.createElement('button');
+            controlBtn.setAttribute('data-shortcut-control', control);
+            controlBtn.title = `${title} ${tile.label}`;
+            controlBtn.className = hidden ? 'invisible' : 'hover:text-white transition';
+            const controlIcon = document.createElement('span');
+            controlIcon.className = 'material-symbols-outlined text-sm';
+            controlIcon.textContent = iconName;
+            controlBtn.appendChild(controlIcon);
+            controls.appendChild(controlBtn);
+          });
+        tileEl.appendChild(controls);
+      }
+      
+      fragment.appendChild(tileEl);
+    });
+    
+    if (this.shortcutsEditing && shortcuts.length < SHORTCUT_SETTINGS.MAX_TILES) {
+      const addBtn = document.createElement('button');
+      addBtn.setAttribute('data-action', 'add-shortcut');
+      addBtn.title = 'Add a shortcut';
+      addBtn.className = 'flex flex-col items-center justify-center gap-1 border border-dashed border-gray-600 text-gray-400 hover:text-white py-3 rounded-lg transition-all duration-150 active:scale-95';
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined text-lg';
+      icon.textContent = 'add';
+      addBtn.appendChild(icon);
+      fragment.appendChild(addBtn);
+    }
+    
+    grid.innerHTML = '';
+    grid.appendChild(fragment);
+  }
+  
+  // ============ Device Profiles ============
+  /**
+   * Show, grey out or hide main remote sections marked with data-capability
+   * @param {Object<string, string>} states - From getCapabilityStates()
+   */
+  applyCapabilities(container, states) {
+    container.querySelectorAll('[data-capability]').forEach(element => {
+      const state = states[element.dataset.capability] ?? CAPABILITY_STATES.ENABLED;
+      const disabled = state === CAPABILITY_STATES.DISABLED;
+      element.classList.toggle('hidden', state === CAPABILITY_STATES.HIDDEN);
+      element.classList.toggle('opacity-50', disabled);
+      element.setAttribute('aria-disabled', String(disabled));
+      
+      const controls = element.matches('button, input, select') ? [element] : element.querySelectorAll('button, input, select');
+      controls.forEach(control => {
+        control.disabled = disabled;
+      });
+    });
+  }
+  
+  initDeviceProfile(container) {
+    const list = container.querySelector('[data-device-profile]');
+    if (!list) return;
+    
+    list.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-capability-override]');
+      const device = stateManager.getActiveDevice();
+      if (!select || !device) return;
+      
+      stateManager.updatePairedDevice(device.id, {
+        capabilityOverrides: setCapabilityOverride(device.capabilityOverrides, select.dataset.capabilityOverride, select.value)
+      });
+    });
+  }
+  
+  /**
+   * One row per capability of the active device: what was detected and the user's override
+   */
+  updateDeviceProfile(container, device) {
+    const list = container.querySelector('[data-device-profile]');
+    const servicesLine = container.querySelector('[data-device-services]');
+    if (!list) return;
+    
+    const signature = JSON.stringify([device?.id, device?.profile, device?.capabilityOverrides]);
+    if (signature === this._renderedDeviceProfile) return;
+    this._renderedDeviceProfile = signature;
+    
+    if (servicesLine) {
+      const services = device?.profile?.services ?? [];
+      servicesLine.textContent = services.length > 0 ? `Detected services: ${services.map(describeService).join(', ')}` : '';
+      servicesLine.classList.toggle('hidden', services.length === 0);
+    }
+    
+    if (!device) {
+      list.innerHTML = '<p class="text-gray-400 text-sm text-center">Select a device to adjust its remote</p>';
+      return;
+    }
+    
+    const overrides = device.capabilityOverrides ?? {};
+    const fragment = document.createDocumentFragment();
+    Object.entries(DEVICE_CAPABILITIES).forEach(([id, capability]) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 py-1 text-sm border-b border-gray-700 last:border-0';
+      
+      const info = document.createElement('div');
+      info.className = 'flex-1 min-w-0';
+      const name = document.createElement('p');
+      name.textContent = capability.label;
+      const detail = document.createElement('p');
+      detail.className = 'text-xs text-gray-400';
+      const detected = device.profile?.capabilities?.[id];
+      detail.textContent = detected === undefined ? 'Not detected yet' : (detected ? 'Supported' : 'Not supported');
+      info.append(name, detail);
+      row.appendChild(info);
+      
+      const select = document.createElement('select');
+      select.setAttribute('data-capability-override', id);
+      select.setAttribute('aria-label', `${capability.label} on the remote`);
+      select.className = 'bg-gray-900 text-white text-sm rounded-lg border border-gray-700 px-2 py-1';
+      [[CAPABILITY_OVERRIDES.AUTO, 'Auto'], [CAPABILITY_OVERRIDES.SHOW, 'Show'], [CAPABILITY_OVERRIDES.HIDE, 'Hide']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = overrides[id] ?? CAPABILITY_OVERRIDES.AUTO;
+      row.appendChild(select);
+      
+      fragment.appendChild(row);
+    });
+    
+    list.innerHTML = '';
+    list.appendChild(fragment);
+  }
+  
+  // ============ Device Catalog ============
+  initDeviceCatalog(container) {
+    const fileInput = container.querySelector('[data-catalog-import]');
+    if (fileInput) {
+      fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        fileInput.value = ''; // Importing the same file again should fire change
+        if (!file) return;
+        
+        try {
+          const count = deviceCatalog.importJson(await file.text());
+          this.showNotification(`Imported ${count} device ${count === 1 ? 'family' : 'families'}`, 'success');
+        } catch (error) {
+          this.showNotification(error.message, 'error');
+        }
+      });
+    }
+    
+    const list = container.querySelector('[data-catalog-list]');
+    if (list) {
+      list.addEventListener('click', async (e) => {
+        const removeBtn = e.target.closest('[data-catalog-remove]');
+        if (removeBtn && await this.showConfirmation('Remove this device family? Paired devices keep their settings.')) {
+          deviceCatalog.removeImported(removeBtn.dataset.catalogRemove);
+        }
+      });
+    }
+  }
+  
+  /**
+   * Every known device family; imported ones can be removed
+   */
+  updateDeviceCatalog(container, catalogEntries = []) {
+    const list = container.querySelector('[data-catalog-list]');
+    if (!list) return;
+    
+    const signature = JSON.stringify(catalogEntries);
+    if (signature === this._renderedDeviceCatalog) return;
+    this._renderedDeviceCatalog = signature;
+    
+    const importedIds = new Set(catalogEntries.map(entry => entry.id));
+    const fragment = document.createDocumentFragment();
+    deviceCatalog.getEntries().forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 py-1 text-sm border-b border-gray-700 last:border-0';
+      row.appendChild(this.createDeviceIcon(entry, 'text-gray-400'));
+      
+      const name = document.createElement('span');
+      name.className = 'flex-1 truncate';
+      name.textContent = entry.label;
+      row.appendChild(name);
+      
+      if (importedIds.has(entry.id)) {
+        const removeBtn = document.createElement('button');
+        removeBtn.setAttribute('data-catalog-remove', entry.id);
+        removeBtn.title = `Remove ${entry.label}`;
+        removeBtn.className = 'text-gray-400 hover:text-red-400 transition';
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined text-sm';
+        icon.textContent = 'delete';
+        removeBtn.appendChild(icon);
+        row.appendChild(removeBtn);
+      } else {
+        const source = document.createElement('span');
+        source.className = 'text-xs text-gray-500';
+        source.textContent = 'Built-in';
+        row.appendChild(source);
+      }
+      
+      fragment.appendChild(row);
+    });
+    
+    list.innerHTML = '';
+    list.appendChild(fragment);
   }
   
   // ============ Settings View ============
@@ -618,30 +1415,106 @@ class UIController {
       });
     }
     
-    // Setup reset button
-    const resetBtn = container.querySelector('[data-action="reset-defaults"]');
-    if (resetBtn) {
-      resetBtn.addEventListener('click', () => {
-        this.dispatchEvent('reset-settings-requested', {});
+    // Setup keyboard layout select
+    const layoutSelect = container.querySelector('[data-setting="keyboard-layout"]');
+    if (layoutSelect) {
+      layoutSelect.addEventListener('change', (e) => {
+        stateManager.updateUserSetting('keyboardLayout', e.target.value);
       });
     }
     
-    // Setup clear history button
-    const clearHistoryBtn = container.querySelector('[data-action="clear-history"]');
-    if (clearHistoryBtn) {
-      clearHistoryBtn.addEventListener('click', () => {
-        stateManager.clearCommandQueue();
-        this.showNotification('Command history cleared', 'info');
+    // Setup auto-reconnect policy select
+    const autoReconnectSelect = container.querySelector('[data-setting="auto-reconnect"]');
+    if (autoReconnectSelect) {
+      autoReconnectSelect.addEventListener('change', (e) => {
+        stateManager.updateUserSetting('autoReconnect', e.target.value);
       });
     }
     
-    // Mark as initialized
-    this._settingsInitialized = true;
-  }
-  
-  updateSettings(state) {
-    const container = this.viewContainers[VIEWS.SETTINGS];
-    if (!container) return;
+    // Setup reconnection policy controls
+    const updateReconnectPolicy = (changes) => {
+      const current = normalizeReconnectPolicy(stateManager.getUserSettings().reconnectPolicy);
+      stateManager.updateUserSetting('reconnectPolicy', { ...current, ...changes });
+    };
+    
+    const attemptsSelect = container.querySelector('[data-setting="reconnect-attempts"]');
+    if (attemptsSelect) {
+      attemptsSelect.addEventListener('change', (e) => {
+        updateReconnectPolicy({ maxAttempts: Number(e.target.value) });
+      });
+    }
+    
+    const maxDelaySelect = container.querySelector('[data-setting="reconnect-max-delay"]');
+    if (maxDelaySelect) {
+      maxDelaySelect.addEventListener('change', (e) => {
+        updateReconnectPolicy({ maxDelay: Number(e.target.value) });
+      });
+    }
+    
+    const jitterToggle = container.querySelector('[data-setting="reconnect-jitter"]');
+    if (jitterToggle) {
+      jitterToggle.addEventListener('change', (e) => {
+        updateReconnectPolicy({ jitter: e.target.checked ? DEFAULT_RECONNECT_POLICY.jitter : 0 });
+      });
+    }
+    
+    const pauseHiddenToggle = container.querySelector('[data-setting="reconnect-pause-hidden"]');
+    if (pauseHiddenToggle) {
+      pauseHiddenToggle.addEventListener('change', (e) => {
+        updateReconnectPolicy({ pauseWhenHidden: e.target.checked });
+      });
+    }
+    
+    const bufferToggle = container.querySelector('[data-setting="buffer-offline-commands"]');
+    if (bufferToggle) {
+      bufferToggle.addEventListener('change', (e) => {
+        stateManager.updateUserSetting('bufferOfflineCommands', e.target.checked);
+      });
+    }
+    
+    // Setup reset button
+    const resetBtn = container.querySelector('[data-action="reset-defaults"]');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.dispatchEvent('reset-settings-requested', {});
+      });
+    }
+    
+    // Setup clear history button
+    const clearHistoryBtn = container.querySelector('[data-action="clear-history"]');
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => {
+        stateManager.clearCommandQueue();
+        this.showNotification('Command history cleared', 'info');
+      });
+    }
+    
+    this.initButtonMapping(container);
+    this.initMacros(container);
+    this.initDeviceProfile(container);
+    this.initDeviceCatalog(container);
+    
+    // Mark as initialized
+    this._settingsInitialized = true;
+  }
+  
+  /**
+   * Status badge for a command history entry; plain sends show nothing
+   */
+  formatCommandStatus(entry) {
+    if (!entry.status || entry.status === COMMAND_STATUS.SENT) {
+      return '';
+    }
+    
+    const label = entry.status === COMMAND_STATUS.ACKNOWLEDGED && typeof entry.latency === 'number'
+      ? `✓ ${entry.latency} ms`
+      : entry.status;
+    return `<span class="command-status command-status-${entry.status} ml-2">${label}</span>`;
+  }
+  
+  updateSettings(state) {
+    const container = this.viewContainers[VIEWS.SETTINGS];
+    if (!container) return;
     
     // Update setting values
     const hapticToggle = container.querySelector('[data-setting="haptic-feedback"]');
@@ -659,6 +1532,50 @@ class UIController {
       invertToggle.checked = state.settings.invertYAxis;
     }
     
+    const layoutSelect = container.querySelector('[data-setting="keyboard-layout"]');
+    if (layoutSelect) {
+      layoutSelect.value = state.settings.keyboardLayout;
+    }
+    
+    const autoReconnectSelect = container.querySelector('[data-setting="auto-reconnect"]');
+    if (autoReconnectSelect) {
+      autoReconnectSelect.value = state.settings.autoReconnect;
+    }
+    
+    const reconnectPolicy = normalizeReconnectPolicy(state.settings.reconnectPolicy);
+    const attemptsSelect = container.querySelector('[data-setting="reconnect-attempts"]');
+    if (attemptsSelect) {
+      attemptsSelect.value = String(reconnectPolicy.maxAttempts);
+    }
+    
+    const maxDelaySelect = container.querySelector('[data-setting="reconnect-max-delay"]');
+    if (maxDelaySelect) {
+      maxDelaySelect.value = String(reconnectPolicy.maxDelay);
+    }
+    
+    const jitterToggle = container.querySelector('[data-setting="reconnect-jitter"]');
+    if (jitterToggle) {
+      jitterToggle.checked = reconnectPolicy.jitter > 0;
+    }
+    
+    const pauseHiddenToggle = container.querySelector('[data-setting="reconnect-pause-hidden"]');
+    if (pauseHiddenToggle) {
+      pauseHiddenToggle.checked = reconnectPolicy.pauseWhenHidden;
+    }
+    
+    const bufferToggle = container.querySelector('[data-setting="buffer-offline-commands"]');
+    if (bufferToggle) {
+      bufferToggle.checked = state.settings.bufferOfflineCommands;
+    }
+    
+    const activeDevice = state.pairedDevices.find(d => d.id === state.activeDeviceId);
+    const macros = activeDevice?.macros ?? [];
+    this.updateButtonMapping(container, state.settings, macros, activeDevice?.buttonMapping);
+    this.updateMacros(container, macros);
+    this.updateGamepads(container, state.gamepads);
+    this.updateDeviceProfile(container, activeDevice);
+    this.updateDeviceCatalog(container, state.catalogEntries);
+    
     // Update command history
     const historyContainer = container.querySelector('[data-command-history]');
     if (historyContainer && state.commandQueue) {
@@ -670,15 +1587,912 @@ class UIController {
         historyContainer.innerHTML = recentCommands.map((entry) => {
           const timestamp = new Date(entry.timestamp).toLocaleTimeString();
           const command = entry.command || entry; // Fallback for old format
+          const status = this.formatCommandStatus(entry);
           return `<div class="text-xs py-1 border-b border-gray-700 last:border-0">
             <span class="text-gray-400">${timestamp}</span>
-            <span class="text-white ml-2">${command}</span>
+            <span class="text-white ml-2">${command}</span>${status}
           </div>`;
         }).join('');
       }
     }
   }
   
+  // ============ Button Mapping Editor ============
+  initButtonMapping(container) {
+    const list = container.querySelector('[data-button-mapping]');
+    if (!list) return;
+    
+    const getMapping = () => stateManager.getUserSettings().buttonMapping;
+    const saveMapping = (mapping) => stateManager.updateUserSetting('buttonMapping', mapping);
+    // Inputs in the active device's preset are edited on that device only
+    const getPreset = () => stateManager.getActiveDevice()?.buttonMapping ?? {};
+    const savePreset = (preset) => stateManager.updatePairedDevice(stateManager.getActiveDevice().id, { buttonMapping: preset });
+    
+    list.addEventListener('change', (e) => {
+      const inputId = e.target.dataset.mappingInput;
+      if (inputId && inputId in getPreset()) {
+        savePreset({ ...getPreset(), [inputId]: e.target.value || null });
+      } else if (inputId) {
+        saveMapping(rebindInput(getMapping(), inputId, e.target.value));
+      }
+    });
+    
+    list.addEventListener('click', async (e) => {
+      const resetBtn = e.target.closest('[data-mapping-reset]');
+      if (resetBtn) {
+        const inputId = resetBtn.dataset.mappingReset;
+        if (inputId in getPreset()) {
+          const { [inputId]: removed, ...preset } = getPreset();
+          savePreset(preset);
+        } else {
+          saveMapping(resetInput(getMapping(), inputId));
+        }
+        return;
+      }
+      
+      const captureBtn = e.target.closest('[data-mapping-capture]');
+      if (captureBtn) {
+        const pressed = await this.captureKey(captureBtn);
+        if (!pressed) return;
+        
+        const fromInputId = captureBtn.dataset.mappingCapture;
+        if (fromInputId in getPreset()) {
+          const effective = resolveButtonMapping(getMapping(), getPreset());
+          const toInputId = keyInputId(pressed.key, pressed);
+          const existing = toInputId === fromInputId ? null : effective[toInputId];
+          if (existing && existing !== effective[fromInputId] && !await this.showConfirmation(
+            `${getInputLabel(toInputId)} already sends ${getActionLabel(existing, this.mappingMacros)}. Replace it?`
+          )) return;
+          savePreset(movePresetKey(getPreset(), fromInputId, pressed.key, pressed));
+          return;
+        }
+        
+        const { mapping, conflict } = rebindKey(getMapping(), fromInputId, pressed.key, pressed);
+        if (conflict) {
+          const replace = await this.showConfirmation(
+            `${getInputLabel(conflict.inputId)} already sends ${getActionLabel(conflict.action, this.mappingMacros)}. Replace it?`
+          );
+          if (!replace) return;
+        }
+        saveMapping(mapping);
+      }
+    });
+    
+    const addKeyBtn = container.querySelector('[data-action="add-key-binding"]');
+    if (addKeyBtn) {
+      addKeyBtn.addEventListener('click', async () => {
+        const pressed = await this.captureKey(addKeyBtn);
+        if (!pressed) return;
+        
+        const mapping = resolveButtonMapping(getMapping(), getPreset());
+        const inputId = keyInputId(pressed.key, pressed);
+        if (mapping[inputId]) {
+          this.showNotification(`${getInputLabel(inputId)} already sends ${getActionLabel(mapping[inputId], this.mappingMacros)}. Change it in the list.`, 'info');
+          return;
+        }
+        saveMapping({ ...resolveButtonMapping(getMapping()), [inputId]: null });
+      });
+    }
+    
+    const resetAllBtn = container.querySelector('[data-action="reset-button-mapping"]');
+    if (resetAllBtn) {
+      resetAllBtn.addEventListener('click', async () => {
+        if (await this.showConfirmation('Reset every button to its default command?')) {
+          saveMapping(DEFAULT_SETTINGS.buttonMapping);
+          
+          // Devices from the catalog get their family's preset back
+          const device = stateManager.getActiveDevice();
+          if (device?.buttonMapping) {
+            savePreset({ ...deviceCatalog.getEntry(device.catalogId)?.buttonMapping });
+          }
+        }
+      });
+    }
+  }
+  
+  /**
+   * Wait for the next key press with its modifiers (Escape cancels). Browser shortcuts
+   * are only accepted after confirmation.
+   * @param {HTMLElement} button - Shows the prompt while waiting
+   * @returns {Promise<{key: string, ctrlKey: boolean, altKey: boolean, shiftKey: boolean, metaKey: boolean}|null>}
+   *   null if cancelled or reserved
+   */
+  async captureKey(button) {
+    const original = button.innerHTML;
+    button.textContent = 'Press a key… (Esc to cancel)';
+    
+    const pressed = await new Promise((resolve) => {
+      const handleKeyDown = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+          return; // Wait for the key itself
+        }
+        
+        document.removeEventListener('keydown', handleKeyDown, true);
+        button.innerHTML = original;
+        
+        if (e.key === 'Escape') {
+          resolve(null);
+        } else if (isReservedKey(e.key)) {
+          this.showNotification(`${e.key} cannot be bound.`, 'error');
+          resolve(null);
+        } else {
+          const { key, ctrlKey, altKey, shiftKey, metaKey } = e;
+          resolve({ key, ctrlKey, altKey, shiftKey, metaKey });
+        }
+      };
+      document.addEventListener('keydown', handleKeyDown, true);
+    });
+    
+    const inputId = pressed && keyInputId(pressed.key, pressed);
+    if (inputId && isBrowserShortcut(inputId)) {
+      const bind = await this.showConfirmation(`${getInputLabel(inputId)} is a browser shortcut, so the browser may act on it first. Bind it anyway?`);
+      return bind ? pressed : null;
+    }
+    return pressed;
+  }
+  
+  /**
+   * Rebuild the editor when the mapping or the device's macros change (not on every state
+   * update, so an open select keeps its focus)
+   * @param {Object[]} macros - Active device's macros, offered as actions
+   * @param {Object} [preset] - Active device's preset bindings, marked as device-specific
+   */
+  updateButtonMapping(container, settings, macros = [], preset = {}) {
+    const list = container.querySelector('[data-button-mapping]');
+    if (!list) return;
+    
+    const mapping = resolveButtonMapping(settings.buttonMapping, preset);
+    const signature = JSON.stringify({ mapping, preset, macros: macros.map(({ id, name }) => [id, name]) });
+    if (signature === this._renderedButtonMapping) return;
+    this._renderedButtonMapping = signature;
+    this.mappingMacros = macros;
+    this.mappingPreset = preset;
+    
+    const issues = validateButtonMapping(settings.buttonMapping, { macroIds: macros.map(m => m.id) });
+    const issuesEl = container.querySelector('[data-mapping-issues]');
+    if (issuesEl) {
+      issuesEl.classList.toggle('hidden', issues.length === 0);
+      issuesEl.textContent = issues.map(issue => issue.message).join(' ');
+    }
+    
+    const groups = [
+      { source: INPUT_SOURCES.SCREEN, title: 'On-screen buttons' },
+      { source: INPUT_SOURCES.KEYBOARD, title: 'Keyboard' },
+      { source: INPUT_SOURCES.GAMEPAD, title: 'Gamepad' }
+    ];
+    const actions = [null, ...Object.values(REMOTE_COMMANDS), ...macros.map(m => macroAction(m.id))];
+    const flagged = new Set(issues.map(issue => issue.inputId));
+    const fragment = document.createDocumentFragment();
+    
+    groups.forEach(({ source, title }) => {
+      const heading = document.createElement('h4');
+      heading.className = 'text-xs uppercase tracking-wide text-gray-400 mt-4 first:mt-0 mb-2';
+      heading.textContent = title;
+      fragment.appendChild(heading);
+      
+      Object.keys(mapping).filter(inputId => getInputSource(inputId) === source).forEach(inputId => {
+        fragment.appendChild(this.renderMappingRow(inputId, mapping[inputId], actions, flagged.has(inputId)));
+      });
+    });
+    
+    list.innerHTML = '';
+    list.appendChild(fragment);
+  }
+  
+  renderMappingRow(inputId, action, actions, flagged) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-2 py-1 text-sm';
+    
+    const label = document.createElement('span');
+    label.className = flagged ? 'flex-1 truncate text-yellow-300' : 'flex-1 truncate';
+    label.textContent = getInputLabel(inputId);
+    row.appendChild(label);
+    
+    if (getInputSource(inputId) === INPUT_SOURCES.KEYBOARD) {
+      const captureBtn = document.createElement('button');
+      captureBtn.setAttribute('data-mapping-capture', inputId);
+      captureBtn.title = 'Change key';
+      captureBtn.className = 'text-gray-400 hover:text-blue-400 transition';
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined text-sm';
+      icon.textContent = 'keyboard';
+      captureBtn.appendChild(icon);
+      row.appendChild(captureBtn);
+    }
+    
+    const select = document.createElement('select');
+    select.setAttribute('data-mapping-input', inputId);
+    select.setAttribute('aria-label', `Command for ${getInputLabel(inputId)}`);
+    select.className = 'bg-gray-900 text-white text-xs rounded border border-gray-700 px-2 py-1';
+    const options = actions.includes(action) ? actions : [...actions, action];
+    options.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value ?? '';
+      option.textContent = getActionLabel(value, this.mappingMacros);
+      select.appendChild(option);
+    });
+    select.value = action ?? '';
+    row.appendChild(select);
+    
+    const isDevicePreset = inputId in this.mappingPreset;
+    if (isDevicePreset) {
+      label.textContent += ' (this device)';
+    }
+    
+    const isDefault = !isDevicePreset && DEFAULT_SETTINGS.buttonMapping[inputId] === action;
+    const resetBtn = document.createElement('button');
+    resetBtn.setAttribute('data-mapping-reset', inputId);
+    resetBtn.title = isDevicePreset ? 'Use the shared binding' : inputId in DEFAULT_SETTINGS.buttonMapping ? 'Restore default' : 'Remove binding';
+    resetBtn.className = isDefault ? 'invisible' : 'text-gray-400 hover:text-white transition';
+    const resetIcon = document.createElement('span');
+    resetIcon.className = 'material-symbols-outlined text-sm';
+    resetIcon.textContent = isDevicePreset || inputId in DEFAULT_SETTINGS.buttonMapping ? 'restart_alt' : 'close';
+    resetBtn.appendChild(resetIcon);
+    row.appendChild(resetBtn);
+    
+    return row;
+  }
+  
+  /**
+   * List connected gamepads. Controllers without the standard layout may have their
+   * buttons reported in a different order, so they are flagged.
+   */
+  updateGamepads(container, gamepads = []) {
+    const list = container.querySelector('[data-gamepad-list]');
+    if (!list) return;
+    
+    if (gamepads.length === 0) {
+      list.innerHTML = '<p class="text-gray-400 text-sm text-center">No gamepads connected. Connect one and press any button.</p>';
+      return;
+    }
+    
+    list.innerHTML = '';
+    gamepads.forEach(gamepad => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 py-1 text-sm border-b border-gray-700 last:border-0';
+      
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined text-lg text-gray-400';
+      icon.textContent = 'sports_esports';
+      row.appendChild(icon);
+      
+      const info = document.createElement('div');
+      info.className = 'flex-1 min-w-0';
+      const name = document.createElement('p');
+      name.className = 'truncate';
+      name.textContent = gamepad.id;
+      info.appendChild(name);
+      if (!gamepad.standard) {
+        const warning = document.createElement('p');
+        warning.className = 'text-xs text-yellow-400';
+        warning.textContent = 'Non-standard layout: some buttons may not match their names.';
+        info.appendChild(warning);
+      }
+      row.appendChild(info);
+      
+      list.appendChild(row);
+    });
+  }
+  
+  // ============ Macros ============
+  initMacros(container) {
+    const list = container.querySelector('[data-macro-list]');
+    const editor = container.querySelector('[data-macro-editor]');
+    if (!list || !editor) return;
+    
+    const findMacro = (macroId) => (stateManager.getActiveDevice()?.macros ?? []).find(m => m.id === macroId);
+    
+    list.addEventListener('click', (e) => {
+      const playBtn = e.target.closest('[data-macro-play]');
+      if (playBtn) {
+        this.dispatchEvent('macro-play-requested', { macroId: playBtn.dataset.macroPlay });
+        return;
+      }
+      
+      const editBtn = e.target.closest('[data-macro-edit]');
+      if (editBtn) {
+        const macro = findMacro(editBtn.dataset.macroEdit);
+        if (macro) this.openMacroEditor(macro);
+        return;
+      }
+      
+      const deleteBtn = e.target.closest('[data-macro-delete]');
+      if (deleteBtn) {
+        this.dispatchEvent('macro-delete-requested', { macroId: deleteBtn.dataset.macroDelete });
+      }
+    });
+    
+    container.querySelector('[data-action="record-macro"]')?.addEventListener('click', () => {
+      this.dispatchEvent('macro-record-requested', {});
+    });
+    
+    container.querySelector('[data-action="new-macro"]')?.addEventListener('click', () => {
+      this.openMacroEditor({ name: '', steps: [{ command: REMOTE_COMMANDS.HOME, delay: MACRO_SETTINGS.DEFAULT_DELAY_MS }] });
+    });
+    
+    editor.querySelector('[data-macro-name]')?.addEventListener('input', (e) => {
+      if (this.macroDraft) this.macroDraft.name = e.target.value;
+    });
+    
+    // Field edits update the draft in place; adding, moving and removing steps re-render
+    const stepsEl = editor.querySelector('[data-macro-steps]');
+    stepsEl?.addEventListener('input', (e) => {
+      const index = Number(e.target.closest('[data-macro-step]')?.dataset.macroStep);
+      const step = this.macroDraft?.steps[index];
+      if (!step) return;
+      
+      if (e.target.matches('[data-macro-step-command]')) {
+        step.command = e.target.value;
+      } else if (e.target.matches('[data-macro-step-delay]')) {
+        step.delay = Math.round(Number(e.target.value) * 1000);
+      }
+    });
+    
+    stepsEl?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-macro-step-action]');
+      if (!button || !this.macroDraft) return;
+      
+      const steps = this.macroDraft.steps;
+      const index = Number(button.closest('[data-macro-step]').dataset.macroStep);
+      const target = button.dataset.macroStepAction === 'up' ? index - 1 : index + 1;
+      
+      if (button.dataset.macroStepAction === 'remove') {
+        steps.splice(index, 1);
+      } else if (target >= 0 && target < steps.length) {
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+      }
+      this.renderMacroSteps(editor);
+    });
+    
+    editor.querySelector('[data-action="add-macro-step"]')?.addEventListener('click', () => {
+      if (!this.macroDraft) return;
+      if (this.macroDraft.steps.length >= MACRO_SETTINGS.MAX_STEPS) {
+        this.setMacroEditorError(`Macros can have at most ${MACRO_SETTINGS.MAX_STEPS} steps.`);
+        return;
+      }
+      this.macroDraft.steps.push({ command: REMOTE_COMMANDS.OK, delay: MACRO_SETTINGS.DEFAULT_DELAY_MS });
+      this.renderMacroSteps(editor);
+    });
+    
+    editor.querySelector('[data-action="cancel-macro"]')?.addEventListener('click', () => {
+      this.closeMacroEditor();
+    });
+    
+    editor.querySelector('[data-action="save-macro"]')?.addEventListener('click', () => {
+      if (this.macroDraft) {
+        this.dispatchEvent('macro-save-requested', { macro: this.macroDraft });
+      }
+    });
+  }
+  
+  /**
+   * Open the editor on a copy of a macro (a new one has no id)
+   */
+  openMacroEditor(macro) {
+    const editor = this.viewContainers[VIEWS.SETTINGS]?.querySelector('[data-macro-editor]');
+    if (!editor) return;
+    
+    this.macroDraft = { id: macro.id, name: macro.name, steps: macro.steps.map(step => ({ ...step })) };
+    editor.querySelector('[data-macro-name]').value = macro.name;
+    this.setMacroEditorError('');
+    this.renderMacroSteps(editor);
+    editor.classList.remove('hidden');
+    editor.scrollIntoView?.({ block: 'nearest' });
+  }
+  
+  closeMacroEditor() {
+    this.macroDraft = null;
+    this.viewContainers[VIEWS.SETTINGS]?.querySelector('[data-macro-editor]')?.classList.add('hidden');
+  }
+  
+  setMacroEditorError(message) {
+    const errorEl = this.viewContainers[VIEWS.SETTINGS]?.querySelector('[data-macro-error]');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.toggle('hidden', !message);
+    }
+  }
+  
+  renderMacroSteps(editor) {
+    const stepsEl = editor.querySelector('[data-macro-steps]');
+    if (!stepsEl || !this.macroDraft) return;
+    
+    const commands = Object.values(REMOTE_COMMANDS);
+    const fragment = document.createDocumentFragment();
+    
+    this.macroDraft.steps.forEach((step, index) => {
+      const row = document.createElement('div');
+      row.setAttribute('data-macro-step', index);
+      row.className = 'flex items-center gap-2 text-xs';
+      
+      const number = document.createElement('span');
+      number.className = 'w-5 text-gray-400';
+      number.textContent = `${index + 1}.`;
+      row.appendChild(number);
+      
+      const select = document.createElement('select');
+      select.setAttribute('data-macro-step-command', '');
+      select.setAttribute('aria-label', `Command for step ${index + 1}`);
+      select.className = 'flex-1 min-w-0 bg-gray-900 text-white rounded border border-gray-700 px-2 py-1';
+      commands.forEach(command => {
+        const option = document.createElement('option');
+        option.value = command;
+        option.textContent = getActionLabel(command);
+        select.appendChild(option);
+      });
+      select.value = step.command;
+      row.appendChild(select);
+      
+      const wait = document.createElement('label');
+      wait.className = 'flex items-center gap-1 text-gray-400';
+      wait.textContent = 'wait';
+      const delay = document.createElement('input');
+      delay.type = 'number';
+      delay.setAttribute('data-macro-step-delay', '');
+      delay.setAttribute('aria-label', `Seconds to wait after step ${index + 1}`);
+      delay.min = '0';
+      delay.max = String(MACRO_SETTINGS.MAX_DELAY_MS / 1000);
+      delay.step = String(MACRO_SETTINGS.DELAY_STEP_MS / 1000);
+      delay.value = String(step.delay / 1000);
+      delay.className = 'w-14 bg-gray-900 text-white rounded border border-gray-700 px-1 py-1';
+      wait.appendChild(delay);
+      wait.append('s');
+      row.appendChild(wait);
+      
+      [['up', 'arrow_upward', 'Move up'], ['down', 'arrow_downward', 'Move down'], ['remove', 'close', 'Remove step']]
+        .forEach(([action, iconName, title]) => {
+          const button = document.createElement('button');
+          button.setAttribute('data-macro-step-action', action);
+          button.title = title;
+          button.className = 'text-gray-400 hover:text-white transition';
+          const icon = document.createElement('span');
+          icon.className = 'material-symbols-outlined text-sm';
+          icon.textContent = iconName;
+          button.appendChild(icon);
+          row.appendChild(button);
+        });
+      
+      fragment.appendChild(row);
+    });
+    
+    stepsEl.innerHTML = '';
+    stepsEl.appendChild(fragment);
+  }
+  
+  /**
+   * List the active device's macros with play, edit and delete buttons
+   */
+  updateMacros(container, macros) {
+    const list = container.querySelector('[data-macro-list]');
+    if (!list) return;
+    
+    const signature = JSON.stringify(macros);
+    if (signature === this._renderedMacros) return;
+    this._renderedMacros = signature;
+    
+    if (macros.length === 0) {
+      list.innerHTML = '<p class="text-gray-400 text-sm text-center">No macros for this device</p>';
+      return;
+    }
+    
+    const fragment = document.createDocumentFragment();
+    macros.forEach(macro => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 py-1 text-sm border-b border-gray-700 last:border-0';
+      
+      const info = document.createElement('div');
+      info.className = 'flex-1 min-w-0';
+      const name = document.createElement('p');
+      name.className = 'truncate';
+      name.textContent = macro.name;
+      const detail = document.createElement('p');
+      detail.className = 'text-xs text-gray-400';
+      const stepCount = macro.steps.length;
+      detail.textContent = `${stepCount} step${stepCount === 1 ? '' : 's'} · ${(getMacroDuration(macro) / 1000).toFixed(1)} s`;
+      info.append(name, detail);
+      row.appendChild(info);
+      
+      [['data-macro-play', 'play_arrow', 'Play'], ['data-macro-edit', 'edit', 'Edit'], ['data-macro-delete', 'delete', 'Delete']]
+        .forEach(([attribute, iconName, title]) => {
+          const button = document.createElement('button');
+          button.setAttribute(attribute, macro.id);
+          button.title = `${title} ${macro.name}`;
+          button.className = 'text-gray-400 hover:text-blue-400 transition';
+          const icon = document.createElement('span');
+          icon.className = 'material-symbols-outlined text-lg';
+          icon.textContent = iconName;
+          button.appendChild(icon);
+          row.appendChild(button);
+        });
+      
+      fragment.appendChild(row);
+    });
+    
+    list.innerHTML = '';
+    list.appendChild(fragment);
+  }
+  
+  initMacroBar() {
+    if (!this.macroBar) return;
+    
+    this.macroBar.querySelector('[data-macro-bar-pause]')?.addEventListener('click', () => {
+      this.dispatchEvent('macro-pause-toggled', {});
+    });
+    
+    this.macroBar.querySelector('[data-macro-bar-stop]')?.addEventListener('click', () => {
+      this.dispatchEvent('macro-stop-requested', {});
+    });
+  }
+  
+  /**
+   * Show recording or playback progress; null hides the bar
+   * @param {{recording: boolean}|{name: string, completed: number, total: number, paused: boolean}|null} status
+   */
+  updateMacroBar(status) {
+    if (!this.macroBar) return;
+    
+    this.macroBar.classList.toggle('hidden', !status);
+    if (!status) return;
+    
+    const icon = this.macroBar.querySelector('[data-macro-bar-icon]');
+    const label = this.macroBar.querySelector('[data-macro-bar-label]');
+    const pauseBtn = this.macroBar.querySelector('[data-macro-bar-pause]');
+    const progress = this.macroBar.querySelector('[data-macro-bar-progress]');
+    
+    if (status.recording) {
+      icon.textContent = 'fiber_manual_record';
+      icon.className = 'material-symbols-outlined text-red-400';
+      label.textContent = 'Recording… press buttons, then stop';
+      pauseBtn.classList.add('hidden');
+      progress.parentElement.classList.add('hidden');
+      return;
+    }
+    
+    icon.textContent = 'playlist_play';
+    icon.className = 'material-symbols-outlined text-blue-400';
+    label.textContent = `${status.name} · step ${Math.min(status.completed + 1, status.total)} of ${status.total}${status.paused ? ' (paused)' : ''}`;
+    pauseBtn.classList.remove('hidden');
+    pauseBtn.title = status.paused ? 'Resume the macro' : 'Pause the macro';
+    pauseBtn.querySelector('.material-symbols-outlined').textContent = status.paused ? 'play_arrow' : 'pause';
+    progress.parentElement.classList.remove('hidden');
+    progress.style.width = `${(status.completed / status.total) * 100}%`;
+  }
+  
+  // ============ Voice Commands ============
+  /**
+   * @param {HTMLElement} container - Main remote view
+   * @param {Object} [recognizer] - Defaults to the Web Speech API when the browser has it
+   */
+  initVoiceInput(container, recognizer = WebSpeechRecognizer.isSupported() ? new WebSpeechRecognizer() : null) {
+    const voiceBtn = container.querySelector('[data-action="voice-command"]');
+    if (!voiceBtn || !recognizer) return;
+    
+    this.voiceInput = new VoiceInput({
+      recognizer,
+      onCommand: (parsed) => this.handleVoiceCommand(parsed),
+      onUnrecognized: (transcript) => {
+        this.setVoiceStatus(transcript ? `"${transcript}" isn't a remote command. Try "volume up five" or "go home".` : '');
+      },
+      onError: (message) => {
+        this.setVoiceStatus('');
+        this.showNotification(message, 'error');
+      },
+      onListeningChange: (listening) => {
+        voiceBtn.setAttribute('aria-pressed', String(listening));
+        voiceBtn.classList.toggle('text-red-400', listening);
+        if (listening) this.setVoiceStatus('Listening…');
+      }
+    });
+    
+    voiceBtn.classList.remove('hidden');
+    voiceBtn.addEventListener('click', () => this.voiceInput.toggle());
+  }
+  
+  /**
+   * Show what was heard and hand the command to the app
+   */
+  handleVoiceCommand({ command, count, transcript }) {
+    this.setVoiceStatus(`"${transcript}" → ${getActionLabel(command)}${count > 1 ? ` ×${count}` : ''}`);
+    this.dispatchEvent('voice-command', { command, count });
+  }
+  
+  setVoiceStatus(message) {
+    const status = this.viewContainers[VIEWS.MAIN_REMOTE]?.querySelector('[data-voice-status]');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.toggle('hidden', !message);
+  }
+  
+  // ============ QR Code Sharing ============
+  initShareModal() {
+    if (!this.shareModal) return;
+    
+    document.getElementById('share-close')?.addEventListener('click', () => {
+      this.shareModal.classList.add('hidden');
+    });
+    this.shareModal.addEventListener('click', (e) => {
+      if (e.target === this.shareModal) {
+        this.shareModal.classList.add('hidden');
+      }
+    });
+    this.shareModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.shareModal.classList.add('hidden');
+      }
+    });
+  }
+  
+  /**
+   * QR code with the device's name, protocol and setup, to scan on another phone
+   */
+  showShareModal(device) {
+    if (!this.shareModal) return;
+    
+    const name = device.customName || device.name;
+    let qr;
+    try {
+      qr = encodeQr(createShareCode(device));
+    } catch (error) {
+      console.error('Failed to create share code:', error);
+      this.showNotification(`${name} has too much setup for a QR code. Remove some macros or shortcuts and try again.`, 'error');
+      return;
+    }
+    
+    const size = qr.size + QR_MARGIN * 2;
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', qrToSvgPath(qr, QR_MARGIN));
+    path.setAttribute('fill', '#000');
+    this.shareQr.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    this.shareQr.setAttribute('shape-rendering', 'crispEdges');
+    this.shareQr.replaceChildren(path);
+    this.shareCaption.textContent = `On the other phone, open Connect a Device → Scan QR Code to add ${name} with its buttons and shortcuts.`;
+    
+    this.shareModal.classList.remove('hidden');
+    document.getElementById('share-close')?.focus();
+  }
+  
+  /**
+   * "Scan QR Code" in the connection view; a scanned share is shown ready to pair
+   * @param {HTMLElement} container - Device connection view
+   * @param {Object} [decoder] - Defaults to the Shape Detection API when the browser has it and a camera
+   */
+  initQrScan(container, decoder = QrScanner.isSupported() ? new BarcodeDetectorDecoder() : null) {
+    const scanBtn = container.querySelector('[data-action="scan-qr"]');
+    if (!scanBtn || !container.querySelector('[data-qr-scanner]') || !decoder) return;
+    
+    this.qrScanner = new QrScanner({
+      decoder,
+      onResult: (text) => {
+        this.setQrScanOpen(false);
+        try {
+          this.showSharedDevice(parseShareCode(text));
+        } catch (error) {
+          this.showNotification(error.message, 'error');
+        }
+      },
+      onError: (message) => {
+        this.setQrScanOpen(false);
+        this.showNotification(message, 'error');
+      }
+    });
+    
+    scanBtn.classList.remove('hidden');
+    scanBtn.addEventListener('click', () => {
+      this.setQrScanOpen(scanBtn.getAttribute('aria-expanded') !== 'true');
+    });
+    container.querySelector('[data-action="cancel-qr-scan"]')?.addEventListener('click', () => {
+      this.setQrScanOpen(false);
+    });
+    container.querySelector('[data-action="pair-shared-device"]')?.addEventListener('click', () => {
+      if (this.sharedDevice) {
+        this.dispatchEvent('shared-device-pair-requested', { shared: this.sharedDevice });
+      }
+    });
+    container.querySelector('[data-action="dismiss-shared-device"]')?.addEventListener('click', () => {
+      this.showSharedDevice(null);
+    });
+  }
+  
+  /**
+   * Show the camera and start scanning, or stop and hide it
+   */
+  setQrScanOpen(open) {
+    const container = this.viewContainers[VIEWS.DEVICE_CONNECTION];
+    const panel = container?.querySelector('[data-qr-scanner]');
+    if (!panel || !this.qrScanner) return;
+    
+    panel.classList.toggle('hidden', !open);
+    container.querySelector('[data-action="scan-qr"]')?.setAttribute('aria-expanded', String(open));
+    if (open) {
+      this.showSharedDevice(null);
+      this.qrScanner.start(panel.querySelector('[data-qr-video]'));
+    } else {
+      this.qrScanner.stop();
+    }
+  }
+  
+  /**
+   * Show (or clear with null) the device read from a share code
+   * @param {Object|null} shared - From parseShareCode()
+   */
+  showSharedDevice(shared) {
+    this.sharedDevice = shared;
+    const card = this.viewContainers[VIEWS.DEVICE_CONNECTION]?.querySelector('[data-shared-device]');
+    if (!card) return;
+    
+    card.classList.toggle('hidden', !shared);
+    if (!shared) return;
+    
+    const count = (items, noun) => `${items} ${noun}${items === 1 ? '' : 's'}`;
+    const setup = [
+      shared.buttonMapping && count(Object.keys(shared.buttonMapping).length, 'button'),
+      shared.shortcuts && count(shared.shortcuts.length, 'shortcut'),
+      shared.macros && count(shared.macros.length, 'macro')
+    ].filter(Boolean);
+    card.querySelector('[data-shared-device-name]').textContent = shared.customName || shared.name;
+    card.querySelector('[data-shared-device-detail]').textContent =
+      `Tap Pair and choose "${shared.name}" in the list.${setup.length ? ` Brings along ${setup.join(', ')}.` : ''}`;
+  }
+  
+  // ============ Locate Device ============
+  initLocateSheet() {
+    if (!this.locateModal) return;
+    
+    document.getElementById('locate-close')?.addEventListener('click', () => this.closeLocateSheet());
+    document.getElementById('locate-done')?.addEventListener('click', () => this.closeLocateSheet());
+    document.getElementById('locate-alert')?.addEventListener('click', () => {
+      this.dispatchEvent('locate-alert-requested', {});
+    });
+    this.locateModal.addEventListener('click', (e) => {
+      if (e.target === this.locateModal) {
+        this.closeLocateSheet();
+      }
+    });
+    this.locateModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeLocateSheet();
+      }
+    });
+  }
+  
+  isLocateSheetOpen() {
+    return Boolean(this.locateModal && !this.locateModal.classList.contains('hidden'));
+  }
+  
+  /**
+   * Open the locate sheet for a device with an empty proximity meter
+   */
+  showLocateSheet(device) {
+    if (!this.locateModal) return;
+    
+    document.getElementById('locate-title').textContent = `Locate ${device.customName || device.name}`;
+    this.setLocateStatus('');
+    this.updateLocateProximity(undefined);
+    this.locateModal.classList.remove('hidden');
+    document.getElementById('locate-done')?.focus();
+  }
+  
+  closeLocateSheet() {
+    if (!this.isLocateSheetOpen()) return;
+    
+    this.locateModal.classList.add('hidden');
+    this.dispatchEvent('locate-closed', {});
+  }
+  
+  /**
+   * What the device was asked to do, or why it could not be
+   */
+  setLocateStatus(message, isError = false) {
+    const status = document.getElementById('locate-status');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.toggle('text-red-400', isError);
+    status.classList.toggle('text-gray-300', !isError);
+  }
+  
+  /**
+   * Fill the proximity meter
+   * @param {{rssi: number, signal: number, trend: string}|null|undefined} proximity - From
+   *   ProximityTracker; undefined while waiting for a reading, null when the browser
+   *   cannot report signal strength
+   */
+  updateLocateProximity(proximity) {
+    const trend = document.getElementById('locate-trend');
+    const fill = document.getElementById('locate-meter-fill');
+    if (!trend || !fill) return;
+    
+    const signal = proximity?.signal ?? 0;
+    fill.style.width = `${signal}%`;
+    document.getElementById('locate-meter')?.setAttribute('aria-valuenow', String(signal));
+    document.getElementById('locate-rssi').textContent = proximity ? `${proximity.rssi} dBm` : '';
+    
+    trend.classList.toggle('text-orange-400', proximity?.trend === PROXIMITY_TRENDS.WARMER);
+    trend.classList.toggle('text-blue-400', proximity?.trend === PROXIMITY_TRENDS.COLDER);
+    if (proximity === null) {
+      trend.textContent = "This browser doesn't report signal strength.";
+    } else if (!proximity) {
+      trend.textContent = 'Waiting for signal…';
+    } else {
+      trend.textContent = PROXIMITY_LABELS[proximity.trend];
+    }
+  }
+  
+  // ============ Keyboard Shortcut Help ============
+  initShortcutHelp() {
+    if (!this.shortcutHelp) return;
+    
+    document.getElementById('shortcut-help-close')?.addEventListener('click', () => {
+      this.toggleShortcutHelp(false);
+    });
+    this.shortcutHelp.addEventListener('click', (e) => {
+      if (e.target === this.shortcutHelp) {
+        this.toggleShortcutHelp(false);
+      }
+    });
+  }
+  
+  isShortcutHelpOpen() {
+    return Boolean(this.shortcutHelp && !this.shortcutHelp.classList.contains('hidden'));
+  }
+  
+  /**
+   * Show or hide the list of active key bindings ("?" on the remote)
+   * @param {boolean} [open] - Defaults to the opposite of the current state
+   */
+  toggleShortcutHelp(open = !this.isShortcutHelpOpen()) {
+    if (!this.shortcutHelp) return;
+    
+    if (open) {
+      this.renderShortcutHelp();
+    }
+    this.shortcutHelp.classList.toggle('hidden', !open);
+  }
+  
+  /**
+   * One row per action with every key bound to it, commands in REMOTE_COMMANDS order
+   */
+  renderShortcutHelp() {
+    const activeDevice = stateManager.getActiveDevice();
+    const mapping = resolveButtonMapping(stateManager.getUserSettings().buttonMapping, activeDevice?.buttonMapping);
+    const macros = activeDevice?.macros ?? [];
+    const keysByAction = new Map(Object.values(REMOTE_COMMANDS).map(command => [command, []]));
+    
+    Object.entries(mapping).forEach(([inputId, action]) => {
+      if (action && getInputSource(inputId) === INPUT_SOURCES.KEYBOARD && !isReservedKey(parseKeyInputId(inputId).key)) {
+        keysByAction.set(action, [...(keysByAction.get(action) ?? []), getInputLabel(inputId)]);
+      }
+    });
+    
+    const rows = [...keysByAction].filter(([, keys]) => keys.length > 0).map(([action, keys]) => [getActionLabel(action, macros), keys]);
+    rows.push(['Show or hide this list', ['?']]);
+    
+    const fragment = document.createDocumentFragment();
+    rows.forEach(([label, keys]) => {
+      const row = document.createElement('div');
+      row.className = 'flex justify-between items-center gap-4 py-1 border-b border-gray-700 last:border-0';
+      const term = document.createElement('dt');
+      term.className = 'text-gray-300';
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.className = 'flex flex-wrap justify-end gap-1';
+      keys.forEach(key => {
+        const kbd = document.createElement('kbd');
+        kbd.className = 'bg-gray-700 text-white text-xs rounded px-1.5 py-0.5';
+        kbd.textContent = key;
+        detail.appendChild(kbd);
+      });
+      row.append(term, detail);
+      fragment.appendChild(row);
+    });
+    
+    this.shortcutHelpList.innerHTML = '';
+    this.shortcutHelpList.appendChild(fragment);
+  }
+  
   // ============ Utility Methods ============
   dispatchEvent(eventName, detail = {}) {
     window.dispatchEvent(new CustomEvent(`ui:${eventName}`, { detail }));
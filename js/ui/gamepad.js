@@ -0,0 +1,176 @@
+// Gamepad - Polls connected controllers and turns buttons, sticks and triggers into mapping inputs
+
+import { GAMEPAD_SETTINGS } from '../core/constants.js';
+
+// Button index → input id in the "standard" Gamepad API layout
+const STANDARD_BUTTONS = [
+  'btn-a', 'btn-b', 'btn-x', 'btn-y',
+  'btn-l-bumper', 'btn-r-bumper', 'btn-l-trigger', 'btn-r-trigger',
+  'btn-select', 'btn-start', 'btn-l-stick', 'btn-r-stick',
+  'btn-dpad-up', 'btn-dpad-down', 'btn-dpad-left', 'btn-dpad-right',
+  'btn-home',
+];
+
+// [x axis, y axis, input id prefix]
+const STICKS = [[0, 1, 'btn-l-stick'], [2, 3, 'btn-r-stick']];
+const TRIGGERS = new Set(['btn-l-trigger', 'btn-r-trigger']);
+
+// Held inputs that repeat; other buttons fire once per press
+const REPEATING = /^btn-(dpad|l-stick|r-stick)-|^btn-[lr]-trigger$/;
+
+/**
+ * Inputs a gamepad is holding, each with how far it is pushed (0-1 past the deadzone or
+ * threshold). A stick only reports its dominant direction so diagonals don't press two.
+ * @param {Gamepad} gamepad
+ * @returns {Map<string, number>} input id → magnitude
+ */
+export function readGamepad(gamepad) {
+  const { STICK_DEADZONE, TRIGGER_THRESHOLD } = GAMEPAD_SETTINGS;
+  const held = new Map();
+
+  gamepad.buttons.forEach((button, index) => {
+    const inputId = STANDARD_BUTTONS[index];
+    if (!inputId) return;
+
+    if (TRIGGERS.has(inputId)) {
+      if (button.value > TRIGGER_THRESHOLD) {
+        held.set(inputId, (button.value - TRIGGER_THRESHOLD) / (1 - TRIGGER_THRESHOLD));
+      }
+    } else if (button.pressed) {
+      held.set(inputId, 1);
+    }
+  });
+
+  STICKS.forEach(([xAxis, yAxis, prefix]) => {
+    const x = gamepad.axes[xAxis] ?? 0;
+    const y = gamepad.axes[yAxis] ?? 0;
+    const horizontal = Math.abs(x) >= Math.abs(y);
+    const value = horizontal ? x : y;
+    if (Math.abs(value) <= STICK_DEADZONE) return;
+
+    const direction = horizontal ? (x > 0 ? 'right' : 'left') : (y > 0 ? 'down' : 'up');
+    held.set(`${prefix}-${direction}`, Math.min(1, (Math.abs(value) - STICK_DEADZONE) / (1 - STICK_DEADZONE)));
+  });
+
+  return held;
+}
+
+/**
+ * Milliseconds between repeats for a held input; pushing further repeats faster
+ */
+export function repeatInterval(magnitude) {
+  const { SLOWEST_REPEAT_MS, FASTEST_REPEAT_MS } = GAMEPAD_SETTINGS;
+  const level = Math.min(1, Math.max(0, magnitude));
+  return Math.round(SLOWEST_REPEAT_MS - (SLOWEST_REPEAT_MS - FASTEST_REPEAT_MS) * level);
+}
+
+/**
+ * Gamepad API input source. Browsers only report gamepads through polling, so while
+ * one is connected the state is read every animation frame (which also stops polling
+ * in background tabs). Presses fire once; D-pad, stick and trigger holds repeat after
+ * REPEAT_DELAY_MS at a rate set by how far they are pushed.
+ */
+export class GamepadInput {
+  /**
+   * @param {Object} handlers
+   * @param {function(string): void} handlers.onInput - Input id pressed or repeated
+   * @param {function(Array<{index: number, id: string, standard: boolean}>): void} [handlers.onConnectionChange]
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.held = new Map(); // input id -> time of the next repeat (Infinity = no repeat)
+    this.frame = null;
+
+    this.onConnected = () => this.refreshConnections();
+    this.onDisconnected = () => this.refreshConnections();
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  start() {
+    if (!GamepadInput.isSupported()) return;
+
+    window.addEventListener('gamepadconnected', this.onConnected);
+    window.addEventListener('gamepaddisconnected', this.onDisconnected);
+    this.refreshConnections();
+  }
+
+  stop() {
+    window.removeEventListener('gamepadconnected', this.onConnected);
+    window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+    this.stopPolling();
+    this.held.clear();
+  }
+
+  getGamepads() {
+    return [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+  }
+
+  /**
+   * Report the connected gamepads and poll only while there are any
+   */
+  refreshConnections() {
+    const gamepads = this.getGamepads();
+    this.handlers.onConnectionChange?.(gamepads.map(gamepad => ({
+      index: gamepad.index,
+      id: gamepad.id,
+      standard: gamepad.mapping === 'standard'
+    })));
+
+    if (gamepads.length > 0) {
+      this.startPolling();
+    } else {
+      this.stopPolling();
+      this.held.clear();
+    }
+  }
+
+  startPolling() {
+    if (this.frame !== null) return;
+
+    const loop = (time) => {
+      this.poll(time);
+      this.frame = requestAnimationFrame(loop);
+    };
+    this.frame = requestAnimationFrame(loop);
+  }
+
+  stopPolling() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Read every gamepad once and fire presses and due repeats
+   * @param {number} time - Frame timestamp in milliseconds
+   */
+  poll(time) {
+    const active = new Map();
+    this.getGamepads().forEach(gamepad => {
+      readGamepad(gamepad).forEach((magnitude, inputId) => {
+        active.set(inputId, Math.max(magnitude, active.get(inputId) ?? 0));
+      });
+    });
+
+    [...this.held.keys()].forEach(inputId => {
+      if (!active.has(inputId)) {
+        this.held.delete(inputId);
+      }
+    });
+
+    active.forEach((magnitude, inputId) => {
+      const repeats = REPEATING.test(inputId);
+      if (!this.held.has(inputId)) {
+        this.held.set(inputId, repeats ? time + GAMEPAD_SETTINGS.REPEAT_DELAY_MS : Infinity);
+        this.handlers.onInput(inputId);
+      } else if (time >= this.held.get(inputId)) {
+        this.held.set(inputId, time + repeatInterval(magnitude));
+        this.handlers.onInput(inputId);
+      }
+    });
+  }
+}
@@ -0,0 +1,107 @@
+// Media Session - Hardware media keys, headset buttons and OS media controls drive the TV
+
+import { MEDIA_STATES } from '../core/constants.js';
+
+// Media Session action → playback control passed to App.handlePlaybackControl
+export const MEDIA_SESSION_ACTIONS = {
+  play: 'play',
+  pause: 'pause',
+  previoustrack: 'previous',
+  nexttrack: 'next',
+  seekbackward: 'replay-10s',
+  seekforward: 'forward-10s',
+};
+
+const PLAYBACK_STATES = {
+  [MEDIA_STATES.PLAYING]: 'playing',
+  [MEDIA_STATES.SEEKING]: 'playing',
+  [MEDIA_STATES.PAUSED]: 'paused',
+};
+
+/**
+ * Media Session metadata for the active device: the reported title and player when the
+ * device shares them, otherwise the device name
+ * @param {string} deviceName
+ * @param {Object} [nowPlaying] - { title, player, state, position, duration } from deviceStatus
+ */
+export function describeSession(deviceName, nowPlaying = {}) {
+  const title = nowPlaying.state !== MEDIA_STATES.INACTIVE && nowPlaying.title;
+  return {
+    title: title || deviceName,
+    artist: title ? (nowPlaying.player || deviceName) : 'TV Remote',
+    album: deviceName,
+  };
+}
+
+/**
+ * Publishes the active device to navigator.mediaSession and forwards its actions.
+ * Browsers only hand media keys to a page while it owns the media session, which
+ * some require to be playing audio; elsewhere the handlers simply never fire.
+ */
+export class MediaSessionBridge {
+  /**
+   * @param {Object} handlers
+   * @param {function(string): void} handlers.onControl - Playback control, e.g. 'next'
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.signature = null;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  }
+
+  start() {
+    if (!MediaSessionBridge.isSupported()) return;
+
+    Object.entries(MEDIA_SESSION_ACTIONS).forEach(([action, control]) => {
+      this.setHandler(action, () => this.handlers.onControl(control));
+    });
+  }
+
+  stop() {
+    if (!MediaSessionBridge.isSupported()) return;
+
+    Object.keys(MEDIA_SESSION_ACTIONS).forEach(action => this.setHandler(action, null));
+    this.update(null);
+  }
+
+  /**
+   * Show a device (or clear the session with null) on lock screens and media overlays
+   * @param {{name: string, nowPlaying: Object}|null} device
+   */
+  update(device) {
+    if (!MediaSessionBridge.isSupported()) return;
+
+    const signature = JSON.stringify(device);
+    if (signature === this.signature) return;
+    this.signature = signature;
+
+    const session = navigator.mediaSession;
+    if (!device) {
+      session.metadata = null;
+      session.playbackState = 'none';
+      return;
+    }
+
+    const nowPlaying = device.nowPlaying ?? {};
+    if (typeof MediaMetadata === 'function') {
+      session.metadata = new MediaMetadata(describeSession(device.name, nowPlaying));
+    }
+    session.playbackState = PLAYBACK_STATES[nowPlaying.state] ?? 'none';
+
+    const { position, duration } = nowPlaying;
+    if (duration > 0 && position >= 0 && position <= duration) {
+      session.setPositionState?.({ duration, position, playbackRate: 1 });
+    }
+  }
+
+  setHandler(action, handler) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      console.warn(`Media Session action '${action}' is not supported:`, error);
+    }
+  }
+}
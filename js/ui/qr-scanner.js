@@ -0,0 +1,129 @@
+// QR Scanner - Reads a QR code from the camera
+
+import { SHARE_SETTINGS } from '../core/constants.js';
+
+// getUserMedia error names → user-facing messages
+const CAMERA_ERRORS = {
+  NotAllowedError: 'Allow camera access to scan a QR code.',
+  SecurityError: 'Allow camera access to scan a QR code.',
+  NotFoundError: 'No camera was found.',
+  OverconstrainedError: 'No camera was found.',
+  NotReadableError: 'The camera is in use by another app.',
+};
+
+export function describeCameraError(error) {
+  return CAMERA_ERRORS[error?.name] ?? 'The camera could not be started.';
+}
+
+/**
+ * Decoder backed by the Shape Detection API. Any object with the same detect() shape
+ * can be passed to QrScanner instead (tests use a fake).
+ *
+ * detect(source) resolves to the text of every QR code found in the video frame.
+ */
+export class BarcodeDetectorDecoder {
+  static isSupported() {
+    return typeof window !== 'undefined' && typeof window.BarcodeDetector === 'function';
+  }
+
+  constructor() {
+    this.detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  }
+
+  async detect(source) {
+    const codes = await this.detector.detect(source);
+    return codes.map(code => code.rawValue);
+  }
+}
+
+/**
+ * Shows the rear camera in a <video> and checks a frame every
+ * SHARE_SETTINGS.SCAN_INTERVAL_MS until a code is found; the camera is released
+ * before onResult gets the code's text.
+ */
+export class QrScanner {
+  static isSupported() {
+    return BarcodeDetectorDecoder.isSupported() && typeof navigator.mediaDevices?.getUserMedia === 'function';
+  }
+
+  /**
+   * @param {Object} options
+   * @param {{detect: function(*): Promise<string[]>}} options.decoder
+   * @param {function(string): void} options.onResult - Text of the first code found
+   * @param {function(string): void} [options.onError] - User-facing message
+   */
+  constructor({ decoder, onResult, onError }) {
+    this.decoder = decoder;
+    this.handlers = { onResult, onError };
+    this.scanning = false;
+    this.stream = null;
+    this.video = null;
+    this.timer = null;
+  }
+
+  /**
+   * @param {HTMLVideoElement} video - Shows the camera while scanning
+   * @returns {Promise<boolean>} Whether the camera started
+   */
+  async start(video) {
+    if (this.scanning) return true;
+
+    this.scanning = true;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    } catch (error) {
+      console.error('Failed to start the camera:', error);
+      this.scanning = false;
+      this.handlers.onError?.(describeCameraError(error));
+      return false;
+    }
+
+    // Stopped while the permission prompt was open
+    if (!this.scanning) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.stream = stream;
+    this.video = video;
+    video.srcObject = stream;
+    await video.play?.()?.catch(() => {});
+    this.scheduleScan();
+    return true;
+  }
+
+  stop() {
+    this.scanning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    if (this.video) {
+      this.video.srcObject = null;
+      this.video = null;
+    }
+  }
+
+  scheduleScan() {
+    this.timer = setTimeout(() => this.scan(), SHARE_SETTINGS.SCAN_INTERVAL_MS);
+  }
+
+  async scan() {
+    if (!this.scanning) return;
+
+    try {
+      const [text] = await this.decoder.detect(this.video);
+      if (text && this.scanning) {
+        this.stop();
+        this.handlers.onResult(text);
+        return;
+      }
+    } catch (error) {
+      // Frames before the video has data can't be decoded; keep trying
+      console.warn('QR detection failed:', error);
+    }
+
+    if (this.scanning) this.scheduleScan();
+  }
+}
@@ -0,0 +1,92 @@
+// Text Entry - Mirrors edits in a text field to the TV as keystrokes
+
+import { TEXT_INPUT_SETTINGS } from '../core/constants.js';
+
+/**
+ * Keystrokes that turn `previous` into `next` as typed at the end of the TV's field:
+ * a Backspace ('\b') for every character removed after the common prefix, then the
+ * new characters. Covers typing, deletion, paste and autocorrect replacing a word.
+ */
+export function diffTextEntry(previous, next) {
+  const before = [...previous];
+  const after = [...next];
+  let common = 0;
+  while (common < before.length && common < after.length && before[common] === after[common]) {
+    common++;
+  }
+  return '\b'.repeat(before.length - common) + after.slice(common).join('');
+}
+
+/**
+ * Watches the text-entry field and reports what to type. IME composition is sent once
+ * it is committed; Backspace in an empty field and Enter are sent as keys.
+ */
+export class TextEntry {
+  /**
+   * @param {HTMLInputElement} field
+   * @param {function(string): void} onText - Text to type ('\b' = Backspace, '\n' = Enter)
+   */
+  constructor(field, onText) {
+    this.field = field;
+    this.onText = onText;
+    this.previous = '';
+    this.composing = false;
+
+    field.maxLength = TEXT_INPUT_SETTINGS.MAX_LENGTH;
+    field.addEventListener('compositionstart', () => {
+      this.composing = true;
+    });
+    field.addEventListener('compositionend', () => {
+      this.composing = false;
+      this.sync();
+    });
+    field.addEventListener('input', (e) => {
+      if (!this.composing && !e.isComposing) {
+        this.sync();
+      }
+    });
+    field.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.isComposing) {
+        e.preventDefault();
+        this.enter();
+      } else if (e.key === 'Backspace' && this.field.value === '') {
+        // Nothing left to delete locally, but the TV's field may still have text
+        this.onText('\b');
+      }
+    });
+  }
+
+  /**
+   * Backspace button: delete the last character here and on the TV
+   */
+  backspace() {
+    this.field.value = [...this.field.value].slice(0, -1).join('');
+    this.previous = this.field.value;
+    this.onText('\b');
+  }
+
+  /**
+   * Enter button or key: submit on the TV and start a fresh entry
+   */
+  enter() {
+    this.sync();
+    this.onText('\n');
+    this.clear();
+  }
+
+  sync() {
+    const text = diffTextEntry(this.previous, this.field.value);
+    this.previous = this.field.value;
+    if (text) {
+      this.onText(text);
+    }
+  }
+
+  /**
+   * Empty the local field without sending Backspaces
+   */
+  clear() {
+    this.field.value = '';
+    this.previous = '';
+  }
+}
@@ -0,0 +1,193 @@
+// Touchpad - Turns pointer gestures on a surface into cursor, scroll, tap and swipe input
+
+import { TOUCHPAD_MODES, TOUCHPAD_SETTINGS } from '../core/constants.js';
+
+/**
+ * Cursor gain for a finger speed (px/ms), scaled by the cursorSensitivity setting (0-100)
+ */
+export function pointerGain(speed, sensitivity) {
+  const { MIN_GAIN, MAX_GAIN, ACCELERATION, MAX_SPEED } = TOUCHPAD_SETTINGS;
+  const level = Math.min(100, Math.max(0, Number(sensitivity) || 0)) / 100;
+  const base = MIN_GAIN + (MAX_GAIN - MIN_GAIN) * level;
+  return base * (1 + ACCELERATION * Math.min(Math.max(speed, 0), MAX_SPEED));
+}
+
+/**
+ * D-pad direction for a swipe, or null when it is too short
+ */
+export function classifySwipe(dx, dy, minDistance = TOUCHPAD_SETTINGS.SWIPE_MIN_PX) {
+  if (Math.max(Math.abs(dx), Math.abs(dy)) < minDistance) {
+    return null;
+  }
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? 'right' : 'left';
+  }
+  return dy > 0 ? 'down' : 'up';
+}
+
+/**
+ * Pointer Events gesture recognizer for the main remote's touchpad panel.
+ *
+ * Pointer mode: one finger moves the cursor (movement is batched per animation frame),
+ * two fingers scroll, a tap clicks and a two-finger tap right-clicks.
+ * Swipe mode: swipes become D-pad directions and a tap is OK.
+ */
+export class Touchpad {
+  /**
+   * @param {HTMLElement} element - Touch surface
+   * @param {Object} handlers
+   * @param {function(): Object} handlers.getSettings - Current user settings
+   * @param {function(number, number): void} [handlers.onMove] - Relative cursor movement
+   * @param {function(number): void} [handlers.onScroll] - Wheel notches (positive scrolls up)
+   * @param {function(string): void} [handlers.onTap] - 'primary' or 'secondary'
+   * @param {function(string): void} [handlers.onSwipe] - D-pad direction
+   */
+  constructor(element, handlers) {
+    this.element = element;
+    this.handlers = handlers;
+    this.pointers = new Map(); // pointerId -> { x, y, time, startX, startY, startTime }
+    this.maxPointers = 0;
+    this.moved = false;
+    this.pending = { dx: 0, dy: 0 };
+    this.scrollTravel = 0;
+    this.frame = null;
+
+    this.onPointerDown = (event) => this.handlePointerDown(event);
+    this.onPointerMove = (event) => this.handlePointerMove(event);
+    this.onPointerUp = (event) => this.handlePointerUp(event);
+    this.onPointerCancel = (event) => this.handlePointerUp(event, { cancelled: true });
+  }
+
+  attach() {
+    this.element.addEventListener('pointerdown', this.onPointerDown);
+    this.element.addEventListener('pointermove', this.onPointerMove);
+    this.element.addEventListener('pointerup', this.onPointerUp);
+    this.element.addEventListener('pointercancel', this.onPointerCancel);
+    return this;
+  }
+
+  detach() {
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element.removeEventListener('pointermove', this.onPointerMove);
+    this.element.removeEventListener('pointerup', this.onPointerUp);
+    this.element.removeEventListener('pointercancel', this.onPointerCancel);
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.pointers.clear();
+  }
+
+  get mode() {
+    return this.handlers.getSettings().touchpadMode === TOUCHPAD_MODES.SWIPE ? TOUCHPAD_MODES.SWIPE : TOUCHPAD_MODES.POINTER;
+  }
+
+  handlePointerDown(event) {
+    event.preventDefault?.();
+    this.element.setPointerCapture?.(event.pointerId);
+
+    if (this.pointers.size === 0) {
+      this.maxPointers = 0;
+      this.moved = false;
+      this.scrollTravel = 0;
+    }
+
+    const now = event.timeStamp ?? performance.now();
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      time: now,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: now
+    });
+    this.maxPointers = Math.max(this.maxPointers, this.pointers.size);
+  }
+
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    const now = event.timeStamp ?? performance.now();
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    const elapsed = Math.max(1, now - pointer.time);
+    Object.assign(pointer, { x: event.clientX, y: event.clientY, time: now });
+
+    const travel = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+    if (travel > TOUCHPAD_SETTINGS.TAP_MAX_MOVE_PX) {
+      this.moved = true;
+    }
+
+    if (this.mode === TOUCHPAD_MODES.SWIPE) return;
+
+    const invert = this.handlers.getSettings().invertYAxis ? -1 : 1;
+
+    if (this.pointers.size >= 2) {
+      // Two-finger scroll: average the fingers' vertical travel
+      this.scrollTravel += (dy * invert) / this.pointers.size;
+      const notches = Math.trunc(this.scrollTravel / TOUCHPAD_SETTINGS.SCROLL_STEP_PX);
+      if (notches !== 0) {
+        this.scrollTravel -= notches * TOUCHPAD_SETTINGS.SCROLL_STEP_PX;
+        this.handlers.onScroll?.(notches);
+      }
+      return;
+    }
+
+    const gain = pointerGain(Math.hypot(dx, dy) / elapsed, this.handlers.getSettings().cursorSensitivity);
+    this.pending.dx += dx * gain;
+    this.pending.dy += dy * gain * invert;
+    this.scheduleFlush();
+  }
+
+  handlePointerUp(event, { cancelled = false } = {}) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    this.pointers.delete(event.pointerId);
+    if (cancelled || this.pointers.size > 0) return;
+
+    // Last finger lifted: decide between tap and swipe
+    const now = event.timeStamp ?? performance.now();
+    const isTap = !this.moved && now - pointer.startTime <= TOUCHPAD_SETTINGS.TAP_MAX_MS;
+
+    if (this.mode === TOUCHPAD_MODES.SWIPE) {
+      if (isTap) {
+        this.handlers.onTap?.('primary');
+        return;
+      }
+      const invert = this.handlers.getSettings().invertYAxis ? -1 : 1;
+      const direction = classifySwipe(event.clientX - pointer.startX, (event.clientY - pointer.startY) * invert);
+      if (direction) {
+        this.handlers.onSwipe?.(direction);
+      }
+      return;
+    }
+
+    if (isTap) {
+      this.handlers.onTap?.(this.maxPointers >= 2 ? 'secondary' : 'primary');
+    }
+  }
+
+  scheduleFlush() {
+    if (this.frame !== null) return;
+    this.frame = window.requestAnimationFrame(() => {
+      this.frame = null;
+      this.flush();
+    });
+  }
+
+  /**
+   * Emit whole-pixel movement and keep the fractional remainder for the next frame
+   */
+  flush() {
+    const dx = Math.trunc(this.pending.dx);
+    const dy = Math.trunc(this.pending.dy);
+    this.pending.dx -= dx;
+    this.pending.dy -= dy;
+
+    if (dx !== 0 || dy !== 0) {
+      this.handlers.onMove?.(dx, dy);
+    }
+  }
+}
@@ -0,0 +1,138 @@
+// Voice Input - Listens for one spoken command and hands it over parsed
+
+import { VOICE_SETTINGS } from '../core/constants.js';
+import { parseVoiceCommand } from '../services/voice-commands.js';
+
+// Web Speech API error codes → user-facing messages; 'aborted' (stopped by us) is silent
+const SPEECH_ERRORS = {
+  'not-allowed': 'Allow microphone access to use voice commands.',
+  'service-not-allowed': 'Allow microphone access to use voice commands.',
+  'audio-capture': 'No microphone was found.',
+  'network': 'Voice commands need an internet connection in this browser.',
+  'no-speech': "Didn't hear anything. Tap the microphone and try again.",
+};
+
+export function describeSpeechError(code) {
+  return SPEECH_ERRORS[code] ?? (code === 'aborted' ? null : 'Voice recognition stopped unexpectedly.');
+}
+
+/**
+ * Recognizer backed by the Web Speech API. Any object with the same start()/stop()
+ * shape can be passed to VoiceInput instead (tests use a fake).
+ *
+ * start(handlers) listens for one phrase and calls handlers.onTranscript(alternatives)
+ * with the transcripts best first, handlers.onError(code) on failure and handlers.onEnd()
+ * once it stops listening.
+ */
+export class WebSpeechRecognizer {
+  static getImplementation() {
+    return typeof window !== 'undefined'
+      ? window.SpeechRecognition ?? window.webkitSpeechRecognition ?? null
+      : null;
+  }
+
+  static isSupported() {
+    return WebSpeechRecognizer.getImplementation() !== null;
+  }
+
+  constructor(language = VOICE_SETTINGS.LANGUAGE) {
+    this.language = language;
+    this.recognition = null;
+  }
+
+  start({ onTranscript, onError, onEnd }) {
+    const Recognition = WebSpeechRecognizer.getImplementation();
+    const recognition = new Recognition();
+    recognition.lang = this.language;
+    recognition.continuous = false;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = VOICE_SETTINGS.MAX_ALTERNATIVES;
+
+    recognition.onresult = (event) => {
+      const result = event.results[event.results.length - 1];
+      onTranscript(Array.from(result, alternative => alternative.transcript));
+    };
+    recognition.onerror = (event) => onError(event.error);
+    recognition.onend = () => {
+      this.recognition = null;
+      onEnd();
+    };
+
+    this.recognition = recognition;
+    recognition.start();
+  }
+
+  stop() {
+    this.recognition?.stop();
+  }
+}
+
+/**
+ * One voice command per start(): the first transcript alternative that parses is
+ * reported through onCommand, otherwise onUnrecognized gets the best transcript.
+ */
+export class VoiceInput {
+  /**
+   * @param {Object} options
+   * @param {{start: function(Object): void, stop: function(): void}} options.recognizer
+   * @param {function({command: string, count: number, transcript: string}): void} options.onCommand
+   * @param {function(string): void} [options.onUnrecognized] - Best transcript
+   * @param {function(string): void} [options.onError] - User-facing message
+   * @param {function(boolean): void} [options.onListeningChange]
+   */
+  constructor({ recognizer, onCommand, onUnrecognized, onError, onListeningChange }) {
+    this.recognizer = recognizer;
+    this.handlers = { onCommand, onUnrecognized, onError, onListeningChange };
+    this.listening = false;
+  }
+
+  start() {
+    if (this.listening) return;
+
+    this.setListening(true);
+    try {
+      this.recognizer.start({
+        onTranscript: (alternatives) => this.handleTranscript(alternatives),
+        onError: (code) => {
+          const message = describeSpeechError(code);
+          if (message) this.handlers.onError?.(message);
+        },
+        onEnd: () => this.setListening(false)
+      });
+    } catch (error) {
+      console.error('Failed to start voice recognition:', error);
+      this.setListening(false);
+      this.handlers.onError?.('Voice recognition could not start.');
+    }
+  }
+
+  stop() {
+    if (this.listening) {
+      this.recognizer.stop();
+    }
+  }
+
+  toggle() {
+    if (this.listening) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  handleTranscript(alternatives) {
+    for (const transcript of alternatives) {
+      const parsed = parseVoiceCommand(transcript);
+      if (parsed) {
+        this.handlers.onCommand({ ...parsed, transcript: transcript.trim() });
+        return;
+      }
+    }
+    this.handlers.onUnrecognized?.(alternatives[0]?.trim() ?? '');
+  }
+
+  setListening(listening) {
+    this.listening = listening;
+    this.handlers.onListeningChange?.(listening);
+  }
+}
@@ -1,4 +1,5 @@
 import { jest } from '@jest/globals';
+import { TextEncoder as NodeTextEncoder, TextDecoder as NodeTextDecoder } from 'node:util';
 
 const originals = {
   localStorage: null,
@@ -84,6 +85,99 @@ const createBluetoothMock = () => ({
   })
 });
 
+const toDataView = (bytes = []) => new DataView(Uint8Array.from(bytes).buffer);
+
+const createNotFoundError = (message) => {
+  const error = new Error(message);
+  error.name = 'NotFoundError';
+  return error;
+};
+
+const createFakeCharacteristic = ({ uuid, value = [], properties = {}, descriptors = {} }) => {
+  const listeners = new Map();
+
+  return {
+    uuid,
+    properties: { read: true, write: true, writeWithoutResponse: false, notify: false, ...properties },
+    value: null,
+    readValue: jest.fn().mockImplementation(async () => toDataView(value)),
+    writeValue: jest.fn().mockResolvedValue(undefined),
+    writeValueWithResponse: jest.fn().mockResolvedValue(undefined),
+    writeValueWithoutResponse: jest.fn().mockResolvedValue(undefined),
+    getDescriptor: jest.fn().mockImplementation(async (descriptorUuid) => {
+      if (!(descriptorUuid in descriptors)) {
+        throw createNotFoundError(`Descriptor ${descriptorUuid} not found`);
+      }
+      return { uuid: descriptorUuid, readValue: jest.fn().mockResolvedValue(toDataView(descriptors[descriptorUuid])) };
+    }),
+    startNotifications: jest.fn().mockImplementation(async function () { return this; }),
+    stopNotifications: jest.fn().mockImplementation(async function () { return this; }),
+    addEventListener: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    removeEventListener: (event, listener) => {
+      listeners.get(event)?.delete(listener);
+    },
+    // Test helper: simulate a notification from the peripheral
+    emitValue(bytes) {
+      this.value = toDataView(bytes);
+      listeners.get('characteristicvaluechanged')?.forEach(listener => listener({ target: this }));
+    }
+  };
+};
+
+/**
+ * Build an in-memory GATT server.
+ * @param {Object<string, Array<{uuid, value?, properties?, descriptors?}>>} services
+ *   Map of service UUID to characteristic specs
+ */
+export const createFakeGattServer = (services = {}) => {
+  const serviceMap = new Map(Object.entries(services).map(([serviceUuid, specs]) => {
+    const characteristics = specs.map(createFakeCharacteristic);
+    const service = {
+      uuid: serviceUuid,
+      characteristics,
+      getCharacteristic: jest.fn().mockImplementation(async (uuid) => {
+        const match = characteristics.find(c => c.uuid === uuid);
+        if (!match) {
+          throw createNotFoundError(`Characteristic ${uuid} not found`);
+        }
+        return match;
+      }),
+      getCharacteristics: jest.fn().mockImplementation(async (uuid) => {
+        const matches = uuid === undefined ? characteristics : characteristics.filter(c => c.uuid === uuid);
+        if (matches.length === 0) {
+          throw createNotFoundError(`Characteristic ${uuid} not found`);
+        }
+        return matches;
+      })
+    };
+    return [serviceUuid, service];
+  }));
+
+  const server = {
+    connected: true,
+    services: serviceMap,
+    connect: jest.fn().mockImplementation(async () => {
+      server.connected = true;
+      return server;
+    }),
+    disconnect: jest.fn().mockImplementation(() => {
+      server.connected = false;
+    }),
+    getPrimaryService: jest.fn().mockImplementation(async (uuid) => {
+      if (!serviceMap.has(String(uuid))) {
+        throw createNotFoundError(`Service ${uuid} not found`);
+      }
+      return serviceMap.get(String(uuid));
+    }),
+    getPrimaryServices: jest.fn().mockImplementation(async () => [...serviceMap.values()])
+  };
+
+  return server;
+};
+
 const createAnimationFrameMock = () => {
   let frameId = 0;
   const frameMap = new Map();
@@ -123,6 +217,17 @@ const ensureCustomEvent = () => {
   globalThis.CustomEvent = CustomEvent;
 };
 
+const ensureTextEncoding = () => {
+  // jsdom does not expose the Encoding API; reuse Node's implementation
+  if (typeof globalThis.TextEncoder !== 'function') {
+    globalThis.TextEncoder = NodeTextEncoder;
+  }
+  
+  if (typeof globalThis.TextDecoder !== 'function') {
+    globalThis.TextDecoder = NodeTextDecoder;
+  }
+};
+
 export const installBrowserMocks = () => {
   const localStorageMock = createLocalStorageMock();
   originals.localStorage = globalThis.localStorage ?? null;
@@ -163,6 +268,7 @@ export const installBrowserMocks = () => {
   }
 
   ensureCustomEvent();
+  ensureTextEncoding();
 };
 
 export const resetBrowserMocks = () => {